@@ -5,6 +5,8 @@ import Home from './pages/Home';
 import Trackers from './pages/Trackers';
 import LoginPage from './pages/LoginPage';
 import Profile from './pages/Profile';
+import Search from './pages/Search';
+import MilestoneNotifications from './components/MilestoneNotifications';
 import logo from './assets/logo.svg';
 
 function AuthenticatedApp() {
@@ -55,12 +57,22 @@ function AuthenticatedApp() {
     api.logout();
   };
 
-  const handleDownloadToday = () => {
-    api.downloadMarkdown();
+  const handleDownloadToday = async () => {
+    try {
+      await api.downloadMarkdown();
+    } catch (error) {
+      console.error('Error downloading markdown:', error);
+      alert('Error starting download');
+    }
   };
 
-  const handleDownloadPDF = () => {
-    api.downloadPDF();
+  const handleDownloadPDF = async () => {
+    try {
+      await api.downloadPDF();
+    } catch (error) {
+      console.error('Error downloading PDF:', error);
+      alert('Error starting download');
+    }
   };
 
   const handleSaveSnapshot = async () => {
@@ -101,6 +113,7 @@ function AuthenticatedApp() {
             <ul className={`nav-links ${mobileMenuOpen ? 'mobile-open' : ''}`}>
               <li><NavLink to="/" className="nav-link" onClick={() => setMobileMenuOpen(false)}>Home</NavLink></li>
               <li><NavLink to="/trackers" className="nav-link" onClick={() => setMobileMenuOpen(false)}>Trackers</NavLink></li>
+              <li><NavLink to="/search" className="nav-link" onClick={() => setMobileMenuOpen(false)}>Search</NavLink></li>
               <li><NavLink to="/profile" className="nav-link" onClick={() => setMobileMenuOpen(false)}>Profile</NavLink></li>
             </ul>
 
@@ -132,10 +145,13 @@ function AuthenticatedApp() {
           </div>
         </nav>
 
+        <MilestoneNotifications />
+
         <main>
           <Routes>
             <Route path="/" element={<Home />} />
             <Route path="/trackers" element={<Trackers />} />
+            <Route path="/search" element={<Search />} />
             <Route path="/profile" element={<Profile />} />
           </Routes>
         </main>
@@ -0,0 +1,48 @@
+import { api } from '../services/api';
+
+// Collapsed list of archived trackers, counters or template fields ({ id, name, category })
+// with restore and delete. Deleting removes the item's history too.
+export default function ArchivedItems({ items, kind, date, onStateChange, onDelete }) {
+  if (items.length === 0) return null;
+
+  const handleRestore = async (id) => {
+    try {
+      onStateChange(await api.updateItem(kind, id, { archived: false }, date));
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  const handleDelete = (item) => {
+    if (!confirm(`Delete "${item.name}" and all of its history?`)) return;
+    onDelete(item.id);
+  };
+
+  return (
+    <details className="archived-items">
+      <summary>🗄️ Archived ({items.length})</summary>
+      <ul>
+        {items.map(item => (
+          <li key={item.id}>
+            <span>
+              {item.name}
+              {item.category && <small> · {item.category}</small>}
+            </span>
+            <span className="archived-item-actions">
+              <button onClick={() => handleRestore(item.id)} className="btn btn-sm btn-secondary">
+                Restore
+              </button>
+              <button
+                onClick={() => handleDelete(item)}
+                className="btn-icon btn-icon-sm btn-danger"
+                title="Delete with its history"
+              >
+                ×
+              </button>
+            </span>
+          </li>
+        ))}
+      </ul>
+    </details>
+  );
+}
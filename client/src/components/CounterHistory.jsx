@@ -0,0 +1,133 @@
+import { useState, useEffect } from 'react';
+import { format, parseISO, subDays } from 'date-fns';
+import { api } from '../services/api';
+
+const RANGES = [30, 90, 365];
+
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 160;
+
+const formatValue = (counter, value) => {
+  const number = Number(value).toFixed(counter.decimals);
+  return counter.unit ? `${number} ${counter.unit}` : number;
+};
+
+// Bar per day, with the goal drawn as a dashed line
+function HistoryChart({ counter, daily }) {
+  const maxValue = Math.max(counter.goal || 0, ...daily.map(day => day.value), 1);
+  const barWidth = CHART_WIDTH / daily.length;
+  const y = (value) => CHART_HEIGHT - (value / maxValue) * CHART_HEIGHT;
+
+  return (
+    <svg
+      className="counter-chart"
+      viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+      preserveAspectRatio="none"
+    >
+      {daily.map((day, i) => (
+        <rect
+          key={day.date}
+          className={day.streakDay ? 'counter-chart-bar streak' : 'counter-chart-bar'}
+          x={i * barWidth}
+          y={y(day.value)}
+          width={Math.max(barWidth - 1, 0.5)}
+          height={CHART_HEIGHT - y(day.value)}
+        >
+          <title>{`${day.date}: ${formatValue(counter, day.value)}`}</title>
+        </rect>
+      ))}
+      {counter.goal !== null && (
+        <line className="counter-chart-goal" x1="0" x2={CHART_WIDTH} y1={y(counter.goal)} y2={y(counter.goal)} />
+      )}
+    </svg>
+  );
+}
+
+// Modal with a custom counter's values over the last 30/90/365 days
+export default function CounterHistory({ counter, today, onClose }) {
+  const [days, setDays] = useState(30);
+  const [history, setHistory] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const from = format(subDays(parseISO(today), days - 1), 'yyyy-MM-dd');
+    api.getCounterHistory(counter.id, from, today).then(response => {
+      if (response.error) {
+        setError(response.error);
+      } else {
+        setError('');
+        setHistory(response);
+      }
+    });
+  }, [counter.id, today, days]);
+
+  // A year of weeks is a long list, so long ranges are summed by month
+  const periods = history && (days > 90
+    ? history.monthly.map(m => ({ key: m.month, label: format(parseISO(`${m.month}-01`), 'MMM yyyy'), ...m }))
+    : history.weekly.map(w => ({ key: w.weekStart, label: `Week of ${format(parseISO(w.weekStart), 'MMM d')}`, ...w })));
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content counter-history" onClick={(e) => e.stopPropagation()}>
+        <h3>📈 {counter.name}</h3>
+
+        <div className="counter-history-ranges">
+          {RANGES.map(range => (
+            <button
+              key={range}
+              className={`btn btn-sm ${range === days ? 'btn-primary' : 'btn-secondary'}`}
+              onClick={() => setDays(range)}
+            >
+              {range} days
+            </button>
+          ))}
+        </div>
+
+        {error && <div className="message">{error}</div>}
+
+        {history === null ? (
+          <div className="empty-state">Loading...</div>
+        ) : (
+          <>
+            <HistoryChart counter={counter} daily={history.daily} />
+            <p className="card-description">
+              {format(parseISO(history.from), 'MMM d, yyyy')} – {format(parseISO(history.to), 'MMM d, yyyy')}
+            </p>
+
+            <div className="counter-history-stats">
+              <div><span>Total</span><strong>{formatValue(counter, history.summary.total)}</strong></div>
+              <div><span>Daily average</span><strong>{formatValue(counter, history.summary.average)}</strong></div>
+              <div><span>Days logged</span><strong>{history.summary.daysLogged}</strong></div>
+              <div>
+                <span>Best day</span>
+                <strong>{history.summary.best ? formatValue(counter, history.summary.best.value) : '—'}</strong>
+              </div>
+              <div>
+                <span>{history.streaks.basis === 'goal' ? 'Goal streak' : 'Streak'}</span>
+                <strong>{history.streaks.current} days</strong>
+              </div>
+              <div><span>Longest streak</span><strong>{history.streaks.longest} days</strong></div>
+            </div>
+
+            <ul className="revision-list">
+              {periods.slice().reverse().map(period => (
+                <li key={period.key} className="revision-item">
+                  <div className="revision-meta">
+                    <span>{period.label}</span>
+                    <span className="revision-action">
+                      {formatValue(counter, period.total)} • avg {formatValue(counter, period.average)}
+                    </span>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+
+        <div className="modal-buttons">
+          <button type="button" onClick={onClose} className="btn btn-secondary">Close</button>
+        </div>
+      </div>
+    </div>
+  );
+}
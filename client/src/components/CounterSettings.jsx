@@ -0,0 +1,96 @@
+import { useState } from 'react';
+import { api } from '../services/api';
+
+// Empty inputs clear optional numbers (bounds, goal)
+const toNumberOrNull = (value) => (value === '' ? null : Number(value));
+
+const toInputValue = (value) => (value === null ? '' : String(value));
+
+// Modal editing a custom counter's unit, step, decimals, bounds and daily goal
+export default function CounterSettings({ counter, date, onClose, onSaved }) {
+  const [form, setForm] = useState({
+    unit: counter.unit,
+    step: String(counter.step),
+    decimals: String(counter.decimals),
+    min: toInputValue(counter.min),
+    max: toInputValue(counter.max),
+    goal: toInputValue(counter.goal),
+    goalDirection: counter.goalDirection
+  });
+  const [error, setError] = useState('');
+
+  const update = (key) => (e) => setForm({ ...form, [key]: e.target.value });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      const data = await api.updateCustomCounter(counter.id, {
+        unit: form.unit,
+        step: Number(form.step),
+        decimals: parseInt(form.decimals),
+        min: toNumberOrNull(form.min),
+        max: toNumberOrNull(form.max),
+        goal: toNumberOrNull(form.goal),
+        goalDirection: form.goalDirection
+      }, date);
+      onSaved(data);
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <h3>⚙️ {counter.name}</h3>
+
+        {error && <div className="message">{error}</div>}
+
+        <form onSubmit={handleSubmit}>
+          <div className="form-row">
+            <div className="form-group">
+              <label>Unit</label>
+              <input type="text" value={form.unit} onChange={update('unit')} placeholder="e.g. ml, mg, kg" />
+            </div>
+            <div className="form-group">
+              <label>Step</label>
+              <input type="number" value={form.step} onChange={update('step')} min="0" step="any" required />
+            </div>
+            <div className="form-group">
+              <label>Decimals</label>
+              <input type="number" value={form.decimals} onChange={update('decimals')} min="0" max="3" required />
+            </div>
+          </div>
+          <div className="form-row">
+            <div className="form-group">
+              <label>Min</label>
+              <input type="number" value={form.min} onChange={update('min')} step="any" placeholder="None" />
+            </div>
+            <div className="form-group">
+              <label>Max</label>
+              <input type="number" value={form.max} onChange={update('max')} step="any" placeholder="None" />
+            </div>
+          </div>
+          <div className="form-row">
+            <div className="form-group">
+              <label>Daily goal</label>
+              <select className="form-select" value={form.goalDirection} onChange={update('goalDirection')}>
+                <option value="at_least">At least</option>
+                <option value="at_most">At most</option>
+              </select>
+            </div>
+            <div className="form-group">
+              <label>&nbsp;</label>
+              <input type="number" value={form.goal} onChange={update('goal')} min="0" step="any" placeholder="No goal" />
+            </div>
+          </div>
+          <div className="modal-buttons">
+            <button type="submit" className="btn btn-success">Save</button>
+            <button type="button" onClick={onClose} className="btn btn-secondary">Cancel</button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
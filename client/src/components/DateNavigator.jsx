@@ -0,0 +1,46 @@
+// Shift a YYYY-MM-DD date string by a number of days
+const shiftDate = (dateStr, days) => {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+export default function DateNavigator({ date, today, onChange }) {
+  if (!date) return null;
+
+  const isToday = date === today;
+
+  return (
+    <div className="date-navigator">
+      <button
+        onClick={() => onChange(shiftDate(date, -1))}
+        className="btn btn-sm btn-secondary"
+        title="Previous day"
+      >
+        ◀
+      </button>
+      <input
+        type="date"
+        className="form-input date-navigator-input"
+        value={date}
+        onChange={(e) => e.target.value && onChange(e.target.value)}
+      />
+      <button
+        onClick={() => onChange(shiftDate(date, 1))}
+        className="btn btn-sm btn-secondary"
+        title="Next day"
+      >
+        ▶
+      </button>
+      {!isToday && (
+        <button
+          onClick={() => onChange(today)}
+          className="btn btn-sm btn-primary"
+          title="Back to today"
+        >
+          Today
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,39 @@
+import { useState, useEffect } from 'react';
+import { api } from '../services/api';
+
+// Thumbnail of an entry's attached image; clicking opens the full-size original
+export default function EntryImage({ entryId }) {
+  const [thumbnailUrl, setThumbnailUrl] = useState(null);
+
+  useEffect(() => {
+    let objectUrl = null;
+    let cancelled = false;
+
+    api.getEntryImage(entryId, 'thumb').then(url => {
+      if (cancelled) {
+        if (url) URL.revokeObjectURL(url);
+        return;
+      }
+      objectUrl = url;
+      setThumbnailUrl(url);
+    });
+
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [entryId]);
+
+  const handleOpenFullSize = async () => {
+    const url = await api.getEntryImage(entryId);
+    if (url) window.open(url, '_blank');
+  };
+
+  if (!thumbnailUrl) return null;
+
+  return (
+    <div className="entry-image">
+      <img src={thumbnailUrl} alt="Entry attachment" onClick={handleOpenFullSize} title="Open full size" />
+    </div>
+  );
+}
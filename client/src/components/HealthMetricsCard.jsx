@@ -0,0 +1,93 @@
+import { useState, useEffect } from 'react';
+import { api } from '../services/api';
+
+const SCALES = [
+  { key: 'mood', label: 'Mood', low: 'Low', high: 'Great' },
+  { key: 'energy', label: 'Energy', low: 'Drained', high: 'Energized' },
+  { key: 'stress', label: 'Stress', low: 'Calm', high: 'Very stressed' }
+];
+
+const NUMBERS = [
+  { key: 'heartRate', label: 'Resting Heart Rate', unit: 'bpm', min: 20, max: 250, step: 1 },
+  { key: 'alcohol', label: 'Alcohol', unit: 'drinks', min: 0, max: 50, step: 0.5 },
+  { key: 'exercise', label: 'Exercise', unit: 'min', min: 0, max: 1440, step: 5 }
+];
+
+const toDrafts = (metrics) => Object.fromEntries(
+  NUMBERS.map(({ key }) => [key, metrics[key] === null ? '' : String(metrics[key])])
+);
+
+// Mood, energy and stress ratings plus heart rate, alcohol and exercise for the selected day
+export default function HealthMetricsCard({ metrics, date, onStateChange }) {
+  const [drafts, setDrafts] = useState(toDrafts(metrics));
+
+  // Pick up the stored values when the day changes or a save updates them
+  useEffect(() => {
+    setDrafts(toDrafts(metrics));
+  }, [metrics]);
+
+  const save = async (changes) => {
+    try {
+      onStateChange(await api.updateHealthMetrics(changes, date));
+    } catch (error) {
+      alert(error.message);
+      setDrafts(toDrafts(metrics));
+    }
+  };
+
+  // Clicking the selected rating again clears it
+  const handleRate = (key, rating) => {
+    save({ [key]: metrics[key] === rating ? null : rating });
+  };
+
+  const handleNumberBlur = (key) => {
+    const value = drafts[key].trim() === '' ? null : parseFloat(drafts[key]);
+    if (value === metrics[key] || (value !== null && isNaN(value))) return;
+    save({ [key]: value });
+  };
+
+  return (
+    <div className="card card-primary">
+      <h2>❤️ Health</h2>
+      <p className="card-description">Rate your mood, energy and stress from 1 to 5 and log today's numbers</p>
+
+      <div className="health-scales">
+        {SCALES.map(scale => (
+          <div key={scale.key} className="health-scale">
+            <span className="form-label">{scale.label}</span>
+            <div className="health-scale-buttons" title={`1 = ${scale.low}, 5 = ${scale.high}`}>
+              {[1, 2, 3, 4, 5].map(rating => (
+                <button
+                  key={rating}
+                  type="button"
+                  className={`health-rating ${metrics[scale.key] === rating ? 'selected' : ''}`}
+                  onClick={() => handleRate(scale.key, rating)}
+                >
+                  {rating}
+                </button>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="form-row">
+        {NUMBERS.map(number => (
+          <div key={number.key} className="form-group">
+            <label className="form-label">{number.label} ({number.unit})</label>
+            <input
+              type="number"
+              className="form-input"
+              min={number.min}
+              max={number.max}
+              step={number.step}
+              value={drafts[number.key]}
+              onChange={(e) => setDrafts({ ...drafts, [number.key]: e.target.value })}
+              onBlur={() => handleNumberBlur(number.key)}
+            />
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
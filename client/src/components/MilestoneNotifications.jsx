@@ -0,0 +1,53 @@
+import { useState, useEffect } from 'react';
+import { api } from '../services/api';
+
+// Milestones are checked on the server when asked, so poll once a minute
+const POLL_INTERVAL_MS = 60 * 1000;
+
+// Toasts for Time Since milestones and countdowns that have arrived
+export default function MilestoneNotifications() {
+  const [notifications, setNotifications] = useState([]);
+
+  const loadNotifications = async () => {
+    try {
+      const response = await api.getNotifications();
+      if (response.notifications) {
+        setNotifications(response.notifications);
+      }
+    } catch (error) {
+      console.error('Error loading notifications:', error);
+    }
+  };
+
+  useEffect(() => {
+    loadNotifications();
+    const interval = setInterval(loadNotifications, POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, []);
+
+  const handleDismiss = async (id) => {
+    setNotifications(notifications.filter(n => n.id !== id));
+    await api.dismissNotification(id);
+  };
+
+  const handleDismissAll = async () => {
+    setNotifications([]);
+    await api.dismissAllNotifications();
+  };
+
+  if (notifications.length === 0) return null;
+
+  return (
+    <div className="milestone-notifications">
+      {notifications.map(notification => (
+        <div key={notification.id} className="milestone-toast">
+          <span>🏁 {notification.message}</span>
+          <button className="btn btn-sm btn-secondary" onClick={() => handleDismiss(notification.id)}>✕</button>
+        </div>
+      ))}
+      {notifications.length > 1 && (
+        <button className="btn btn-sm btn-secondary" onClick={handleDismissAll}>Dismiss all</button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,86 @@
+import { useState, useEffect } from 'react';
+import { format } from 'date-fns';
+import { api } from '../services/api';
+
+const ACTION_LABELS = {
+  update: 'Edited',
+  delete: 'Deleted',
+  restore: 'Replaced by restore'
+};
+
+// Revision times are stored as UTC "YYYY-MM-DD HH:MM:SS"
+const formatRevisionTime = (sqlTimestamp) => {
+  if (!sqlTimestamp) return '';
+  return format(new Date(sqlTimestamp.replace(' ', 'T') + 'Z'), 'yyyy-MMM-dd HH:mm');
+};
+
+// Modal listing the previous versions of an entry or field, newest first
+export default function RevisionHistory({ type, entityId, title, onClose, onRestored }) {
+  const [revisions, setRevisions] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    api.getRevisions(type, entityId).then(response => {
+      if (response.error) {
+        setError(response.error);
+        setRevisions([]);
+      } else {
+        setRevisions(response.revisions);
+      }
+    });
+  }, [type, entityId]);
+
+  const handleRestore = async (revision) => {
+    if (!confirm('Restore this version? The current version will be kept in the history.')) return;
+
+    const response = await api.restoreRevision(revision.id);
+    if (response.error) {
+      setError(response.error);
+      return;
+    }
+
+    setError('');
+    setRevisions(response.revisions);
+    if (onRestored) onRestored();
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content revision-history" onClick={(e) => e.stopPropagation()}>
+        <h3>🕘 History: {title}</h3>
+
+        {error && <div className="message">{error}</div>}
+
+        {revisions === null ? (
+          <div className="empty-state">Loading...</div>
+        ) : revisions.length === 0 ? (
+          <div className="empty-state">No previous versions</div>
+        ) : (
+          <ul className="revision-list">
+            {revisions.map(revision => (
+              <li key={revision.id} className="revision-item">
+                <div className="revision-meta">
+                  <span>{formatRevisionTime(revision.createdAt)}</span>
+                  <span className="revision-action">{ACTION_LABELS[revision.action] || revision.action}</span>
+                </div>
+                <div className="revision-value">
+                  {type === 'activity_entry' && (
+                    <span className="revision-entry-time">{formatRevisionTime(revision.data.timestamp)} </span>
+                  )}
+                  {type === 'activity_entry' ? revision.data.text : (revision.data.value || <em>(empty)</em>)}
+                </div>
+                <button className="btn btn-sm btn-primary" onClick={() => handleRestore(revision)}>
+                  Restore
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <div className="modal-buttons">
+          <button type="button" onClick={onClose} className="btn btn-secondary">Close</button>
+        </div>
+      </div>
+    </div>
+  );
+}
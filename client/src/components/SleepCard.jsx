@@ -0,0 +1,170 @@
+import { useState, useEffect } from 'react';
+import { api } from '../services/api';
+
+const QUALITY_LABELS = ['', 'Awful', 'Poor', 'Okay', 'Good', 'Great'];
+
+const formatMinutes = (minutes) => {
+  const hours = Math.floor(Math.abs(minutes) / 60);
+  const rest = Math.abs(minutes) % 60;
+  return hours > 0 ? `${hours}h ${rest}m` : `${rest}m`;
+};
+
+// Last night's sleep, naps, quality and the 7-day sleep debt for the selected day
+export default function SleepCard({ sleep, date, onStateChange }) {
+  const [times, setTimes] = useState({ bedtime: sleep.bedtime, wakeTime: sleep.wakeTime });
+  const [napMinutes, setNapMinutes] = useState('');
+  const [napStart, setNapStart] = useState('');
+  const [targetHours, setTargetHours] = useState(String(sleep.targetMinutes / 60));
+
+  // Pick up the stored values when the day changes or another save updates them
+  useEffect(() => {
+    setTimes({ bedtime: sleep.bedtime, wakeTime: sleep.wakeTime });
+  }, [sleep.bedtime, sleep.wakeTime]);
+
+  useEffect(() => {
+    setTargetHours(String(sleep.targetMinutes / 60));
+  }, [sleep.targetMinutes]);
+
+  const save = async (request) => {
+    try {
+      onStateChange(await request());
+      return true;
+    } catch (error) {
+      alert(error.message);
+      return false;
+    }
+  };
+
+  const handleTimeBlur = (field) => {
+    if (times[field] === sleep[field]) return;
+    save(() => api.updateSleep({ [field]: times[field] }, date));
+  };
+
+  const handleQualityChange = (e) => {
+    const quality = e.target.value ? parseInt(e.target.value) : null;
+    save(() => api.updateSleep({ quality }, date));
+  };
+
+  const handleAddNap = async (e) => {
+    e.preventDefault();
+    const minutes = parseInt(napMinutes);
+    if (!minutes) return;
+
+    if (await save(() => api.addNap(minutes, napStart, date))) {
+      setNapMinutes('');
+      setNapStart('');
+    }
+  };
+
+  const handleTargetBlur = () => {
+    const minutes = Math.round(parseFloat(targetHours) * 60);
+    if (isNaN(minutes) || minutes === sleep.targetMinutes) return;
+    save(() => api.setSleepTarget(minutes, date));
+  };
+
+  return (
+    <div className="card card-primary">
+      <h2>😴 Sleep</h2>
+      <p className="card-description">Last night's sleep, naps and your 7-day sleep debt</p>
+
+      <div className="form-row">
+        <div className="form-group">
+          <label className="form-label">Previous Day Bedtime</label>
+          <input
+            type="time"
+            className="form-input"
+            value={times.bedtime}
+            onChange={(e) => setTimes({ ...times, bedtime: e.target.value })}
+            onBlur={() => handleTimeBlur('bedtime')}
+          />
+        </div>
+
+        <div className="form-group">
+          <label className="form-label">Today's Wake Time</label>
+          <input
+            type="time"
+            className="form-input"
+            value={times.wakeTime}
+            onChange={(e) => setTimes({ ...times, wakeTime: e.target.value })}
+            onBlur={() => handleTimeBlur('wakeTime')}
+          />
+        </div>
+
+        <div className="form-group">
+          <label className="form-label">Quality</label>
+          <select className="form-select" value={sleep.quality || ''} onChange={handleQualityChange}>
+            <option value="">Not rated</option>
+            {[1, 2, 3, 4, 5].map(rating => (
+              <option key={rating} value={rating}>{rating} – {QUALITY_LABELS[rating]}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="sleep-summary">
+        <div>
+          <span>Slept</span>
+          <strong>{sleep.totalMinutes === null ? '—' : formatMinutes(sleep.totalMinutes)}</strong>
+          {sleep.napMinutes > 0 && <small>incl. {formatMinutes(sleep.napMinutes)} of naps</small>}
+        </div>
+        <div>
+          <span>7-day {sleep.debtMinutes >= 0 ? 'debt' : 'surplus'}</span>
+          <strong className={sleep.debtMinutes > 0 ? 'sleep-debt' : 'sleep-surplus'}>
+            {formatMinutes(sleep.debtMinutes)}
+          </strong>
+          <small>over {sleep.debtDays} {sleep.debtDays === 1 ? 'day' : 'days'} logged</small>
+        </div>
+        <div>
+          <span>Target (hours)</span>
+          <input
+            type="number"
+            className="form-input form-input-sm"
+            min="1"
+            max="24"
+            step="0.25"
+            value={targetHours}
+            onChange={(e) => setTargetHours(e.target.value)}
+            onBlur={handleTargetBlur}
+          />
+        </div>
+      </div>
+
+      {sleep.naps.length > 0 && (
+        <ul className="sleep-naps">
+          {sleep.naps.map(nap => (
+            <li key={nap.id}>
+              <span>💤 {formatMinutes(nap.minutes)}{nap.startTime && ` at ${nap.startTime}`}</span>
+              <button
+                className="btn-icon btn-icon-sm btn-danger"
+                onClick={() => save(() => api.deleteNap(nap.id, date))}
+                title="Delete nap"
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleAddNap} className="custom-field-form">
+        <input
+          type="number"
+          className="form-input"
+          min="1"
+          max="720"
+          placeholder="Nap minutes"
+          value={napMinutes}
+          onChange={(e) => setNapMinutes(e.target.value)}
+        />
+        <input
+          type="time"
+          className="form-input"
+          value={napStart}
+          onChange={(e) => setNapStart(e.target.value)}
+          title="Start time (optional)"
+        />
+        <button type="submit" className="btn btn-sm btn-primary">Add Nap</button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,110 @@
+import { useState } from 'react';
+import { api } from '../services/api';
+
+// A list of trackers, counters or template fields grouped under their categories
+// (in list order). Items are reordered within a group by dragging the ⠿ handle.
+// renderItem(item, { handle, dropProps, controls }) draws one item: spread dropProps
+// on its row, and place the handle and the category/archive controls in it.
+export default function SortableGroups({
+  items, kind, date, onStateChange, renderItem, listClassName, controlClassName = 'btn btn-sm btn-secondary'
+}) {
+  const [dragging, setDragging] = useState(null); // { id, category } of the item being dragged
+  const [dropTargetId, setDropTargetId] = useState(null);
+
+  const groups = [];
+  items.forEach(item => {
+    let group = groups.find(g => g.category === item.category);
+    if (!group) {
+      group = { category: item.category, items: [] };
+      groups.push(group);
+    }
+    group.items.push(item);
+  });
+  const showHeaders = groups.some(group => group.category);
+
+  const save = async (request) => {
+    try {
+      onStateChange(await request());
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  // The dropped item takes the target's place; saved in the order shown
+  const handleDrop = (target) => {
+    const shown = groups.flatMap(group => group.items).map(item => item.id);
+    const from = shown.indexOf(dragging.id);
+    const to = shown.indexOf(target.id);
+    shown.splice(from, 1);
+    shown.splice(to, 0, dragging.id);
+    save(() => api.reorderItems(kind, shown, date));
+  };
+
+  const handleCategory = (item) => {
+    const category = prompt('Category (leave empty for none)', item.category);
+    if (category === null || category.trim() === item.category) return;
+    save(() => api.updateItem(kind, item.id, { category }, date));
+  };
+
+  const itemProps = (item) => ({
+    handle: (
+      <span
+        className="drag-handle"
+        draggable
+        onDragStart={(e) => {
+          e.dataTransfer.effectAllowed = 'move';
+          e.dataTransfer.setData('text/plain', String(item.id));
+          setDragging({ id: item.id, category: item.category });
+        }}
+        onDragEnd={() => {
+          setDragging(null);
+          setDropTargetId(null);
+        }}
+        title="Drag to reorder"
+      >
+        ⠿
+      </span>
+    ),
+    dropProps: {
+      'data-drop-target': dropTargetId === item.id,
+      onDragOver: (e) => {
+        if (!dragging || dragging.id === item.id || dragging.category !== item.category) return;
+        e.preventDefault();
+        setDropTargetId(item.id);
+      },
+      onDragLeave: () => setDropTargetId(null),
+      onDrop: (e) => {
+        e.preventDefault();
+        setDropTargetId(null);
+        if (dragging && dragging.id !== item.id) handleDrop(item);
+      }
+    },
+    controls: (
+      <>
+        <button
+          onClick={() => handleCategory(item)}
+          className={controlClassName}
+          title={item.category ? `Category: ${item.category}` : 'Set category'}
+        >
+          🏷️
+        </button>
+        <button
+          onClick={() => save(() => api.updateItem(kind, item.id, { archived: true }, date))}
+          className={controlClassName}
+          title="Archive (hides it, keeps its history)"
+        >
+          🗄️
+        </button>
+      </>
+    )
+  });
+
+  return groups.map(group => (
+    <div key={group.category} className="item-group">
+      {showHeaders && <h3 className="item-group-title">{group.category || 'Uncategorized'}</h3>}
+      <div className={listClassName}>
+        {group.items.map(item => renderItem(item, itemProps(item)))}
+      </div>
+    </div>
+  ));
+}
@@ -0,0 +1,59 @@
+// The input for a template field's value, chosen by the field's type. Values are
+// passed to onChange as strings, as the server stores them ('' clears the value).
+export default function TemplateFieldInput({ field, onChange, className = 'field-value-input' }) {
+  const { type, options, value } = field;
+
+  if (type === 'boolean') {
+    return (
+      <input
+        type="checkbox"
+        className="field-value-checkbox"
+        checked={value === 'true'}
+        onChange={(e) => onChange(e.target.checked ? 'true' : 'false')}
+      />
+    );
+  }
+
+  if (type === 'scale' || type === 'select') {
+    const choices = type === 'scale'
+      ? Array.from({ length: options.max - options.min + 1 }, (_, i) => String(options.min + i))
+      : options.choices;
+
+    return (
+      <select className={className} value={value} onChange={(e) => onChange(e.target.value)}>
+        <option value="">—</option>
+        {choices.map(choice => (
+          <option key={choice} value={choice}>{choice}</option>
+        ))}
+      </select>
+    );
+  }
+
+  if (type === 'number') {
+    return (
+      <span className="field-value-number">
+        <input
+          type="number"
+          className={className}
+          step="any"
+          min={options.min === null ? undefined : options.min}
+          max={options.max === null ? undefined : options.max}
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          placeholder="Enter value"
+        />
+        {options.unit && <span className="field-unit">{options.unit}</span>}
+      </span>
+    );
+  }
+
+  return (
+    <input
+      type={type === 'time' ? 'time' : 'text'}
+      className={className}
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      placeholder="Enter value"
+    />
+  );
+}
@@ -0,0 +1,152 @@
+import { useState } from 'react';
+import { api } from '../services/api';
+import TemplateFieldInput from './TemplateFieldInput';
+
+export const FIELD_TYPES = [
+  { value: 'text', label: 'Text' },
+  { value: 'number', label: 'Number' },
+  { value: 'scale', label: 'Scale' },
+  { value: 'boolean', label: 'Yes / No' },
+  { value: 'select', label: 'Choice' },
+  { value: 'time', label: 'Time' }
+];
+
+const toInputValue = (value) => (value === null || value === undefined ? '' : String(value));
+
+// Empty inputs clear optional numbers (number bounds)
+const toNumberOrNull = (value) => (value === '' ? null : Number(value));
+
+// Choices are entered comma separated
+export const parseChoices = (text) => text.split(',').map(choice => choice.trim()).filter(Boolean);
+
+// The options the server expects for a type, from the form's text inputs
+function toOptions(form) {
+  if (form.type === 'number') {
+    return { unit: form.unit, min: toNumberOrNull(form.min), max: toNumberOrNull(form.max) };
+  }
+  if (form.type === 'scale') {
+    return { min: parseInt(form.scaleMin), max: parseInt(form.scaleMax) };
+  }
+  if (form.type === 'select') {
+    return { choices: parseChoices(form.choices) };
+  }
+  return {};
+}
+
+// Modal editing a template field's type, its options and the value each day starts with
+export default function TemplateFieldSettings({ field, date, onClose, onSaved }) {
+  const [form, setForm] = useState({
+    type: field.type,
+    unit: field.options.unit || '',
+    min: field.type === 'number' ? toInputValue(field.options.min) : '',
+    max: field.type === 'number' ? toInputValue(field.options.max) : '',
+    scaleMin: field.type === 'scale' ? String(field.options.min) : '1',
+    scaleMax: field.type === 'scale' ? String(field.options.max) : '5',
+    choices: (field.options.choices || []).join(', '),
+    defaultValue: field.defaultValue
+  });
+  const [error, setError] = useState('');
+
+  const update = (key) => (e) => setForm({ ...form, [key]: e.target.value });
+
+  // A new type starts without a default; the old one rarely fits
+  const handleTypeChange = (e) => setForm({ ...form, type: e.target.value, defaultValue: '' });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      const data = await api.updateCustomFieldTemplate(field.id, {
+        type: form.type,
+        options: toOptions(form),
+        defaultValue: form.defaultValue
+      }, date);
+      onSaved(data.state);
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  const options = toOptions(form);
+  const canPreviewDefault = form.type !== 'scale' || (options.min < options.max && options.max - options.min <= 20);
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <h3>⚙️ {field.key}</h3>
+
+        {error && <div className="message">{error}</div>}
+
+        <form onSubmit={handleSubmit}>
+          <div className="form-group">
+            <label>Type</label>
+            <select className="form-select" value={form.type} onChange={handleTypeChange}>
+              {FIELD_TYPES.map(type => (
+                <option key={type.value} value={type.value}>{type.label}</option>
+              ))}
+            </select>
+          </div>
+
+          {form.type === 'number' && (
+            <div className="form-row">
+              <div className="form-group">
+                <label>Unit</label>
+                <input type="text" value={form.unit} onChange={update('unit')} placeholder="e.g. kg, km" />
+              </div>
+              <div className="form-group">
+                <label>Min</label>
+                <input type="number" value={form.min} onChange={update('min')} step="any" placeholder="None" />
+              </div>
+              <div className="form-group">
+                <label>Max</label>
+                <input type="number" value={form.max} onChange={update('max')} step="any" placeholder="None" />
+              </div>
+            </div>
+          )}
+
+          {form.type === 'scale' && (
+            <div className="form-row">
+              <div className="form-group">
+                <label>From</label>
+                <input type="number" value={form.scaleMin} onChange={update('scaleMin')} step="1" required />
+              </div>
+              <div className="form-group">
+                <label>To</label>
+                <input type="number" value={form.scaleMax} onChange={update('scaleMax')} step="1" required />
+              </div>
+            </div>
+          )}
+
+          {form.type === 'select' && (
+            <div className="form-group">
+              <label>Choices</label>
+              <input
+                type="text"
+                value={form.choices}
+                onChange={update('choices')}
+                placeholder="Comma separated, e.g. Sunny, Cloudy, Rain"
+                required
+              />
+            </div>
+          )}
+
+          {canPreviewDefault && (
+            <div className="form-group">
+              <label>Default value</label>
+              <TemplateFieldInput
+                field={{ type: form.type, options, value: form.defaultValue }}
+                onChange={(defaultValue) => setForm({ ...form, defaultValue })}
+                className="form-input"
+              />
+            </div>
+          )}
+
+          <div className="modal-buttons">
+            <button type="submit" className="btn btn-success">Save</button>
+            <button type="button" onClick={onClose} className="btn btn-secondary">Cancel</button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,142 @@
+import { useState, useEffect } from 'react';
+import { format } from 'date-fns';
+import { api } from '../services/api';
+
+// datetime-local inputs work in the browser's local time
+const toInputValue = (iso) => format(new Date(iso), "yyyy-MM-dd'T'HH:mm");
+
+const formatSessionTime = (iso) => format(new Date(iso), 'HH:mm');
+
+const formatDurationMs = (ms) => {
+  const totalMinutes = Math.floor(ms / 60000);
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+};
+
+// Modal listing one tracker's timer sessions on a day, with editing and deletion
+export default function TimerSessions({ tracker, date, onClose, onChanged }) {
+  const [data, setData] = useState(null);
+  const [error, setError] = useState('');
+  const [editing, setEditing] = useState(null); // { id, startTime, endTime } while a session is edited
+
+  const loadSessions = async () => {
+    const response = await api.getTimerSessions(tracker.id, date, date);
+    if (response.error) {
+      setError(response.error);
+      setData({ sessions: [], dailyTotals: [] });
+    } else {
+      setData(response);
+    }
+  };
+
+  useEffect(() => {
+    loadSessions();
+  }, [tracker.id, date]);
+
+  const handleEdit = (session) => {
+    setError('');
+    setEditing({
+      id: session.id,
+      isRunning: session.isRunning,
+      startTime: toInputValue(session.startTime),
+      endTime: session.endTime ? toInputValue(session.endTime) : ''
+    });
+  };
+
+  const handleSave = async () => {
+    const response = await api.updateTimerSession(
+      editing.id,
+      new Date(editing.startTime).toISOString(),
+      editing.endTime ? new Date(editing.endTime).toISOString() : null
+    );
+    if (response.error) {
+      setError(response.error);
+      return;
+    }
+
+    setError('');
+    setEditing(null);
+    await loadSessions();
+    if (onChanged) onChanged();
+  };
+
+  const handleDelete = async (session) => {
+    if (!confirm('Delete this session?')) return;
+
+    const response = await api.deleteTimerSession(session.id);
+    if (response.error) {
+      setError(response.error);
+      return;
+    }
+
+    setError('');
+    await loadSessions();
+    if (onChanged) onChanged();
+  };
+
+  const dayTotal = data ? data.dailyTotals.reduce((sum, day) => sum + day.ms, 0) : 0;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content timer-sessions" onClick={(e) => e.stopPropagation()}>
+        <h3>📋 Sessions: {tracker.name}</h3>
+        <p className="card-description">{date} • {formatDurationMs(dayTotal)} total</p>
+
+        {error && <div className="message">{error}</div>}
+
+        {data === null ? (
+          <div className="empty-state">Loading...</div>
+        ) : data.sessions.length === 0 ? (
+          <div className="empty-state">No sessions on this day</div>
+        ) : (
+          <ul className="revision-list">
+            {data.sessions.map(session => (
+              <li key={session.id} className="revision-item">
+                {editing && editing.id === session.id ? (
+                  <div className="session-edit">
+                    <input
+                      type="datetime-local"
+                      className="form-input form-input-sm"
+                      value={editing.startTime}
+                      onChange={(e) => setEditing({ ...editing, startTime: e.target.value })}
+                    />
+                    <input
+                      type="datetime-local"
+                      className="form-input form-input-sm"
+                      value={editing.endTime}
+                      placeholder={editing.isRunning ? 'Running' : ''}
+                      onChange={(e) => setEditing({ ...editing, endTime: e.target.value })}
+                    />
+                    <div className="entry-edit-actions">
+                      <button className="btn btn-sm btn-success" onClick={handleSave}>Save</button>
+                      <button className="btn btn-sm btn-secondary" onClick={() => setEditing(null)}>Cancel</button>
+                    </div>
+                  </div>
+                ) : (
+                  <>
+                    <div className="revision-meta">
+                      <span>
+                        {formatSessionTime(session.startTime)} – {session.endTime ? formatSessionTime(session.endTime) : 'running'}
+                        {session.days.length > 1 && ' (crosses midnight)'}
+                      </span>
+                      <span className="revision-action">{formatDurationMs(session.durationMs)}</span>
+                    </div>
+                    <div className="field-actions session-actions">
+                      <button className="btn btn-sm btn-primary" onClick={() => handleEdit(session)}>Edit</button>
+                      <button className="btn btn-sm btn-danger" onClick={() => handleDelete(session)}>Delete</button>
+                    </div>
+                  </>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <div className="modal-buttons">
+          <button type="button" onClick={onClose} className="btn btn-secondary">Close</button>
+        </div>
+      </div>
+    </div>
+  );
+}
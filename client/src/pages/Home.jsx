@@ -1,13 +1,30 @@
 import { useState, useEffect, useRef } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { api } from '../services/api';
-import { format } from 'date-fns';
+import { format, parseISO } from 'date-fns';
+import DateNavigator from '../components/DateNavigator';
+import EntryImage from '../components/EntryImage';
+import RevisionHistory from '../components/RevisionHistory';
+import SleepCard from '../components/SleepCard';
+import HealthMetricsCard from '../components/HealthMetricsCard';
+import TemplateFieldInput from '../components/TemplateFieldInput';
+import TemplateFieldSettings, { FIELD_TYPES, parseChoices } from '../components/TemplateFieldSettings';
+import SortableGroups from '../components/SortableGroups';
+import ArchivedItems from '../components/ArchivedItems';
+
+// Image formats entries can be attached with
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
 
 const formatDate = (dateStr) => {
-  const date = new Date(dateStr);
+  const date = parseISO(dateStr);
   return format(date, 'yyyy-MMM-dd');
 };
 
 export default function Home() {
+  // Selected day comes from ?date=, no param means today
+  const [searchParams, setSearchParams] = useSearchParams();
+  const selectedDate = searchParams.get('date');
+
   const [state, setState] = useState(null);
   const [entryText, setEntryText] = useState('');
   const [loading, setLoading] = useState(true);
@@ -15,6 +32,9 @@ export default function Home() {
 
   // Template custom field form (persist name, reset value daily)
   const [templateFieldKey, setTemplateFieldKey] = useState('');
+  const [templateFieldType, setTemplateFieldType] = useState('text');
+  const [templateFieldChoices, setTemplateFieldChoices] = useState(''); // Select fields only
+  const [settingsField, setSettingsField] = useState(null); // Template field whose settings are open
 
   // Daily custom field form (non-persistent)
   const [dailyFieldKey, setDailyFieldKey] = useState('');
@@ -30,9 +50,19 @@ export default function Home() {
   const [selectedImage, setSelectedImage] = useState(null);
   const [imagePreview, setImagePreview] = useState(null);
 
+  // Upload limit comes from the server (MAX_UPLOAD_SIZE)
+  const [maxUploadSizeMb, setMaxUploadSizeMb] = useState(20);
+
+  // Optional backdated time for a new entry (HH:MM)
+  const [entryTime, setEntryTime] = useState('');
+
+  // Inline entry editor
+  const [editingEntry, setEditingEntry] = useState(null); // { id, text, time }
+
+  // Revision history modal
+  const [historyTarget, setHistoryTarget] = useState(null); // { type, id, title }
+
   useEffect(() => {
-    loadState();
-    
     // Update time every second
     const timeInterval = setInterval(() => {
       setCurrentTime(new Date());
@@ -41,9 +71,21 @@ export default function Home() {
     return () => clearInterval(timeInterval);
   }, []);
 
+  useEffect(() => {
+    loadState();
+  }, [selectedDate]);
+
+  useEffect(() => {
+    api.getConfig()
+      .then(serverConfig => {
+        if (serverConfig.maxUploadSizeMb) setMaxUploadSizeMb(serverConfig.maxUploadSizeMb);
+      })
+      .catch(error => console.error('Error loading server config:', error));
+  }, []);
+
   const loadState = async () => {
     try {
-      const data = await api.getState();
+      const data = await api.getState(selectedDate);
       setState(data);
       setLoading(false);
     } catch (error) {
@@ -53,15 +95,11 @@ export default function Home() {
   };
 
 
-  const updateDaily = async (field, value) => {
-    // Prevent unnecessary updates if value hasn't actually changed
-    if (state[field] === value) return;
-
-    try {
-      const data = await api.updateDaily({ [field]: value });
-      setState(data);
-    } catch (error) {
-      console.error('Error updating daily data:', error);
+  const handleDateChange = (date) => {
+    if (date === state.today) {
+      setSearchParams({});
+    } else {
+      setSearchParams({ date });
     }
   };
 
@@ -69,15 +107,15 @@ export default function Home() {
     const file = e.target.files[0];
     if (!file) return;
 
-    // Check file size (20MB limit)
-    if (file.size > 20 * 1024 * 1024) {
-      alert('Image size must be under 20MB');
+    // Check file size
+    if (file.size > maxUploadSizeMb * 1024 * 1024) {
+      alert(`Image size must be under ${maxUploadSizeMb}MB`);
       return;
     }
 
-    // Check file type
-    if (!file.type.startsWith('image/')) {
-      alert('Please select an image file');
+    // Check file type (the server only keeps these raster formats)
+    if (!IMAGE_TYPES.includes(file.type)) {
+      alert('Please select a JPEG, PNG, WebP or GIF image');
       return;
     }
 
@@ -101,9 +139,14 @@ export default function Home() {
     if (!entryText.trim()) return;
 
     try {
-      const data = await api.addEntry(entryText, selectedImage);
+      const data = await api.addEntry(entryText, selectedImage, selectedDate, entryTime || null);
+      if (data.error) {
+        alert(data.error);
+        return;
+      }
       setState(data);
       setEntryText('');
+      setEntryTime('');
       setSelectedImage(null);
       setImagePreview(null);
       // Reset file input
@@ -122,16 +165,47 @@ export default function Home() {
     }
   };
 
+  const handleStartEditEntry = (entry) => {
+    setEditingEntry({ id: entry.id, text: entry.text, time: entry.timestamp.slice(0, 5) });
+  };
+
+  const handleSaveEntry = async (e) => {
+    e.preventDefault();
+    if (!editingEntry.text.trim() || !editingEntry.time) return;
+
+    try {
+      const data = await api.updateEntry(editingEntry.id, {
+        text: editingEntry.text,
+        timestamp: editingEntry.time
+      }, selectedDate);
+      if (data.error) {
+        alert(data.error);
+        return;
+      }
+      setState(data);
+      setEditingEntry(null);
+    } catch (error) {
+      console.error('Error updating entry:', error);
+    }
+  };
+
   const handleCreateTemplateField = async (e) => {
     e.preventDefault();
     if (!templateFieldKey.trim()) return;
 
+    // Unit, bounds and default value are set afterwards with ⚙️
+    const definition = { type: templateFieldType };
+    if (templateFieldType === 'select') {
+      definition.options = { choices: parseChoices(templateFieldChoices) };
+    }
+
     try {
-      const response = await api.createCustomFieldTemplate(templateFieldKey);
+      const response = await api.createCustomFieldTemplate(templateFieldKey, definition, selectedDate);
       setState(response.state);
       setTemplateFieldKey('');
+      setTemplateFieldChoices('');
     } catch (error) {
-      console.error('Error creating template field:', error);
+      alert(error.message);
     }
   };
 
@@ -151,9 +225,9 @@ export default function Home() {
 
     debounceTimers.current[key] = setTimeout(async () => {
       try {
-        await api.updateCustomFieldValue(key, value);
+        await api.updateCustomFieldValue(key, value, selectedDate);
       } catch (error) {
-        console.error('Error updating field value:', error);
+        alert(error.message);
         // Reload state on error to show correct value
         loadState();
       }
@@ -162,10 +236,11 @@ export default function Home() {
 
   const handleDeleteTemplateField = async (id) => {
     try {
-      const response = await api.deleteCustomFieldTemplate(id);
+      const response = await api.deleteCustomFieldTemplate(id, selectedDate);
       setState(response.state);
     } catch (error) {
       console.error('Error deleting template field:', error);
+      loadState();
     }
   };
 
@@ -174,7 +249,7 @@ export default function Home() {
     if (!dailyFieldKey.trim() || !dailyFieldValue.trim()) return;
 
     try {
-      const data = await api.addDailyCustomField(dailyFieldKey, dailyFieldValue);
+      const data = await api.addDailyCustomField(dailyFieldKey, dailyFieldValue, selectedDate);
       setState(data);
       setDailyFieldKey('');
       setDailyFieldValue('');
@@ -185,10 +260,11 @@ export default function Home() {
 
   const handleDeleteDailyCustomField = async (id) => {
     try {
-      const data = await api.deleteDailyCustomField(id);
+      const data = await api.deleteDailyCustomField(id, selectedDate);
       setState(data);
     } catch (error) {
       console.error('Error deleting daily custom field:', error);
+      loadState();
     }
   };
 
@@ -197,7 +273,7 @@ export default function Home() {
     if (!dailyTaskText.trim()) return;
 
     try {
-      const data = await api.addDailyTask(dailyTaskText);
+      const data = await api.addDailyTask(dailyTaskText, selectedDate);
       setState(data);
       setDailyTaskText('');
     } catch (error) {
@@ -207,19 +283,21 @@ export default function Home() {
 
   const handleToggleDailyTask = async (id) => {
     try {
-      const data = await api.toggleDailyTask(id);
+      const data = await api.toggleDailyTask(id, selectedDate);
       setState(data);
     } catch (error) {
       console.error('Error toggling daily task:', error);
+      loadState();
     }
   };
 
   const handleDeleteDailyTask = async (id) => {
     try {
-      const data = await api.deleteDailyTask(id);
+      const data = await api.deleteDailyTask(id, selectedDate);
       setState(data);
     } catch (error) {
       console.error('Error deleting daily task:', error);
+      loadState();
     }
   };
 
@@ -237,38 +315,17 @@ export default function Home() {
         <div className="date-header">
           <h1 className="date-large">{state.date ? formatDate(state.date) : 'Loading...'}</h1>
           <p className="time-large">{currentTime.toLocaleTimeString('en-US', { hour12: false })}</p>
+          <DateNavigator date={state.date} today={state.today} onChange={handleDateChange} />
+          {state.date !== state.today && (
+            <p className="past-date-notice">You are viewing and editing {formatDate(state.date)}</p>
+          )}
         </div>
       </header>
 
       <div className="home-grid-layout">
-        <div className="card card-primary">
-          <h2>⏰ Daily Data</h2>
-          <p className="card-description">Sleep schedule tracking</p>
+        <SleepCard sleep={state.sleep} date={selectedDate} onStateChange={setState} />
 
-          <div className="form-row">
-            <div className="form-group">
-              <label className="form-label">Previous Day Bedtime</label>
-              <input
-                type="time"
-                className="form-input"
-                value={state.previousBedtime || ''}
-                onBlur={(e) => updateDaily('previousBedtime', e.target.value)}
-                onChange={(e) => setState(prev => ({ ...prev, previousBedtime: e.target.value }))}
-              />
-            </div>
-
-            <div className="form-group">
-              <label className="form-label">Today's Wake Time</label>
-              <input
-                type="time"
-                className="form-input"
-                value={state.wakeTime || ''}
-                onBlur={(e) => updateDaily('wakeTime', e.target.value)}
-                onChange={(e) => setState(prev => ({ ...prev, wakeTime: e.target.value }))}
-              />
-            </div>
-          </div>
-        </div>
+        <HealthMetricsCard metrics={state.healthMetrics} date={selectedDate} onStateChange={setState} />
 
         <div className="card card-primary">
           <h2>📋 Template Custom Fields</h2>
@@ -278,27 +335,69 @@ export default function Home() {
             <input
               type="text"
               className="form-input"
-              placeholder="Field name (e.g., Mood, Energy Level)"
+              placeholder="Field name (e.g., Weight, Medication)"
               value={templateFieldKey}
               onChange={(e) => setTemplateFieldKey(e.target.value)}
             />
+            <select
+              className="form-select"
+              value={templateFieldType}
+              onChange={(e) => setTemplateFieldType(e.target.value)}
+              title="Field type"
+            >
+              {FIELD_TYPES.map(type => (
+                <option key={type.value} value={type.value}>{type.label}</option>
+              ))}
+            </select>
+            {templateFieldType === 'select' && (
+              <input
+                type="text"
+                className="form-input"
+                placeholder="Choices, comma separated"
+                value={templateFieldChoices}
+                onChange={(e) => setTemplateFieldChoices(e.target.value)}
+              />
+            )}
             <button type="submit" className="btn btn-sm btn-primary">Create Template</button>
           </form>
 
-          {state.customFields && state.customFields.length > 0 && (
-            <div className="custom-fields-list">
-              {state.customFields.map((field) => (
-                <div key={field.id} className="custom-field-item template-field">
-                  <div className="field-content">
-                    <span className="field-key">{field.key}:</span>
-                    <input
-                      type="text"
-                      className="field-value-input"
-                      value={field.value}
-                      onChange={(e) => handleUpdateTemplateFieldValue(field.key, e.target.value)}
-                      placeholder="Enter value"
-                    />
-                  </div>
+          <SortableGroups
+            items={state.customFields}
+            kind="fields"
+            date={selectedDate}
+            onStateChange={setState}
+            listClassName="custom-fields-list"
+            controlClassName="btn-icon btn-icon-sm"
+            renderItem={(field, { handle, dropProps, controls }) => (
+              <div key={field.id} className="custom-field-item template-field" {...dropProps}>
+                {handle}
+                <div className="field-content">
+                  <span className="field-key">{field.key}:</span>
+                  <TemplateFieldInput
+                    field={field}
+                    onChange={(value) => handleUpdateTemplateFieldValue(field.key, value)}
+                  />
+                </div>
+                <div className="field-actions">
+                  <button
+                    onClick={() => setSettingsField(field)}
+                    className="btn-icon btn-icon-sm"
+                    title="Field type and default"
+                  >
+                    ⚙️
+                  </button>
+                  <button
+                    onClick={() => setHistoryTarget({
+                      type: 'daily_custom_field',
+                      id: `${state.date}/${field.key}`,
+                      title: field.key
+                    })}
+                    className="btn-icon btn-icon-sm"
+                    title="History"
+                  >
+                    🕘
+                  </button>
+                  {controls}
                   <button
                     onClick={() => handleDeleteTemplateField(field.id)}
                     className="btn-icon btn-icon-sm btn-danger"
@@ -307,9 +406,16 @@ export default function Home() {
                     ×
                   </button>
                 </div>
-              ))}
-            </div>
-          )}
+              </div>
+            )}
+          />
+          <ArchivedItems
+            items={state.archived.customFields}
+            kind="fields"
+            date={selectedDate}
+            onStateChange={setState}
+            onDelete={handleDeleteTemplateField}
+          />
         </div>
 
         <div className="card card-warning">
@@ -385,12 +491,25 @@ export default function Home() {
                       <span className="field-key">{field.key}:</span>
                       <span className="field-value">{field.value}</span>
                     </div>
-                    <button
-                      onClick={() => handleDeleteDailyCustomField(field.id)}
-                      className="btn-icon btn-icon-sm btn-danger"
-                    >
-                      ×
-                    </button>
+                    <div className="field-actions">
+                      <button
+                        onClick={() => setHistoryTarget({
+                          type: 'daily_custom_field',
+                          id: `${state.date}/${field.key}`,
+                          title: field.key
+                        })}
+                        className="btn-icon btn-icon-sm"
+                        title="History"
+                      >
+                        🕘
+                      </button>
+                      <button
+                        onClick={() => handleDeleteDailyCustomField(field.id)}
+                        className="btn-icon btn-icon-sm btn-danger"
+                      >
+                        ×
+                      </button>
+                    </div>
                   </div>
                 ))}
               </div>
@@ -411,15 +530,22 @@ export default function Home() {
             className="form-textarea"
           />
 
-          {/* Image attachment */}
+          {/* Image attachment and optional backdated time */}
           <div className="image-attachment-section">
+            <input
+              type="time"
+              className="form-input entry-time-input"
+              value={entryTime}
+              onChange={(e) => setEntryTime(e.target.value)}
+              title="Log this entry at an earlier time (leave empty for now)"
+            />
             <label htmlFor="entry-image-input" className="btn btn-sm btn-secondary">
               📷 Attach Image
             </label>
             <input
               id="entry-image-input"
               type="file"
-              accept="image/*"
+              accept={IMAGE_TYPES.join(',')}
               onChange={handleImageSelect}
               style={{ display: 'none' }}
             />
@@ -447,20 +573,61 @@ export default function Home() {
             <>
               <hr style={{ margin: '2rem 0', border: 'none', borderTop: '1px solid var(--border-color)' }} />
               <h3 style={{ marginBottom: '1rem', fontSize: '1.125rem', color: 'var(--text-primary)' }}>
-                Today's Entries ({state.entries.length})
+                {state.date === state.today ? "Today's Entries" : 'Entries'} ({state.entries.length})
               </h3>
               <div className="entries-list">
                 {state.entries.slice().reverse().map((entry) => (
                   <div key={entry.id} className="entry-item">
-                    <div className="entry-content">
-                      <span className="entry-time">{entry.timestamp}</span>
-                      <span className="entry-text">{entry.text}</span>
-                      {entry.image && (
-                        <div className="entry-image">
-                          <img src={entry.image} alt="Entry attachment" />
+                    {editingEntry && editingEntry.id === entry.id ? (
+                      <form onSubmit={handleSaveEntry} className="entry-edit-form">
+                        <input
+                          type="time"
+                          className="form-input entry-time-input"
+                          value={editingEntry.time}
+                          onChange={(e) => setEditingEntry(prev => ({ ...prev, time: e.target.value }))}
+                        />
+                        <textarea
+                          className="form-textarea"
+                          rows="3"
+                          value={editingEntry.text}
+                          onChange={(e) => setEditingEntry(prev => ({ ...prev, text: e.target.value }))}
+                        />
+                        <div className="entry-edit-actions">
+                          <button type="submit" className="btn btn-sm btn-success">Save</button>
+                          <button type="button" onClick={() => setEditingEntry(null)} className="btn btn-sm btn-secondary">
+                            Cancel
+                          </button>
                         </div>
-                      )}
-                    </div>
+                      </form>
+                    ) : (
+                      <>
+                        <div className="entry-content">
+                          <span className="entry-time">{entry.timestamp}</span>
+                          <span className="entry-text">{entry.text}</span>
+                          {entry.hasImage && <EntryImage entryId={entry.id} />}
+                        </div>
+                        <div className="field-actions">
+                          <button
+                            onClick={() => setHistoryTarget({
+                              type: 'activity_entry',
+                              id: entry.id,
+                              title: `Entry at ${entry.timestamp}`
+                            })}
+                            className="btn-icon btn-icon-sm"
+                            title="History"
+                          >
+                            🕘
+                          </button>
+                          <button
+                            onClick={() => handleStartEditEntry(entry)}
+                            className="btn-icon btn-icon-sm btn-primary"
+                            title="Edit entry"
+                          >
+                            ✏️
+                          </button>
+                        </div>
+                      </>
+                    )}
                   </div>
                 ))}
               </div>
@@ -468,6 +635,28 @@ export default function Home() {
           )}
         </div>
       </div>
+
+      {historyTarget && (
+        <RevisionHistory
+          type={historyTarget.type}
+          entityId={historyTarget.id}
+          title={historyTarget.title}
+          onClose={() => setHistoryTarget(null)}
+          onRestored={loadState}
+        />
+      )}
+
+      {settingsField && (
+        <TemplateFieldSettings
+          field={settingsField}
+          date={selectedDate}
+          onClose={() => setSettingsField(null)}
+          onSaved={(data) => {
+            setState(data);
+            setSettingsField(null);
+          }}
+        />
+      )}
     </div>
   );
 }
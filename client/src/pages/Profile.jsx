@@ -1,6 +1,12 @@
 import { useState, useEffect } from 'react';
 import { api } from '../services/api';
 import { format } from 'date-fns';
+import RevisionHistory from '../components/RevisionHistory';
+
+// Timezones offered in the preferences picker
+const TIMEZONES = typeof Intl.supportedValuesOf === 'function'
+  ? Intl.supportedValuesOf('timeZone')
+  : [Intl.DateTimeFormat().resolvedOptions().timeZone];
 
 const formatDateDisplay = (dateStr) => {
   const date = new Date(dateStr);
@@ -18,15 +24,20 @@ export default function Profile() {
   const [resetPasswordUser, setResetPasswordUser] = useState(null);
   const [newPassword, setNewPassword] = useState('');
   const [showUserManagement, setShowUserManagement] = useState(false);
+  const [historyFieldKey, setHistoryFieldKey] = useState(null);
 
   // Export states
   const [availableDates, setAvailableDates] = useState([]);
   const [startDate, setStartDate] = useState('');
   const [endDate, setEndDate] = useState('');
+  const [includeCombined, setIncludeCombined] = useState(false);
 
   // Retention settings
   const [retentionSettings, setRetentionSettings] = useState({ maxDays: 30, maxCount: 100 });
 
+  // Day & timezone preferences
+  const [userSettings, setUserSettings] = useState({ timezone: 'UTC', dayStartHour: 0, today: '' });
+
   // Form states
   const [editForm, setEditForm] = useState({
     username: '',
@@ -53,6 +64,7 @@ export default function Profile() {
     loadData();
     loadAvailableDates();
     loadRetentionSettings();
+    loadUserSettings();
 
     // Refresh available dates when page gains focus
     const handleFocus = () => {
@@ -305,6 +317,36 @@ export default function Profile() {
     }
   };
 
+  const loadUserSettings = async () => {
+    try {
+      const settings = await api.getUserSettings();
+      setUserSettings(settings);
+    } catch (error) {
+      console.error('Error loading user settings:', error);
+    }
+  };
+
+  const handleSaveUserSettings = async (e) => {
+    e.preventDefault();
+    setMessage('');
+
+    try {
+      const response = await api.updateUserSettings({
+        timezone: userSettings.timezone,
+        dayStartHour: userSettings.dayStartHour
+      });
+      if (response.success) {
+        setUserSettings(response);
+        setMessage(`Preferences saved. Today is now ${response.today}.`);
+      } else {
+        setMessage(response.error || 'Failed to save preferences');
+      }
+    } catch (error) {
+      console.error('Error saving user settings:', error);
+      setMessage('Error saving preferences');
+    }
+  };
+
   const handleDeleteSnapshot = async (date) => {
     if (!confirm(`Delete snapshot for ${date}? This cannot be undone.`)) return;
 
@@ -330,6 +372,9 @@ export default function Profile() {
       );
       if (response.success) {
         setAvailableDates(response.dates);
+        if (response.deletedDates && response.deletedDates.length > 0) {
+          setMessage(`Removed ${response.deletedDates.length} old snapshot(s), ${response.remainingCount} kept`);
+        }
       }
     } catch (error) {
       console.error('Error updating retention settings:', error);
@@ -349,7 +394,7 @@ export default function Profile() {
     }
   };
 
-  const handleDownloadRange = () => {
+  const handleDownloadRange = async () => {
     if (!startDate || !endDate) {
       setMessage('Please select both start and end dates');
       return;
@@ -360,11 +405,15 @@ export default function Profile() {
       return;
     }
 
-    api.downloadDateRange(startDate, endDate);
-    setMessage(`Downloading markdown export from ${startDate} to ${endDate}...`);
+    try {
+      await api.downloadDateRange(startDate, endDate, includeCombined);
+      setMessage(`Downloading markdown export from ${startDate} to ${endDate}...`);
+    } catch (error) {
+      setMessage(error.message);
+    }
   };
 
-  const handleDownloadRangePDF = () => {
+  const handleDownloadRangePDF = async () => {
     if (!startDate || !endDate) {
       setMessage('Please select both start and end dates');
       return;
@@ -375,8 +424,12 @@ export default function Profile() {
       return;
     }
 
-    api.downloadDateRangePDF(startDate, endDate);
-    setMessage(`Downloading PDF export from ${startDate} to ${endDate}...`);
+    try {
+      await api.downloadDateRangePDF(startDate, endDate);
+      setMessage(`Downloading PDF export from ${startDate} to ${endDate}...`);
+    } catch (error) {
+      setMessage(error.message);
+    }
   };
 
   if (loading) return <div className="loading">Loading...</div>;
@@ -507,12 +560,21 @@ export default function Profile() {
                     <span className="field-key">{key}:</span>
                     <span className="field-value">{value}</span>
                   </div>
-                  <button
-                    onClick={() => handleDeleteProfileField(key)}
-                    className="btn-icon btn-icon-sm btn-danger"
-                  >
-                    ×
-                  </button>
+                  <div className="field-actions">
+                    <button
+                      onClick={() => setHistoryFieldKey(key)}
+                      className="btn-icon btn-icon-sm"
+                      title="History"
+                    >
+                      🕘
+                    </button>
+                    <button
+                      onClick={() => handleDeleteProfileField(key)}
+                      className="btn-icon btn-icon-sm btn-danger"
+                    >
+                      ×
+                    </button>
+                  </div>
                 </div>
               ))}
             </div>
@@ -523,6 +585,62 @@ export default function Profile() {
           )}
         </div>
 
+        {/* Day & Timezone */}
+        <div className="card card-primary">
+          <h2>🌍 Day & Timezone</h2>
+          <p className="card-description">Decide when your journal day starts and ends</p>
+
+          <form onSubmit={handleSaveUserSettings} className="profile-form">
+            <div className="form-group">
+              <label>Timezone</label>
+              <select
+                className="form-select"
+                value={userSettings.timezone}
+                onChange={(e) => setUserSettings(prev => ({ ...prev, timezone: e.target.value }))}
+              >
+                {!TIMEZONES.includes(userSettings.timezone) && (
+                  <option value={userSettings.timezone}>{userSettings.timezone}</option>
+                )}
+                {TIMEZONES.map(tz => (
+                  <option key={tz} value={tz}>{tz}</option>
+                ))}
+              </select>
+              <button
+                type="button"
+                onClick={() => setUserSettings(prev => ({
+                  ...prev,
+                  timezone: Intl.DateTimeFormat().resolvedOptions().timeZone
+                }))}
+                className="btn btn-sm btn-ghost"
+              >
+                Use this device's timezone
+              </button>
+            </div>
+
+            <div className="form-group">
+              <label>Day starts at</label>
+              <select
+                className="form-select"
+                value={userSettings.dayStartHour}
+                onChange={(e) => setUserSettings(prev => ({ ...prev, dayStartHour: parseInt(e.target.value) }))}
+              >
+                {Array.from({ length: 24 }, (_, hour) => (
+                  <option key={hour} value={hour}>{String(hour).padStart(2, '0')}:00</option>
+                ))}
+              </select>
+              <small className="retention-hint">Entries made before this hour count towards the previous day</small>
+            </div>
+
+            {userSettings.today && (
+              <p className="card-description">Your journal day is currently {userSettings.today}</p>
+            )}
+
+            <button type="submit" className="btn btn-primary">
+              Save Preferences
+            </button>
+          </form>
+        </div>
+
         {/* Export History */}
         <div className="card card-success">
           <h2>📦 Export History</h2>
@@ -579,6 +697,14 @@ export default function Profile() {
                 📄 PDF
               </button>
             </div>
+            <label className="combined-option">
+              <input
+                type="checkbox"
+                checked={includeCombined}
+                onChange={(e) => setIncludeCombined(e.target.checked)}
+              />
+              Also include a single combined Markdown file
+            </label>
           </div>
 
           {/* Available Dates */}
@@ -824,6 +950,16 @@ export default function Profile() {
           )}
         </div>
       )}
+
+      {historyFieldKey && (
+        <RevisionHistory
+          type="profile_field"
+          entityId={historyFieldKey}
+          title={historyFieldKey}
+          onClose={() => setHistoryFieldKey(null)}
+          onRestored={loadData}
+        />
+      )}
     </div>
   );
 }
\ No newline at end of file
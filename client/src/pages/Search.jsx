@@ -0,0 +1,178 @@
+import { useState, useEffect } from 'react';
+import { useSearchParams, useNavigate } from 'react-router-dom';
+import { api } from '../services/api';
+import { format, parseISO } from 'date-fns';
+
+const PAGE_SIZE = 20;
+
+const TYPE_LABELS = {
+  entry: '📝 Entry',
+  task: '✅ Task',
+  field: '📋 Field'
+};
+
+const formatDate = (dateStr) => {
+  const date = parseISO(dateStr);
+  return format(date, 'yyyy-MMM-dd');
+};
+
+export default function Search() {
+  // The query lives in the URL so results survive jumping to a day and coming back
+  const [searchParams, setSearchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const query = searchParams.get('q') || '';
+  const from = searchParams.get('from') || '';
+  const to = searchParams.get('to') || '';
+  const page = parseInt(searchParams.get('page')) || 1;
+
+  const [form, setForm] = useState({ q: query, from, to });
+  const [results, setResults] = useState(null); // { total, results }
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setForm({ q: query, from, to });
+
+    if (!query) {
+      setResults(null);
+      return;
+    }
+
+    setLoading(true);
+    api.search(query, { from, to, page, limit: PAGE_SIZE })
+      .then(response => {
+        if (response.error) {
+          setError(response.error);
+          setResults(null);
+        } else {
+          setError('');
+          setResults(response);
+        }
+      })
+      .catch(err => {
+        console.error('Error searching:', err);
+        setError('Search failed');
+      })
+      .finally(() => setLoading(false));
+  }, [query, from, to, page]);
+
+  const updateParams = (next) => {
+    const params = {};
+    Object.entries(next).forEach(([key, value]) => {
+      if (value) params[key] = value;
+    });
+    setSearchParams(params);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!form.q.trim()) return;
+    updateParams({ q: form.q.trim(), from: form.from, to: form.to });
+  };
+
+  const handlePageChange = (newPage) => {
+    updateParams({ q: query, from, to, page: newPage > 1 ? String(newPage) : '' });
+  };
+
+  const totalPages = results ? Math.ceil(results.total / PAGE_SIZE) : 0;
+
+  return (
+    <div className="container">
+      <div className="card card-primary">
+        <h2>🔍 Search</h2>
+        <p className="card-description">Search entries, tasks and field values across all days</p>
+
+        <form onSubmit={handleSubmit}>
+          <div className="custom-field-form">
+            <input
+              type="search"
+              placeholder="Search your journal..."
+              value={form.q}
+              onChange={(e) => setForm(prev => ({ ...prev, q: e.target.value }))}
+              autoFocus
+            />
+            <button type="submit" className="btn btn-sm btn-primary">Search</button>
+          </div>
+          <div className="date-range-form">
+            <div className="form-group">
+              <label>From</label>
+              <input
+                type="date"
+                value={form.from}
+                onChange={(e) => setForm(prev => ({ ...prev, from: e.target.value }))}
+              />
+            </div>
+            <div className="form-group">
+              <label>To</label>
+              <input
+                type="date"
+                value={form.to}
+                onChange={(e) => setForm(prev => ({ ...prev, to: e.target.value }))}
+              />
+            </div>
+          </div>
+        </form>
+
+        {error && <div className="message">{error}</div>}
+
+        {loading && <div className="loading">Searching...</div>}
+
+        {!loading && results && (
+          <>
+            <p className="search-summary">
+              {results.total} {results.total === 1 ? 'match' : 'matches'} for "{query}"
+            </p>
+
+            {results.results.length === 0 ? (
+              <div className="empty-state">Nothing found</div>
+            ) : (
+              <ul className="search-results">
+                {results.results.map(result => (
+                  <li key={`${result.type}-${result.id}`}>
+                    <button
+                      className="search-result"
+                      onClick={() => navigate(`/?date=${result.date}`)}
+                      title="Open this day"
+                    >
+                      <div className="search-result-meta">
+                        <span>{formatDate(result.date)}</span>
+                        <span>{TYPE_LABELS[result.type]}{result.label ? `: ${result.label}` : ''}</span>
+                      </div>
+                      <div className="search-result-snippet">
+                        {result.snippet.map((segment, index) => (
+                          segment.match
+                            ? <mark key={index}>{segment.text}</mark>
+                            : <span key={index}>{segment.text}</span>
+                        ))}
+                      </div>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {totalPages > 1 && (
+              <div className="search-pagination">
+                <button
+                  className="btn btn-sm btn-secondary"
+                  disabled={page <= 1}
+                  onClick={() => handlePageChange(page - 1)}
+                >
+                  ← Previous
+                </button>
+                <span>Page {page} of {totalPages}</span>
+                <button
+                  className="btn btn-sm btn-secondary"
+                  disabled={page >= totalPages}
+                  onClick={() => handlePageChange(page + 1)}
+                >
+                  Next →
+                </button>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,26 +1,43 @@
 import { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { api } from '../services/api';
-import { format } from 'date-fns';
+import { format, parseISO } from 'date-fns';
+import DateNavigator from '../components/DateNavigator';
+import TimerSessions from '../components/TimerSessions';
+import CounterSettings from '../components/CounterSettings';
+import CounterHistory from '../components/CounterHistory';
+import SortableGroups from '../components/SortableGroups';
+import ArchivedItems from '../components/ArchivedItems';
 
 export default function Trackers() {
+  // Selected day comes from ?date=, no param means today
+  const [searchParams, setSearchParams] = useSearchParams();
+  const selectedDate = searchParams.get('date');
+
   const [state, setState] = useState(null);
   const [loading, setLoading] = useState(true);
 
   // Time Since form
   const [timeSinceName, setTimeSinceName] = useState('');
   const [timeSinceDate, setTimeSinceDate] = useState('');
+  const [milestonesEdit, setMilestonesEdit] = useState(null); // { id, value } while a tracker's milestones are edited
 
   // Duration form
   const [durationName, setDurationName] = useState('');
+  const [durationType, setDurationType] = useState('timer');
   const [manualTimeInput, setManualTimeInput] = useState({}); // For manually setting elapsed time per tracker
   const [showManualInput, setShowManualInput] = useState({}); // Track which tracker's manual input is shown
+  const [sessionsTracker, setSessionsTracker] = useState(null); // Tracker whose session list is open
   const [currentTime, setCurrentTime] = useState(new Date());
 
   // Custom Counter form
   const [counterName, setCounterName] = useState('');
+  const [counterUnit, setCounterUnit] = useState('');
+  const [counterDrafts, setCounterDrafts] = useState({}); // Typed values not yet saved, by counter id
+  const [settingsCounter, setSettingsCounter] = useState(null); // Counter whose settings are open
+  const [historyCounter, setHistoryCounter] = useState(null); // Counter whose history chart is open
 
   useEffect(() => {
-    loadState();
     // Set default date for time since picker
     const now = new Date();
     const dateStr = now.toISOString().slice(0, 16); // YYYY-MM-DDTHH:MM
@@ -31,20 +48,23 @@ export default function Trackers() {
       setCurrentTime(new Date());
     }, 1000);
     
+    return () => clearInterval(timeInterval);
+  }, []);
+
+  useEffect(() => {
+    loadState();
+
     // Refresh state every second to update timer displays
     const stateInterval = setInterval(() => {
       loadState();
     }, 1000);
-    
-    return () => {
-      clearInterval(timeInterval);
-      clearInterval(stateInterval);
-    };
-  }, []);
+
+    return () => clearInterval(stateInterval);
+  }, [selectedDate]);
 
   const loadState = async () => {
     try {
-      const data = await api.getState();
+      const data = await api.getState(selectedDate);
       setState(data);
       setLoading(false);
     } catch (error) {
@@ -53,12 +73,20 @@ export default function Trackers() {
     }
   };
 
+  const handleDateChange = (date) => {
+    if (date === state.today) {
+      setSearchParams({});
+    } else {
+      setSearchParams({ date });
+    }
+  };
+
   const handleAddTimeSince = async (e) => {
     e.preventDefault();
     if (!timeSinceName.trim() || !timeSinceDate) return;
 
     try {
-      const data = await api.addTimeSinceTracker(timeSinceName, timeSinceDate);
+      const data = await api.addTimeSinceTracker(timeSinceName, timeSinceDate, selectedDate);
       setState(data);
       setTimeSinceName('');
       setTimeSinceDate('');
@@ -69,10 +97,43 @@ export default function Trackers() {
 
   const handleDeleteTimeSince = async (id) => {
     try {
-      const data = await api.deleteTimeSinceTracker(id);
+      const data = await api.deleteTimeSinceTracker(id, selectedDate);
       setState(data);
     } catch (error) {
       console.error('Error deleting time-since tracker:', error);
+      loadState();
+    }
+  };
+
+  const handleResetTimeSince = async (tracker) => {
+    if (!confirm(`Reset "${tracker.name}"? The current streak is kept in its history.`)) return;
+
+    try {
+      const data = await api.resetTimeSinceTracker(tracker.id, selectedDate);
+      setState(data);
+    } catch (error) {
+      console.error('Error resetting time-since tracker:', error);
+      loadState();
+    }
+  };
+
+  const handleToggleMilestones = (tracker) => {
+    if (milestonesEdit && milestonesEdit.id === tracker.id) {
+      setMilestonesEdit(null);
+    } else {
+      setMilestonesEdit({ id: tracker.id, value: tracker.milestones.join(', ') });
+    }
+  };
+
+  const handleSaveMilestones = async (e) => {
+    e.preventDefault();
+
+    try {
+      const data = await api.setTimeSinceMilestones(milestonesEdit.id, milestonesEdit.value, selectedDate);
+      setState(data);
+      setMilestonesEdit(null);
+    } catch (error) {
+      alert(error.message);
     }
   };
 
@@ -81,7 +142,7 @@ export default function Trackers() {
     if (!durationName.trim()) return;
 
     try {
-      const data = await api.updateDurationTracker(durationName);
+      const data = await api.updateDurationTracker(durationName, durationType, selectedDate);
       setState(data);
       setDurationName('');
     } catch (error) {
@@ -109,18 +170,16 @@ export default function Trackers() {
 
       if (totalSeconds <= 0) return;
 
-      // Convert to milliseconds
+      // Convert to milliseconds; the server places the session on the selected day
       const elapsedMs = totalSeconds * 1000;
-      // Create a fake start time that results in the desired elapsed time
-      const startTime = new Date(Date.now() - elapsedMs);
 
-      const response = await fetch('/api/trackers/manual-time', {
+      const response = await fetch(`/api/trackers/manual-time${selectedDate ? `?date=${selectedDate}` : ''}`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${localStorage.getItem('authToken')}`
         },
-        body: JSON.stringify({ trackerId, startTime, elapsedMs })
+        body: JSON.stringify({ trackerId, elapsedMs })
       });
 
       const data = await response.json();
@@ -128,30 +187,57 @@ export default function Trackers() {
         setState(data);
         setManualTimeInput(prev => ({ ...prev, [trackerId]: '' }));
         setShowManualInput(prev => ({ ...prev, [trackerId]: false }));
+      } else {
+        alert(data.error || 'Failed to set time');
       }
     } catch (error) {
       console.error('Error setting manual time:', error);
     }
   };
 
+  // Manual trackers: the input holds minutes, quick buttons add to the day's total
+  const handleSetMinutes = async (tracker, minutes) => {
+    if (isNaN(minutes) || minutes < 0) return;
+
+    try {
+      const data = await api.setDurationMinutes(tracker.id, minutes, selectedDate);
+      setState(data);
+      setManualTimeInput(prev => ({ ...prev, [tracker.id]: '' }));
+      setShowManualInput(prev => ({ ...prev, [tracker.id]: false }));
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  const formatMinutes = (ms) => {
+    const totalMinutes = Math.floor(ms / 60000);
+    const hours = Math.floor(totalMinutes / 60);
+    return hours > 0 ? `${hours}h ${totalMinutes % 60}m` : `${totalMinutes}m`;
+  };
+
   const handleDeleteDuration = async (id) => {
     try {
-      const data = await api.deleteDurationTracker(id);
+      const data = await api.deleteDurationTracker(id, selectedDate);
       setState(data);
     } catch (error) {
       console.error('Error deleting duration tracker:', error);
+      loadState();
     }
   };
 
   const formatDate = (dateStr) => {
-  const date = new Date(dateStr);
+  const date = parseISO(dateStr);
   return format(date, 'yyyy-MMM-dd');
 };
 
 const calculateDaysSince = (date) => {
-    const then = new Date(date);
-    const now = new Date();
-    let diffMinutes = Math.floor((now - then) / (1000 * 60)); // total minutes
+    const diffMs = new Date() - new Date(date);
+    return diffMs < 0 ? 'in ' + formatSpan(-diffMs) : formatSpan(diffMs) + ' ago';
+  };
+
+  // Format a span in milliseconds as "1y 2mo 3w 4d 5h 6m"
+  const formatSpan = (ms) => {
+    let diffMinutes = Math.floor(ms / (1000 * 60)); // total minutes
 
     const years = Math.floor(diffMinutes / (365.25 * 24 * 60));
     diffMinutes -= Math.floor(years * 365.25 * 24 * 60);
@@ -179,7 +265,7 @@ const calculateDaysSince = (date) => {
     if (hours > 0) parts.push(`${hours}h`);
     if (minutes > 0 || parts.length === 0) parts.push(`${minutes}m`);
 
-    return parts.join(' ') + ' ago';
+    return parts.join(' ');
   };
 
   const calculateElapsedTime = (tracker) => {
@@ -213,28 +299,31 @@ const calculateDaysSince = (date) => {
 
   const handleStartTimer = async (id) => {
     try {
-      const data = await api.startTimer(id);
+      const data = await api.startTimer(id, selectedDate);
       setState(data);
     } catch (error) {
       console.error('Error starting timer:', error);
+      loadState();
     }
   };
 
   const handleStopTimer = async (id) => {
     try {
-      const data = await api.stopTimer(id);
+      const data = await api.stopTimer(id, selectedDate);
       setState(data);
     } catch (error) {
       console.error('Error stopping timer:', error);
+      loadState();
     }
   };
 
   const handleResetTimer = async (id) => {
     try {
-      const data = await api.resetTimer(id);
+      const data = await api.resetTimer(id, selectedDate);
       setState(data);
     } catch (error) {
       console.error('Error resetting timer:', error);
+      loadState();
     }
   };
 
@@ -244,9 +333,10 @@ const calculateDaysSince = (date) => {
     if (!counterName.trim()) return;
 
     try {
-      const data = await api.createCustomCounter(counterName);
+      const data = await api.createCustomCounter(counterName, { unit: counterUnit }, selectedDate);
       setState(data);
       setCounterName('');
+      setCounterUnit('');
     } catch (error) {
       console.error('Error creating custom counter:', error);
     }
@@ -254,43 +344,58 @@ const calculateDaysSince = (date) => {
 
   const handleIncrementCustomCounter = async (id) => {
     try {
-      const data = await api.incrementCounter(id);
+      const data = await api.incrementCounter(id, selectedDate);
       setState(data);
     } catch (error) {
       console.error('Error incrementing counter:', error);
+      loadState();
     }
   };
 
   const handleDecrementCustomCounter = async (id) => {
     try {
-      const data = await api.decrementCounter(id);
+      const data = await api.decrementCounter(id, selectedDate);
       setState(data);
     } catch (error) {
       console.error('Error decrementing counter:', error);
+      loadState();
     }
   };
 
   const handleDeleteCustomCounter = async (id) => {
     try {
-      const data = await api.deleteCustomCounter(id);
+      const data = await api.deleteCustomCounter(id, selectedDate);
       setState(data);
     } catch (error) {
       console.error('Error deleting counter:', error);
+      loadState();
     }
   };
 
-  const handleSetCounterValue = async (id, value) => {
-    const numValue = parseInt(value);
-    if (isNaN(numValue) || numValue < 0) return;
+  // Typed values are kept as drafts until the input loses focus, so "1." survives typing
+  const handleSetCounterValue = async (id) => {
+    const draft = counterDrafts[id];
+    if (draft === undefined) return;
+    setCounterDrafts(prev => {
+      const next = { ...prev };
+      delete next[id];
+      return next;
+    });
+
+    const numValue = parseFloat(draft);
+    if (isNaN(numValue)) return;
 
     try {
-      const data = await api.setCounter(id, numValue);
+      const data = await api.setCounter(id, numValue, selectedDate);
       setState(data);
     } catch (error) {
-      console.error('Error setting counter value:', error);
+      alert(error.message);
+      loadState();
     }
   };
 
+  const formatCounterValue = (counter, value) => value.toFixed(counter.decimals);
+
   if (loading) {
     return <div className="loading">Loading...</div>;
   }
@@ -301,13 +406,14 @@ const calculateDaysSince = (date) => {
         <div className="date-header">
           <h1 className="date-large">{formatDate(state.date)}</h1>
           <p className="time-large">{currentTime.toLocaleTimeString('en-US', { hour12: false })}</p>
+          <DateNavigator date={state.date} today={state.today} onChange={handleDateChange} />
         </div>
       </header>
 
       <div className="grid-layout">
         <div className="card card-warning">
           <h2>⏱️ Time Since</h2>
-          <p className="card-description">Track how many days since an event occurred</p>
+          <p className="card-description">Track how long since an event occurred, or count down to a future one</p>
 
           <form onSubmit={handleAddTimeSince} className="tracker-form">
             <input
@@ -326,16 +432,70 @@ const calculateDaysSince = (date) => {
             <button type="submit" className="btn btn-sm btn-warning">Add</button>
           </form>
 
-          {state.timeSinceTrackers.length > 0 && (
-            <div className="trackers-list">
-              {state.timeSinceTrackers.map((tracker) => (
-                <div key={tracker.id} className="tracker-item time-since-item">
-                  <div className="tracker-info">
-                    <strong>{tracker.name}</strong>
-                    <span className="tracker-detail">
-                      {tracker.date} • {calculateDaysSince(tracker.date)}
-                    </span>
-                  </div>
+          <SortableGroups
+            items={state.timeSinceTrackers}
+            kind="time-since"
+            date={selectedDate}
+            onStateChange={setState}
+            listClassName="trackers-list"
+            renderItem={(tracker, { handle, dropProps, controls }) => (
+              <div key={tracker.id} className="tracker-item time-since-item" {...dropProps}>
+                {handle}
+                <div className="tracker-info">
+                  <strong>{tracker.name}</strong>
+                  <span className="tracker-detail">
+                    {tracker.date} • {calculateDaysSince(tracker.date)}
+                  </span>
+                  {tracker.mode === 'countdown' ? (
+                    <span className="tracker-detail tracker-stats">Countdown</span>
+                  ) : (
+                    <>
+                      <span className="tracker-detail tracker-stats">
+                        Current {formatSpan(tracker.currentStreakMs)} • Longest {formatSpan(tracker.longestStreakMs)}
+                        {' • '}Avg {tracker.averageIntervalMs === null ? '—' : formatSpan(tracker.averageIntervalMs)}
+                        {' • '}{tracker.resetCount} {tracker.resetCount === 1 ? 'reset' : 'resets'}
+                      </span>
+                      <span className="tracker-detail tracker-milestones">
+                        {tracker.reachedMilestones.map(milestone => (
+                          <span key={milestone} className="milestone-badge">{milestone}</span>
+                        ))}
+                        {tracker.nextMilestone
+                          ? `Next: ${tracker.nextMilestone} (${tracker.nextMilestoneProgress}%)`
+                          : 'All milestones reached'}
+                      </span>
+                    </>
+                  )}
+                  {milestonesEdit && milestonesEdit.id === tracker.id && (
+                    <form onSubmit={handleSaveMilestones} className="tracker-form milestones-form">
+                      <input
+                        type="text"
+                        className="form-input form-input-sm"
+                        placeholder="e.g. 7d, 30d, 6mo, 1y (empty for defaults)"
+                        value={milestonesEdit.value}
+                        onChange={(e) => setMilestonesEdit({ ...milestonesEdit, value: e.target.value })}
+                      />
+                      <button type="submit" className="btn btn-sm btn-success">Save</button>
+                    </form>
+                  )}
+                </div>
+                <div className="tracker-controls">
+                  <button
+                    onClick={() => handleToggleMilestones(tracker)}
+                    className="btn btn-sm btn-secondary"
+                    title="Edit milestones"
+                  >
+                    🏁
+                  </button>
+                  {tracker.mode !== 'countdown' && (
+                    <button
+                      onClick={() => handleResetTimeSince(tracker)}
+                      className="btn btn-sm btn-warning"
+                      title="Reset (keeps the streak in history)"
+                    >
+                      ↺
+                    </button>
+                  )}
+                  {controls}
                   <button
                     onClick={() => handleDeleteTimeSince(tracker.id)}
                     className="btn-icon btn-icon-sm btn-danger"
@@ -343,17 +503,24 @@ const calculateDaysSince = (date) => {
                     ×
                   </button>
                 </div>
-              ))}
-            </div>
-          )}
+              </div>
+            )}
+          />
           {state.timeSinceTrackers.length === 0 && (
             <div className="empty-state">No time trackers yet</div>
           )}
+          <ArchivedItems
+            items={state.archived.timeSinceTrackers}
+            kind="time-since"
+            date={selectedDate}
+            onStateChange={setState}
+            onDelete={handleDeleteTimeSince}
+          />
         </div>
 
         <div className="card card-success">
           <h2>⏳ Activity Duration</h2>
-          <p className="card-description">Track activities with timers</p>
+          <p className="card-description">Track activities with timers, or log minutes by hand</p>
 
           <form onSubmit={handleAddDuration} className="tracker-form">
             <input
@@ -363,22 +530,71 @@ const calculateDaysSince = (date) => {
               value={durationName}
               onChange={(e) => setDurationName(e.target.value)}
             />
-            <button type="submit" className="btn btn-sm btn-success">Add Timer</button>
+            <select
+              className="form-select duration-type-select"
+              value={durationType}
+              onChange={(e) => setDurationType(e.target.value)}
+            >
+              <option value="timer">Timer</option>
+              <option value="counter">Manual minutes</option>
+            </select>
+            <button type="submit" className="btn btn-sm btn-success">Add</button>
           </form>
 
-          {state.durationTrackers.length > 0 && (
-            <div className="trackers-list">
-              {state.durationTrackers.map((tracker) => (
-                <div key={tracker.id} className="tracker-item duration-item">
-                  <div className="tracker-info">
-                    <strong>{tracker.name}</strong>
-                    <span className="tracker-detail">
+          <SortableGroups
+            items={state.durationTrackers}
+            kind="duration"
+            date={selectedDate}
+            onStateChange={setState}
+            listClassName="trackers-list"
+            renderItem={(tracker, { handle, dropProps, controls }) => (
+              <div key={tracker.id} className="tracker-item duration-item" {...dropProps}>
+                {handle}
+                <div className="tracker-info">
+                  <strong>{tracker.name}</strong>
+                  <span className="tracker-detail">
+                    {tracker.type === 'timer' ? (
                       <span className="timer-display">
                         ⏱️ {calculateElapsedTime(tracker)}
                       </span>
-                    </span>
-                  </div>
-                  <div className="tracker-controls">
+                    ) : (
+                      <span className="timer-display">
+                        🕒 {tracker.value} min
+                      </span>
+                    )}
+                  </span>
+                  <span className="tracker-detail tracker-stats">This week: {formatMinutes(tracker.weekTotalMs)}</span>
+                </div>
+                <div className="tracker-controls">
+                  {tracker.type === 'counter' ? (
+                    <div className="timer-controls">
+                      <button
+                        onClick={() => handleSetMinutes(tracker, tracker.value + 15)}
+                        className="btn btn-sm btn-success"
+                      >
+                        +15
+                      </button>
+                      <button
+                        onClick={() => handleSetMinutes(tracker, tracker.value + 30)}
+                        className="btn btn-sm btn-success"
+                      >
+                        +30
+                      </button>
+                      <button
+                        onClick={() => handleResetTimer(tracker.id)}
+                        className="btn btn-sm btn-secondary"
+                      >
+                        🔄
+                      </button>
+                      <button
+                        onClick={() => setShowManualInput(prev => ({ ...prev, [tracker.id]: !prev[tracker.id] }))}
+                        className="btn btn-sm btn-primary"
+                        title="Set minutes"
+                      >
+                        ✏️
+                      </button>
+                    </div>
+                  ) : (
                     <div className="timer-controls">
                       <button
                         onClick={() => tracker.isRunning ? handleStopTimer(tracker.id) : handleStartTimer(tracker.id)}
@@ -399,54 +615,93 @@ const calculateDaysSince = (date) => {
                       >
                         ⏱️
                       </button>
+                      <button
+                        onClick={() => setSessionsTracker(tracker)}
+                        className="btn btn-sm btn-secondary"
+                        title="Sessions"
+                      >
+                        📋
+                      </button>
                     </div>
-                    {showManualInput[tracker.id] && (
-                      <div className="manual-time-input">
-                        <input
-                          type="text"
-                          placeholder="H:MM (e.g., 4:30 or 1:15)"
-                          value={manualTimeInput[tracker.id] || ''}
-                          onChange={(e) => setManualTimeInput(prev => ({ ...prev, [tracker.id]: e.target.value }))}
-                          className="form-input form-input-sm"
-                          onKeyDown={(e) => {
-                            if (e.key === 'Enter') {
-                              handleSetManualTime(tracker.id, manualTimeInput[tracker.id]);
-                            }
-                          }}
-                        />
-                        <button
-                          onClick={() => handleSetManualTime(tracker.id, manualTimeInput[tracker.id])}
-                          className="btn btn-sm btn-success"
-                          title="Set time"
-                        >
-                          Set
-                        </button>
-                        <button
-                          onClick={() => {
-                            setShowManualInput(prev => ({ ...prev, [tracker.id]: false }));
-                            setManualTimeInput(prev => ({ ...prev, [tracker.id]: '' }));
-                          }}
-                          className="btn btn-sm btn-secondary"
-                          title="Cancel"
-                        >
-                          Cancel
-                        </button>
-                      </div>
-                    )}
-                    <button
-                      onClick={() => handleDeleteDuration(tracker.id)}
-                      className="btn-icon btn-icon-sm btn-danger"
-                    >
-                      ×
-                    </button>
-                  </div>
+                  )}
+                  {showManualInput[tracker.id] && tracker.type === 'counter' && (
+                    <div className="manual-time-input">
+                      <input
+                        type="number"
+                        min="0"
+                        max="1440"
+                        placeholder="Minutes today (e.g., 45)"
+                        value={manualTimeInput[tracker.id] || ''}
+                        onChange={(e) => setManualTimeInput(prev => ({ ...prev, [tracker.id]: e.target.value }))}
+                        className="form-input form-input-sm"
+                        onKeyDown={(e) => {
+                          if (e.key === 'Enter') {
+                            handleSetMinutes(tracker, parseInt(manualTimeInput[tracker.id]));
+                          }
+                        }}
+                      />
+                      <button
+                        onClick={() => handleSetMinutes(tracker, parseInt(manualTimeInput[tracker.id]))}
+                        className="btn btn-sm btn-success"
+                      >
+                        Set
+                      </button>
+                    </div>
+                  )}
+                  {showManualInput[tracker.id] && tracker.type === 'timer' && (
+                    <div className="manual-time-input">
+                      <input
+                        type="text"
+                        placeholder="H:MM (e.g., 4:30 or 1:15)"
+                        value={manualTimeInput[tracker.id] || ''}
+                        onChange={(e) => setManualTimeInput(prev => ({ ...prev, [tracker.id]: e.target.value }))}
+                        className="form-input form-input-sm"
+                        onKeyDown={(e) => {
+                          if (e.key === 'Enter') {
+                            handleSetManualTime(tracker.id, manualTimeInput[tracker.id]);
+                          }
+                        }}
+                      />
+                      <button
+                        onClick={() => handleSetManualTime(tracker.id, manualTimeInput[tracker.id])}
+                        className="btn btn-sm btn-success"
+                        title="Set time"
+                      >
+                        Set
+                      </button>
+                      <button
+                        onClick={() => {
+                          setShowManualInput(prev => ({ ...prev, [tracker.id]: false }));
+                          setManualTimeInput(prev => ({ ...prev, [tracker.id]: '' }));
+                        }}
+                        className="btn btn-sm btn-secondary"
+                        title="Cancel"
+                      >
+                        Cancel
+                      </button>
+                    </div>
+                  )}
+                  {controls}
+                  <button
+                    onClick={() => handleDeleteDuration(tracker.id)}
+                    className="btn-icon btn-icon-sm btn-danger"
+                  >
+                    ×
+                  </button>
                 </div>
-              ))}
-            </div>
-          )}
+              </div>
+            )}
+          />
           {state.durationTrackers.length === 0 && (
             <div className="empty-state">No duration trackers yet</div>
           )}
+          <ArchivedItems
+            items={state.archived.durationTrackers}
+            kind="duration"
+            date={selectedDate}
+            onStateChange={setState}
+            onDelete={handleDeleteDuration}
+          />
         </div>
 
         <div className="card card-primary">
@@ -461,63 +716,147 @@ const calculateDaysSince = (date) => {
               value={counterName}
               onChange={(e) => setCounterName(e.target.value)}
             />
+            <input
+              type="text"
+              className="form-input"
+              placeholder="Unit (optional, e.g. 'ml', 'mg')"
+              value={counterUnit}
+              onChange={(e) => setCounterUnit(e.target.value)}
+            />
             <button type="submit" className="btn btn-sm btn-success">Add Counter</button>
           </form>
 
-          {state.customCounters && state.customCounters.length > 0 && (
-            <div className="trackers-list">
-              {state.customCounters.map((counter) => (
-                <div key={counter.id} className="tracker-item counter-item">
-                  <div className="tracker-info">
-                    <strong>{counter.name}</strong>
+          <SortableGroups
+            items={state.customCounters}
+            kind="counters"
+            date={selectedDate}
+            onStateChange={setState}
+            listClassName="trackers-list"
+            renderItem={(counter, { handle, dropProps, controls }) => (
+              <div key={counter.id} className="tracker-item counter-item" {...dropProps}>
+                {handle}
+                <div className="tracker-info">
+                  <strong>{counter.name}</strong>
+                  <div className="counter-value-row">
                     <input
                       type="number"
                       className="counter-value-input"
-                      value={counter.value}
-                      onChange={(e) => handleSetCounterValue(counter.id, e.target.value)}
-                      onBlur={(e) => handleSetCounterValue(counter.id, e.target.value)}
+                      value={counterDrafts[counter.id] !== undefined ? counterDrafts[counter.id] : formatCounterValue(counter, counter.value)}
+                      onChange={(e) => setCounterDrafts({ ...counterDrafts, [counter.id]: e.target.value })}
+                      onBlur={() => handleSetCounterValue(counter.id)}
                       onKeyDown={(e) => {
                         if (e.key === 'Enter') {
-                          handleSetCounterValue(counter.id, e.target.value);
                           e.target.blur();
                         }
                       }}
-                      min="0"
-                      style={{ width: '80px', textAlign: 'center', fontSize: '1.5rem', fontWeight: 'bold' }}
+                      min={counter.min === null ? undefined : counter.min}
+                      max={counter.max === null ? undefined : counter.max}
+                      step={counter.step}
+                      style={{ width: '100px', textAlign: 'center', fontSize: '1.5rem', fontWeight: 'bold' }}
                     />
+                    {counter.unit && <span className="counter-unit">{counter.unit}</span>}
                   </div>
-                  <div className="tracker-controls">
-                    <div className="counter-controls-large">
-                      <button
-                        onClick={() => handleDecrementCustomCounter(counter.id)}
-                        className="btn btn-sm btn-danger"
-                      >
-                        −
-                      </button>
-                      <button
-                        onClick={() => handleIncrementCustomCounter(counter.id)}
-                        className="btn btn-sm btn-success"
-                      >
-                        +
-                      </button>
+                  {counter.goal !== null && (
+                    <div className="counter-goal">
+                      <div className="counter-goal-bar">
+                        <div
+                          className={`counter-goal-fill ${counter.goalMet ? 'met' : 'unmet'}`}
+                          style={{ width: `${Math.min(100, counter.goalProgress)}%` }}
+                        />
+                      </div>
+                      <span className="tracker-detail">
+                        {counter.goalDirection === 'at_most' ? 'Limit' : 'Goal'} {formatCounterValue(counter, counter.goal)} {counter.unit}
+                        {' • '}{counter.goalProgress}%{counter.goalMet ? ' ✓' : ''}
+                      </span>
                     </div>
+                  )}
+                </div>
+                <div className="tracker-controls">
+                  <div className="counter-controls-large">
+                    <button
+                      onClick={() => handleDecrementCustomCounter(counter.id)}
+                      className="btn btn-sm btn-danger"
+                    >
+                      −
+                    </button>
                     <button
-                      onClick={() => handleDeleteCustomCounter(counter.id)}
-                      className="btn-icon btn-icon-sm btn-danger"
-                      title="Delete counter"
+                      onClick={() => handleIncrementCustomCounter(counter.id)}
+                      className="btn btn-sm btn-success"
                     >
-                      ×
+                      +
                     </button>
                   </div>
+                  <button
+                    onClick={() => setHistoryCounter(counter)}
+                    className="btn btn-sm btn-secondary"
+                    title="History"
+                  >
+                    📈
+                  </button>
+                  <button
+                    onClick={() => setSettingsCounter(counter)}
+                    className="btn btn-sm btn-secondary"
+                    title="Counter settings"
+                  >
+                    ⚙️
+                  </button>
+                  {controls}
+                  <button
+                    onClick={() => {
+                      if (confirm(`Delete "${counter.name}" and all of its history? Archiving (🗄️) keeps it.`)) {
+                        handleDeleteCustomCounter(counter.id);
+                      }
+                    }}
+                    className="btn-icon btn-icon-sm btn-danger"
+                    title="Delete counter"
+                  >
+                    ×
+                  </button>
                 </div>
-              ))}
-            </div>
-          )}
+              </div>
+            )}
+          />
           {(!state.customCounters || state.customCounters.length === 0) && (
             <div className="empty-state">No custom counters yet</div>
           )}
+          <ArchivedItems
+            items={state.archived.customCounters}
+            kind="counters"
+            date={selectedDate}
+            onStateChange={setState}
+            onDelete={handleDeleteCustomCounter}
+          />
         </div>
       </div>
+
+      {sessionsTracker && (
+        <TimerSessions
+          tracker={sessionsTracker}
+          date={state.date}
+          onClose={() => setSessionsTracker(null)}
+          onChanged={loadState}
+        />
+      )}
+
+      {historyCounter && (
+        <CounterHistory
+          counter={historyCounter}
+          today={state.today}
+          onClose={() => setHistoryCounter(null)}
+        />
+      )}
+
+      {settingsCounter && (
+        <CounterSettings
+          counter={settingsCounter}
+          date={selectedDate}
+          onClose={() => setSettingsCounter(null)}
+          onSaved={(data) => {
+            setState(data);
+            setSettingsCounter(null);
+          }}
+        />
+      )}
     </div>
   );
 }
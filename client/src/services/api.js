@@ -6,6 +6,56 @@ function getAuthHeaders() {
   return token ? { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json' } : { 'Content-Type': 'application/json' };
 }
 
+// Append ?date=YYYY-MM-DD when working on a day other than today
+function withDate(path, date) {
+  return date ? `${path}?date=${encodeURIComponent(date)}` : path;
+}
+
+// Parse a response that carries the day's state; errors (e.g. 404 for an item
+// removed in another tab) are thrown so callers don't replace state with them
+async function parseStateResponse(response) {
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || `Request failed (${response.status})`);
+  }
+  return data;
+}
+
+// Ask the server for a short-lived ticket for one download route, so the
+// session token never ends up in a URL or form post
+async function getDownloadTicket(purpose) {
+  const response = await fetch(`${API_BASE}/download-tickets`, {
+    method: 'POST',
+    headers: getAuthHeaders(),
+    body: JSON.stringify({ purpose })
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || 'Could not start download');
+  }
+  return data.ticket;
+}
+
+// Submit a hidden form (opens in a new tab) so the browser handles the file download
+function submitDownloadForm(action, fields) {
+  const form = document.createElement('form');
+  form.method = 'POST';
+  form.action = action;
+  form.target = '_blank';
+
+  Object.entries(fields).forEach(([name, value]) => {
+    const input = document.createElement('input');
+    input.type = 'hidden';
+    input.name = name;
+    input.value = value;
+    form.appendChild(input);
+  });
+
+  document.body.appendChild(form);
+  form.submit();
+  document.body.removeChild(form);
+}
+
 // Check if user is logged in
 function isLoggedIn() {
   return localStorage.getItem('authToken') !== null;
@@ -26,8 +76,8 @@ export const api = {
   requireAuth,
   
   // Get current state
-  getState: async () => {
-    const response = await fetch(`${API_BASE}/state`, {
+  getState: async (date = null) => {
+    const response = await fetch(withDate(`${API_BASE}/state`, date), {
       headers: getAuthHeaders()
     });
     if (response.status === 401) {
@@ -37,29 +87,144 @@ export const api = {
     return response.json();
   },
 
-  // Update daily data
-  updateDaily: async (data) => {
-    const response = await fetch(`${API_BASE}/daily`, {
-      method: 'POST',
+  // Sleep: { bedtime, wakeTime, quality }, any subset
+  updateSleep: async (data, date = null) => {
+    const response = await fetch(withDate(`${API_BASE}/sleep`, date), {
+      method: 'PUT',
       headers: getAuthHeaders(),
       body: JSON.stringify(data)
     });
-    return response.json();
+    return parseStateResponse(response);
+  },
+
+  addNap: async (minutes, startTime = '', date = null) => {
+    const response = await fetch(withDate(`${API_BASE}/sleep/naps`, date), {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify({ minutes, startTime })
+    });
+    return parseStateResponse(response);
+  },
+
+  deleteNap: async (id, date = null) => {
+    const response = await fetch(withDate(`${API_BASE}/sleep/naps/${id}`, date), {
+      method: 'DELETE',
+      headers: getAuthHeaders()
+    });
+    return parseStateResponse(response);
+  },
+
+  setSleepTarget: async (minutes, date = null) => {
+    const response = await fetch(withDate(`${API_BASE}/sleep/target`, date), {
+      method: 'PUT',
+      headers: getAuthHeaders(),
+      body: JSON.stringify({ minutes })
+    });
+    return parseStateResponse(response);
+  },
+
+  // Only the metrics given change; null clears one
+  updateHealthMetrics: async (metrics, date = null) => {
+    const response = await fetch(withDate(`${API_BASE}/health-metrics`, date), {
+      method: 'PUT',
+      headers: getAuthHeaders(),
+      body: JSON.stringify(metrics)
+    });
+    return parseStateResponse(response);
+  },
+
+  // Trackers, counters and template fields (kind: time-since, duration, counters, fields)
+  reorderItems: async (kind, ids, date = null) => {
+    const response = await fetch(withDate(`${API_BASE}/items/${kind}/order`, date), {
+      method: 'PUT',
+      headers: getAuthHeaders(),
+      body: JSON.stringify({ ids })
+    });
+    return parseStateResponse(response);
+  },
+
+  // changes: { category, archived }, either may be left out
+  updateItem: async (kind, id, changes, date = null) => {
+    const response = await fetch(withDate(`${API_BASE}/items/${kind}/${id}`, date), {
+      method: 'PUT',
+      headers: getAuthHeaders(),
+      body: JSON.stringify(changes)
+    });
+    return parseStateResponse(response);
   },
 
   // Add activity entry
-  addEntry: async (text, image = null) => {
-    const response = await fetch(`${API_BASE}/entry`, {
+  addEntry: async (text, image = null, date = null, timestamp = null) => {
+    const response = await fetch(withDate(`${API_BASE}/entry`, date), {
       method: 'POST',
       headers: getAuthHeaders(),
-      body: JSON.stringify({ text, image })
+      body: JSON.stringify({ text, image, timestamp })
+    });
+    return response.json();
+  },
+
+  // Edit an activity entry ({ text, timestamp } where timestamp is HH:MM)
+  updateEntry: async (id, updates, date = null) => {
+    const response = await fetch(withDate(`${API_BASE}/entry/${id}`, date), {
+      method: 'PUT',
+      headers: getAuthHeaders(),
+      body: JSON.stringify(updates)
+    });
+    return response.json();
+  },
+
+  // Fetch an entry's attached image as an object URL (size 'thumb' for the thumbnail).
+  // Plain <img src> can't send the auth header, so images are fetched as blobs.
+  getEntryImage: async (id, size = null) => {
+    const url = `${API_BASE}/entries/${id}/image${size ? `?size=${size}` : ''}`;
+    const response = await fetch(url, {
+      headers: getAuthHeaders()
+    });
+    if (!response.ok) return null;
+    const blob = await response.blob();
+    return URL.createObjectURL(blob);
+  },
+
+  // Full-text search; filters are { from, to, page } with YYYY-MM-DD dates
+  search: async (q, filters = {}) => {
+    const params = new URLSearchParams({ q });
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value) params.set(key, value);
+    });
+    const response = await fetch(`${API_BASE}/search?${params}`, {
+      headers: getAuthHeaders()
+    });
+    return response.json();
+  },
+
+  // Server limits (e.g. maxUploadSizeMb)
+  getConfig: async () => {
+    const response = await fetch(`${API_BASE}/config`, {
+      headers: getAuthHeaders()
+    });
+    return response.json();
+  },
+
+  // Revision history (type: activity_entry, daily_custom_field or profile_field)
+  getRevisions: async (type, id) => {
+    const params = new URLSearchParams({ type, id });
+    const response = await fetch(`${API_BASE}/revisions?${params}`, {
+      headers: getAuthHeaders()
+    });
+    return response.json();
+  },
+
+  restoreRevision: async (revisionId) => {
+    const response = await fetch(`${API_BASE}/revisions/${revisionId}/restore`, {
+      method: 'POST',
+      headers: getAuthHeaders()
     });
     return response.json();
   },
 
   // Add time-since tracker
-  addTimeSinceTracker: async (name, date) => {
-    const response = await fetch(`${API_BASE}/trackers/time-since`, {
+  addTimeSinceTracker: async (name, date, viewDate = null) => {
+    const response = await fetch(withDate(`${API_BASE}/trackers/time-since`, viewDate), {
       method: 'POST',
       headers: getAuthHeaders(),
       body: JSON.stringify({ name, date })
@@ -68,104 +233,205 @@ export const api = {
   },
 
   // Delete time-since tracker
-  deleteTimeSinceTracker: async (id) => {
-    const response = await fetch(`${API_BASE}/trackers/time-since/${id}`, {
+  deleteTimeSinceTracker: async (id, date = null) => {
+    const response = await fetch(withDate(`${API_BASE}/trackers/time-since/${id}`, date), {
       method: 'DELETE',
       headers: getAuthHeaders()
     });
+    return parseStateResponse(response);
+  },
+
+  // Reset time-since tracker (archives the current streak, restarts now)
+  resetTimeSinceTracker: async (id, date = null) => {
+    const response = await fetch(withDate(`${API_BASE}/trackers/time-since/${id}/reset`, date), {
+      method: 'POST',
+      headers: getAuthHeaders()
+    });
+    return parseStateResponse(response);
+  },
+
+  // Set a time-since tracker's milestones (comma-separated, empty for the defaults)
+  setTimeSinceMilestones: async (id, milestones, date = null) => {
+    const response = await fetch(withDate(`${API_BASE}/trackers/time-since/${id}/milestones`, date), {
+      method: 'PUT',
+      headers: getAuthHeaders(),
+      body: JSON.stringify({ milestones })
+    });
+    return parseStateResponse(response);
+  },
+
+  // Milestone and countdown notifications
+  getNotifications: async () => {
+    const response = await fetch(`${API_BASE}/notifications`, {
+      headers: getAuthHeaders()
+    });
+    return response.json();
+  },
+
+  dismissNotification: async (id) => {
+    const response = await fetch(`${API_BASE}/notifications/${id}/dismiss`, {
+      method: 'POST',
+      headers: getAuthHeaders()
+    });
+    return response.json();
+  },
+
+  dismissAllNotifications: async () => {
+    const response = await fetch(`${API_BASE}/notifications/dismiss-all`, {
+      method: 'POST',
+      headers: getAuthHeaders()
+    });
     return response.json();
   },
 
   // Add/update duration tracker
-  updateDurationTracker: async (name) => {
-    const response = await fetch(`${API_BASE}/trackers/duration`, {
+  // type is 'timer' or 'counter' (minutes logged by hand)
+  updateDurationTracker: async (name, type = 'timer', date = null) => {
+    const response = await fetch(withDate(`${API_BASE}/trackers/duration`, date), {
       method: 'POST',
       headers: getAuthHeaders(),
-      body: JSON.stringify({ name })
+      body: JSON.stringify({ name, type })
     });
-    return response.json();
+    return parseStateResponse(response);
+  },
+
+  // Set a manual duration tracker's minutes for the day
+  setDurationMinutes: async (id, minutes, date = null) => {
+    const response = await fetch(withDate(`${API_BASE}/trackers/duration/${id}/minutes`, date), {
+      method: 'PUT',
+      headers: getAuthHeaders(),
+      body: JSON.stringify({ minutes })
+    });
+    return parseStateResponse(response);
   },
 
   // Delete duration tracker
-  deleteDurationTracker: async (id) => {
-    const response = await fetch(`${API_BASE}/trackers/duration/${id}`, {
+  deleteDurationTracker: async (id, date = null) => {
+    const response = await fetch(withDate(`${API_BASE}/trackers/duration/${id}`, date), {
       method: 'DELETE',
       headers: getAuthHeaders()
     });
-    return response.json();
+    return parseStateResponse(response);
   },
 
   // Timer controls
-  startTimer: async (id) => {
-    const response = await fetch(`${API_BASE}/trackers/timer/start/${id}`, {
+  startTimer: async (id, date = null) => {
+    const response = await fetch(withDate(`${API_BASE}/trackers/timer/start/${id}`, date), {
       method: 'POST',
       headers: getAuthHeaders()
     });
-    return response.json();
+    return parseStateResponse(response);
   },
 
-  stopTimer: async (id) => {
-    const response = await fetch(`${API_BASE}/trackers/timer/stop/${id}`, {
+  stopTimer: async (id, date = null) => {
+    const response = await fetch(withDate(`${API_BASE}/trackers/timer/stop/${id}`, date), {
       method: 'POST',
       headers: getAuthHeaders()
     });
-    return response.json();
+    return parseStateResponse(response);
   },
 
-  resetTimer: async (id) => {
-    const response = await fetch(`${API_BASE}/trackers/timer/reset/${id}`, {
+  resetTimer: async (id, date = null) => {
+    const response = await fetch(withDate(`${API_BASE}/trackers/timer/reset/${id}`, date), {
       method: 'POST',
       headers: getAuthHeaders()
     });
+    return parseStateResponse(response);
+  },
+
+  // Timer sessions (from/to are optional YYYY-MM-DD bounds)
+  getTimerSessions: async (trackerId, from = null, to = null) => {
+    const params = new URLSearchParams();
+    if (from) params.set('from', from);
+    if (to) params.set('to', to);
+    const response = await fetch(`${API_BASE}/trackers/duration/${trackerId}/sessions?${params}`, {
+      headers: getAuthHeaders()
+    });
+    return response.json();
+  },
+
+  updateTimerSession: async (sessionId, startTime, endTime) => {
+    const response = await fetch(`${API_BASE}/trackers/sessions/${sessionId}`, {
+      method: 'PUT',
+      headers: getAuthHeaders(),
+      body: JSON.stringify({ startTime, endTime })
+    });
+    return response.json();
+  },
+
+  deleteTimerSession: async (sessionId) => {
+    const response = await fetch(`${API_BASE}/trackers/sessions/${sessionId}`, {
+      method: 'DELETE',
+      headers: getAuthHeaders()
+    });
     return response.json();
   },
 
   // Custom Counters (water, coffee, etc.)
-  createCustomCounter: async (name) => {
-    const response = await fetch(`${API_BASE}/custom-counters/create`, {
+  // settings: { unit, step, decimals, min, max, goal, goalDirection }, all optional
+  createCustomCounter: async (name, settings = {}, date = null) => {
+    const response = await fetch(withDate(`${API_BASE}/custom-counters/create`, date), {
       method: 'POST',
       headers: getAuthHeaders(),
-      body: JSON.stringify({ name })
+      body: JSON.stringify({ name, ...settings })
     });
-    return response.json();
+    return parseStateResponse(response);
   },
 
-  incrementCounter: async (id) => {
-    const response = await fetch(`${API_BASE}/custom-counters/${id}/increment`, {
+  updateCustomCounter: async (id, settings, date = null) => {
+    const response = await fetch(withDate(`${API_BASE}/custom-counters/${id}`, date), {
+      method: 'PUT',
+      headers: getAuthHeaders(),
+      body: JSON.stringify(settings)
+    });
+    return parseStateResponse(response);
+  },
+
+  incrementCounter: async (id, date = null) => {
+    const response = await fetch(withDate(`${API_BASE}/custom-counters/${id}/increment`, date), {
       method: 'POST',
       headers: getAuthHeaders()
     });
-    return response.json();
+    return parseStateResponse(response);
   },
 
-  decrementCounter: async (id) => {
-    const response = await fetch(`${API_BASE}/custom-counters/${id}/decrement`, {
+  decrementCounter: async (id, date = null) => {
+    const response = await fetch(withDate(`${API_BASE}/custom-counters/${id}/decrement`, date), {
       method: 'POST',
       headers: getAuthHeaders()
     });
-    return response.json();
+    return parseStateResponse(response);
   },
 
-  setCounter: async (id, value) => {
-    const response = await fetch(`${API_BASE}/custom-counters/${id}/set`, {
+  setCounter: async (id, value, date = null) => {
+    const response = await fetch(withDate(`${API_BASE}/custom-counters/${id}/set`, date), {
       method: 'PUT',
       headers: getAuthHeaders(),
       body: JSON.stringify({ value })
     });
+    return parseStateResponse(response);
+  },
+
+  // Daily series, weekly/monthly sums and streaks between two YYYY-MM-DD dates
+  getCounterHistory: async (id, from, to) => {
+    const params = new URLSearchParams({ from, to });
+    const response = await fetch(`${API_BASE}/custom-counters/${id}/history?${params}`, {
+      headers: getAuthHeaders()
+    });
     return response.json();
   },
 
-  deleteCustomCounter: async (id) => {
-    const response = await fetch(`${API_BASE}/custom-counters/${id}`, {
+  deleteCustomCounter: async (id, date = null) => {
+    const response = await fetch(withDate(`${API_BASE}/custom-counters/${id}`, date), {
       method: 'DELETE',
       headers: getAuthHeaders()
     });
-    return response.json();
+    return parseStateResponse(response);
   },
 
   // Daily Custom Fields (non-persistent)
-  addDailyCustomField: async (key, value) => {
-    const response = await fetch(`${API_BASE}/daily-custom-fields`, {
+  addDailyCustomField: async (key, value, date = null) => {
+    const response = await fetch(withDate(`${API_BASE}/daily-custom-fields`, date), {
       method: 'POST',
       headers: getAuthHeaders(),
       body: JSON.stringify({ key, value })
@@ -173,17 +439,17 @@ export const api = {
     return response.json();
   },
 
-  deleteDailyCustomField: async (id) => {
-    const response = await fetch(`${API_BASE}/daily-custom-fields/${id}`, {
+  deleteDailyCustomField: async (id, date = null) => {
+    const response = await fetch(withDate(`${API_BASE}/daily-custom-fields/${id}`, date), {
       method: 'DELETE',
       headers: getAuthHeaders()
     });
-    return response.json();
+    return parseStateResponse(response);
   },
 
   // Daily Tasks
-  addDailyTask: async (text) => {
-    const response = await fetch(`${API_BASE}/daily-tasks`, {
+  addDailyTask: async (text, date = null) => {
+    const response = await fetch(withDate(`${API_BASE}/daily-tasks`, date), {
       method: 'POST',
       headers: getAuthHeaders(),
       body: JSON.stringify({ text })
@@ -191,30 +457,40 @@ export const api = {
     return response.json();
   },
 
-  toggleDailyTask: async (id) => {
-    const response = await fetch(`${API_BASE}/daily-tasks/${id}/toggle`, {
+  toggleDailyTask: async (id, date = null) => {
+    const response = await fetch(withDate(`${API_BASE}/daily-tasks/${id}/toggle`, date), {
       method: 'PUT',
       headers: getAuthHeaders()
     });
-    return response.json();
+    return parseStateResponse(response);
   },
 
-  deleteDailyTask: async (id) => {
-    const response = await fetch(`${API_BASE}/daily-tasks/${id}`, {
+  deleteDailyTask: async (id, date = null) => {
+    const response = await fetch(withDate(`${API_BASE}/daily-tasks/${id}`, date), {
       method: 'DELETE',
       headers: getAuthHeaders()
     });
-    return response.json();
+    return parseStateResponse(response);
   },
 
   // Template Custom Fields (persist name, reset value daily)
-  createCustomFieldTemplate: async (key) => {
-    const response = await fetch(`${API_BASE}/custom-field-templates/create`, {
+  // definition: { type, options, defaultValue }, a text field when left out
+  createCustomFieldTemplate: async (key, definition = {}, date = null) => {
+    const response = await fetch(withDate(`${API_BASE}/custom-field-templates/create`, date), {
       method: 'POST',
       headers: getAuthHeaders(),
-      body: JSON.stringify({ key })
+      body: JSON.stringify({ key, ...definition })
     });
-    return response.json();
+    return parseStateResponse(response);
+  },
+
+  updateCustomFieldTemplate: async (id, definition, date = null) => {
+    const response = await fetch(withDate(`${API_BASE}/custom-field-templates/${id}`, date), {
+      method: 'PUT',
+      headers: getAuthHeaders(),
+      body: JSON.stringify(definition)
+    });
+    return parseStateResponse(response);
   },
 
   getCustomFieldTemplates: async () => {
@@ -224,38 +500,38 @@ export const api = {
     return response.json();
   },
 
-  deleteCustomFieldTemplate: async (id) => {
-    const response = await fetch(`${API_BASE}/custom-field-templates/${id}`, {
+  deleteCustomFieldTemplate: async (id, date = null) => {
+    const response = await fetch(withDate(`${API_BASE}/custom-field-templates/${id}`, date), {
       method: 'DELETE',
       headers: getAuthHeaders()
     });
-    return response.json();
+    return parseStateResponse(response);
   },
 
-  updateCustomFieldValue: async (key, value) => {
-    const response = await fetch(`${API_BASE}/custom-fields/${key}`, {
+  updateCustomFieldValue: async (key, value, date = null) => {
+    const response = await fetch(withDate(`${API_BASE}/custom-fields/${key}`, date), {
       method: 'PUT',
       headers: getAuthHeaders(),
       body: JSON.stringify({ value })
     });
-    return response.json();
+    return parseStateResponse(response);
   },
 
   // Download markdown
-  downloadMarkdown: () => {
-    const token = localStorage.getItem('authToken');
-    window.location.href = `${API_BASE}/download${token ? '?token=' + token : ''}`;
+  downloadMarkdown: async () => {
+    const ticket = await getDownloadTicket('markdown');
+    window.location.href = `${API_BASE}/download?ticket=${encodeURIComponent(ticket)}`;
   },
 
   // Download PDF
-  downloadPDF: () => {
-    const token = localStorage.getItem('authToken');
-    window.location.href = `${API_BASE}/download-pdf${token ? '?token=' + token : ''}`;
+  downloadPDF: async () => {
+    const ticket = await getDownloadTicket('pdf');
+    window.location.href = `${API_BASE}/download-pdf?ticket=${encodeURIComponent(ticket)}`;
   },
 
   // Export management
-  saveSnapshot: async () => {
-    const response = await fetch(`${API_BASE}/exports/save-snapshot`, {
+  saveSnapshot: async (date) => {
+    const response = await fetch(withDate(`${API_BASE}/exports/save-snapshot`, date), {
       method: 'POST',
       headers: getAuthHeaders()
     });
@@ -293,64 +569,19 @@ export const api = {
     return response.json();
   },
 
-  downloadDateRange: (startDate, endDate) => {
-    const token = localStorage.getItem('authToken');
-    const form = document.createElement('form');
-    form.method = 'POST';
-    form.action = `${API_BASE}/exports/download-range`;
-    form.target = '_blank';
-
-    const tokenInput = document.createElement('input');
-    tokenInput.type = 'hidden';
-    tokenInput.name = 'token';
-    tokenInput.value = token;
-    form.appendChild(tokenInput);
-
-    const startInput = document.createElement('input');
-    startInput.type = 'hidden';
-    startInput.name = 'startDate';
-    startInput.value = startDate;
-    form.appendChild(startInput);
-
-    const endInput = document.createElement('input');
-    endInput.type = 'hidden';
-    endInput.name = 'endDate';
-    endInput.value = endDate;
-    form.appendChild(endInput);
-
-    document.body.appendChild(form);
-    form.submit();
-    document.body.removeChild(form);
+  downloadDateRange: async (startDate, endDate, combined = false) => {
+    const ticket = await getDownloadTicket('range-markdown');
+    submitDownloadForm(`${API_BASE}/exports/download-range`, {
+      ticket,
+      startDate,
+      endDate,
+      combined: combined ? 'true' : 'false'
+    });
   },
 
-  downloadDateRangePDF: (startDate, endDate) => {
-    const token = localStorage.getItem('authToken');
-    const form = document.createElement('form');
-    form.method = 'POST';
-    form.action = `${API_BASE}/exports/download-range-pdf`;
-    form.target = '_blank';
-
-    const tokenInput = document.createElement('input');
-    tokenInput.type = 'hidden';
-    tokenInput.name = 'token';
-    tokenInput.value = token;
-    form.appendChild(tokenInput);
-
-    const startInput = document.createElement('input');
-    startInput.type = 'hidden';
-    startInput.name = 'startDate';
-    startInput.value = startDate;
-    form.appendChild(startInput);
-
-    const endInput = document.createElement('input');
-    endInput.type = 'hidden';
-    endInput.name = 'endDate';
-    endInput.value = endDate;
-    form.appendChild(endInput);
-
-    document.body.appendChild(form);
-    form.submit();
-    document.body.removeChild(form);
+  downloadDateRangePDF: async (startDate, endDate) => {
+    const ticket = await getDownloadTicket('range-pdf');
+    submitDownloadForm(`${API_BASE}/exports/download-range-pdf`, { ticket, startDate, endDate });
   },
 
   // Profile fields management
@@ -371,6 +602,23 @@ export const api = {
     return response.json();
   },
 
+  // User preferences (timezone, day start hour)
+  getUserSettings: async () => {
+    const response = await fetch(`${API_BASE}/users/settings`, {
+      headers: getAuthHeaders()
+    });
+    return response.json();
+  },
+
+  updateUserSettings: async (settings) => {
+    const response = await fetch(`${API_BASE}/users/settings`, {
+      method: 'PUT',
+      headers: getAuthHeaders(),
+      body: JSON.stringify(settings)
+    });
+    return response.json();
+  },
+
   // User management
   getCurrentUser: async () => {
     const response = await fetch(`${API_BASE}/users/me`, {
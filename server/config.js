@@ -0,0 +1,142 @@
+const path = require('path');
+const fs = require('fs');
+
+require('dotenv').config();
+
+// Central place for environment settings (see .env.example). Everything the server
+// reads from the environment goes through here so it is validated once at startup.
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+// Fallbacks that are fine for local development but must never reach production
+const DEFAULT_JWT_SECRET = 'your-secret-key-change-in-production';
+const DEFAULT_ADMIN_PASSWORD = 'admin123';
+const KNOWN_DEFAULT_SECRETS = [
+  DEFAULT_JWT_SECRET,
+  'change-this-secret-key-in-production',
+  'change-this-secret-key-in-production-min-32-chars',
+  'dev-secret'
+];
+
+// Relative paths are resolved against the project root, as documented in .env.example
+function resolvePath(value, fallback) {
+  if (!value) return fallback;
+  return path.isAbsolute(value) ? value : path.join(ROOT_DIR, value);
+}
+
+function loadConfig(env = process.env) {
+  const errors = [];
+
+  const parseBoolean = (name, fallback) => {
+    const value = env[name];
+    if (value === undefined || value === '') return fallback;
+    if (['true', '1', 'yes'].includes(value.toLowerCase())) return true;
+    if (['false', '0', 'no'].includes(value.toLowerCase())) return false;
+    errors.push(`${name} must be true or false`);
+    return fallback;
+  };
+
+  const parsePositiveNumber = (name, fallback) => {
+    const value = env[name];
+    if (value === undefined || value === '') return fallback;
+    const number = Number(value);
+    if (!Number.isFinite(number) || number <= 0) {
+      errors.push(`${name} must be a positive number`);
+      return fallback;
+    }
+    return number;
+  };
+
+  const nodeEnv = env.NODE_ENV || 'development';
+  const isProduction = nodeEnv === 'production';
+
+  const dataDir = resolvePath(env.DATA_DIR, path.join(ROOT_DIR, 'data'));
+  const databasePath = resolvePath(env.DATABASE_PATH, path.join(dataDir, 'djournal.db'));
+  // Pre-migration backups sit next to the database they copy
+  const backupDir = path.join(path.dirname(databasePath), 'backups');
+  // Markdown copies of saved snapshots (JOURNAL_DIR is the older name used for Docker volumes)
+  const journalPath = resolvePath(env.JOURNAL_PATH || env.JOURNAL_DIR, path.join(ROOT_DIR, 'journal'));
+  if (fs.existsSync(journalPath) && !fs.statSync(journalPath).isDirectory()) {
+    errors.push(`JOURNAL_PATH must be a directory, but ${journalPath} is a file`);
+  }
+
+  const port = parsePositiveNumber('PORT', 8001);
+
+  const jwtSecret = env.JWT_SECRET || DEFAULT_JWT_SECRET;
+  const adminUsername = env.ADMIN_USERNAME || 'admin';
+  const adminPassword = env.ADMIN_PASSWORD || DEFAULT_ADMIN_PASSWORD;
+
+  if (adminPassword.length < 6) {
+    errors.push('ADMIN_PASSWORD must be at least 6 characters long');
+  }
+
+  if (isProduction) {
+    if (KNOWN_DEFAULT_SECRETS.includes(jwtSecret)) {
+      errors.push('JWT_SECRET must be set to your own value in production (generate one with: openssl rand -base64 32)');
+    } else if (jwtSecret.length < 32) {
+      errors.push('JWT_SECRET must be at least 32 characters long in production');
+    }
+    if (adminPassword === DEFAULT_ADMIN_PASSWORD) {
+      errors.push('ADMIN_PASSWORD must be changed from the default in production');
+    }
+  }
+
+  const sessionTimeoutDays = parsePositiveNumber('SESSION_TIMEOUT_DAYS', 7);
+  const maxUploadSizeMb = parsePositiveNumber('MAX_UPLOAD_SIZE', 20);
+  const httpsRedirect = parseBoolean('HTTPS_REDIRECT', false);
+  const debug = parseBoolean('DEBUG', false);
+
+  // Unset means same-origin only; "*" allows any origin
+  const corsOrigins = (env.CORS_ORIGINS || '')
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean);
+
+  return {
+    errors,
+    nodeEnv,
+    isProduction,
+    port,
+    dataDir,
+    databasePath,
+    backupDir,
+    journalPath,
+    jwtSecret,
+    adminUsername,
+    adminPassword,
+    sessionTimeoutDays,
+    corsOrigins,
+    httpsRedirect,
+    maxUploadSizeMb,
+    maxUploadBytes: Math.floor(maxUploadSizeMb * 1024 * 1024),
+    debug
+  };
+}
+
+// Directories the server writes to must exist before the database opens
+function ensureDirectories(config) {
+  [config.dataDir, path.dirname(config.databasePath), config.journalPath].forEach(dir => {
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+  });
+}
+
+const config = loadConfig();
+
+if (config.errors.length > 0) {
+  console.error('❌ Invalid configuration:');
+  config.errors.forEach(error => console.error(`   - ${error}`));
+  process.exit(1);
+}
+
+ensureDirectories(config);
+
+// Verbose request logging (may include journal content), enabled with DEBUG=true
+function debugLog(...args) {
+  if (config.debug) {
+    console.log(...args);
+  }
+}
+
+module.exports = { config, loadConfig, debugLog };
@@ -0,0 +1,94 @@
+const dataAccess = require('./dataAccess');
+const { roundTo, getCounterGoalStatus } = require('./counters');
+const { addDays, getWeekStart } = require('./middleware/date');
+
+// A custom counter's values over a date range: one point per day (days without a
+// stored value count as 0), weekly and monthly sums and averages, and streaks. A day
+// counts towards a streak when it meets the counter's goal, or when anything was
+// logged if the counter has no goal.
+
+// Longest range the history endpoint serves, a little over three years
+const MAX_HISTORY_DAYS = 1100;
+
+function daysBetween(from, to) {
+  return Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / (24 * 60 * 60 * 1000));
+}
+
+function isStreakDay(counter, value) {
+  return counter.goal === null ? value > 0 : getCounterGoalStatus(counter, value).goalMet;
+}
+
+// Sum and per-day average of each group of days, in date order
+function summarizeGroups(daily, keyOf, keyName, counter) {
+  const groups = new Map();
+  daily.forEach(day => {
+    const key = keyOf(day.date);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(day.value);
+  });
+
+  return [...groups.entries()].map(([key, values]) => {
+    const total = values.reduce((sum, value) => sum + value, 0);
+    return {
+      [keyName]: key,
+      days: values.length,
+      total: roundTo(total, counter.decimals),
+      average: roundTo(total / values.length, counter.decimals + 1)
+    };
+  });
+}
+
+// Streaks within the range. The current streak runs back from the last day, except
+// that today doesn't break it before the day is over.
+function getStreaks(counter, daily, today) {
+  let longest = 0;
+  let run = 0;
+  daily.forEach(day => {
+    run = day.streakDay ? run + 1 : 0;
+    longest = Math.max(longest, run);
+  });
+
+  let end = daily.length - 1;
+  if (end >= 0 && daily[end].date === today && !daily[end].streakDay) end--;
+
+  let current = 0;
+  for (let i = end; i >= 0 && daily[i].streakDay; i--) current++;
+
+  return { basis: counter.goal === null ? 'logged' : 'goal', current, longest };
+}
+
+function getCounterHistory(counter, userId, from, to, today) {
+  const stored = new Map(
+    dataAccess.getCustomCounterValues(counter.id, userId, from, to).map(row => [row.date, row.value])
+  );
+
+  const daily = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    const value = stored.get(date) || 0;
+    daily.push({ date, value, streakDay: isStreakDay(counter, value) });
+  }
+
+  const total = daily.reduce((sum, day) => sum + day.value, 0);
+  const best = daily.reduce((top, day) => (day.value > 0 && (!top || day.value > top.value) ? day : top), null);
+
+  return {
+    from,
+    to,
+    daily,
+    weekly: summarizeGroups(daily, getWeekStart, 'weekStart', counter),
+    monthly: summarizeGroups(daily, date => date.slice(0, 7), 'month', counter),
+    summary: {
+      total: roundTo(total, counter.decimals),
+      average: roundTo(total / daily.length, counter.decimals + 1),
+      daysLogged: daily.filter(day => day.value > 0).length,
+      best: best ? { date: best.date, value: best.value } : null
+    },
+    streaks: getStreaks(counter, daily, today)
+  };
+}
+
+module.exports = {
+  MAX_HISTORY_DAYS,
+  daysBetween,
+  getCounterHistory
+};
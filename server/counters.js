@@ -0,0 +1,112 @@
+const { DEFAULT_COUNTER_SETTINGS } = require('./dataAccess');
+
+// Custom counters hold a number per day. Each counter has a unit, a step for the
+// +/- buttons, a number of decimal places, optional bounds and an optional daily
+// goal that is either a target (at least) or a limit (at most).
+
+const GOAL_DIRECTIONS = ['at_least', 'at_most'];
+const MAX_DECIMALS = 3;
+const MAX_UNIT_LENGTH = 20;
+const NUMBER_SETTINGS = { step: 'Step', min: 'Min', max: 'Max', goal: 'Goal' };
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+function roundTo(value, decimals) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+// Merges the given settings over current ones (the defaults for a new counter) and
+// validates the result. Returns { settings } or { error }.
+function parseCounterSettings(input, current = DEFAULT_COUNTER_SETTINGS) {
+  const settings = { ...current };
+
+  if (input.unit !== undefined) {
+    settings.unit = String(input.unit || '').trim();
+    if (settings.unit.length > MAX_UNIT_LENGTH) {
+      return { error: `Unit must be at most ${MAX_UNIT_LENGTH} characters` };
+    }
+  }
+
+  if (input.decimals !== undefined) {
+    if (!Number.isInteger(input.decimals) || input.decimals < 0 || input.decimals > MAX_DECIMALS) {
+      return { error: `Decimals must be a whole number from 0 to ${MAX_DECIMALS}` };
+    }
+    settings.decimals = input.decimals;
+  }
+
+  // Bounds and goal may be cleared with null
+  for (const [key, label] of Object.entries(NUMBER_SETTINGS)) {
+    if (input[key] === undefined) continue;
+    if (input[key] === null && key !== 'step') {
+      settings[key] = null;
+    } else if (!isNumber(input[key])) {
+      return { error: `${label} must be a number` };
+    } else {
+      settings[key] = input[key];
+    }
+  }
+
+  if (input.goalDirection !== undefined) {
+    if (!GOAL_DIRECTIONS.includes(input.goalDirection)) {
+      return { error: 'Goal direction must be "at_least" or "at_most"' };
+    }
+    settings.goalDirection = input.goalDirection;
+  }
+
+  if (settings.step <= 0) {
+    return { error: 'Step must be greater than 0' };
+  }
+  if (roundTo(settings.step, settings.decimals) !== settings.step) {
+    return { error: `Step ${settings.step} needs more than ${settings.decimals} decimal places` };
+  }
+  if (settings.min !== null && settings.max !== null && settings.min >= settings.max) {
+    return { error: 'Min must be less than max' };
+  }
+  if (settings.goal !== null && settings.goal <= 0) {
+    return { error: 'Goal must be greater than 0' };
+  }
+
+  return { settings };
+}
+
+// A value rounded to the counter's decimals and kept within its bounds
+function normalizeCounterValue(counter, value) {
+  let normalized = roundTo(value, counter.decimals);
+  if (counter.min !== null) normalized = Math.max(counter.min, normalized);
+  if (counter.max !== null) normalized = Math.min(counter.max, normalized);
+  return normalized;
+}
+
+function isCounterValueInRange(counter, value) {
+  return (counter.min === null || value >= counter.min) && (counter.max === null || value <= counter.max);
+}
+
+// Progress towards the goal in percent and whether the day meets it. Limits (at most)
+// report how much of the allowance is used, so their progress can pass 100.
+function getCounterGoalStatus(counter, value) {
+  if (counter.goal === null) {
+    return { goalProgress: null, goalMet: null };
+  }
+
+  const progress = Math.floor((value / counter.goal) * 100);
+  if (counter.goalDirection === 'at_most') {
+    return { goalProgress: Math.max(0, progress), goalMet: value <= counter.goal };
+  }
+  return { goalProgress: Math.min(100, Math.max(0, progress)), goalMet: value >= counter.goal };
+}
+
+// "1500 ml", "72.4 kg", "3"
+function formatCounterValue(counter, value) {
+  const number = value.toFixed(counter.decimals);
+  return counter.unit ? `${number} ${counter.unit}` : number;
+}
+
+module.exports = {
+  roundTo,
+  parseCounterSettings,
+  normalizeCounterValue,
+  isCounterValueInRange,
+  getCounterGoalStatus,
+  formatCounterValue
+};
@@ -0,0 +1,196 @@
+const { DEFAULT_FIELD_TEMPLATE } = require('./dataAccess');
+const { normalizeClockTime } = require('./sleep');
+
+// Template fields have a type that decides how their daily value is validated and
+// exported. Values are stored as strings ('' when empty): numbers as written by
+// String(), booleans as "true"/"false", times as HH:MM. Options depend on the type:
+//   number: { unit, min, max }   (min/max may be null)
+//   scale:  { min, max }         (whole numbers, 1 to 5 unless set)
+//   select: { choices }          (at least one)
+
+const FIELD_TYPES = ['text', 'number', 'scale', 'boolean', 'select', 'time'];
+const MAX_UNIT_LENGTH = 20;
+const MAX_CHOICES = 50;
+const MAX_SCALE_STEPS = 20;
+
+const DEFAULT_OPTIONS = {
+  text: {},
+  number: { unit: '', min: null, max: null },
+  scale: { min: 1, max: 5 },
+  boolean: {},
+  select: { choices: [] },
+  time: {}
+};
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+// Options for the type, starting from the current ones when the type is unchanged.
+// Returns { options } or { error }.
+function parseFieldOptions(type, input, current) {
+  const options = { ...DEFAULT_OPTIONS[type], ...current };
+
+  if (type === 'number') {
+    if (input.unit !== undefined) {
+      options.unit = String(input.unit || '').trim();
+      if (options.unit.length > MAX_UNIT_LENGTH) {
+        return { error: `Unit must be at most ${MAX_UNIT_LENGTH} characters` };
+      }
+    }
+    for (const key of ['min', 'max']) {
+      if (input[key] === undefined) continue;
+      if (input[key] !== null && !isNumber(input[key])) {
+        return { error: `${key === 'min' ? 'Min' : 'Max'} must be a number` };
+      }
+      options[key] = input[key];
+    }
+    if (options.min !== null && options.max !== null && options.min >= options.max) {
+      return { error: 'Min must be less than max' };
+    }
+  }
+
+  if (type === 'scale') {
+    for (const key of ['min', 'max']) {
+      if (input[key] === undefined) continue;
+      if (!Number.isInteger(input[key])) {
+        return { error: `Scale ${key} must be a whole number` };
+      }
+      options[key] = input[key];
+    }
+    if (options.min >= options.max) {
+      return { error: 'Scale min must be less than scale max' };
+    }
+    if (options.max - options.min > MAX_SCALE_STEPS) {
+      return { error: `A scale can span at most ${MAX_SCALE_STEPS} steps` };
+    }
+  }
+
+  if (type === 'select') {
+    if (input.choices !== undefined) {
+      if (!Array.isArray(input.choices)) {
+        return { error: 'Choices must be a list' };
+      }
+      const choices = input.choices.map(choice => String(choice).trim()).filter(Boolean);
+      options.choices = choices.filter((choice, index) => choices.indexOf(choice) === index);
+    }
+    if (options.choices.length === 0) {
+      return { error: 'A select field needs at least one choice' };
+    }
+    if (options.choices.length > MAX_CHOICES) {
+      return { error: `A select field can have at most ${MAX_CHOICES} choices` };
+    }
+  }
+
+  return { options };
+}
+
+// Validates a value (a native JSON value or its string form) for the field and
+// returns it as stored: { value } or { error }. null, undefined and '' clear it.
+function normalizeFieldValue(field, input) {
+  if (input === null || input === undefined || (field.type !== 'text' && String(input).trim() === '')) {
+    return { value: '' };
+  }
+
+  const { options } = field;
+  const text = String(input).trim();
+
+  switch (field.type) {
+    case 'number':
+    case 'scale': {
+      const number = typeof input === 'number' ? input : Number(text);
+      if (!Number.isFinite(number)) {
+        return { error: `${field.key} must be a number` };
+      }
+      if (field.type === 'scale' && (!Number.isInteger(number) || number < options.min || number > options.max)) {
+        return { error: `${field.key} must be a whole number from ${options.min} to ${options.max}` };
+      }
+      if (options.min !== null && number < options.min) {
+        return { error: `${field.key} must be at least ${options.min}` };
+      }
+      if (options.max !== null && number > options.max) {
+        return { error: `${field.key} must be at most ${options.max}` };
+      }
+      return { value: String(number) };
+    }
+    case 'boolean':
+      if (input === true || text === 'true') return { value: 'true' };
+      if (input === false || text === 'false') return { value: 'false' };
+      return { error: `${field.key} must be true or false` };
+    case 'select':
+      if (!options.choices.includes(text)) {
+        return { error: `${field.key} must be one of: ${options.choices.join(', ')}` };
+      }
+      return { value: text };
+    case 'time': {
+      const time = normalizeClockTime(text);
+      if (!time) {
+        return { error: `${field.key} must be a time (HH:MM)` };
+      }
+      return { value: time };
+    }
+    default:
+      return { value: String(input) };
+  }
+}
+
+// Merges a type, options and default value over the current definition (plain text
+// for a new field) and validates them. Changing the type starts from that type's
+// default options. Returns { template } or { error }.
+function parseFieldTemplate(key, input, current = DEFAULT_FIELD_TEMPLATE) {
+  const type = input.type !== undefined ? input.type : current.type;
+  if (!FIELD_TYPES.includes(type)) {
+    return { error: `Type must be one of: ${FIELD_TYPES.join(', ')}` };
+  }
+
+  const { options, error } = parseFieldOptions(
+    type,
+    input.options || {},
+    type === current.type ? current.options : {}
+  );
+  if (error) return { error };
+
+  // A default that no longer fits a changed type is dropped
+  let defaultValue = '';
+  if (input.defaultValue !== undefined) {
+    const parsed = normalizeFieldValue({ key: 'Default value', type, options }, input.defaultValue);
+    if (parsed.error) return { error: parsed.error };
+    defaultValue = parsed.value;
+  } else if (current.defaultValue) {
+    const parsed = normalizeFieldValue({ key, type, options }, current.defaultValue);
+    defaultValue = parsed.error ? '' : parsed.value;
+  }
+
+  return { template: { type, options, defaultValue } };
+}
+
+// The stored string as a number or boolean for typed fields, or null when empty.
+// Values that don't fit the type (kept from before it was changed) stay strings.
+function toNativeValue(field, value) {
+  if (value === '') return null;
+
+  if (field.type === 'number' || field.type === 'scale') {
+    const number = Number(value);
+    return Number.isFinite(number) ? number : value;
+  }
+  if (field.type === 'boolean' && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+}
+
+// "72.5 kg", "4/5", "Yes"
+function formatFieldValue(field) {
+  const value = toNativeValue(field, field.value);
+
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (typeof value === 'number' && field.type === 'scale') return `${value}/${field.options.max}`;
+  if (typeof value === 'number' && field.options.unit) return `${value} ${field.options.unit}`;
+  return String(value);
+}
+
+module.exports = {
+  FIELD_TYPES,
+  parseFieldTemplate,
+  normalizeFieldValue,
+  toNativeValue,
+  formatFieldValue
+};
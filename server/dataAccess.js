@@ -67,33 +67,87 @@ function getProfileFields(userId) {
   return fields;
 }
 
+function getProfileField(userId, key) {
+  return db.prepare('SELECT key, value FROM profile_fields WHERE user_id = ? AND key = ?').get(userId, key);
+}
+
 function setProfileField(userId, key, value) {
-  db.prepare(`
-    INSERT INTO profile_fields (user_id, key, value)
-    VALUES (?, ?, ?)
-    ON CONFLICT(user_id, key) DO UPDATE SET value = excluded.value
-  `).run(userId, key, value);
+  db.transaction(() => {
+    const previous = getProfileField(userId, key);
+    if (previous && previous.value && previous.value !== value) {
+      recordRevision(userId, 'profile_field', key, 'update', previous);
+    }
+    db.prepare(`
+      INSERT INTO profile_fields (user_id, key, value)
+      VALUES (?, ?, ?)
+      ON CONFLICT(user_id, key) DO UPDATE SET value = excluded.value
+    `).run(userId, key, value);
+  })();
 }
 
 function deleteProfileField(userId, key) {
-  db.prepare('DELETE FROM profile_fields WHERE user_id = ? AND key = ?').run(userId, key);
+  db.transaction(() => {
+    const previous = getProfileField(userId, key);
+    if (previous) {
+      recordRevision(userId, 'profile_field', key, 'delete', previous);
+    }
+    db.prepare('DELETE FROM profile_fields WHERE user_id = ? AND key = ?').run(userId, key);
+  })();
 }
 
 // ============================================================================
 // CUSTOM FIELD TEMPLATES
 // ============================================================================
 
+function parseCustomFieldTemplate(row) {
+  return {
+    id: row.id,
+    key: row.key,
+    type: row.type,
+    options: row.options ? JSON.parse(row.options) : {},
+    defaultValue: row.default_value || '',
+    category: row.category || '',
+    archived: Boolean(row.archived)
+  };
+}
+
+const FIELD_TEMPLATE_COLUMNS = 'id, key, type, options, default_value, category, archived';
+
 function getCustomFieldTemplates(userId) {
-  return db.prepare('SELECT id, key FROM custom_field_templates WHERE user_id = ?').all(userId);
+  return db.prepare(
+    `SELECT ${FIELD_TEMPLATE_COLUMNS} FROM custom_field_templates WHERE user_id = ? ORDER BY sort_order, id`
+  ).all(userId).map(parseCustomFieldTemplate);
 }
 
-function createCustomFieldTemplate(userId, key) {
+function getCustomFieldTemplateById(id, userId) {
+  const row = db.prepare(
+    `SELECT ${FIELD_TEMPLATE_COLUMNS} FROM custom_field_templates WHERE id = ? AND user_id = ?`
+  ).get(id, userId);
+  return row ? parseCustomFieldTemplate(row) : undefined;
+}
+
+// A template created without a definition is a plain text field
+const DEFAULT_FIELD_TEMPLATE = {
+  type: 'text',
+  options: {},
+  defaultValue: ''
+};
+
+function createCustomFieldTemplate(userId, key, template = {}) {
+  const { type, options, defaultValue } = { ...DEFAULT_FIELD_TEMPLATE, ...template };
   const result = db.prepare(
-    'INSERT INTO custom_field_templates (user_id, key) VALUES (?, ?)'
-  ).run(userId, key);
+    'INSERT INTO custom_field_templates (user_id, key, type, options, default_value, sort_order) VALUES (?, ?, ?, ?, ?, ?)'
+  ).run(userId, key, type, JSON.stringify(options), defaultValue || null, getNextSortOrder('fields', userId));
   return result.lastInsertRowid;
 }
 
+function updateCustomFieldTemplate(id, userId, template) {
+  const result = db.prepare(
+    'UPDATE custom_field_templates SET type = ?, options = ?, default_value = ? WHERE id = ? AND user_id = ?'
+  ).run(template.type, JSON.stringify(template.options), template.defaultValue || null, id, userId);
+  return result.changes > 0;
+}
+
 function deleteCustomFieldTemplate(userId, key) {
   db.prepare('DELETE FROM custom_field_templates WHERE user_id = ? AND key = ?').run(userId, key);
 }
@@ -102,92 +156,394 @@ function deleteCustomFieldTemplate(userId, key) {
 // TIME SINCE TRACKERS
 // ============================================================================
 
+// milestones is null when the tracker uses the default milestones
+function parseTimeSinceTracker(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    date: row.date,
+    milestones: row.milestones ? JSON.parse(row.milestones) : null,
+    milestonesSetAt: row.milestones_set_at,
+    category: row.category || '',
+    archived: Boolean(row.archived)
+  };
+}
+
+const TIME_SINCE_COLUMNS = 'id, name, date, milestones, milestones_set_at, category, archived';
+
 function getTimeSinceTrackers(userId) {
-  return db.prepare('SELECT id, name, date FROM time_since_trackers WHERE user_id = ?').all(userId);
+  return db.prepare(
+    `SELECT ${TIME_SINCE_COLUMNS} FROM time_since_trackers WHERE user_id = ? ORDER BY sort_order, id`
+  ).all(userId).map(parseTimeSinceTracker);
 }
 
 function createTimeSinceTracker(userId, name, date) {
   const result = db.prepare(
-    'INSERT INTO time_since_trackers (user_id, name, date) VALUES (?, ?, ?)'
-  ).run(userId, name, date);
+    'INSERT INTO time_since_trackers (user_id, name, date, milestones_set_at, sort_order) VALUES (?, ?, ?, ?, ?)'
+  ).run(userId, name, date, new Date().toISOString(), getNextSortOrder('time-since', userId));
   return result.lastInsertRowid;
 }
 
-function deleteTimeSinceTracker(id) {
-  db.prepare('DELETE FROM time_since_trackers WHERE id = ?').run(id);
+function getTimeSinceTrackerById(id, userId) {
+  const row = db.prepare(
+    `SELECT ${TIME_SINCE_COLUMNS} FROM time_since_trackers WHERE id = ? AND user_id = ?`
+  ).get(id, userId);
+  return row ? parseTimeSinceTracker(row) : undefined;
+}
+
+// Pass null to go back to the default milestones
+function setTimeSinceMilestones(id, userId, milestones) {
+  const result = db.prepare(
+    'UPDATE time_since_trackers SET milestones = ?, milestones_set_at = ? WHERE id = ? AND user_id = ?'
+  ).run(milestones ? JSON.stringify(milestones) : null, new Date().toISOString(), id, userId);
+  return result.changes > 0;
+}
+
+// Mutations by id are scoped to the owner and return false when nothing matched
+function deleteTimeSinceTracker(id, userId) {
+  return db.transaction(() => {
+    const result = db.prepare('DELETE FROM time_since_trackers WHERE id = ? AND user_id = ?').run(id, userId);
+    if (result.changes === 0) return false;
+    db.prepare('DELETE FROM time_since_resets WHERE tracker_id = ? AND user_id = ?').run(id, userId);
+    db.prepare('DELETE FROM time_since_milestone_events WHERE tracker_id = ? AND user_id = ?').run(id, userId);
+    return true;
+  })();
+}
+
+// Archive the current run (tracker date up to resetAt) and start a new one at resetAt
+function resetTimeSinceTracker(id, userId, resetAt) {
+  return db.transaction(() => {
+    const tracker = getTimeSinceTrackerById(id, userId);
+    if (!tracker) return false;
+    db.prepare(
+      'INSERT INTO time_since_resets (tracker_id, user_id, started_at, ended_at) VALUES (?, ?, ?, ?)'
+    ).run(id, userId, tracker.date, resetAt);
+    // The new run is watched for milestones from now on
+    db.prepare('UPDATE time_since_trackers SET date = ?, milestones_set_at = ? WHERE id = ? AND user_id = ?')
+      .run(resetAt, new Date().toISOString(), id, userId);
+    return true;
+  })();
+}
+
+// Past intervals, oldest first (all of the user's trackers unless trackerId is given)
+function getTimeSinceResets(userId, trackerId = null) {
+  return db.prepare(`
+    SELECT id, tracker_id, started_at, ended_at FROM time_since_resets
+    WHERE user_id = @userId AND (@trackerId IS NULL OR tracker_id = @trackerId)
+    ORDER BY ended_at ASC, id ASC
+  `).all({ userId, trackerId }).map(row => ({
+    id: row.id,
+    trackerId: row.tracker_id,
+    startedAt: row.started_at,
+    endedAt: row.ended_at
+  }));
+}
+
+// ============================================================================
+// MILESTONE EVENTS
+// ============================================================================
+
+// One event per milestone per run; recording the same one again is a no-op
+function recordMilestoneEvent(trackerId, userId, milestone, runStartedAt, reachedAt, seen = false) {
+  const result = db.prepare(`
+    INSERT OR IGNORE INTO time_since_milestone_events
+      (tracker_id, user_id, milestone, run_started_at, reached_at, seen)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(trackerId, userId, milestone, runStartedAt, reachedAt, seen ? 1 : 0);
+  return result.changes > 0;
+}
+
+// Events not yet dismissed, newest first, with the tracker's name
+function getUnseenMilestoneEvents(userId) {
+  return db.prepare(`
+    SELECT e.id, e.tracker_id, t.name AS tracker_name, e.milestone, e.reached_at
+    FROM time_since_milestone_events e
+    JOIN time_since_trackers t ON t.id = e.tracker_id
+    WHERE e.user_id = ? AND e.seen = 0
+    ORDER BY e.reached_at DESC, e.id DESC
+  `).all(userId).map(row => ({
+    id: row.id,
+    trackerId: row.tracker_id,
+    trackerName: row.tracker_name,
+    milestone: row.milestone,
+    reachedAt: row.reached_at
+  }));
+}
+
+function markMilestoneEventSeen(id, userId) {
+  const result = db.prepare(
+    'UPDATE time_since_milestone_events SET seen = 1 WHERE id = ? AND user_id = ?'
+  ).run(id, userId);
+  return result.changes > 0;
+}
+
+function markAllMilestoneEventsSeen(userId) {
+  db.prepare('UPDATE time_since_milestone_events SET seen = 1 WHERE user_id = ? AND seen = 0').run(userId);
 }
 
 // ============================================================================
 // DURATION TRACKERS
 // ============================================================================
 
+// Running state comes from the tracker's open timer session
 function getDurationTrackers(userId) {
   return db.prepare(`
-    SELECT id, name, type, is_running, start_time, elapsed_ms, value
-    FROM duration_trackers WHERE user_id = ?
+    SELECT t.id, t.name, t.type, t.category, t.archived, s.start_time AS running_since
+    FROM duration_trackers t
+    LEFT JOIN timer_sessions s ON s.tracker_id = t.id AND s.end_time IS NULL
+    WHERE t.user_id = ?
+    ORDER BY t.sort_order, t.id
   `).all(userId).map(row => ({
-    ...row,
-    isRunning: Boolean(row.is_running),
-    startTime: row.start_time,
-    elapsedMs: row.elapsed_ms
+    id: row.id,
+    name: row.name,
+    type: row.type,
+    category: row.category || '',
+    archived: Boolean(row.archived),
+    isRunning: Boolean(row.running_since),
+    runningSince: row.running_since
   }));
 }
 
-function createDurationTracker(userId, name) {
+// type is 'timer' (start/stop sessions) or 'counter' (minutes logged per day)
+function createDurationTracker(userId, name, type = 'timer') {
   const result = db.prepare(
-    'INSERT INTO duration_trackers (user_id, name, type) VALUES (?, ?, ?)'
-  ).run(userId, name, 'timer');
+    'INSERT INTO duration_trackers (user_id, name, type, sort_order) VALUES (?, ?, ?, ?)'
+  ).run(userId, name, type, getNextSortOrder('duration', userId));
   return result.lastInsertRowid;
 }
 
-function updateDurationTracker(id, updates) {
-  const fields = [];
-  const values = [];
+function getDurationTrackerById(id, userId) {
+  return getDurationTrackers(userId).find(tracker => tracker.id === id);
+}
 
-  if (updates.isRunning !== undefined) {
-    fields.push('is_running = ?');
-    values.push(updates.isRunning ? 1 : 0);
-  }
-  if (updates.startTime !== undefined) {
-    fields.push('start_time = ?');
-    values.push(updates.startTime);
-  }
-  if (updates.elapsedMs !== undefined) {
-    fields.push('elapsed_ms = ?');
-    values.push(updates.elapsedMs);
-  }
-  if (updates.value !== undefined) {
-    fields.push('value = ?');
-    values.push(updates.value);
-  }
+function deleteDurationTracker(id, userId) {
+  return db.transaction(() => {
+    const result = db.prepare('DELETE FROM duration_trackers WHERE id = ? AND user_id = ?').run(id, userId);
+    if (result.changes === 0) return false;
+    db.prepare('DELETE FROM timer_sessions WHERE tracker_id = ? AND user_id = ?').run(id, userId);
+    db.prepare('DELETE FROM duration_minutes WHERE tracker_id = ? AND user_id = ?').run(id, userId);
+    return true;
+  })();
+}
 
-  if (fields.length === 0) return;
+// ============================================================================
+// TIMER SESSIONS
+// ============================================================================
 
-  values.push(id);
-  db.prepare(`UPDATE duration_trackers SET ${fields.join(', ')} WHERE id = ?`).run(...values);
+// Start and end times are ISO strings; end_time is null while the timer runs
+function parseTimerSession(row) {
+  return {
+    id: row.id,
+    trackerId: row.tracker_id,
+    startTime: row.start_time,
+    endTime: row.end_time
+  };
 }
 
-function deleteDurationTracker(id) {
-  db.prepare('DELETE FROM duration_trackers WHERE id = ?').run(id);
+// Sessions overlapping [from, to), oldest first. Without bounds, all of them.
+function getTimerSessions(trackerId, userId, from = null, to = null) {
+  return db.prepare(`
+    SELECT id, tracker_id, start_time, end_time FROM timer_sessions
+    WHERE tracker_id = @trackerId AND user_id = @userId
+      AND (@to IS NULL OR start_time < @to)
+      AND (@from IS NULL OR end_time IS NULL OR end_time > @from)
+    ORDER BY start_time ASC, id ASC
+  `).all({ trackerId, userId, from, to }).map(parseTimerSession);
+}
+
+// Sessions of all of a user's timers overlapping [from, to)
+function getUserTimerSessions(userId, from, to) {
+  return db.prepare(`
+    SELECT id, tracker_id, start_time, end_time FROM timer_sessions
+    WHERE user_id = @userId AND start_time < @to AND (end_time IS NULL OR end_time > @from)
+    ORDER BY start_time ASC, id ASC
+  `).all({ userId, from, to }).map(parseTimerSession);
+}
+
+function getTimerSessionById(id, userId) {
+  const row = db.prepare(
+    'SELECT id, tracker_id, start_time, end_time FROM timer_sessions WHERE id = ? AND user_id = ?'
+  ).get(id, userId);
+  return row ? parseTimerSession(row) : null;
+}
+
+// Opens a session unless the timer is already running
+function startTimerSession(trackerId, userId, startTime) {
+  db.prepare(`
+    INSERT INTO timer_sessions (tracker_id, user_id, start_time)
+    SELECT id, user_id, ? FROM duration_trackers
+    WHERE id = ? AND user_id = ?
+      AND NOT EXISTS (SELECT 1 FROM timer_sessions WHERE tracker_id = ? AND end_time IS NULL)
+  `).run(startTime, trackerId, userId, trackerId);
+}
+
+function stopTimerSession(trackerId, userId, endTime) {
+  db.prepare(
+    'UPDATE timer_sessions SET end_time = ? WHERE tracker_id = ? AND user_id = ? AND end_time IS NULL'
+  ).run(endTime, trackerId, userId);
+}
+
+function createTimerSession(trackerId, userId, startTime, endTime) {
+  const result = db.prepare(
+    'INSERT INTO timer_sessions (tracker_id, user_id, start_time, end_time) VALUES (?, ?, ?, ?)'
+  ).run(trackerId, userId, startTime, endTime);
+  return result.lastInsertRowid;
+}
+
+function updateTimerSession(id, userId, startTime, endTime) {
+  const result = db.prepare(
+    'UPDATE timer_sessions SET start_time = ?, end_time = ? WHERE id = ? AND user_id = ?'
+  ).run(startTime, endTime, id, userId);
+  return result.changes > 0;
+}
+
+function deleteTimerSession(id, userId) {
+  const result = db.prepare('DELETE FROM timer_sessions WHERE id = ? AND user_id = ?').run(id, userId);
+  return result.changes > 0;
+}
+
+// Whether [startTime, endTime) collides with another session of the tracker
+// (a null endTime means the session is still running)
+function hasOverlappingTimerSession(trackerId, userId, startTime, endTime, excludeId = null) {
+  return Boolean(db.prepare(`
+    SELECT 1 FROM timer_sessions
+    WHERE tracker_id = @trackerId AND user_id = @userId AND id IS NOT @excludeId
+      AND (@endTime IS NULL OR start_time < @endTime)
+      AND (end_time IS NULL OR end_time > @startTime)
+    LIMIT 1
+  `).get({ trackerId, userId, startTime, endTime, excludeId }));
+}
+
+// Cut [from, to) out of a tracker's sessions, trimming or splitting the ones that
+// straddle the edges. A running session keeps running only if it reaches past the window.
+function removeTimerTime(trackerId, userId, from, to) {
+  const now = new Date().toISOString();
+  db.transaction(() => {
+    getTimerSessions(trackerId, userId, from, to).forEach(session => {
+      const keepsBefore = session.startTime < from;
+      const keepsAfter = (session.endTime || now) > to;
+
+      if (keepsBefore && keepsAfter) {
+        updateTimerSession(session.id, userId, session.startTime, from);
+        createTimerSession(trackerId, userId, to, session.endTime);
+      } else if (keepsBefore) {
+        updateTimerSession(session.id, userId, session.startTime, from);
+      } else if (keepsAfter) {
+        updateTimerSession(session.id, userId, to, session.endTime);
+      } else {
+        deleteTimerSession(session.id, userId);
+      }
+    });
+  })();
+}
+
+// ============================================================================
+// DURATION MINUTES
+// ============================================================================
+
+function getDurationMinutes(trackerId, userId, date) {
+  const row = db.prepare(
+    'SELECT minutes FROM duration_minutes WHERE tracker_id = ? AND user_id = ? AND date = ?'
+  ).get(trackerId, userId, date);
+  return row ? row.minutes : 0;
+}
+
+// [{ date, minutes }] between two dates (inclusive), oldest first
+function getDurationMinutesInRange(trackerId, userId, from, to) {
+  return db.prepare(`
+    SELECT date, minutes FROM duration_minutes
+    WHERE tracker_id = ? AND user_id = ? AND date BETWEEN ? AND ?
+    ORDER BY date
+  `).all(trackerId, userId, from, to);
+}
+
+// Setting 0 removes the day's row. Only writes when the tracker belongs to userId.
+function setDurationMinutes(trackerId, userId, date, minutes) {
+  if (minutes === 0) {
+    db.prepare('DELETE FROM duration_minutes WHERE tracker_id = ? AND user_id = ? AND date = ?').run(trackerId, userId, date);
+    return;
+  }
+
+  db.prepare(`
+    INSERT INTO duration_minutes (tracker_id, user_id, date, minutes)
+    SELECT id, user_id, ?, ? FROM duration_trackers WHERE id = ? AND user_id = ?
+    ON CONFLICT(tracker_id, date) DO UPDATE SET minutes = excluded.minutes
+  `).run(date, minutes, trackerId, userId);
 }
 
 // ============================================================================
 // CUSTOM COUNTERS
 // ============================================================================
 
+const CUSTOM_COUNTER_COLUMNS =
+  'id, name, unit, step, decimals, min_value, max_value, goal, goal_direction, category, archived';
+
+function parseCustomCounter(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    unit: row.unit || '',
+    step: row.step,
+    decimals: row.decimals,
+    min: row.min_value,
+    max: row.max_value,
+    goal: row.goal,
+    goalDirection: row.goal_direction,
+    category: row.category || '',
+    archived: Boolean(row.archived)
+  };
+}
+
 function getCustomCounters(userId) {
-  return db.prepare('SELECT id, name FROM custom_counters WHERE user_id = ?').all(userId);
+  return db.prepare(`SELECT ${CUSTOM_COUNTER_COLUMNS} FROM custom_counters WHERE user_id = ? ORDER BY sort_order, id`)
+    .all(userId).map(parseCustomCounter);
 }
 
-function createCustomCounter(userId, name) {
-  const result = db.prepare(
-    'INSERT INTO custom_counters (user_id, name) VALUES (?, ?)'
-  ).run(userId, name);
+// Settings of a counter created without any: whole numbers, steps of 1, never below 0
+const DEFAULT_COUNTER_SETTINGS = {
+  unit: '',
+  step: 1,
+  decimals: 0,
+  min: 0,
+  max: null,
+  goal: null,
+  goalDirection: 'at_least'
+};
+
+function createCustomCounter(userId, name, settings = {}) {
+  const { unit, step, decimals, min, max, goal, goalDirection } = { ...DEFAULT_COUNTER_SETTINGS, ...settings };
+  const result = db.prepare(`
+    INSERT INTO custom_counters (user_id, name, unit, step, decimals, min_value, max_value, goal, goal_direction, sort_order)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(userId, name, unit || null, step, decimals, min, max, goal, goalDirection, getNextSortOrder('counters', userId));
   return result.lastInsertRowid;
 }
 
-function deleteCustomCounter(id) {
-  db.prepare('DELETE FROM custom_counters WHERE id = ?').run(id);
+function getCustomCounterById(id, userId) {
+  const row = db.prepare(`SELECT ${CUSTOM_COUNTER_COLUMNS} FROM custom_counters WHERE id = ? AND user_id = ?`)
+    .get(id, userId);
+  return row ? parseCustomCounter(row) : undefined;
+}
+
+function updateCustomCounterSettings(id, userId, settings) {
+  const result = db.prepare(`
+    UPDATE custom_counters
+    SET unit = ?, step = ?, decimals = ?, min_value = ?, max_value = ?, goal = ?, goal_direction = ?
+    WHERE id = ? AND user_id = ?
+  `).run(
+    settings.unit || null, settings.step, settings.decimals, settings.min, settings.max,
+    settings.goal, settings.goalDirection, id, userId
+  );
+  return result.changes > 0;
+}
+
+function deleteCustomCounter(id, userId) {
+  return db.transaction(() => {
+    const result = db.prepare('DELETE FROM custom_counters WHERE id = ? AND user_id = ?').run(id, userId);
+    if (result.changes === 0) return false;
+    db.prepare('DELETE FROM custom_counter_values WHERE counter_id = ? AND user_id = ?').run(id, userId);
+    return true;
+  })();
 }
 
 function getCustomCounterValue(counterId, date) {
@@ -197,12 +553,70 @@ function getCustomCounterValue(counterId, date) {
   return row ? row.value : 0;
 }
 
+// Stored values between two dates (inclusive), oldest first. Days without a row are 0.
+function getCustomCounterValues(counterId, userId, from, to) {
+  return db.prepare(`
+    SELECT date, value FROM custom_counter_values
+    WHERE counter_id = ? AND user_id = ? AND date BETWEEN ? AND ?
+    ORDER BY date
+  `).all(counterId, userId, from, to);
+}
+
+// Only writes when the counter belongs to userId
 function setCustomCounterValue(counterId, userId, date, value) {
-  db.prepare(`
+  const result = db.prepare(`
     INSERT INTO custom_counter_values (counter_id, user_id, date, value)
-    VALUES (?, ?, ?, ?)
+    SELECT id, user_id, ?, ? FROM custom_counters WHERE id = ? AND user_id = ?
     ON CONFLICT(counter_id, date) DO UPDATE SET value = excluded.value
-  `).run(counterId, userId, date, value);
+  `).run(date, value, counterId, userId);
+  return result.changes > 0;
+}
+
+// ============================================================================
+// ITEM ORGANIZATION
+// ============================================================================
+
+// Trackers, counters and template fields share a sort order, a category and an
+// archived flag; kinds are the names used in the API
+const ITEM_TABLES = {
+  'time-since': 'time_since_trackers',
+  duration: 'duration_trackers',
+  counters: 'custom_counters',
+  fields: 'custom_field_templates'
+};
+
+const ITEM_KINDS = Object.keys(ITEM_TABLES);
+
+// New items go to the end of the list
+function getNextSortOrder(kind, userId) {
+  return db.prepare(`SELECT COALESCE(MAX(sort_order), 0) + 1 AS next FROM ${ITEM_TABLES[kind]} WHERE user_id = ?`)
+    .get(userId).next;
+}
+
+// Sorts the given items in the order given. False (and nothing changes) if any of
+// them isn't the user's.
+function setItemOrder(kind, userId, ids) {
+  const table = ITEM_TABLES[kind];
+  const ownIds = db.prepare(`SELECT id FROM ${table} WHERE user_id = ?`).all(userId).map(row => row.id);
+  if (!ids.every(id => ownIds.includes(id))) return false;
+
+  const update = db.prepare(`UPDATE ${table} SET sort_order = ? WHERE id = ? AND user_id = ?`);
+  db.transaction(() => {
+    ids.forEach((id, index) => update.run(index + 1, id, userId));
+  })();
+  return true;
+}
+
+function getItemOrganization(kind, id, userId) {
+  const row = db.prepare(`SELECT category, archived FROM ${ITEM_TABLES[kind]} WHERE id = ? AND user_id = ?`)
+    .get(id, userId);
+  return row ? { category: row.category || '', archived: Boolean(row.archived) } : undefined;
+}
+
+function updateItemOrganization(kind, id, userId, { category, archived }) {
+  const result = db.prepare(`UPDATE ${ITEM_TABLES[kind]} SET category = ?, archived = ? WHERE id = ? AND user_id = ?`)
+    .run(category || null, archived ? 1 : 0, id, userId);
+  return result.changes > 0;
 }
 
 // ============================================================================
@@ -241,21 +655,57 @@ function getDailyCustomFields(userId, date) {
   }));
 }
 
+function getDailyCustomField(userId, date, key) {
+  return db.prepare(
+    'SELECT id, date, key, value, is_template FROM daily_custom_fields WHERE user_id = ? AND date = ? AND key = ?'
+  ).get(userId, date, key);
+}
+
+// Revisions of a daily field are keyed by "<date>/<key>"
+function recordDailyCustomFieldRevision(userId, row, action) {
+  recordRevision(userId, 'daily_custom_field', `${row.date}/${row.key}`, action, {
+    date: row.date,
+    key: row.key,
+    value: row.value,
+    isTemplate: Boolean(row.is_template)
+  });
+}
+
 function setDailyCustomField(userId, date, key, value, isTemplate = true) {
-  db.prepare(`
-    INSERT INTO daily_custom_fields (user_id, date, key, value, is_template)
-    VALUES (?, ?, ?, ?, ?)
-    ON CONFLICT(user_id, date, key) DO UPDATE SET value = excluded.value
-  `).run(userId, date, key, value, isTemplate ? 1 : 0);
+  db.transaction(() => {
+    const previous = getDailyCustomField(userId, date, key);
+    if (previous && previous.value && previous.value !== value) {
+      recordDailyCustomFieldRevision(userId, previous, 'update');
+    }
+    db.prepare(`
+      INSERT INTO daily_custom_fields (user_id, date, key, value, is_template)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(user_id, date, key) DO UPDATE SET value = excluded.value
+    `).run(userId, date, key, value, isTemplate ? 1 : 0);
+  })();
 }
 
 function deleteDailyCustomField(userId, date, key) {
-  db.prepare('DELETE FROM daily_custom_fields WHERE user_id = ? AND date = ? AND key = ?')
-    .run(userId, date, key);
+  db.transaction(() => {
+    const previous = getDailyCustomField(userId, date, key);
+    if (previous) {
+      recordDailyCustomFieldRevision(userId, previous, 'delete');
+    }
+    db.prepare('DELETE FROM daily_custom_fields WHERE user_id = ? AND date = ? AND key = ?')
+      .run(userId, date, key);
+  })();
 }
 
-function deleteDailyCustomFieldById(id) {
-  db.prepare('DELETE FROM daily_custom_fields WHERE id = ?').run(id);
+function deleteDailyCustomFieldById(id, userId) {
+  return db.transaction(() => {
+    const previous = db.prepare(
+      'SELECT id, date, key, value, is_template FROM daily_custom_fields WHERE id = ? AND user_id = ?'
+    ).get(id, userId);
+    if (!previous) return false;
+    recordDailyCustomFieldRevision(userId, previous, 'delete');
+    db.prepare('DELETE FROM daily_custom_fields WHERE id = ? AND user_id = ?').run(id, userId);
+    return true;
+  })();
 }
 
 // ============================================================================
@@ -271,19 +721,21 @@ function getDailyTasks(userId, date) {
     }));
 }
 
-function createDailyTask(userId, date, text) {
+function createDailyTask(userId, date, text, done = false) {
   const result = db.prepare(
-    'INSERT INTO daily_tasks (user_id, date, text) VALUES (?, ?, ?)'
-  ).run(userId, date, text);
+    'INSERT INTO daily_tasks (user_id, date, text, done) VALUES (?, ?, ?, ?)'
+  ).run(userId, date, text, done ? 1 : 0);
   return result.lastInsertRowid;
 }
 
-function toggleDailyTask(id) {
-  db.prepare('UPDATE daily_tasks SET done = NOT done WHERE id = ?').run(id);
+function toggleDailyTask(id, userId) {
+  const result = db.prepare('UPDATE daily_tasks SET done = NOT done WHERE id = ? AND user_id = ?').run(id, userId);
+  return result.changes > 0;
 }
 
-function deleteDailyTask(id) {
-  db.prepare('DELETE FROM daily_tasks WHERE id = ?').run(id);
+function deleteDailyTask(id, userId) {
+  const result = db.prepare('DELETE FROM daily_tasks WHERE id = ? AND user_id = ?').run(id, userId);
+  return result.changes > 0;
 }
 
 // ============================================================================
@@ -291,19 +743,232 @@ function deleteDailyTask(id) {
 // ============================================================================
 
 function getActivityEntries(userId, date) {
-  return db.prepare('SELECT id, text, timestamp FROM activity_entries WHERE user_id = ? AND date = ?')
-    .all(userId, date);
+  return db.prepare(`
+    SELECT id, text, timestamp FROM activity_entries
+    WHERE user_id = ? AND date = ?
+    ORDER BY timestamp ASC, id ASC
+  `).all(userId, date);
+}
+
+function getActivityEntryById(id, userId) {
+  return db.prepare('SELECT id, date, text, timestamp FROM activity_entries WHERE id = ? AND user_id = ?')
+    .get(id, userId);
+}
+
+function createActivityEntry(userId, date, text, timestamp = null) {
+  // Without an explicit timestamp the column default (CURRENT_TIMESTAMP) applies
+  const result = timestamp
+    ? db.prepare(
+      'INSERT INTO activity_entries (user_id, date, text, timestamp) VALUES (?, ?, ?, ?)'
+    ).run(userId, date, text, timestamp)
+    : db.prepare(
+      'INSERT INTO activity_entries (user_id, date, text) VALUES (?, ?, ?)'
+    ).run(userId, date, text);
+  return result.lastInsertRowid;
+}
+
+function updateActivityEntry(id, userId, updates) {
+  const fields = [];
+  const values = [];
+
+  if (updates.text !== undefined) {
+    fields.push('text = ?');
+    values.push(updates.text);
+  }
+  if (updates.timestamp !== undefined) {
+    fields.push('timestamp = ?');
+    values.push(updates.timestamp);
+  }
+
+  if (fields.length === 0) return false;
+
+  values.push(id, userId);
+  return db.transaction(() => {
+    const previous = getActivityEntryById(id, userId);
+    if (!previous) return false;
+    const changed = (
+      (updates.text !== undefined && updates.text !== previous.text) ||
+      (updates.timestamp !== undefined && updates.timestamp !== previous.timestamp)
+    );
+    if (changed) {
+      recordRevision(userId, 'activity_entry', id, 'update', previous);
+    }
+    db.prepare(`UPDATE activity_entries SET ${fields.join(', ')} WHERE id = ? AND user_id = ?`).run(...values);
+    return true;
+  })();
+}
+
+function deleteActivityEntry(id, userId) {
+  return db.transaction(() => {
+    const previous = getActivityEntryById(id, userId);
+    if (!previous) return false;
+    recordRevision(userId, 'activity_entry', id, 'delete', previous);
+    db.prepare('DELETE FROM entry_attachments WHERE entry_id = ? AND user_id = ?').run(id, userId);
+    db.prepare('DELETE FROM activity_entries WHERE id = ? AND user_id = ?').run(id, userId);
+    return true;
+  })();
+}
+
+// ============================================================================
+// ENTRY ATTACHMENTS
+// ============================================================================
+
+function createEntryAttachment(entryId, userId, mimeType, data, thumbnail) {
+  db.prepare(`
+    INSERT INTO entry_attachments (entry_id, user_id, mime_type, data, thumbnail)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(entryId, userId, mimeType, data, thumbnail);
+}
+
+function getEntryAttachment(entryId, userId) {
+  return db.prepare(
+    'SELECT mime_type, data, thumbnail FROM entry_attachments WHERE entry_id = ? AND user_id = ?'
+  ).get(entryId, userId);
+}
+
+// Ids of a day's entries that have an image attached
+function getEntryIdsWithAttachments(userId, date) {
+  return db.prepare(`
+    SELECT a.entry_id FROM entry_attachments a
+    JOIN activity_entries e ON e.id = a.entry_id
+    WHERE a.user_id = ? AND e.date = ?
+  `).all(userId, date).map(row => row.entry_id);
 }
 
-function createActivityEntry(userId, date, text) {
+// ============================================================================
+// DATE RANGES
+// ============================================================================
+
+// Dates in [startDate, endDate] that have any per-day data, oldest first
+function getDatesWithData(userId, startDate, endDate) {
+  return db.prepare(`
+    SELECT date FROM daily_state WHERE user_id = @userId AND date BETWEEN @startDate AND @endDate
+    UNION
+    SELECT date FROM daily_tasks WHERE user_id = @userId AND date BETWEEN @startDate AND @endDate
+    UNION
+    SELECT date FROM activity_entries WHERE user_id = @userId AND date BETWEEN @startDate AND @endDate
+    UNION
+    SELECT date FROM daily_custom_fields WHERE user_id = @userId AND date BETWEEN @startDate AND @endDate
+    UNION
+    SELECT date FROM custom_counter_values WHERE user_id = @userId AND date BETWEEN @startDate AND @endDate
+    UNION
+    SELECT date FROM duration_minutes WHERE user_id = @userId AND date BETWEEN @startDate AND @endDate
+    UNION
+    SELECT date FROM sleep_naps WHERE user_id = @userId AND date BETWEEN @startDate AND @endDate
+    UNION
+    SELECT date FROM health_metrics WHERE user_id = @userId AND date BETWEEN @startDate AND @endDate
+    ORDER BY date ASC
+  `).all({ userId, startDate, endDate }).map(row => row.date);
+}
+
+// ============================================================================
+// SLEEP
+// ============================================================================
+
+// Bedtime (the night before) and wake time live in daily_state with the rating
+function getSleepLogs(userId, from, to) {
+  return db.prepare(`
+    SELECT date, previous_bedtime, wake_time, sleep_quality FROM daily_state
+    WHERE user_id = ? AND date BETWEEN ? AND ?
+    ORDER BY date
+  `).all(userId, from, to).map(row => ({
+    date: row.date,
+    bedtime: row.previous_bedtime || '',
+    wakeTime: row.wake_time || '',
+    quality: row.sleep_quality
+  }));
+}
+
+function setSleepQuality(userId, date, quality) {
+  db.prepare(`
+    INSERT INTO daily_state (user_id, date, sleep_quality, updated_at)
+    VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+    ON CONFLICT(user_id, date) DO UPDATE SET
+      sleep_quality = excluded.sleep_quality,
+      updated_at = CURRENT_TIMESTAMP
+  `).run(userId, date, quality);
+}
+
+function getSleepNaps(userId, from, to) {
+  return db.prepare(`
+    SELECT id, date, start_time, minutes FROM sleep_naps
+    WHERE user_id = ? AND date BETWEEN ? AND ?
+    ORDER BY date, start_time, id
+  `).all(userId, from, to).map(row => ({
+    id: row.id,
+    date: row.date,
+    startTime: row.start_time || '',
+    minutes: row.minutes
+  }));
+}
+
+function addSleepNap(userId, date, minutes, startTime) {
   const result = db.prepare(
-    'INSERT INTO activity_entries (user_id, date, text) VALUES (?, ?, ?)'
-  ).run(userId, date, text);
+    'INSERT INTO sleep_naps (user_id, date, start_time, minutes) VALUES (?, ?, ?, ?)'
+  ).run(userId, date, startTime || null, minutes);
   return result.lastInsertRowid;
 }
 
-function deleteActivityEntry(id) {
-  db.prepare('DELETE FROM activity_entries WHERE id = ?').run(id);
+function deleteSleepNap(id, userId) {
+  const result = db.prepare('DELETE FROM sleep_naps WHERE id = ? AND user_id = ?').run(id, userId);
+  return result.changes > 0;
+}
+
+function getSleepSettings(userId) {
+  const row = db.prepare('SELECT target_minutes FROM sleep_settings WHERE user_id = ?').get(userId);
+  return row || { target_minutes: 480 };
+}
+
+function setSleepTarget(userId, targetMinutes) {
+  db.prepare(`
+    INSERT INTO sleep_settings (user_id, target_minutes)
+    VALUES (?, ?)
+    ON CONFLICT(user_id) DO UPDATE SET target_minutes = excluded.target_minutes
+  `).run(userId, targetMinutes);
+}
+
+// ============================================================================
+// HEALTH METRICS
+// ============================================================================
+
+// Every metric is null when it wasn't logged (or the day has no row at all)
+function getHealthMetrics(userId, date) {
+  const row = db.prepare(`
+    SELECT mood, energy, stress, heart_rate_bpm, alcohol_drinks, exercise_minutes
+    FROM health_metrics WHERE user_id = ? AND date = ?
+  `).get(userId, date) || {};
+
+  return {
+    mood: row.mood === undefined ? null : row.mood,
+    energy: row.energy === undefined ? null : row.energy,
+    stress: row.stress === undefined ? null : row.stress,
+    heartRate: row.heart_rate_bpm === undefined ? null : row.heart_rate_bpm,
+    alcohol: row.alcohol_drinks === undefined ? null : row.alcohol_drinks,
+    exercise: row.exercise_minutes === undefined ? null : row.exercise_minutes
+  };
+}
+
+// Replaces the day's metrics; clearing all of them removes the row
+function setHealthMetrics(userId, date, metrics) {
+  const values = [metrics.mood, metrics.energy, metrics.stress, metrics.heartRate, metrics.alcohol, metrics.exercise];
+
+  if (values.every(value => value === null)) {
+    db.prepare('DELETE FROM health_metrics WHERE user_id = ? AND date = ?').run(userId, date);
+    return;
+  }
+
+  db.prepare(`
+    INSERT INTO health_metrics (user_id, date, mood, energy, stress, heart_rate_bpm, alcohol_drinks, exercise_minutes, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    ON CONFLICT(user_id, date) DO UPDATE SET
+      mood = excluded.mood,
+      energy = excluded.energy,
+      stress = excluded.stress,
+      heart_rate_bpm = excluded.heart_rate_bpm,
+      alcohol_drinks = excluded.alcohol_drinks,
+      exercise_minutes = excluded.exercise_minutes,
+      updated_at = CURRENT_TIMESTAMP
+  `).run(userId, date, ...values);
 }
 
 // ============================================================================
@@ -323,6 +988,208 @@ function setSnapshotSettings(userId, maxDays, maxCount) {
   `).run(userId, maxDays, maxCount);
 }
 
+// ============================================================================
+// USER SETTINGS
+// ============================================================================
+
+function getUserSettings(userId) {
+  const row = db.prepare('SELECT timezone, day_start_hour FROM user_settings WHERE user_id = ?').get(userId);
+  return row || { timezone: 'UTC', day_start_hour: 0 };
+}
+
+function setUserSettings(userId, timezone, dayStartHour) {
+  db.prepare(`
+    INSERT INTO user_settings (user_id, timezone, day_start_hour)
+    VALUES (?, ?, ?)
+    ON CONFLICT(user_id) DO UPDATE SET timezone = excluded.timezone, day_start_hour = excluded.day_start_hour
+  `).run(userId, timezone, dayStartHour);
+}
+
+// ============================================================================
+// SNAPSHOTS
+// ============================================================================
+
+function saveSnapshot(userId, date, data) {
+  db.prepare(`
+    INSERT INTO snapshots (user_id, date, data, created_at)
+    VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+    ON CONFLICT(user_id, date) DO UPDATE SET
+      data = excluded.data,
+      created_at = CURRENT_TIMESTAMP
+  `).run(userId, date, JSON.stringify(data));
+}
+
+function getSnapshot(userId, date) {
+  const row = db.prepare('SELECT data FROM snapshots WHERE user_id = ? AND date = ?').get(userId, date);
+  return row ? JSON.parse(row.data) : null;
+}
+
+function getSnapshotDates(userId) {
+  return db.prepare('SELECT date FROM snapshots WHERE user_id = ? ORDER BY date DESC')
+    .all(userId)
+    .map(row => row.date);
+}
+
+function deleteSnapshot(userId, date) {
+  db.prepare('DELETE FROM snapshots WHERE user_id = ? AND date = ?').run(userId, date);
+}
+
+function deleteSnapshots(userId, dates) {
+  const stmt = db.prepare('DELETE FROM snapshots WHERE user_id = ? AND date = ?');
+  db.transaction(() => {
+    dates.forEach(date => stmt.run(userId, date));
+  })();
+}
+
+// ============================================================================
+// SEARCH
+// ============================================================================
+
+// Snippet highlight markers; control characters can't collide with journal text
+const SNIPPET_MATCH_START = '\u0002';
+const SNIPPET_MATCH_END = '\u0003';
+
+// Turn free text into an FTS5 query: every word must match, as a prefix, with
+// quoting so characters like - or : are not read as FTS syntax
+function buildSearchQuery(text) {
+  const terms = text.match(/[\p{L}\p{N}_]+/gu) || [];
+  return terms.map(term => `"${term}"*`).join(' ');
+}
+
+function searchJournal(userId, text, { from = null, to = null, limit = 20, offset = 0 } = {}) {
+  const query = buildSearchQuery(text);
+  if (!query) return { total: 0, results: [] };
+
+  const conditions = ['search_index MATCH ?', 'user_id = ?'];
+  const params = [query, userId];
+  if (from) {
+    conditions.push('date >= ?');
+    params.push(from);
+  }
+  if (to) {
+    conditions.push('date <= ?');
+    params.push(to);
+  }
+  const where = conditions.join(' AND ');
+
+  const { total } = db.prepare(`SELECT COUNT(*) AS total FROM search_index WHERE ${where}`).get(...params);
+
+  const rows = db.prepare(`
+    SELECT source_type, source_id, date, label,
+      snippet(search_index, 0, '${SNIPPET_MATCH_START}', '${SNIPPET_MATCH_END}', '…', 16) AS snippet
+    FROM search_index
+    WHERE ${where}
+    ORDER BY rank, date DESC
+    LIMIT ? OFFSET ?
+  `).all(...params, limit, offset);
+
+  const results = rows.map(row => ({
+    type: row.source_type,
+    id: Number(row.source_id),
+    date: row.date,
+    label: row.label,
+    snippet: splitSnippet(row.snippet)
+  }));
+
+  return { total, results };
+}
+
+// Split a marked-up snippet into [{ text, match }] segments for the client to render
+function splitSnippet(snippet) {
+  const segments = [];
+  const pattern = new RegExp(`${SNIPPET_MATCH_START}(.*?)${SNIPPET_MATCH_END}`, 'gs');
+  let lastIndex = 0;
+  let found;
+
+  while ((found = pattern.exec(snippet)) !== null) {
+    if (found.index > lastIndex) {
+      segments.push({ text: snippet.slice(lastIndex, found.index), match: false });
+    }
+    segments.push({ text: found[1], match: true });
+    lastIndex = pattern.lastIndex;
+  }
+  if (lastIndex < snippet.length) {
+    segments.push({ text: snippet.slice(lastIndex), match: false });
+  }
+
+  return segments;
+}
+
+// ============================================================================
+// REVISIONS
+// ============================================================================
+
+// Revisions hold the version that was replaced or deleted; rows are never updated
+function recordRevision(userId, entityType, entityId, action, data) {
+  db.prepare(
+    'INSERT INTO revisions (user_id, entity_type, entity_id, action, data) VALUES (?, ?, ?, ?, ?)'
+  ).run(userId, entityType, String(entityId), action, JSON.stringify(data));
+}
+
+function parseRevision(row) {
+  return {
+    id: row.id,
+    entityType: row.entity_type,
+    entityId: row.entity_id,
+    action: row.action,
+    data: JSON.parse(row.data),
+    createdAt: row.created_at
+  };
+}
+
+function getRevisions(userId, entityType, entityId) {
+  return db.prepare(`
+    SELECT * FROM revisions
+    WHERE user_id = ? AND entity_type = ? AND entity_id = ?
+    ORDER BY id DESC
+  `).all(userId, entityType, String(entityId)).map(parseRevision);
+}
+
+function getRevisionById(id, userId) {
+  const row = db.prepare('SELECT * FROM revisions WHERE id = ? AND user_id = ?').get(id, userId);
+  return row ? parseRevision(row) : null;
+}
+
+// Put a revision's data back, keeping the version it replaces as a 'restore' revision.
+// A deleted entry comes back under its old id (AUTOINCREMENT never reuses it), without its image.
+function restoreRevision(revision, userId) {
+  const { entityType, entityId, data } = revision;
+
+  db.transaction(() => {
+    if (entityType === 'activity_entry') {
+      const current = getActivityEntryById(parseInt(entityId), userId);
+      if (current) {
+        recordRevision(userId, entityType, entityId, 'restore', current);
+        db.prepare('UPDATE activity_entries SET text = ?, timestamp = ? WHERE id = ? AND user_id = ?')
+          .run(data.text, data.timestamp, current.id, userId);
+      } else {
+        db.prepare('INSERT INTO activity_entries (id, user_id, date, text, timestamp) VALUES (?, ?, ?, ?, ?)')
+          .run(parseInt(entityId), userId, data.date, data.text, data.timestamp);
+      }
+    } else if (entityType === 'daily_custom_field') {
+      const current = getDailyCustomField(userId, data.date, data.key);
+      if (current) {
+        recordDailyCustomFieldRevision(userId, current, 'restore');
+      }
+      db.prepare(`
+        INSERT INTO daily_custom_fields (user_id, date, key, value, is_template)
+        VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT(user_id, date, key) DO UPDATE SET value = excluded.value
+      `).run(userId, data.date, data.key, data.value, data.isTemplate ? 1 : 0);
+    } else if (entityType === 'profile_field') {
+      const current = getProfileField(userId, data.key);
+      if (current) {
+        recordRevision(userId, entityType, entityId, 'restore', current);
+      }
+      db.prepare(`
+        INSERT INTO profile_fields (user_id, key, value)
+        VALUES (?, ?, ?)
+        ON CONFLICT(user_id, key) DO UPDATE SET value = excluded.value
+      `).run(userId, data.key, data.value);
+    }
+  })();
+}
+
 module.exports = {
   // Users
   getAllUsers,
@@ -335,38 +1202,93 @@ module.exports = {
 
   // Profile fields
   getProfileFields,
+  getProfileField,
   setProfileField,
   deleteProfileField,
 
   // Custom field templates
+  DEFAULT_FIELD_TEMPLATE,
   getCustomFieldTemplates,
+  getCustomFieldTemplateById,
   createCustomFieldTemplate,
+  updateCustomFieldTemplate,
   deleteCustomFieldTemplate,
 
   // Time since trackers
   getTimeSinceTrackers,
+  getTimeSinceTrackerById,
   createTimeSinceTracker,
   deleteTimeSinceTracker,
+  resetTimeSinceTracker,
+  getTimeSinceResets,
+  setTimeSinceMilestones,
+
+  // Milestone events
+  recordMilestoneEvent,
+  getUnseenMilestoneEvents,
+  markMilestoneEventSeen,
+  markAllMilestoneEventsSeen,
 
   // Duration trackers
   getDurationTrackers,
+  getDurationTrackerById,
   createDurationTracker,
-  updateDurationTracker,
   deleteDurationTracker,
 
+  // Timer sessions
+  getTimerSessions,
+  getUserTimerSessions,
+  getTimerSessionById,
+  startTimerSession,
+  stopTimerSession,
+  createTimerSession,
+  updateTimerSession,
+  deleteTimerSession,
+  hasOverlappingTimerSession,
+  removeTimerTime,
+
+  // Duration minutes
+  getDurationMinutes,
+  getDurationMinutesInRange,
+  setDurationMinutes,
+
   // Custom counters
+  DEFAULT_COUNTER_SETTINGS,
   getCustomCounters,
+  getCustomCounterById,
   createCustomCounter,
+  updateCustomCounterSettings,
   deleteCustomCounter,
   getCustomCounterValue,
+  getCustomCounterValues,
   setCustomCounterValue,
 
+  // Item organization
+  ITEM_KINDS,
+  setItemOrder,
+  getItemOrganization,
+  updateItemOrganization,
+
   // Daily state
   getDailyState,
   setDailyState,
 
+  // Sleep
+  getSleepLogs,
+  setSleepQuality,
+  getSleepNaps,
+  addSleepNap,
+  deleteSleepNap,
+  getSleepSettings,
+  setSleepTarget,
+
+  // Health metrics
+  getHealthMetrics,
+  setHealthMetrics,
+
   // Daily custom fields
   getDailyCustomFields,
+  getDailyCustomField,
   setDailyCustomField,
   deleteDailyCustomField,
   deleteDailyCustomFieldById,
@@ -379,10 +1301,39 @@ module.exports = {
 
   // Activity entries
   getActivityEntries,
+  getActivityEntryById,
   createActivityEntry,
+  updateActivityEntry,
   deleteActivityEntry,
 
+  // Entry attachments
+  createEntryAttachment,
+  getEntryAttachment,
+  getEntryIdsWithAttachments,
+
+  // Date ranges
+  getDatesWithData,
+
   // Snapshot settings
   getSnapshotSettings,
-  setSnapshotSettings
+  setSnapshotSettings,
+
+  // User settings
+  getUserSettings,
+  setUserSettings,
+
+  // Snapshots
+  saveSnapshot,
+  getSnapshot,
+  getSnapshotDates,
+  deleteSnapshot,
+  deleteSnapshots,
+
+  // Search
+  searchJournal,
+
+  // Revisions
+  getRevisions,
+  getRevisionById,
+  restoreRevision
 };
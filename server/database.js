@@ -1,176 +1,20 @@
 const Database = require('better-sqlite3');
-const path = require('path');
-const fs = require('fs');
+const { config } = require('./config');
+const { runMigrations } = require('./migrator');
 
-// Ensure data directory exists
-const dataDir = path.join(__dirname, '..', 'data');
-if (!fs.existsSync(dataDir)) {
-  fs.mkdirSync(dataDir, { recursive: true });
-}
-
-const dbPath = path.join(dataDir, 'djournal.db');
-const db = new Database(dbPath);
+// DATABASE_PATH / DATA_DIR choose the file; config has already created its directory
+const db = new Database(config.databasePath);
 
 // Enable WAL mode for better concurrent access
 db.pragma('journal_mode = WAL');
 
-// Initialize database schema
-function initializeDatabase() {
-  // Users table (already exists from before)
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS users (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      username TEXT UNIQUE NOT NULL,
-      email TEXT,
-      password_hash TEXT NOT NULL,
-      is_admin INTEGER DEFAULT 0,
-      created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )
-  `);
-
-  // Profile fields (persistent custom fields shown in exports)
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS profile_fields (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      user_id INTEGER NOT NULL,
-      key TEXT NOT NULL,
-      value TEXT NOT NULL,
-      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
-      UNIQUE(user_id, key)
-    )
-  `);
-
-  // Custom field templates (persist name, value resets daily)
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS custom_field_templates (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      user_id INTEGER NOT NULL,
-      key TEXT NOT NULL,
-      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
-      UNIQUE(user_id, key)
-    )
-  `);
-
-  // Time Since trackers (persist indefinitely)
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS time_since_trackers (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      user_id INTEGER NOT NULL,
-      name TEXT NOT NULL,
-      date TEXT NOT NULL,
-      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
-    )
-  `);
-
-  // Duration trackers (timers that persist)
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS duration_trackers (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      user_id INTEGER NOT NULL,
-      name TEXT NOT NULL,
-      type TEXT DEFAULT 'timer',
-      is_running INTEGER DEFAULT 0,
-      start_time TEXT,
-      elapsed_ms INTEGER DEFAULT 0,
-      value INTEGER DEFAULT 0,
-      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
-    )
-  `);
-
-  // Custom counters (persist name, value resets daily)
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS custom_counters (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      user_id INTEGER NOT NULL,
-      name TEXT NOT NULL,
-      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
-      UNIQUE(user_id, name)
-    )
-  `);
-
-  // Daily state (bedtime, wake time, etc.)
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS daily_state (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      user_id INTEGER NOT NULL,
-      date TEXT NOT NULL,
-      previous_bedtime TEXT,
-      wake_time TEXT,
-      updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
-      UNIQUE(user_id, date)
-    )
-  `);
-
-  // Daily custom field values (template-based, for current day)
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS daily_custom_fields (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      user_id INTEGER NOT NULL,
-      date TEXT NOT NULL,
-      key TEXT NOT NULL,
-      value TEXT,
-      is_template INTEGER DEFAULT 1,
-      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
-      UNIQUE(user_id, date, key)
-    )
-  `);
-
-  // Daily tasks
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS daily_tasks (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      user_id INTEGER NOT NULL,
-      date TEXT NOT NULL,
-      text TEXT NOT NULL,
-      done INTEGER DEFAULT 0,
-      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
-    )
-  `);
-
-  // Activity entries (log entries throughout the day)
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS activity_entries (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      user_id INTEGER NOT NULL,
-      date TEXT NOT NULL,
-      text TEXT NOT NULL,
-      timestamp TEXT DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
-    )
-  `);
-
-  // Custom counter daily values
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS custom_counter_values (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      counter_id INTEGER NOT NULL,
-      user_id INTEGER NOT NULL,
-      date TEXT NOT NULL,
-      value INTEGER DEFAULT 0,
-      FOREIGN KEY (counter_id) REFERENCES custom_counters(id) ON DELETE CASCADE,
-      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
-      UNIQUE(counter_id, date)
-    )
-  `);
-
-  // Snapshot retention settings
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS snapshot_settings (
-      user_id INTEGER PRIMARY KEY,
-      max_days INTEGER DEFAULT 30,
-      max_count INTEGER DEFAULT 100,
-      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
-    )
-  `);
+// Enforce foreign keys so ON DELETE CASCADE removes a user's or an entry's rows.
+// better-sqlite3 builds usually default to this; don't depend on it.
+db.pragma('foreign_keys = ON');
 
+// Bring the schema up to date (backs up an existing database before changing it)
+function initializeDatabase() {
+  runMigrations(db, { backupDir: config.backupDir });
   console.log('✅ Database initialized successfully');
 }
 
@@ -0,0 +1,76 @@
+const sharp = require('sharp');
+const dataAccess = require('./dataAccess');
+
+// Thumbnails fit inside this box and are always JPEG
+const THUMBNAIL_SIZE = 400;
+
+// Formats PDFKit can embed directly
+const PDF_IMAGE_TYPES = ['image/jpeg', 'image/png'];
+
+// Raster formats accepted for upload, keyed by the format sharp detects.
+// Anything else (SVG in particular, which can carry scripts) is refused.
+const UPLOAD_IMAGE_TYPES = {
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  gif: 'image/gif'
+};
+
+// Split a base64 data URL ("data:image/png;base64,....") into mime type and bytes
+function parseImageDataUrl(dataUrl) {
+  const match = /^data:(image\/[a-zA-Z0-9.+-]+);base64,(.+)$/s.exec(dataUrl || '');
+  if (!match) return null;
+  return { mimeType: match[1].toLowerCase(), buffer: Buffer.from(match[2], 'base64') };
+}
+
+// Decode an uploaded image and generate its thumbnail. The stored type comes from
+// the decoded data, not the type the client claimed.
+// Throws if the data is not a readable image in one of UPLOAD_IMAGE_TYPES.
+async function prepareEntryImage(dataUrl) {
+  const parsed = parseImageDataUrl(dataUrl);
+  if (!parsed) {
+    throw new Error('Image must be a base64 data URL');
+  }
+
+  const { format } = await sharp(parsed.buffer).metadata();
+  const mimeType = UPLOAD_IMAGE_TYPES[format];
+  if (!mimeType) {
+    throw new Error(`Unsupported image format: ${format}`);
+  }
+
+  const thumbnail = await sharp(parsed.buffer)
+    .rotate() // respect EXIF orientation from phone cameras
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .jpeg({ quality: 80 })
+    .toBuffer();
+
+  return { mimeType, data: parsed.buffer, thumbnail };
+}
+
+// Fill in entry.image with an embeddable data URL for exports.
+// PDFs only take JPEG/PNG, so other formats fall back to the thumbnail.
+function embedEntryImages(userId, dayData, { forPdf = false } = {}) {
+  if (!dayData.entries) return dayData;
+
+  const entries = dayData.entries.map(entry => {
+    if (!entry.hasImage) return entry;
+
+    const attachment = dataAccess.getEntryAttachment(entry.id, userId);
+    if (!attachment) return entry;
+
+    const useOriginal = !forPdf || PDF_IMAGE_TYPES.includes(attachment.mime_type);
+    const mimeType = useOriginal ? attachment.mime_type : 'image/jpeg';
+    const data = useOriginal ? attachment.data : attachment.thumbnail;
+
+    return { ...entry, image: `data:${mimeType};base64,${data.toString('base64')}` };
+  });
+
+  return { ...dayData, entries };
+}
+
+module.exports = {
+  UPLOAD_IMAGE_TYPES,
+  parseImageDataUrl,
+  prepareEntryImage,
+  embedEntryImages
+};
@@ -0,0 +1,68 @@
+// Daily health metrics. Mood, energy and stress are rated on a 1-5 scale; heart rate,
+// alcohol and exercise are numbers in a fixed unit. Any metric may be left unlogged
+// (null). yamlKey is the name used in the Markdown export.
+
+const SCALE_MAX = 5;
+
+const HEALTH_METRICS = [
+  { key: 'mood', label: 'Mood', yamlKey: 'mood', scale: true, min: 1, max: SCALE_MAX, decimals: 0 },
+  { key: 'energy', label: 'Energy', yamlKey: 'energy', scale: true, min: 1, max: SCALE_MAX, decimals: 0 },
+  { key: 'stress', label: 'Stress', yamlKey: 'stress', scale: true, min: 1, max: SCALE_MAX, decimals: 0 },
+  { key: 'heartRate', label: 'Resting heart rate', yamlKey: 'heart_rate_bpm', unit: 'bpm', min: 20, max: 250, decimals: 0 },
+  { key: 'alcohol', label: 'Alcohol', yamlKey: 'alcohol_drinks', unit: 'drinks', min: 0, max: 50, decimals: 1 },
+  { key: 'exercise', label: 'Exercise', yamlKey: 'exercise_minutes', unit: 'min', min: 0, max: 24 * 60, decimals: 0 }
+];
+
+// Merges the given metrics over the day's current ones and validates them; null
+// clears a metric. Numbers are rounded to the metric's decimals. Returns
+// { metrics } or { error }.
+function parseHealthMetrics(input, current) {
+  const metrics = { ...current };
+
+  for (const metric of HEALTH_METRICS) {
+    const value = input[metric.key];
+    if (value === undefined) continue;
+    if (value === null) {
+      metrics[metric.key] = null;
+      continue;
+    }
+
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      return { error: `${metric.label} must be a number` };
+    }
+    if (metric.scale && !Number.isInteger(value)) {
+      return { error: `${metric.label} must be a whole number from ${metric.min} to ${metric.max}` };
+    }
+
+    const factor = Math.pow(10, metric.decimals);
+    const rounded = Math.round(value * factor) / factor;
+    if (rounded < metric.min || rounded > metric.max) {
+      const unit = metric.unit ? ` ${metric.unit}` : '';
+      return { error: `${metric.label} must be from ${metric.min} to ${metric.max}${unit}` };
+    }
+    metrics[metric.key] = rounded;
+  }
+
+  return { metrics };
+}
+
+// "4/5", "58 bpm", "1.5 drinks"
+function formatHealthMetric(metric, value) {
+  return metric.scale ? `${value}/${metric.max}` : `${value} ${metric.unit}`;
+}
+
+// The metrics logged on a day as [{ metric, value }], in display order
+function getLoggedHealthMetrics(metrics) {
+  // Snapshots saved before health metrics existed have none
+  if (!metrics) return [];
+  return HEALTH_METRICS
+    .filter(metric => metrics[metric.key] !== null)
+    .map(metric => ({ metric, value: metrics[metric.key] }));
+}
+
+module.exports = {
+  HEALTH_METRICS,
+  parseHealthMetrics,
+  formatHealthMetric,
+  getLoggedHealthMetrics
+};
@@ -2,29 +2,92 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
 const PDFDocument = require('pdfkit');
+const archiver = require('archiver');
 
-require('dotenv').config();
+const { config, debugLog } = require('./config');
 
 const app = express();
-const PORT = process.env.PORT || 8001;
+const PORT = config.port;
 
 // Import database and data access functions
 const { db } = require('./database');
 const dataAccess = require('./dataAccess');
 const { initializeDefaultAdmin } = require('./initData');
+const { pruneUserSnapshots, startRetentionSchedule } = require('./snapshotRetention');
+const { prepareEntryImage, embedEntryImages } = require('./entryImages');
+const { writeJournalFile, removeJournalFiles, removeUserJournal } = require('./journalFiles');
+const { getTrackerDay, getTrackerWeekTotalMs, getTrackerSessions, getTimerSessionDates } = require('./timerSessions');
+const {
+  formatMilestone,
+  parseMilestones,
+  getMilestoneStatus,
+  getMilestoneNotifications
+} = require('./milestones');
+const {
+  parseCounterSettings,
+  normalizeCounterValue,
+  isCounterValueInRange,
+  getCounterGoalStatus,
+  formatCounterValue
+} = require('./counters');
+const { MAX_HISTORY_DAYS, daysBetween, getCounterHistory } = require('./counterHistory');
+const { normalizeClockTime, getSleepDay } = require('./sleep');
+const { parseHealthMetrics, formatHealthMetric, getLoggedHealthMetrics } = require('./healthMetrics');
+const { parseFieldTemplate, normalizeFieldValue, toNativeValue, formatFieldValue } = require('./customFields');
 
 // Import proper auth middleware
-const { generateToken, authMiddleware } = require('./middleware/auth');
+const {
+  generateToken,
+  authMiddleware,
+  DOWNLOAD_PURPOSES,
+  DOWNLOAD_TICKET_TTL_SECONDS,
+  generateDownloadTicket,
+  downloadTicketMiddleware
+} = require('./middleware/auth');
+const {
+  getTodayDate,
+  getUserToday,
+  getJournalDate,
+  journalTimeToInstant,
+  getJournalDayBounds,
+  addDays,
+  toSqlTimestamp,
+  formatTimeInZone,
+  isValidTimeZone,
+  isValidDateString,
+  dateMiddleware
+} = require('./middleware/date');
+
+// Behind a TLS-terminating proxy, send plain-HTTP requests to HTTPS. Requests without
+// X-Forwarded-Proto came straight to the app (e.g. the container healthcheck) and pass.
+if (config.httpsRedirect) {
+  app.set('trust proxy', true);
+  app.use((req, res, next) => {
+    if (req.secure || !req.headers['x-forwarded-proto']) {
+      return next();
+    }
+    res.redirect(301, `https://${req.headers.host}${req.originalUrl}`);
+  });
+}
+
+// CORS_ORIGINS unset keeps the API same-origin only
+if (config.corsOrigins.length > 0) {
+  app.use(cors({ origin: config.corsOrigins.includes('*') ? true : config.corsOrigins }));
+}
 
-app.use(cors());
-app.use(express.json({ limit: '30mb' }));
-app.use(express.urlencoded({ extended: true, limit: '30mb' }));
+// Images arrive base64-encoded in JSON (~4/3 of their size), so leave room above the upload limit
+const bodyLimit = `${Math.ceil(config.maxUploadSizeMb * 1.5) + 1}mb`;
+app.use(express.json({ limit: bodyLimit }));
+app.use(express.urlencoded({ extended: true, limit: bodyLimit }));
 
 // Helper function to get or initialize user state from database
-function getUserState(userId) {
-  const currentDate = new Date().toISOString().slice(0, 10);
+// (defaults to today, pass a YYYY-MM-DD date to read a past day)
+function getUserState(userId, date = null) {
+  // "Today" and entry times follow the user's timezone and day start hour
+  const settings = dataAccess.getUserSettings(userId);
+  const today = getTodayDate(settings);
+  const currentDate = date || today;
 
   // Get daily state (bedtime, wake time)
   const dailyState = dataAccess.getDailyState(userId, currentDate) || {
@@ -32,8 +95,17 @@ function getUserState(userId) {
     wake_time: ''
   };
 
+  // Archived items are left out of the day (and its exports) and only listed by name
+  const allTemplates = dataAccess.getCustomFieldTemplates(userId);
+  const allTimeSinceTrackers = dataAccess.getTimeSinceTrackers(userId);
+  const allDurationTrackers = dataAccess.getDurationTrackers(userId);
+  const allCustomCounters = dataAccess.getCustomCounters(userId);
+  const listArchived = (items, nameKey = 'name') => items
+    .filter(item => item.archived)
+    .map(item => ({ id: item.id, name: item[nameKey], category: item.category }));
+
   // Get templates
-  const templates = dataAccess.getCustomFieldTemplates(userId);
+  const templates = allTemplates.filter(template => !template.archived);
 
   // Get daily custom field values (template-based)
   const dailyFieldsFromDB = dataAccess.getDailyCustomFields(userId, currentDate);
@@ -42,13 +114,12 @@ function getUserState(userId) {
   const templateFields = dailyFieldsFromDB.filter(f => f.isTemplate);
   const dailyOnlyFields = dailyFieldsFromDB.filter(f => !f.isTemplate);
 
-  // Merge templates with values
+  // Merge templates with values; a day without a value gets the template's default
   const customFields = templates.map(template => {
     const valueField = templateFields.find(f => f.key === template.key);
     return {
-      id: template.id,
-      key: template.key,
-      value: valueField ? valueField.value : ''
+      ...template,
+      value: valueField ? valueField.value : template.defaultValue
     };
   });
 
@@ -62,31 +133,43 @@ function getUserState(userId) {
 
   // Get activity entries
   const entriesFromDB = dataAccess.getActivityEntries(userId, currentDate);
+  const entryIdsWithImages = dataAccess.getEntryIdsWithAttachments(userId, currentDate);
   const entries = entriesFromDB.map(e => ({
     id: e.id,
-    timestamp: new Date(e.timestamp).toLocaleTimeString('en-US', { hour12: false }),
+    timestamp: formatTimeInZone(e.timestamp, settings.timezone),
     text: e.text,
-    image: null // Images not yet implemented in database
+    hasImage: entryIdsWithImages.includes(e.id),
+    image: null // Served by /api/entries/:id/image, embedded only for exports
   }));
 
-  // Get time since trackers (persistent)
-  const timeSinceTrackers = dataAccess.getTimeSinceTrackers(userId);
-
-  // Get duration trackers (persistent)
-  const durationTrackers = dataAccess.getDurationTrackers(userId);
+  // Get time since trackers (persistent) with their streak records
+  const timeSinceResets = dataAccess.getTimeSinceResets(userId);
+  const timeSinceTrackers = allTimeSinceTrackers.filter(tracker => !tracker.archived).map(tracker => ({
+    ...tracker,
+    ...getTimeSinceStats(tracker, timeSinceResets.filter(reset => reset.trackerId === tracker.id)),
+    ...getMilestoneStatus(tracker)
+  }));
 
-  // Get custom counters
-  const customCountersFromDB = dataAccess.getCustomCounters(userId);
-  const customCounters = customCountersFromDB.map(counter => ({
-    id: counter.id,
-    name: counter.name,
-    value: dataAccess.getCustomCounterValue(counter.id, currentDate)
+  // Get duration trackers (persistent) with their time on this day and so far that week
+  const durationTrackers = allDurationTrackers.filter(tracker => !tracker.archived).map(tracker => ({
+    ...tracker,
+    ...getTrackerDay(tracker, userId, currentDate, settings),
+    weekTotalMs: getTrackerWeekTotalMs(tracker, userId, currentDate, settings)
   }));
 
+  // Get custom counters with the day's value and goal progress
+  const customCounters = allCustomCounters.filter(counter => !counter.archived).map(counter => {
+    const value = dataAccess.getCustomCounterValue(counter.id, currentDate);
+    return { ...counter, value, ...getCounterGoalStatus(counter, value) };
+  });
+
   return {
     date: currentDate,
+    today: today,
     previousBedtime: dailyState.previous_bedtime || '',
     wakeTime: dailyState.wake_time || '',
+    sleep: getSleepDay(userId, currentDate),
+    healthMetrics: dataAccess.getHealthMetrics(userId, currentDate),
     customFields: customFields,
     dailyCustomFields: dailyOnlyFields.map(f => ({
       id: f.id,
@@ -97,10 +180,34 @@ function getUserState(userId) {
     customCounters: customCounters,
     entries: entries,
     timeSinceTrackers: timeSinceTrackers,
-    durationTrackers: durationTrackers
+    durationTrackers: durationTrackers,
+    archived: {
+      timeSinceTrackers: listArchived(allTimeSinceTrackers),
+      durationTrackers: listArchived(allDurationTrackers),
+      customCounters: listArchived(allCustomCounters),
+      customFields: listArchived(allTemplates, 'key')
+    }
   };
 }
 
+// Helper function to write a value as a double-quoted YAML string
+function yamlString(value) {
+  const escaped = String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\r?\n/g, '\\n');
+  return `"${escaped}"`;
+}
+
+// Helper function to write a user-defined key: plain words stay bare, anything YAML
+// could read as syntax or as a non-string (":", "#", a leading "-", "true", "12") is quoted
+function yamlKey(key) {
+  const text = String(key);
+  const isPlain = /^[A-Za-z_][\w .-]*$/.test(text) && !/\s$/.test(text) &&
+    !/^(true|false|null|yes|no|on|off|y|n)$/i.test(text);
+  return isPlain ? text : yamlString(text);
+}
+
 // Helper function to generate YAML frontmatter and markdown content
 function generateMarkdownWithYAML(dayData, username = null, userProfileFields = null) {
   let yaml = '---\n';
@@ -108,7 +215,7 @@ function generateMarkdownWithYAML(dayData, username = null, userProfileFields =
   // User Information (at the top)
   if (username) {
     yaml += `# User Information\n`;
-    yaml += `user: "${username}"\n`;
+    yaml += `user: ${yamlString(username)}\n`;
   }
   yaml += `date: "${dayData.date}"\n`;
   yaml += '\n';
@@ -118,20 +225,38 @@ function generateMarkdownWithYAML(dayData, username = null, userProfileFields =
     yaml += '# Profile Fields\n';
     yaml += 'profile:\n';
     Object.entries(userProfileFields).forEach(([key, value]) => {
-      yaml += `  ${key}: "${String(value).replace(/"/g, '\\"')}"\n`;
+      yaml += `  ${yamlKey(key)}: ${yamlString(value)}\n`;
     });
     yaml += '\n';
   }
 
-  // Sleep Metrics
-  if (dayData.previousBedtime || dayData.wakeTime) {
-    yaml += '# Sleep Metrics\n';
-    if (dayData.previousBedtime) {
-      yaml += `bedtime: "${dayData.previousBedtime}"\n`;
-    }
-    if (dayData.wakeTime) {
-      yaml += `wake_time: "${dayData.wakeTime}"\n`;
+  // Sleep Metrics (durations in minutes)
+  const sleep = dayData.sleep;
+  if (sleep && (sleep.bedtime || sleep.wakeTime || sleep.totalMinutes !== null || sleep.quality)) {
+    yaml += '# Sleep Metrics (durations in minutes)\n';
+    yaml += 'sleep:\n';
+    if (sleep.bedtime) yaml += `  bedtime: "${sleep.bedtime}"\n`;
+    if (sleep.wakeTime) yaml += `  wake_time: "${sleep.wakeTime}"\n`;
+    if (sleep.nightMinutes !== null) yaml += `  night_minutes: ${sleep.nightMinutes}\n`;
+    if (sleep.naps.length > 0) {
+      yaml += `  nap_minutes: ${sleep.napMinutes}\n`;
+      yaml += `  naps: ${sleep.naps.length}\n`;
     }
+    if (sleep.totalMinutes !== null) yaml += `  total_minutes: ${sleep.totalMinutes}\n`;
+    if (sleep.quality) yaml += `  quality: ${sleep.quality}\n`;
+    yaml += `  target_minutes: ${sleep.targetMinutes}\n`;
+    yaml += `  debt_7d_minutes: ${sleep.debtMinutes}\n`;
+    yaml += '\n';
+  }
+
+  // Health Metrics (mood, energy and stress on a 1-5 scale)
+  const healthMetrics = getLoggedHealthMetrics(dayData.healthMetrics);
+  if (healthMetrics.length > 0) {
+    yaml += '# Health Metrics (mood, energy and stress on a 1-5 scale)\n';
+    yaml += 'health:\n';
+    healthMetrics.forEach(({ metric, value }) => {
+      yaml += `  ${metric.yamlKey}: ${value}\n`;
+    });
     yaml += '\n';
   }
 
@@ -140,9 +265,30 @@ function generateMarkdownWithYAML(dayData, username = null, userProfileFields =
     yaml += '# Time Since Trackers (persist across days)\n';
     yaml += 'time_since_trackers:\n';
     dayData.timeSinceTrackers.forEach(t => {
-      yaml += `  - name: "${t.name.replace(/"/g, '\\"')}"\n`;
+      yaml += `  - name: ${yamlString(t.name)}\n`;
       yaml += `    date: "${t.date}"\n`;
+
+      // Future dates count down instead of up
+      if (t.mode === 'countdown') {
+        yaml += `    mode: "countdown"\n`;
+        yaml += `    time_until: "${formatElapsedMs(t.remainingMs)}"\n`;
+        return;
+      }
+
       yaml += `    time_since: "${calculateTimeSince(t.date)}"\n`;
+      yaml += `    current_streak: "${formatElapsedMs(t.currentStreakMs)}"\n`;
+      yaml += `    longest_streak: "${formatElapsedMs(t.longestStreakMs)}"\n`;
+      if (t.averageIntervalMs !== null) {
+        yaml += `    average_interval: "${formatElapsedMs(t.averageIntervalMs)}"\n`;
+      }
+      yaml += `    resets: ${t.resetCount}\n`;
+      if (t.reachedMilestones.length > 0) {
+        yaml += `    milestones_reached: [${t.reachedMilestones.map(m => `"${m}"`).join(', ')}]\n`;
+      }
+      if (t.nextMilestone) {
+        yaml += `    next_milestone: "${t.nextMilestone}"\n`;
+        yaml += `    next_milestone_progress: ${t.nextMilestoneProgress}\n`;
+      }
     });
     yaml += '\n';
   }
@@ -152,7 +298,7 @@ function generateMarkdownWithYAML(dayData, username = null, userProfileFields =
     yaml += '# Duration Trackers (persist across days)\n';
     yaml += 'duration_trackers:\n';
     dayData.durationTrackers.forEach(t => {
-      yaml += `  - name: "${t.name.replace(/"/g, '\\"')}"\n`;
+      yaml += `  - name: ${yamlString(t.name)}\n`;
       yaml += `    type: "${t.type}"\n`;
       yaml += `    value: ${t.value}\n`;
 
@@ -171,6 +317,7 @@ function generateMarkdownWithYAML(dayData, username = null, userProfileFields =
       } else if (t.type === 'counter') {
         yaml += `    formatted: "${t.value} minutes"\n`;
       }
+      yaml += `    week_total: "${formatDuration(Math.floor(t.weekTotalMs / 1000))}"\n`;
     });
     yaml += '\n';
   }
@@ -180,8 +327,17 @@ function generateMarkdownWithYAML(dayData, username = null, userProfileFields =
     yaml += '# Custom Counters (persist but values reset daily)\n';
     yaml += 'custom_counters:\n';
     dayData.customCounters.forEach(c => {
-      yaml += `  - name: "${c.name}"\n`;
+      yaml += `  - name: ${yamlString(c.name)}\n`;
       yaml += `    value: ${c.value}\n`;
+      if (c.unit) {
+        yaml += `    unit: ${yamlString(c.unit)}\n`;
+      }
+      if (c.goal !== null) {
+        yaml += `    goal: ${c.goal}\n`;
+        yaml += `    goal_direction: "${c.goalDirection}"\n`;
+        yaml += `    goal_progress: ${c.goalProgress}\n`;
+        yaml += `    goal_met: ${c.goalMet}\n`;
+      }
     });
     yaml += '\n';
   }
@@ -191,9 +347,10 @@ function generateMarkdownWithYAML(dayData, username = null, userProfileFields =
     yaml += '# Template Fields (persist template, values reset daily)\n';
     yaml += 'template_fields:\n';
     dayData.customFields.forEach(f => {
-      if (f.value) {
-        yaml += `  ${f.key}: "${f.value.replace(/"/g, '\\"')}"\n`;
-      }
+      // Numbers and booleans are written unquoted
+      const value = toNativeValue(f, f.value);
+      if (value === null) return;
+      yaml += `  ${yamlKey(f.key)}: ${typeof value === 'string' ? yamlString(value) : value}\n`;
     });
     yaml += '\n';
   }
@@ -204,7 +361,7 @@ function generateMarkdownWithYAML(dayData, username = null, userProfileFields =
     yaml += 'daily_fields:\n';
     dayData.dailyCustomFields.forEach(f => {
       if (f.value) {
-        yaml += `  ${f.key}: "${f.value.replace(/"/g, '\\"')}"\n`;
+        yaml += `  ${yamlKey(f.key)}: ${yamlString(f.value)}\n`;
       }
     });
     yaml += '\n';
@@ -215,7 +372,7 @@ function generateMarkdownWithYAML(dayData, username = null, userProfileFields =
     yaml += '# Daily Tasks\n';
     yaml += 'tasks:\n';
     dayData.dailyTasks.forEach(t => {
-      yaml += `  - text: "${t.text.replace(/"/g, '\\"')}"\n`;
+      yaml += `  - text: ${yamlString(t.text)}\n`;
       yaml += `    completed: ${t.completed}\n`;
     });
     yaml += '\n';
@@ -241,11 +398,104 @@ function generateMarkdownWithYAML(dayData, username = null, userProfileFields =
   return yaml + content;
 }
 
+// Helper function to turn a client-supplied entry timestamp into a stored UTC timestamp.
+// Accepts a wall-clock time ("07:00") on the entry's day or a full ISO date-time, and
+// rejects anything that falls outside that journal day.
+function resolveEntryTimestamp(userId, date, timestamp) {
+  const settings = dataAccess.getUserSettings(userId);
+
+  let instant = null;
+  if (typeof timestamp === 'string' && /^\d{2}:\d{2}(:\d{2})?$/.test(timestamp)) {
+    instant = journalTimeToInstant(date, timestamp, settings);
+  } else if (typeof timestamp === 'string') {
+    instant = new Date(timestamp);
+  }
+
+  if (!instant || isNaN(instant.getTime())) {
+    return { error: 'Invalid timestamp, expected HH:MM or an ISO date-time' };
+  }
+
+  if (getJournalDate(instant, settings) !== date) {
+    return { error: `Timestamp must fall on the entry's date (${date})` };
+  }
+
+  return { value: toSqlTimestamp(instant) };
+}
+
+// Helper function to pick the time of an entry added without one: now when it goes on
+// today, otherwise the current wall-clock time on its own journal day so it sorts and
+// validates like any other entry of that day
+function getDefaultEntryTimestamp(userId, date, now = new Date()) {
+  const settings = dataAccess.getUserSettings(userId);
+  if (getJournalDate(now, settings) === date) {
+    return toSqlTimestamp(now);
+  }
+
+  const clockTime = formatTimeInZone(now.toISOString(), settings.timezone || 'UTC');
+  const instant = journalTimeToInstant(date, clockTime, settings);
+  // A wall-clock time skipped by a DST change can resolve just outside the day
+  if (getJournalDate(instant, settings) !== date) {
+    return toSqlTimestamp(getJournalDayBounds(date, settings).start);
+  }
+  return toSqlTimestamp(instant);
+}
+
+// Helper function to get the state a day is exported with: its saved snapshot
+// when there is one, otherwise the live data
+function getExportState(userId, date) {
+  return dataAccess.getSnapshot(userId, date) || getUserState(userId, date);
+}
+
+// Helper function to list the days in a date range that have data, timer time or a
+// saved snapshot. Timer sessions are stored as instants, so their journal dates
+// depend on the user's timezone and day start and can't come from the SQL union.
+function getExportDates(userId, startDate, endDate) {
+  const settings = dataAccess.getUserSettings(userId);
+  const timerDates = getTimerSessionDates(userId, settings, startDate, endDate);
+  const snapshotDates = dataAccess.getSnapshotDates(userId)
+    .filter(date => date >= startDate && date <= endDate);
+  return [...new Set([
+    ...dataAccess.getDatesWithData(userId, startDate, endDate),
+    ...timerDates,
+    ...snapshotDates
+  ])].sort();
+}
+
+// Helper function to collect the per-day export states in a date range
+function getUserStatesForRange(userId, startDate, endDate) {
+  return getExportDates(userId, startDate, endDate)
+    .map(date => getExportState(userId, date));
+}
+
+// Helper function to summarize a Time Since tracker's current run and its archived resets
+function getTimeSinceStats(tracker, resets, now = Date.now()) {
+  const spanMs = (from, to) => {
+    const ms = new Date(to).getTime() - new Date(from).getTime();
+    return isNaN(ms) ? 0 : Math.max(0, ms);
+  };
+
+  const intervals = resets.map(reset => spanMs(reset.startedAt, reset.endedAt));
+  const currentStreakMs = spanMs(tracker.date, now);
+  const averageIntervalMs = intervals.length > 0
+    ? Math.round(intervals.reduce((sum, ms) => sum + ms, 0) / intervals.length)
+    : null;
+
+  return {
+    resetCount: resets.length,
+    currentStreakMs,
+    longestStreakMs: Math.max(currentStreakMs, ...intervals),
+    averageIntervalMs
+  };
+}
+
 // Helper function to calculate time since for exports (server-side)
 function calculateTimeSince(dateStr) {
-  const then = new Date(dateStr);
-  const now = new Date();
-  let diffMinutes = Math.floor((now - then) / (1000 * 60));
+  return formatElapsedMs(new Date() - new Date(dateStr));
+}
+
+// Helper function to format a span of time as "1y 2mo 3w 4d 5h 6m"
+function formatElapsedMs(ms) {
+  let diffMinutes = Math.floor(ms / (1000 * 60));
 
   const years = Math.floor(diffMinutes / (365.25 * 24 * 60));
   diffMinutes -= Math.floor(years * 365.25 * 24 * 60);
@@ -296,7 +546,7 @@ function getCurrentElapsedTime(tracker) {
   let totalSeconds = tracker.value || 0;
 
   if (tracker.isRunning && tracker.startTime) {
-    const elapsed = Math.floor((Date.now() - tracker.startTime) / 1000);
+    const elapsed = Math.floor((Date.now() - new Date(tracker.startTime).getTime()) / 1000);
     totalSeconds += elapsed;
   }
 
@@ -310,6 +560,178 @@ function formatDate(dateStr) {
   return `${date.getFullYear()}-${months[date.getMonth()]}-${String(date.getDate()).padStart(2, '0')}`;
 }
 
+// Helper function to render one day's sections (sleep, health, trackers, fields, tasks, entries)
+// into an open PDF document, starting at the current cursor position
+function renderDaySections(doc, dayData) {
+  // Sleep Metrics
+  const sleep = dayData.sleep;
+  if (sleep && (sleep.bedtime || sleep.wakeTime || sleep.totalMinutes !== null)) {
+    const formatMinutes = minutes => formatDuration(Math.abs(minutes) * 60);
+    doc.fontSize(16).fillColor('#6B46C1').text('SLEEP METRICS', { underline: true });
+    if (sleep.bedtime) doc.fontSize(12).fillColor('#000000').text(`Bedtime: ${sleep.bedtime}`);
+    if (sleep.wakeTime) doc.fontSize(12).fillColor('#000000').text(`Wake Time: ${sleep.wakeTime}`);
+    if (sleep.totalMinutes !== null) {
+      const naps = sleep.naps.length > 0 ? ` (incl. ${formatMinutes(sleep.napMinutes)} of naps)` : '';
+      doc.fontSize(12).fillColor('#000000').text(`Slept: ${formatMinutes(sleep.totalMinutes)}${naps}`);
+    }
+    if (sleep.quality) doc.fontSize(12).fillColor('#000000').text(`Quality: ${sleep.quality}/5`);
+    doc.fontSize(10).fillColor('#666666').text(
+      `7-day ${sleep.debtMinutes >= 0 ? 'debt' : 'surplus'}: ${formatMinutes(sleep.debtMinutes)} (target ${formatMinutes(sleep.targetMinutes)})`
+    );
+    doc.moveDown();
+  }
+
+  // Health Metrics
+  const healthMetrics = getLoggedHealthMetrics(dayData.healthMetrics);
+  if (healthMetrics.length > 0) {
+    doc.fontSize(16).fillColor('#6B46C1').text('HEALTH METRICS', { underline: true });
+    healthMetrics.forEach(({ metric, value }) => {
+      doc.fontSize(12).fillColor('#000000').text(`${metric.label}: ${formatHealthMetric(metric, value)}`);
+    });
+    doc.moveDown();
+  }
+
+  // Time Since Trackers
+  if (dayData.timeSinceTrackers && dayData.timeSinceTrackers.length > 0) {
+    doc.fontSize(16).fillColor('#6B46C1').text('TIME SINCE TRACKERS', { underline: true });
+    dayData.timeSinceTrackers.forEach(t => {
+      if (t.mode === 'countdown') {
+        doc.fontSize(12).fillColor('#000000').text(`• ${t.name}: ${formatDate(t.date)} (in ${formatElapsedMs(t.remainingMs)})`);
+        return;
+      }
+
+      const timeSince = calculateTimeSince(t.date);
+      doc.fontSize(12).fillColor('#000000').text(`• ${t.name}: ${formatDate(t.date)} (${timeSince})`);
+      if (t.resetCount > 0) {
+        doc.fontSize(10).fillColor('#666666').text(`   Longest: ${formatElapsedMs(t.longestStreakMs)} • Average: ${formatElapsedMs(t.averageIntervalMs)} • Resets: ${t.resetCount}`);
+      }
+      if (t.nextMilestone) {
+        doc.fontSize(10).fillColor('#666666').text(`   Next milestone: ${formatMilestone(t.nextMilestone)} (${t.nextMilestoneProgress}%)`);
+      }
+    });
+    doc.moveDown();
+  }
+
+  // Duration Trackers
+  if (dayData.durationTrackers && dayData.durationTrackers.length > 0) {
+    doc.fontSize(16).fillColor('#6B46C1').text('DURATION TRACKERS', { underline: true });
+    dayData.durationTrackers.forEach(t => {
+      if (t.type === 'timer') {
+        const storedValue = formatDuration(t.value);
+        if (t.isRunning && t.startTime) {
+          const currentElapsed = getCurrentElapsedTime(t);
+          const currentValue = formatDuration(currentElapsed);
+          doc.fontSize(12).fillColor('#000000').text(`• ${t.name} (timer): ${currentValue} [RUNNING - stored: ${storedValue}]`);
+        } else {
+          doc.fontSize(12).fillColor('#000000').text(`• ${t.name} (timer): ${storedValue}`);
+        }
+      } else {
+        doc.fontSize(12).fillColor('#000000').text(`• ${t.name} (manual): ${t.value} minutes`);
+      }
+      doc.fontSize(10).fillColor('#666666').text(`   This week: ${formatDuration(Math.floor(t.weekTotalMs / 1000))}`);
+    });
+    doc.moveDown();
+  }
+
+  // Custom Counters
+  if (dayData.customCounters && dayData.customCounters.length > 0) {
+    doc.fontSize(16).fillColor('#6B46C1').text('CUSTOM COUNTERS', { underline: true });
+    dayData.customCounters.forEach(c => {
+      let line = `• ${c.name}: ${formatCounterValue(c, c.value)}`;
+      if (c.goal !== null) {
+        const direction = c.goalDirection === 'at_most' ? '≤' : '≥';
+        line += ` (goal ${direction} ${formatCounterValue(c, c.goal)}, ${c.goalProgress}%)`;
+      }
+      doc.fontSize(12).fillColor('#000000').text(line);
+    });
+    doc.moveDown();
+  }
+
+  // Template Fields
+  if (dayData.customFields && dayData.customFields.length > 0) {
+    const filledFields = dayData.customFields.filter(f => f.value);
+    if (filledFields.length > 0) {
+      doc.fontSize(16).fillColor('#6B46C1').text('TEMPLATE FIELDS', { underline: true });
+      filledFields.forEach(f => {
+        const capitalizedKey = f.key.charAt(0).toUpperCase() + f.key.slice(1);
+        doc.fontSize(12).fillColor('#000000').text(`• ${capitalizedKey}: ${formatFieldValue(f)}`);
+      });
+      doc.moveDown();
+    }
+  }
+
+  // Daily Custom Fields
+  if (dayData.dailyCustomFields && dayData.dailyCustomFields.length > 0) {
+    const filledFields = dayData.dailyCustomFields.filter(f => f.value);
+    if (filledFields.length > 0) {
+      doc.fontSize(16).fillColor('#6B46C1').text('DAILY FIELDS', { underline: true });
+      filledFields.forEach(f => {
+        const capitalizedKey = f.key.charAt(0).toUpperCase() + f.key.slice(1);
+        doc.fontSize(12).fillColor('#000000').text(`• ${capitalizedKey}: ${f.value}`);
+      });
+      doc.moveDown();
+    }
+  }
+
+  // Daily Tasks
+  if (dayData.dailyTasks && dayData.dailyTasks.length > 0) {
+    doc.fontSize(16).fillColor('#6B46C1').text('DAILY TASKS', { underline: true });
+    dayData.dailyTasks.forEach(t => {
+      const check = t.completed ? '✓' : '○';
+      doc.fontSize(12).fillColor('#000000').text(`${check} ${t.text}`);
+    });
+    doc.moveDown();
+  }
+
+  // Activity Entries
+  if (dayData.entries && dayData.entries.length > 0) {
+    doc.fontSize(16).fillColor('#6B46C1').text('ACTIVITY ENTRIES', { underline: true });
+    dayData.entries.forEach(e => {
+      // Check if we need a new page
+      if (doc.y > doc.page.height - 150) {
+        doc.addPage();
+      }
+
+      doc.strokeColor('#CCCCCC').moveTo(50, doc.y).lineTo(doc.page.width - 50, doc.y).stroke();
+      doc.moveDown(0.5);
+      doc.fontSize(11).fillColor('#6B46C1').text(e.timestamp, { continued: false });
+      doc.fontSize(12).fillColor('#000000').text(e.text, { align: 'left' });
+
+      // Handle images (base64 embedded images)
+      if (e.image) {
+        try {
+          // Extract base64 data
+          const base64Data = e.image.split(',')[1] || e.image;
+          const imageBuffer = Buffer.from(base64Data, 'base64');
+
+          // Scale to fit a 400x300 box and work out the rendered height
+          const image = doc.openImage(imageBuffer);
+          const scale = Math.min(400 / image.width, 300 / image.height, 1);
+          const imageHeight = image.height * scale;
+
+          // Check if we need a new page for the image
+          if (doc.y + imageHeight + 20 > doc.page.height - doc.page.margins.bottom) {
+            doc.addPage();
+          }
+
+          doc.moveDown(0.5);
+          doc.image(image, 50, doc.y, { width: image.width * scale, height: imageHeight });
+          doc.y += imageHeight; // Move down to account for image height
+        } catch (imageError) {
+          console.error('Error embedding image in PDF:', imageError);
+          doc.fontSize(10).fillColor('#999999').text('[Image could not be embedded]');
+        }
+      }
+
+      doc.moveDown();
+    });
+  } else {
+    doc.fontSize(16).fillColor('#6B46C1').text('ACTIVITY ENTRIES', { underline: true });
+    doc.fontSize(12).fillColor('#999999').text('No entries today', { italic: true });
+    doc.moveDown();
+  }
+}
+
 // Helper function to generate PDF report using PDFKit
 async function generatePDFReport(dayData, username = null, userProfileFields = null) {
   return new Promise((resolve, reject) => {
@@ -350,130 +772,130 @@ async function generatePDFReport(dayData, username = null, userProfileFields = n
       doc.moveDown();
     }
 
-    // Sleep Metrics
-    if (dayData.previousBedtime || dayData.wakeTime) {
-      doc.fontSize(16).fillColor('#6B46C1').text('SLEEP METRICS', { underline: true });
-      if (dayData.previousBedtime) doc.fontSize(12).fillColor('#000000').text(`Bedtime: ${dayData.previousBedtime}`);
-      if (dayData.wakeTime) doc.fontSize(12).fillColor('#000000').text(`Wake Time: ${dayData.wakeTime}`);
-      doc.moveDown();
-    }
+    renderDaySections(doc, dayData);
 
-    // Time Since Trackers
-    if (dayData.timeSinceTrackers && dayData.timeSinceTrackers.length > 0) {
-      doc.fontSize(16).fillColor('#6B46C1').text('TIME SINCE TRACKERS', { underline: true });
-      dayData.timeSinceTrackers.forEach(t => {
-        const timeSince = calculateTimeSince(t.date);
-        doc.fontSize(12).fillColor('#000000').text(`• ${t.name}: ${formatDate(t.date)} (${timeSince})`);
-      });
-      doc.moveDown();
-    }
+    doc.end();
+  });
+}
 
-    // Duration Trackers
-    if (dayData.durationTrackers && dayData.durationTrackers.length > 0) {
-      doc.fontSize(16).fillColor('#6B46C1').text('DURATION TRACKERS', { underline: true });
-      dayData.durationTrackers.forEach(t => {
-        if (t.type === 'timer') {
-          const storedValue = formatDuration(t.value);
-          if (t.isRunning && t.startTime) {
-            const currentElapsed = getCurrentElapsedTime(t);
-            const currentValue = formatDuration(currentElapsed);
-            doc.fontSize(12).fillColor('#000000').text(`• ${t.name} (timer): ${currentValue} [RUNNING - stored: ${storedValue}]`);
-          } else {
-            doc.fontSize(12).fillColor('#000000').text(`• ${t.name} (timer): ${storedValue}`);
-          }
-        } else {
-          doc.fontSize(12).fillColor('#000000').text(`• ${t.name} (${t.type}): ${t.value} minutes`);
-        }
-      });
-      doc.moveDown();
-    }
+// Helper function to generate a multi-day PDF report (cover, contents, one section per day)
+async function generateRangePDFReport(dayStates, startDate, endDate, generatedDate, username = null, userProfileFields = null) {
+  return new Promise((resolve, reject) => {
+    // Buffer pages so the contents, headers and page numbers can be filled in at the end
+    const doc = new PDFDocument({ size: 'A4', margin: 50, bufferPages: true });
+    const buffers = [];
 
-    // Custom Counters
-    if (dayData.customCounters && dayData.customCounters.length > 0) {
-      doc.fontSize(16).fillColor('#6B46C1').text('CUSTOM COUNTERS', { underline: true });
-      dayData.customCounters.forEach(c => {
-        doc.fontSize(12).fillColor('#000000').text(`• ${c.name}: ${c.value}`);
-      });
-      doc.moveDown();
-    }
+    doc.on('data', buffers.push.bind(buffers));
+    doc.on('end', () => resolve(Buffer.concat(buffers)));
+    doc.on('error', reject);
 
-    // Template Fields
-    if (dayData.customFields && dayData.customFields.length > 0) {
-      const filledFields = dayData.customFields.filter(f => f.value);
-      if (filledFields.length > 0) {
-        doc.fontSize(16).fillColor('#6B46C1').text('TEMPLATE FIELDS', { underline: true });
-        filledFields.forEach(f => {
-          const capitalizedKey = f.key.charAt(0).toUpperCase() + f.key.slice(1);
-          doc.fontSize(12).fillColor('#000000').text(`• ${capitalizedKey}: ${f.value}`);
-        });
-        doc.moveDown();
-      }
+    const rangeLabel = `${formatDate(startDate)} to ${formatDate(endDate)}`;
+
+    // Cover page
+    doc.rect(0, 0, doc.page.width, 220).fillAndStroke('#6B46C1', '#6B46C1');
+    doc.fillColor('#FFFFFF')
+       .fontSize(28)
+       .text('DAILY JOURNAL REPORT', 50, 80, { align: 'center' });
+    doc.fontSize(16)
+       .text(rangeLabel, 50, 130, { align: 'center' });
+
+    doc.fillColor('#000000');
+    doc.y = 260;
+    if (username) {
+      doc.fontSize(14).text(`Prepared for: ${username}`);
     }
+    doc.fontSize(14).text(`Days included: ${dayStates.length}`);
+    doc.fontSize(14).text(`Generated: ${formatDate(generatedDate)}`);
+    doc.moveDown();
 
-    // Daily Custom Fields
-    if (dayData.dailyCustomFields && dayData.dailyCustomFields.length > 0) {
-      const filledFields = dayData.dailyCustomFields.filter(f => f.value);
-      if (filledFields.length > 0) {
-        doc.fontSize(16).fillColor('#6B46C1').text('DAILY FIELDS', { underline: true });
-        filledFields.forEach(f => {
-          const capitalizedKey = f.key.charAt(0).toUpperCase() + f.key.slice(1);
-          doc.fontSize(12).fillColor('#000000').text(`• ${capitalizedKey}: ${f.value}`);
-        });
-        doc.moveDown();
+    if (userProfileFields && Object.keys(userProfileFields).length > 0) {
+      doc.fontSize(16).fillColor('#6B46C1').text('PROFILE', { underline: true });
+      for (const [key, value] of Object.entries(userProfileFields)) {
+        const capitalizedKey = key.charAt(0).toUpperCase() + key.slice(1);
+        doc.fontSize(12).fillColor('#000000').text(`${capitalizedKey}: ${value}`);
       }
     }
 
-    // Daily Tasks
-    if (dayData.dailyTasks && dayData.dailyTasks.length > 0) {
-      doc.fontSize(16).fillColor('#6B46C1').text('DAILY TASKS', { underline: true });
-      dayData.dailyTasks.forEach(t => {
-        const check = t.completed ? '✓' : '○';
-        doc.fontSize(12).fillColor('#000000').text(`${check} ${t.text}`);
-      });
-      doc.moveDown();
+    // Reserve enough pages for the table of contents
+    const tocLineHeight = 20;
+    const tocFirstPageLines = Math.floor((doc.page.height - 100 - 130) / tocLineHeight);
+    const tocLinesPerPage = Math.floor((doc.page.height - 100 - 80) / tocLineHeight);
+    const tocPageCount = 1 + Math.max(0, Math.ceil((dayStates.length - tocFirstPageLines) / tocLinesPerPage));
+    const tocStartPage = 1;
+    for (let i = 0; i < tocPageCount; i++) {
+      doc.addPage();
     }
 
-    // Activity Entries
-    if (dayData.entries && dayData.entries.length > 0) {
-      doc.fontSize(16).fillColor('#6B46C1').text('ACTIVITY ENTRIES', { underline: true });
-      dayData.entries.forEach(e => {
-        // Check if we need a new page
-        if (doc.y > doc.page.height - 150) {
-          doc.addPage();
-        }
+    // One section per day, each starting on a new page
+    const dayPages = [];
+    dayStates.forEach((dayData, index) => {
+      doc.addPage();
+      dayPages.push(doc.bufferedPageRange().count - 1);
 
-        doc.strokeColor('#CCCCCC').moveTo(50, doc.y).lineTo(doc.page.width - 50, doc.y).stroke();
-        doc.moveDown(0.5);
-        doc.fontSize(11).fillColor('#6B46C1').text(e.timestamp, { continued: false });
-        doc.fontSize(12).fillColor('#000000').text(e.text, { align: 'left' });
-
-        // Handle images (base64 embedded images)
-        if (e.image) {
-          try {
-            // Extract base64 data
-            const base64Data = e.image.split(',')[1] || e.image;
-            const imageBuffer = Buffer.from(base64Data, 'base64');
-
-            // Check if we need a new page for the image
-            if (doc.y > doc.page.height - 250) {
-              doc.addPage();
-            }
-
-            doc.moveDown(0.5);
-            doc.image(imageBuffer, 50, doc.y, { width: 400, fit: [400, 300] });
-            doc.moveDown(10); // Move down to account for image height
-          } catch (imageError) {
-            console.error('Error embedding image in PDF:', imageError);
-            doc.fontSize(10).fillColor('#999999').text('[Image could not be embedded]');
-          }
-        }
+      const destination = `day-${dayData.date}`;
+      doc.addNamedDestination(destination);
+      doc.outline.addItem(formatDate(dayData.date));
 
-        doc.moveDown();
-      });
-    } else {
-      doc.fontSize(16).fillColor('#6B46C1').text('ACTIVITY ENTRIES', { underline: true });
-      doc.fontSize(12).fillColor('#999999').text('No entries today', { italic: true });
-      doc.moveDown();
+      doc.fontSize(20).fillColor('#6B46C1').text(formatDate(dayData.date));
+      doc.fontSize(10).fillColor('#999999').text(`Day ${index + 1} of ${dayStates.length}`);
+      doc.strokeColor('#6B46C1').moveTo(50, doc.y + 5).lineTo(doc.page.width - 50, doc.y + 5).stroke();
+      doc.fillColor('#000000');
+      doc.moveDown(1.5);
+
+      renderDaySections(doc, dayData);
+    });
+
+    // Fill in the table of contents now that page numbers are known
+    doc.switchToPage(tocStartPage);
+    doc.y = 50;
+    doc.fontSize(20).fillColor('#6B46C1').text('TABLE OF CONTENTS');
+    doc.moveDown();
+
+    let tocPage = tocStartPage;
+    let linesLeft = tocFirstPageLines;
+    dayStates.forEach((dayData, index) => {
+      if (linesLeft === 0) {
+        tocPage += 1;
+        doc.switchToPage(tocPage);
+        doc.y = 80;
+        linesLeft = tocLinesPerPage;
+      }
+
+      const y = doc.y;
+      const entryCount = dayData.entries ? dayData.entries.length : 0;
+      const pageLabel = String(dayPages[index] + 1);
+      doc.fontSize(12).fillColor('#000000')
+         .text(`${formatDate(dayData.date)}  (${entryCount} ${entryCount === 1 ? 'entry' : 'entries'})`, 50, y, {
+           goTo: `day-${dayData.date}`,
+           width: doc.page.width - 160,
+           lineBreak: false
+         });
+      doc.text(pageLabel, 50, y, { align: 'right', width: doc.page.width - 100, lineBreak: false });
+      doc.y = y + tocLineHeight;
+      linesLeft -= 1;
+    });
+
+    // Running header and page numbers on every page after the cover
+    const range = doc.bufferedPageRange();
+    const headerText = `${username ? `${username} · ` : ''}${rangeLabel}`;
+    for (let i = range.start + 1; i < range.start + range.count; i++) {
+      doc.switchToPage(i);
+
+      // Drawing inside the margins must not trigger automatic page breaks
+      const bottomMargin = doc.page.margins.bottom;
+      doc.page.margins.bottom = 0;
+
+      doc.fontSize(9).fillColor('#999999')
+         .text(headerText, 50, 20, { align: 'left', width: doc.page.width - 100, lineBreak: false });
+      doc.strokeColor('#CCCCCC').moveTo(50, 34).lineTo(doc.page.width - 50, 34).stroke();
+      doc.fontSize(9).fillColor('#999999')
+         .text(`Page ${i + 1} of ${range.count}`, 50, doc.page.height - 35, {
+           align: 'center',
+           width: doc.page.width - 100,
+           lineBreak: false
+         });
+
+      doc.page.margins.bottom = bottomMargin;
     }
 
     doc.end();
@@ -547,7 +969,7 @@ app.put('/api/users/profile-field', authMiddleware, (req, res) => {
   // Save the profile field to database
   dataAccess.setProfileField(req.user.id, key, value);
 
-  console.log(`Setting profile field for user ${req.user.id}: ${key} = ${value}`);
+  debugLog(`Setting profile field for user ${req.user.id}: ${key} = ${value}`);
   res.json({ success: true });
 });
 
@@ -557,10 +979,49 @@ app.delete('/api/users/profile-field/:key', authMiddleware, (req, res) => {
   // Remove the profile field from database
   dataAccess.deleteProfileField(req.user.id, key);
 
-  console.log(`Deleting profile field for user ${req.user.id}: ${key}`);
+  debugLog(`Deleting profile field for user ${req.user.id}: ${key}`);
   res.json({ success: true });
 });
 
+// Server limits the client needs to know about
+app.get('/api/config', authMiddleware, (req, res) => {
+  res.json({ maxUploadSizeMb: config.maxUploadSizeMb });
+});
+
+// User preferences (timezone and day start hour)
+app.get('/api/users/settings', authMiddleware, (req, res) => {
+  const settings = dataAccess.getUserSettings(req.user.id);
+  res.json({
+    timezone: settings.timezone,
+    dayStartHour: settings.day_start_hour,
+    today: getTodayDate(settings)
+  });
+});
+
+app.put('/api/users/settings', authMiddleware, (req, res) => {
+  const current = dataAccess.getUserSettings(req.user.id);
+  const timezone = req.body.timezone !== undefined ? req.body.timezone : current.timezone;
+  const dayStartHour = req.body.dayStartHour !== undefined ? parseInt(req.body.dayStartHour) : current.day_start_hour;
+
+  if (!isValidTimeZone(timezone)) {
+    return res.status(400).json({ error: 'Unknown timezone' });
+  }
+
+  if (isNaN(dayStartHour) || dayStartHour < 0 || dayStartHour > 23) {
+    return res.status(400).json({ error: 'Day start hour must be between 0 and 23' });
+  }
+
+  dataAccess.setUserSettings(req.user.id, timezone, dayStartHour);
+
+  debugLog(`Updated settings for user ${req.user.id}:`, { timezone, dayStartHour });
+  res.json({
+    success: true,
+    timezone,
+    dayStartHour,
+    today: getTodayDate({ timezone, day_start_hour: dayStartHour })
+  });
+});
+
 // Update user profile
 app.put('/api/users/me', authMiddleware, (req, res) => {
   const { username, email, currentPassword, newPassword } = req.body;
@@ -579,7 +1040,7 @@ app.put('/api/users/me', authMiddleware, (req, res) => {
   // Update in database
   dataAccess.updateUser(req.user.id, updates);
 
-  console.log(`Updated profile for user ${req.user.id}:`, { username, email });
+  debugLog(`Updated profile for user ${req.user.id}:`, { username, email });
 
   // Fetch updated user
   const updatedUser = dataAccess.getUserById(req.user.id);
@@ -596,9 +1057,9 @@ app.put('/api/users/me', authMiddleware, (req, res) => {
 // Get all users (admin only)
 app.get('/api/users/list', authMiddleware, (req, res) => {
   // Check if user is admin
-  console.log('GET /api/users/list - req.user:', req.user);
+  debugLog('GET /api/users/list - req.user:', req.user);
   if (!req.user || !req.user.is_admin) {
-    console.log('403 Forbidden - is_admin:', req.user?.is_admin);
+    debugLog('403 Forbidden - is_admin:', req.user?.is_admin);
     return res.status(403).json({ error: 'Unauthorized' });
   }
 
@@ -758,153 +1219,349 @@ app.delete('/api/users/:id', authMiddleware, (req, res) => {
 
   const deletedUsername = targetUser.username;
   dataAccess.deleteUser(userId);
+  removeUserJournal(userId);
 
   console.log(`Admin deleted user: ${deletedUsername}`);
   res.json({ success: true, message: 'User deleted successfully' });
 });
 
 // Get current state (Home page data)
-app.get('/api/state', authMiddleware, (req, res) => {
+app.get('/api/state', authMiddleware, dateMiddleware, (req, res) => {
   const userId = req.user.id;
-  const state = getUserState(userId);
+  const state = getUserState(userId, req.date);
   res.json(state);
 });
 
 // Update daily data
-app.post('/api/daily', authMiddleware, (req, res) => {
+app.post('/api/daily', authMiddleware, dateMiddleware, (req, res) => {
   const userId = req.user.id;
   const data = req.body;
-  console.log('Updating daily data:', data);
+  debugLog('Updating daily data:', data);
 
-  const currentDate = new Date().toISOString().slice(0, 10);
+  const currentDate = req.date;
 
-  // Update daily state in database
-  const previousBedtime = data.previousBedtime !== undefined ? data.previousBedtime : '';
-  const wakeTime = data.wakeTime !== undefined ? data.wakeTime : '';
+  // Update daily state in database, keeping whichever time wasn't sent
+  const existing = dataAccess.getDailyState(userId, currentDate) || {};
+  const previousBedtime = data.previousBedtime !== undefined ? normalizeClockTime(data.previousBedtime) : existing.previous_bedtime || '';
+  const wakeTime = data.wakeTime !== undefined ? normalizeClockTime(data.wakeTime) : existing.wake_time || '';
+
+  if (previousBedtime === null || wakeTime === null) {
+    return res.status(400).json({ error: 'Times must be HH:MM' });
+  }
 
   dataAccess.setDailyState(userId, currentDate, previousBedtime, wakeTime);
 
-  const state = getUserState(userId);
+  const state = getUserState(userId, req.date);
   res.json(state);
 });
 
-// Add entry
-app.post('/api/entry', authMiddleware, (req, res) => {
+// Sleep for the day: bedtime/wake time as HH:MM and a 1-5 quality rating (null clears it)
+app.put('/api/sleep', authMiddleware, dateMiddleware, (req, res) => {
   const userId = req.user.id;
-  const { text, image } = req.body;
-  console.log('Adding entry:', text, image ? '(with image)' : '');
-
-  // Validate image size if present (20MB limit)
-  if (image) {
-    // Base64 encoding adds ~33% overhead, so actual limit is ~15MB of base64
-    const sizeInBytes = (image.length * 3) / 4;
-    const maxSize = 20 * 1024 * 1024; // 20MB
-    if (sizeInBytes > maxSize) {
-      return res.status(400).json({ error: 'Image size exceeds 20MB limit' });
-    }
-  }
+  const { bedtime, wakeTime, quality } = req.body;
+
+  const existing = dataAccess.getDailyState(userId, req.date) || {};
+  const newBedtime = bedtime !== undefined ? normalizeClockTime(bedtime) : existing.previous_bedtime || '';
+  const newWakeTime = wakeTime !== undefined ? normalizeClockTime(wakeTime) : existing.wake_time || '';
 
-  const currentDate = new Date().toISOString().slice(0, 10);
+  if (newBedtime === null || newWakeTime === null) {
+    return res.status(400).json({ error: 'Times must be HH:MM' });
+  }
+  if (quality !== undefined && quality !== null && (!Number.isInteger(quality) || quality < 1 || quality > 5)) {
+    return res.status(400).json({ error: 'Quality must be a whole number from 1 to 5' });
+  }
 
-  // Create entry in database
-  dataAccess.createActivityEntry(userId, currentDate, text);
+  db.transaction(() => {
+    dataAccess.setDailyState(userId, req.date, newBedtime, newWakeTime);
+    if (quality !== undefined) {
+      dataAccess.setSleepQuality(userId, req.date, quality);
+    }
+  })();
 
-  const state = getUserState(userId);
+  const state = getUserState(userId, req.date);
   res.json(state);
 });
 
-// Download markdown (current day)
-app.get('/api/download', (req, res) => {
-  const token = req.query.token;
+app.post('/api/sleep/naps', authMiddleware, dateMiddleware, (req, res) => {
+  const userId = req.user.id;
+  const { minutes } = req.body;
+  const startTime = normalizeClockTime(req.body.startTime);
 
-  // Verify token from query parameter (for direct navigation)
-  if (!token) {
-    return res.status(401).json({ error: 'No token provided' });
+  if (!Number.isInteger(minutes) || minutes < 1 || minutes > 12 * 60) {
+    return res.status(400).json({ error: 'Nap length must be a whole number of minutes up to 720' });
   }
-
-  let decoded;
-  try {
-    decoded = jwt.verify(token, process.env.JWT_SECRET || 'dev-secret');
-  } catch (err) {
-    return res.status(401).json({ error: 'Invalid token' });
+  if (startTime === null) {
+    return res.status(400).json({ error: 'Start time must be HH:MM' });
   }
 
-  const userId = decoded.id;
-
-  // Get user info and profile fields from database
-  const user = dataAccess.getUserById(userId);
-  const username = user ? user.username : null;
-  const userProfileFields = dataAccess.getProfileFields(userId);
-
-  const state = getUserState(userId);
-  const markdown = generateMarkdownWithYAML(state, username, userProfileFields);
+  dataAccess.addSleepNap(userId, req.date, minutes, startTime);
 
-  res.setHeader('Content-Type', 'text/markdown; charset=utf-8');
-  res.setHeader('Content-Disposition', `attachment; filename="${state.date}.md"`);
-  res.send(markdown);
+  const state = getUserState(userId, req.date);
+  res.json(state);
 });
 
-// Download PDF (current day)
-app.get('/api/download-pdf', async (req, res) => {
-  const token = req.query.token;
+app.delete('/api/sleep/naps/:id', authMiddleware, dateMiddleware, (req, res) => {
+  const userId = req.user.id;
 
-  if (!token) {
-    return res.status(401).json({ error: 'No token provided' });
+  if (!dataAccess.deleteSleepNap(parseInt(req.params.id), userId)) {
+    return res.status(404).json({ error: 'Nap not found' });
   }
 
-  let decoded;
-  try {
-    decoded = jwt.verify(token, process.env.JWT_SECRET || 'dev-secret');
-  } catch (err) {
-    return res.status(401).json({ error: 'Invalid token' });
-  }
+  const state = getUserState(userId, req.date);
+  res.json(state);
+});
 
-  const userId = decoded.id;
+// Nightly sleep target the 7-day debt is measured against
+app.put('/api/sleep/target', authMiddleware, dateMiddleware, (req, res) => {
+  const userId = req.user.id;
+  const { minutes } = req.body;
 
-  try {
-    const user = dataAccess.getUserById(userId);
-    const username = user ? user.username : null;
-    const userProfileFields = dataAccess.getProfileFields(userId);
+  if (!Number.isInteger(minutes) || minutes < 60 || minutes > 24 * 60) {
+    return res.status(400).json({ error: 'Target must be a whole number of minutes from 60 to 1440' });
+  }
 
-    const state = getUserState(userId);
-    const pdfBuffer = await generatePDFReport(state, username, userProfileFields);
+  dataAccess.setSleepTarget(userId, minutes);
 
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `attachment; filename="${state.date}.pdf"`);
-    res.send(pdfBuffer);
-  } catch (error) {
-    console.error('Error generating PDF:', error);
-    res.status(500).json({ error: 'Failed to generate PDF', details: error.message });
-  }
+  const state = getUserState(userId, req.date);
+  res.json(state);
 });
 
-// Save daily snapshot (placeholder - will implement with historical data later)
-app.post('/api/exports/save-snapshot', authMiddleware, (req, res) => {
+// Health metrics for the day; only the metrics sent change and null clears one
+app.put('/api/health-metrics', authMiddleware, dateMiddleware, (req, res) => {
   const userId = req.user.id;
-  const currentDate = new Date().toISOString().slice(0, 10);
 
-  console.log(`Snapshot save requested for user ${userId} on ${currentDate}`);
-  res.json({ success: true, date: currentDate });
+  const { metrics, error } = parseHealthMetrics(req.body, dataAccess.getHealthMetrics(userId, req.date));
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  dataAccess.setHealthMetrics(userId, req.date, metrics);
+
+  const state = getUserState(userId, req.date);
+  res.json(state);
 });
 
-// Get available export dates for current user (placeholder)
-app.get('/api/exports/available-dates', authMiddleware, (req, res) => {
+// Add entry
+app.post('/api/entry', authMiddleware, dateMiddleware, async (req, res) => {
   const userId = req.user.id;
+  const { text, image, timestamp } = req.body;
+  debugLog('Adding entry:', text, image ? '(with image)' : '');
 
-  // TODO: Implement historical data retrieval from database
-  const dates = [];
+  if (typeof text !== 'string' || !text.trim()) {
+    return res.status(400).json({ error: 'Entry text is required' });
+  }
+  if (image && typeof image !== 'string') {
+    return res.status(400).json({ error: 'Image must be a base64 data URL' });
+  }
 
-  res.json({ dates });
-});
+  try {
+    // Optional backdated time, checked against the day the entry is added to
+    let entryTimestamp = getDefaultEntryTimestamp(userId, req.date);
+    if (timestamp) {
+      const resolved = resolveEntryTimestamp(userId, req.date, timestamp);
+      if (resolved.error) {
+        return res.status(400).json({ error: resolved.error });
+      }
+      entryTimestamp = resolved.value;
+    }
 
-// Delete a specific snapshot (placeholder)
-app.delete('/api/exports/snapshot/:date', authMiddleware, (req, res) => {
-  const userId = req.user.id;
-  const { date } = req.params;
+    // Validate image size if present (MAX_UPLOAD_SIZE, measured on the decoded image)
+    if (image) {
+      const sizeInBytes = (image.length * 3) / 4;
+      if (sizeInBytes > config.maxUploadBytes) {
+        return res.status(400).json({ error: `Image size exceeds ${config.maxUploadSizeMb}MB limit` });
+      }
+    }
 
-  console.log(`Snapshot deletion requested for user ${userId}, date ${date}`);
-  res.json({ success: true, dates: [] });
-});
+    // Decode the image and build its thumbnail before anything is saved
+    let preparedImage = null;
+    if (image) {
+      try {
+        preparedImage = await prepareEntryImage(image);
+      } catch (error) {
+        console.error('Error processing entry image:', error.message);
+        return res.status(400).json({ error: 'Unsupported or corrupt image' });
+      }
+    }
+
+    const currentDate = req.date;
+
+    // Create the entry and its image together so a failed image insert leaves no entry
+    db.transaction(() => {
+      const entryId = dataAccess.createActivityEntry(userId, currentDate, text, entryTimestamp);
+
+      if (preparedImage) {
+        dataAccess.createEntryAttachment(
+          entryId,
+          userId,
+          preparedImage.mimeType,
+          preparedImage.data,
+          preparedImage.thumbnail
+        );
+      }
+    })();
+
+    const state = getUserState(userId, req.date);
+    res.json(state);
+  } catch (error) {
+    // The handler is async, so Express would never see this error
+    console.error('Error saving entry:', error);
+    res.status(500).json({ error: 'Failed to save entry' });
+  }
+});
+
+// Edit an entry's text and/or time (the time must stay on the entry's date)
+app.put('/api/entry/:id', authMiddleware, dateMiddleware, (req, res) => {
+  const userId = req.user.id;
+  const id = parseInt(req.params.id);
+  const { text, timestamp } = req.body;
+
+  const entry = dataAccess.getActivityEntryById(id, userId);
+  if (!entry) {
+    return res.status(404).json({ error: 'Entry not found' });
+  }
+
+  const updates = {};
+
+  if (text !== undefined) {
+    if (typeof text !== 'string' || !text.trim()) {
+      return res.status(400).json({ error: 'Entry text is required' });
+    }
+    updates.text = text;
+  }
+
+  if (timestamp !== undefined) {
+    const resolved = resolveEntryTimestamp(userId, entry.date, timestamp);
+    if (resolved.error) {
+      return res.status(400).json({ error: resolved.error });
+    }
+    updates.timestamp = resolved.value;
+  }
+
+  dataAccess.updateActivityEntry(id, userId, updates);
+
+  debugLog(`Updated entry ${id} for user ${userId}`);
+  const state = getUserState(userId, req.date);
+  res.json(state);
+});
+
+// Get the image attached to an entry (?size=thumb for the thumbnail)
+app.get('/api/entries/:id/image', authMiddleware, (req, res) => {
+  const userId = req.user.id;
+  const id = parseInt(req.params.id);
+
+  const attachment = dataAccess.getEntryAttachment(id, userId);
+  if (!attachment) {
+    return res.status(404).json({ error: 'Image not found' });
+  }
+
+  const isThumbnail = req.query.size === 'thumb';
+  res.setHeader('Content-Type', isThumbnail ? 'image/jpeg' : attachment.mime_type);
+  res.setHeader('Cache-Control', 'private, max-age=86400');
+  res.send(isThumbnail ? attachment.thumbnail : attachment.data);
+});
+
+// Issue a short-lived ticket for one of the download routes below
+app.post('/api/download-tickets', authMiddleware, (req, res) => {
+  const { purpose } = req.body;
+
+  if (!DOWNLOAD_PURPOSES.includes(purpose)) {
+    return res.status(400).json({ error: `Purpose must be one of: ${DOWNLOAD_PURPOSES.join(', ')}` });
+  }
+
+  const ticket = generateDownloadTicket(req.user, purpose);
+  res.json({ ticket, expiresIn: DOWNLOAD_TICKET_TTL_SECONDS });
+});
+
+// Download markdown (current day, or its saved snapshot)
+app.get('/api/download', downloadTicketMiddleware('markdown'), dateMiddleware, (req, res) => {
+  const userId = req.user.id;
+
+  // Get user info and profile fields from database
+  const user = dataAccess.getUserById(userId);
+  const username = user ? user.username : null;
+  const userProfileFields = dataAccess.getProfileFields(userId);
+
+  const state = embedEntryImages(userId, getExportState(userId, req.date));
+  const markdown = generateMarkdownWithYAML(state, username, userProfileFields);
+
+  res.setHeader('Content-Type', 'text/markdown; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${state.date}.md"`);
+  res.send(markdown);
+});
+
+// Download PDF (current day, or its saved snapshot)
+app.get('/api/download-pdf', downloadTicketMiddleware('pdf'), dateMiddleware, async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const user = dataAccess.getUserById(userId);
+    const username = user ? user.username : null;
+    const userProfileFields = dataAccess.getProfileFields(userId);
+
+    const state = embedEntryImages(userId, getExportState(userId, req.date), { forPdf: true });
+    const pdfBuffer = await generatePDFReport(state, username, userProfileFields);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${state.date}.pdf"`);
+    res.send(pdfBuffer);
+  } catch (error) {
+    console.error('Error generating PDF:', error);
+    res.status(500).json({ error: 'Failed to generate PDF', details: error.message });
+  }
+});
+
+// Save daily snapshot (frozen copy of the day's state, today unless ?date is given).
+// Exports of that day are served from the snapshot from then on.
+app.post('/api/exports/save-snapshot', authMiddleware, dateMiddleware, (req, res) => {
+  const userId = req.user.id;
+  const state = getUserState(userId, req.date);
+
+  // Saving the same date again replaces the earlier snapshot (and its journal file)
+  const snapshot = { ...state, savedAt: new Date().toISOString() };
+  dataAccess.saveSnapshot(userId, state.date, snapshot);
+
+  const user = dataAccess.getUserById(userId);
+  const markdown = generateMarkdownWithYAML(
+    embedEntryImages(userId, snapshot),
+    user ? user.username : null,
+    dataAccess.getProfileFields(userId)
+  );
+  try {
+    writeJournalFile(userId, state.date, markdown);
+  } catch (error) {
+    console.error(`Error writing journal file for user ${userId} on ${state.date}:`, error);
+    return res.status(500).json({ error: 'Snapshot saved, but its journal file could not be written' });
+  }
+  pruneUserSnapshots(userId);
+
+  console.log(`Snapshot saved for user ${userId} on ${state.date}`);
+  res.json({ success: true, date: state.date });
+});
+
+// Get available snapshot dates for current user (newest first)
+app.get('/api/exports/available-dates', authMiddleware, (req, res) => {
+  const userId = req.user.id;
+  const dates = dataAccess.getSnapshotDates(userId);
+
+  res.json({ dates });
+});
+
+// Delete a specific snapshot
+app.delete('/api/exports/snapshot/:date', authMiddleware, (req, res) => {
+  const userId = req.user.id;
+  const { date } = req.params;
+
+  if (!dataAccess.getSnapshot(userId, date)) {
+    return res.status(404).json({ error: 'Snapshot not found' });
+  }
+
+  dataAccess.deleteSnapshot(userId, date);
+  removeJournalFiles(userId, [date]);
+
+  console.log(`Deleted snapshot for user ${userId}, date ${date}`);
+  res.json({ success: true, dates: dataAccess.getSnapshotDates(userId) });
+});
 
 // Get snapshot retention settings
 app.get('/api/exports/retention-settings', authMiddleware, (req, res) => {
@@ -921,18 +1578,25 @@ app.put('/api/exports/retention-settings', authMiddleware, (req, res) => {
   const parsedMaxDays = maxDays !== undefined ? parseInt(maxDays) : 30;
   const parsedMaxCount = maxCount !== undefined ? parseInt(maxCount) : 100;
 
+  if (isNaN(parsedMaxDays) || parsedMaxDays < 0 || isNaN(parsedMaxCount) || parsedMaxCount < 0) {
+    return res.status(400).json({ error: 'Retention limits must be non-negative numbers' });
+  }
+
   dataAccess.setSnapshotSettings(userId, parsedMaxDays, parsedMaxCount);
 
-  // TODO: Run cleanup with new settings when historical data is implemented
+  // Apply the new limits straight away
+  const result = pruneUserSnapshots(userId);
 
   res.json({
     success: true,
     settings: { maxDays: parsedMaxDays, maxCount: parsedMaxCount },
-    dates: []
+    dates: result.remainingDates,
+    deletedDates: result.deletedDates,
+    remainingCount: result.remainingCount
   });
 });
 
-// Export date range (placeholder)
+// Export date range (list of days that have data)
 app.post('/api/exports/date-range', authMiddleware, (req, res) => {
   const { startDate, endDate } = req.body;
   const userId = req.user.id;
@@ -941,183 +1605,406 @@ app.post('/api/exports/date-range', authMiddleware, (req, res) => {
     return res.status(400).json({ error: 'Start date and end date required' });
   }
 
-  // TODO: Implement historical data retrieval from database
-  const exportData = [];
+  if (!isValidDateString(startDate) || !isValidDateString(endDate) || startDate > endDate) {
+    return res.status(400).json({ error: 'Invalid date range' });
+  }
+
+  const exportData = getExportDates(userId, startDate, endDate);
 
   res.json({ dates: exportData });
 });
 
-// Download markdown for date range (placeholder)
-app.post('/api/exports/download-range', (req, res) => {
-  const { startDate, endDate, token } = req.body;
+// Download markdown for date range (zip with one file per day)
+app.post('/api/exports/download-range', downloadTicketMiddleware('range-markdown'), (req, res) => {
+  const userId = req.user.id;
+  const { startDate, endDate, combined } = req.body;
 
-  // Verify token from body (form submissions can't set headers)
-  if (!token) {
-    return res.status(401).json({ error: 'No token provided' });
+  if (!startDate || !endDate) {
+    return res.status(400).json({ error: 'Start date and end date required' });
   }
 
-  let decoded;
-  try {
-    decoded = jwt.verify(token, process.env.JWT_SECRET || 'dev-secret');
-  } catch (err) {
-    return res.status(401).json({ error: 'Invalid token' });
+  if (!isValidDateString(startDate) || !isValidDateString(endDate) || startDate > endDate) {
+    return res.status(400).json({ error: 'Invalid date range' });
   }
 
-  const userId = decoded.id;
-
-  if (!startDate || !endDate) {
-    return res.status(400).json({ error: 'Start date and end date required' });
+  const states = getUserStatesForRange(userId, startDate, endDate);
+  if (states.length === 0) {
+    return res.status(404).json({ error: 'No data available for this date range' });
   }
 
-  // TODO: Implement historical data retrieval
-  res.status(404).json({ error: 'No data available for this date range' });
-});
+  const user = dataAccess.getUserById(userId);
+  const username = user ? user.username : null;
+  const userProfileFields = dataAccess.getProfileFields(userId);
 
-// Download PDF for date range (placeholder)
-app.post('/api/exports/download-range-pdf', async (req, res) => {
-  const { startDate, endDate, token } = req.body;
+  // Form posts send booleans as strings
+  const includeCombined = combined === true || combined === 'true';
 
-  if (!token) {
-    return res.status(401).json({ error: 'No token provided' });
-  }
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="djournal-${startDate}-to-${endDate}.zip"`);
 
-  let decoded;
-  try {
-    decoded = jwt.verify(token, process.env.JWT_SECRET || 'dev-secret');
-  } catch (err) {
-    return res.status(401).json({ error: 'Invalid token' });
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  archive.on('error', (error) => {
+    console.error('Error building markdown archive:', error);
+    res.destroy(error);
+  });
+  archive.pipe(res);
+
+  const dayFiles = states.map(state =>
+    generateMarkdownWithYAML(embedEntryImages(userId, state), username, userProfileFields)
+  );
+  states.forEach((state, index) => {
+    archive.append(dayFiles[index], { name: `${state.date}.md` });
+  });
+
+  if (includeCombined) {
+    archive.append(dayFiles.join('\n\n'), { name: `djournal-${startDate}-to-${endDate}.md` });
   }
 
-  const userId = decoded.id;
+  archive.finalize();
+});
+
+// Download PDF for date range (single multi-day report)
+app.post('/api/exports/download-range-pdf', downloadTicketMiddleware('range-pdf'), async (req, res) => {
+  const userId = req.user.id;
+  const { startDate, endDate } = req.body;
 
   if (!startDate || !endDate) {
     return res.status(400).json({ error: 'Start date and end date required' });
   }
 
-  // TODO: Implement historical data retrieval
-  res.status(404).json({ error: 'No data available for this date range' });
+  if (!isValidDateString(startDate) || !isValidDateString(endDate) || startDate > endDate) {
+    return res.status(400).json({ error: 'Invalid date range' });
+  }
+
+  const states = getUserStatesForRange(userId, startDate, endDate);
+  if (states.length === 0) {
+    return res.status(404).json({ error: 'No data available for this date range' });
+  }
+
+  try {
+    const user = dataAccess.getUserById(userId);
+    const username = user ? user.username : null;
+    const userProfileFields = dataAccess.getProfileFields(userId);
+
+    const statesWithImages = states.map(state => embedEntryImages(userId, state, { forPdf: true }));
+    const pdfBuffer = await generateRangePDFReport(statesWithImages, startDate, endDate, getUserToday(userId), username, userProfileFields);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="djournal-${startDate}-to-${endDate}.pdf"`);
+    res.send(pdfBuffer);
+  } catch (error) {
+    console.error('Error generating range PDF:', error);
+    res.status(500).json({ error: 'Failed to generate PDF', details: error.message });
+  }
 });
 
 // Tracker endpoints
-app.post('/api/trackers/time-since', authMiddleware, (req, res) => {
+app.post('/api/trackers/time-since', authMiddleware, dateMiddleware, (req, res) => {
   const userId = req.user.id;
   const { name, date } = req.body;
 
   // Create tracker in database
   dataAccess.createTimeSinceTracker(userId, name, date);
 
-  const state = getUserState(userId);
+  const state = getUserState(userId, req.date);
   res.json(state);
 });
 
-app.delete('/api/trackers/time-since/:id', authMiddleware, (req, res) => {
+app.delete('/api/trackers/time-since/:id', authMiddleware, dateMiddleware, (req, res) => {
   const userId = req.user.id;
   const id = parseInt(req.params.id);
 
   // Delete from database
-  dataAccess.deleteTimeSinceTracker(id);
+  if (!dataAccess.deleteTimeSinceTracker(id, userId)) {
+    return res.status(404).json({ error: 'Tracker not found' });
+  }
 
-  const state = getUserState(userId);
+  const state = getUserState(userId, req.date);
   res.json(state);
 });
 
-app.post('/api/trackers/duration', authMiddleware, (req, res) => {
+// Archive the current run and restart the tracker at the body's date (default now)
+app.post('/api/trackers/time-since/:id/reset', authMiddleware, dateMiddleware, (req, res) => {
   const userId = req.user.id;
-  const { name } = req.body;
+  const id = parseInt(req.params.id);
+  let resetAt = req.body.date || new Date().toISOString();
+
+  const tracker = dataAccess.getTimeSinceTrackerById(id, userId);
+  if (!tracker) {
+    return res.status(404).json({ error: 'Tracker not found' });
+  }
+
+  const resetTime = new Date(resetAt).getTime();
+  if (typeof resetAt !== 'string' || isNaN(resetTime)) {
+    return res.status(400).json({ error: 'Invalid reset date' });
+  }
+  if (resetTime < new Date(tracker.date).getTime()) {
+    return res.status(400).json({ error: 'Reset date must be after the tracker\'s current date' });
+  }
+  if (resetTime > Date.now() + 60 * 1000) {
+    return res.status(400).json({ error: 'Reset date cannot be in the future' });
+  }
+  // Allow for clock skew, but never start the new run in the future
+  if (resetTime > Date.now()) {
+    resetAt = new Date().toISOString();
+  }
+
+  dataAccess.resetTimeSinceTracker(id, userId, resetAt);
+  debugLog(`Reset time-since tracker ${id} at ${resetAt}`);
+
+  const state = getUserState(userId, req.date);
+  res.json(state);
+});
+
+// Set a tracker's milestones ("7d, 30d, 1y" or an array); empty restores the defaults
+app.put('/api/trackers/time-since/:id/milestones', authMiddleware, dateMiddleware, (req, res) => {
+  const userId = req.user.id;
+  const id = parseInt(req.params.id);
+
+  if (!dataAccess.getTimeSinceTrackerById(id, userId)) {
+    return res.status(404).json({ error: 'Tracker not found' });
+  }
+
+  const { milestones, error } = parseMilestones(req.body.milestones);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  dataAccess.setTimeSinceMilestones(id, userId, milestones.length > 0 ? milestones : null);
+
+  const state = getUserState(userId, req.date);
+  res.json(state);
+});
+
+// type 'timer' (default) is started and stopped; 'counter' is logged as minutes per day
+const DURATION_TRACKER_TYPES = ['timer', 'counter'];
+
+app.post('/api/trackers/duration', authMiddleware, dateMiddleware, (req, res) => {
+  const userId = req.user.id;
+  const { name, type = 'timer' } = req.body;
+
+  if (!name) {
+    return res.status(400).json({ error: 'Tracker name is required' });
+  }
+  if (!DURATION_TRACKER_TYPES.includes(type)) {
+    return res.status(400).json({ error: 'Type must be "timer" or "counter"' });
+  }
 
   // Create tracker in database
-  dataAccess.createDurationTracker(userId, name);
+  dataAccess.createDurationTracker(userId, name, type);
 
-  const state = getUserState(userId);
+  const state = getUserState(userId, req.date);
   res.json(state);
 });
 
-app.delete('/api/trackers/duration/:id', authMiddleware, (req, res) => {
+app.delete('/api/trackers/duration/:id', authMiddleware, dateMiddleware, (req, res) => {
   const userId = req.user.id;
   const id = parseInt(req.params.id);
 
   // Delete from database
-  dataAccess.deleteDurationTracker(id);
+  if (!dataAccess.deleteDurationTracker(id, userId)) {
+    return res.status(404).json({ error: 'Tracker not found' });
+  }
 
-  const state = getUserState(userId);
+  const state = getUserState(userId, req.date);
   res.json(state);
 });
 
-// Set manual time for timer
-app.post('/api/trackers/manual-time', authMiddleware, (req, res) => {
+// Set a timer's total for the day: replaces that day's sessions with one session
+// of the given length (ending now for today, starting at the day start for past days)
+app.post('/api/trackers/manual-time', authMiddleware, dateMiddleware, (req, res) => {
   const userId = req.user.id;
-  const { trackerId, startTime, elapsedMs } = req.body;
+  const trackerId = parseInt(req.body.trackerId);
+  const elapsedMs = Number(req.body.elapsedMs);
 
-  // Update tracker in database
-  dataAccess.updateDurationTracker(parseInt(trackerId), {
-    startTime: startTime,
-    elapsedMs: elapsedMs,
-    isRunning: false
-  });
+  const tracker = dataAccess.getDurationTrackerById(trackerId, userId);
+  if (!tracker) {
+    return res.status(404).json({ error: 'Tracker not found' });
+  }
+  if (tracker.type !== 'timer') {
+    return res.status(400).json({ error: 'Only timers have sessions; log minutes instead' });
+  }
+
+  if (!Number.isFinite(elapsedMs) || elapsedMs <= 0) {
+    return res.status(400).json({ error: 'Elapsed time must be a positive number of milliseconds' });
+  }
+
+  const settings = dataAccess.getUserSettings(userId);
+  const { start, end } = getJournalDayBounds(req.date, settings);
+  const now = Date.now();
+
+  if (now < start.getTime()) {
+    return res.status(400).json({ error: 'Cannot log time on a future day' });
+  }
+
+  const isToday = now < end.getTime();
+  const sessionEnd = isToday ? now : start.getTime() + elapsedMs;
+  const sessionStart = sessionEnd - elapsedMs;
+  if (sessionStart < start.getTime() || sessionEnd > end.getTime()) {
+    return res.status(400).json({ error: isToday ? 'More time than the day has had so far' : 'More time than the day has' });
+  }
 
-  console.log(`Set manual time for tracker ${trackerId}: ${elapsedMs}ms`);
+  db.transaction(() => {
+    dataAccess.removeTimerTime(trackerId, userId, start.toISOString(), end.toISOString());
+    dataAccess.createTimerSession(trackerId, userId, new Date(sessionStart).toISOString(), new Date(sessionEnd).toISOString());
+  })();
 
-  const state = getUserState(userId);
+  debugLog(`Set manual time for tracker ${trackerId} on ${req.date}: ${elapsedMs}ms`);
+
+  const state = getUserState(userId, req.date);
   res.json(state);
 });
 
-app.post('/api/trackers/timer/start/:id', authMiddleware, (req, res) => {
+app.post('/api/trackers/timer/start/:id', authMiddleware, dateMiddleware, (req, res) => {
   const userId = req.user.id;
   const id = parseInt(req.params.id);
 
-  // Update tracker in database
-  dataAccess.updateDurationTracker(id, {
-    isRunning: true,
-    startTime: new Date().toISOString()
-  });
+  const tracker = dataAccess.getDurationTrackerById(id, userId);
+  if (!tracker) {
+    return res.status(404).json({ error: 'Tracker not found' });
+  }
+  if (tracker.type !== 'timer') {
+    return res.status(400).json({ error: 'Only timers can be started; log minutes instead' });
+  }
+
+  // Opens a new session (no-op if one is already running)
+  dataAccess.startTimerSession(id, userId, new Date().toISOString());
 
-  const state = getUserState(userId);
+  const state = getUserState(userId, req.date);
   res.json(state);
 });
 
-app.post('/api/trackers/timer/stop/:id', authMiddleware, (req, res) => {
+app.post('/api/trackers/timer/stop/:id', authMiddleware, dateMiddleware, (req, res) => {
   const userId = req.user.id;
   const id = parseInt(req.params.id);
 
-  // Get current tracker state
-  const trackers = dataAccess.getDurationTrackers(userId);
-  const tracker = trackers.find(t => t.id === id);
+  if (!dataAccess.getDurationTrackerById(id, userId)) {
+    return res.status(404).json({ error: 'Tracker not found' });
+  }
 
-  if (tracker && tracker.type === 'timer' && tracker.isRunning) {
-    const elapsed = Date.now() - new Date(tracker.startTime).getTime();
-    const newElapsedMs = (tracker.elapsedMs || 0) + elapsed;
-    const newValue = Math.floor(newElapsedMs / 1000);
+  // Closes the running session
+  dataAccess.stopTimerSession(id, userId, new Date().toISOString());
 
-    dataAccess.updateDurationTracker(id, {
-      elapsedMs: newElapsedMs,
-      value: newValue,
-      isRunning: false,
-      startTime: null
-    });
+  const state = getUserState(userId, req.date);
+  res.json(state);
+});
+
+// Clear the tracker's time on the selected day (other days keep theirs)
+app.post('/api/trackers/timer/reset/:id', authMiddleware, dateMiddleware, (req, res) => {
+  const userId = req.user.id;
+  const id = parseInt(req.params.id);
+
+  const tracker = dataAccess.getDurationTrackerById(id, userId);
+  if (!tracker) {
+    return res.status(404).json({ error: 'Tracker not found' });
   }
 
-  const state = getUserState(userId);
+  if (tracker.type === 'counter') {
+    dataAccess.setDurationMinutes(id, userId, req.date, 0);
+  } else {
+    const { start, end } = getJournalDayBounds(req.date, dataAccess.getUserSettings(userId));
+    dataAccess.removeTimerTime(id, userId, start.toISOString(), end.toISOString());
+  }
+
+  const state = getUserState(userId, req.date);
   res.json(state);
 });
 
-app.post('/api/trackers/timer/reset/:id', authMiddleware, (req, res) => {
+// Set a manual tracker's minutes for the day ("45 min of piano"); 0 clears the day
+app.put('/api/trackers/duration/:id/minutes', authMiddleware, dateMiddleware, (req, res) => {
   const userId = req.user.id;
   const id = parseInt(req.params.id);
+  const { minutes } = req.body;
 
-  // Reset tracker in database
-  dataAccess.updateDurationTracker(id, {
-    value: 0,
-    isRunning: false,
-    startTime: null,
-    elapsedMs: 0
-  });
+  const tracker = dataAccess.getDurationTrackerById(id, userId);
+  if (!tracker) {
+    return res.status(404).json({ error: 'Tracker not found' });
+  }
+  if (tracker.type !== 'counter') {
+    return res.status(400).json({ error: 'Timers are logged with sessions, not minutes' });
+  }
+  if (!Number.isInteger(minutes) || minutes < 0 || minutes > 24 * 60) {
+    return res.status(400).json({ error: 'Minutes must be a whole number from 0 to 1440' });
+  }
+
+  dataAccess.setDurationMinutes(id, userId, req.date, minutes);
 
-  const state = getUserState(userId);
+  const state = getUserState(userId, req.date);
   res.json(state);
 });
 
+// Timer sessions of a tracker, optionally limited to ?from=&to= (YYYY-MM-DD, inclusive)
+app.get('/api/trackers/duration/:id/sessions', authMiddleware, (req, res) => {
+  const userId = req.user.id;
+  const id = parseInt(req.params.id);
+  const from = req.query.from || null;
+  const to = req.query.to || null;
+
+  const tracker = dataAccess.getDurationTrackerById(id, userId);
+  if (!tracker) {
+    return res.status(404).json({ error: 'Tracker not found' });
+  }
+
+  if ((from && !isValidDateString(from)) || (to && !isValidDateString(to)) || (from && to && from > to)) {
+    return res.status(400).json({ error: 'Invalid date range' });
+  }
+
+  const settings = dataAccess.getUserSettings(userId);
+  const { sessions, dailyTotals } = getTrackerSessions(id, userId, settings, from, to);
+  res.json({ tracker: { id: tracker.id, name: tracker.name, isRunning: tracker.isRunning }, sessions, dailyTotals });
+});
+
+// Edit a session's start/end. A running session may keep endTime null to stay running.
+app.put('/api/trackers/sessions/:id', authMiddleware, (req, res) => {
+  const userId = req.user.id;
+  const session = dataAccess.getTimerSessionById(parseInt(req.params.id), userId);
+
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+
+  const parseTime = value => {
+    const instant = typeof value === 'string' ? new Date(value) : null;
+    return instant && !isNaN(instant.getTime()) ? instant : null;
+  };
+
+  const start = parseTime(req.body.startTime);
+  const keepRunning = !session.endTime && (req.body.endTime === null || req.body.endTime === undefined);
+  const end = keepRunning ? null : parseTime(req.body.endTime);
+
+  if (!start || (!keepRunning && !end)) {
+    return res.status(400).json({ error: 'Start and end must be valid date-times' });
+  }
+  if (end && end <= start) {
+    return res.status(400).json({ error: 'End must be after start' });
+  }
+  if ((end || start).getTime() > Date.now()) {
+    return res.status(400).json({ error: 'Sessions cannot end in the future' });
+  }
+
+  const startTime = start.toISOString();
+  const endTime = end ? end.toISOString() : null;
+  if (dataAccess.hasOverlappingTimerSession(session.trackerId, userId, startTime, endTime, session.id)) {
+    return res.status(409).json({ error: 'Session overlaps another session of this tracker' });
+  }
+
+  dataAccess.updateTimerSession(session.id, userId, startTime, endTime);
+  res.json({ success: true, session: dataAccess.getTimerSessionById(session.id, userId) });
+});
+
+// Deleting the running session stops the timer
+app.delete('/api/trackers/sessions/:id', authMiddleware, (req, res) => {
+  const userId = req.user.id;
+
+  if (!dataAccess.deleteTimerSession(parseInt(req.params.id), userId)) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+
+  res.json({ success: true });
+});
+
 // Custom Counters (water, coffee, calories, etc.)
-app.post('/api/custom-counters/create', authMiddleware, (req, res) => {
+app.post('/api/custom-counters/create', authMiddleware, dateMiddleware, (req, res) => {
   const userId = req.user.id;
   const { name } = req.body;
 
@@ -1125,68 +2012,132 @@ app.post('/api/custom-counters/create', authMiddleware, (req, res) => {
     return res.status(400).json({ error: 'Counter name is required' });
   }
 
+  const { settings, error } = parseCounterSettings(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
   // Create counter in database
-  dataAccess.createCustomCounter(userId, name);
+  dataAccess.createCustomCounter(userId, name, settings);
 
-  const state = getUserState(userId);
+  const state = getUserState(userId, req.date);
   res.json(state);
 });
 
-app.post('/api/custom-counters/:id/increment', authMiddleware, (req, res) => {
+// Change a counter's unit, step, decimals, bounds or goal
+app.put('/api/custom-counters/:id', authMiddleware, dateMiddleware, (req, res) => {
   const userId = req.user.id;
   const id = parseInt(req.params.id);
-  const currentDate = new Date().toISOString().slice(0, 10);
 
-  // Get current value and increment
-  const currentValue = dataAccess.getCustomCounterValue(id, currentDate);
-  dataAccess.setCustomCounterValue(id, userId, currentDate, currentValue + 1);
+  const counter = dataAccess.getCustomCounterById(id, userId);
+  if (!counter) {
+    return res.status(404).json({ error: 'Counter not found' });
+  }
+
+  const { settings, error } = parseCounterSettings(req.body, counter);
+  if (error) {
+    return res.status(400).json({ error });
+  }
 
-  const state = getUserState(userId);
+  dataAccess.updateCustomCounterSettings(id, userId, settings);
+
+  const state = getUserState(userId, req.date);
   res.json(state);
 });
 
-app.post('/api/custom-counters/:id/decrement', authMiddleware, (req, res) => {
+// +/- move the value by the counter's step, stopping at its bounds
+function stepCustomCounter(req, res, direction) {
   const userId = req.user.id;
   const id = parseInt(req.params.id);
-  const currentDate = new Date().toISOString().slice(0, 10);
+  const currentDate = req.date;
+
+  const counter = dataAccess.getCustomCounterById(id, userId);
+  if (!counter) {
+    return res.status(404).json({ error: 'Counter not found' });
+  }
 
-  // Get current value and decrement (don't go below 0)
   const currentValue = dataAccess.getCustomCounterValue(id, currentDate);
-  if (currentValue > 0) {
-    dataAccess.setCustomCounterValue(id, userId, currentDate, currentValue - 1);
+  const newValue = normalizeCounterValue(counter, currentValue + direction * counter.step);
+  if (newValue !== currentValue) {
+    dataAccess.setCustomCounterValue(id, userId, currentDate, newValue);
   }
 
-  const state = getUserState(userId);
+  const state = getUserState(userId, req.date);
   res.json(state);
+}
+
+app.post('/api/custom-counters/:id/increment', authMiddleware, dateMiddleware, (req, res) => {
+  stepCustomCounter(req, res, 1);
 });
 
-app.put('/api/custom-counters/:id/set', authMiddleware, (req, res) => {
+app.post('/api/custom-counters/:id/decrement', authMiddleware, dateMiddleware, (req, res) => {
+  stepCustomCounter(req, res, -1);
+});
+
+app.put('/api/custom-counters/:id/set', authMiddleware, dateMiddleware, (req, res) => {
   const userId = req.user.id;
   const id = parseInt(req.params.id);
   const { value } = req.body;
-  const currentDate = new Date().toISOString().slice(0, 10);
+  const currentDate = req.date;
+
+  const counter = dataAccess.getCustomCounterById(id, userId);
+  if (!counter) {
+    return res.status(404).json({ error: 'Counter not found' });
+  }
 
-  if (typeof value === 'number' && value >= 0) {
-    dataAccess.setCustomCounterValue(id, userId, currentDate, value);
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    return res.status(400).json({ error: 'Value must be a number' });
+  }
+  if (!isCounterValueInRange(counter, value)) {
+    return res.status(400).json({ error: 'Value is outside the counter\'s min/max' });
   }
 
-  const state = getUserState(userId);
+  dataAccess.setCustomCounterValue(id, userId, currentDate, normalizeCounterValue(counter, value));
+
+  const state = getUserState(userId, req.date);
   res.json(state);
 });
 
-app.delete('/api/custom-counters/:id', authMiddleware, (req, res) => {
+// Daily values, weekly/monthly sums and streaks for ?from=&to= (YYYY-MM-DD, inclusive).
+// Defaults to the 30 days up to today.
+app.get('/api/custom-counters/:id/history', authMiddleware, (req, res) => {
+  const userId = req.user.id;
+  const id = parseInt(req.params.id);
+
+  const counter = dataAccess.getCustomCounterById(id, userId);
+  if (!counter) {
+    return res.status(404).json({ error: 'Counter not found' });
+  }
+
+  const today = getUserToday(userId);
+  const to = req.query.to || today;
+  const from = req.query.from || addDays(to, -29);
+
+  if (!isValidDateString(from) || !isValidDateString(to) || from > to) {
+    return res.status(400).json({ error: 'Invalid date range' });
+  }
+  if (daysBetween(from, to) >= MAX_HISTORY_DAYS) {
+    return res.status(400).json({ error: `Date range can cover at most ${MAX_HISTORY_DAYS} days` });
+  }
+
+  res.json({ counter, ...getCounterHistory(counter, userId, from, to, today) });
+});
+
+app.delete('/api/custom-counters/:id', authMiddleware, dateMiddleware, (req, res) => {
   const userId = req.user.id;
   const id = parseInt(req.params.id);
 
   // Delete from database
-  dataAccess.deleteCustomCounter(id);
+  if (!dataAccess.deleteCustomCounter(id, userId)) {
+    return res.status(404).json({ error: 'Counter not found' });
+  }
 
-  const state = getUserState(userId);
+  const state = getUserState(userId, req.date);
   res.json(state);
 });
 
 // Daily Custom Fields (non-persistent, don't carry over to new dates)
-app.post('/api/daily-custom-fields', authMiddleware, (req, res) => {
+app.post('/api/daily-custom-fields', authMiddleware, dateMiddleware, (req, res) => {
   const userId = req.user.id;
   const { key, value } = req.body;
 
@@ -1194,28 +2145,30 @@ app.post('/api/daily-custom-fields', authMiddleware, (req, res) => {
     return res.status(400).json({ error: 'Field key is required' });
   }
 
-  const currentDate = new Date().toISOString().slice(0, 10);
+  const currentDate = req.date;
 
   // Set daily custom field in database (isTemplate = false)
   dataAccess.setDailyCustomField(userId, currentDate, key, value || '', false);
 
-  const state = getUserState(userId);
+  const state = getUserState(userId, req.date);
   res.json(state);
 });
 
-app.delete('/api/daily-custom-fields/:id', authMiddleware, (req, res) => {
+app.delete('/api/daily-custom-fields/:id', authMiddleware, dateMiddleware, (req, res) => {
   const userId = req.user.id;
   const id = parseInt(req.params.id);
 
   // Delete from database
-  dataAccess.deleteDailyCustomFieldById(id);
+  if (!dataAccess.deleteDailyCustomFieldById(id, userId)) {
+    return res.status(404).json({ error: 'Field not found' });
+  }
 
-  const state = getUserState(userId);
+  const state = getUserState(userId, req.date);
   res.json(state);
 });
 
 // Daily Tasks
-app.post('/api/daily-tasks', authMiddleware, (req, res) => {
+app.post('/api/daily-tasks', authMiddleware, dateMiddleware, (req, res) => {
   const userId = req.user.id;
   const { text } = req.body;
 
@@ -1223,39 +2176,43 @@ app.post('/api/daily-tasks', authMiddleware, (req, res) => {
     return res.status(400).json({ error: 'Task text is required' });
   }
 
-  const currentDate = new Date().toISOString().slice(0, 10);
+  const currentDate = req.date;
 
   // Create task in database
   dataAccess.createDailyTask(userId, currentDate, text);
 
-  const state = getUserState(userId);
+  const state = getUserState(userId, req.date);
   res.json(state);
 });
 
-app.put('/api/daily-tasks/:id/toggle', authMiddleware, (req, res) => {
+app.put('/api/daily-tasks/:id/toggle', authMiddleware, dateMiddleware, (req, res) => {
   const userId = req.user.id;
   const id = parseInt(req.params.id);
 
   // Toggle task in database
-  dataAccess.toggleDailyTask(id);
+  if (!dataAccess.toggleDailyTask(id, userId)) {
+    return res.status(404).json({ error: 'Task not found' });
+  }
 
-  const state = getUserState(userId);
+  const state = getUserState(userId, req.date);
   res.json(state);
 });
 
-app.delete('/api/daily-tasks/:id', authMiddleware, (req, res) => {
+app.delete('/api/daily-tasks/:id', authMiddleware, dateMiddleware, (req, res) => {
   const userId = req.user.id;
   const id = parseInt(req.params.id);
 
   // Delete from database
-  dataAccess.deleteDailyTask(id);
+  if (!dataAccess.deleteDailyTask(id, userId)) {
+    return res.status(404).json({ error: 'Task not found' });
+  }
 
-  const state = getUserState(userId);
+  const state = getUserState(userId, req.date);
   res.json(state);
 });
 
-// Template Custom Fields (persist name, reset value daily)
-app.post('/api/custom-field-templates/create', authMiddleware, (req, res) => {
+// Template Custom Fields (persist name, reset value daily to the default)
+app.post('/api/custom-field-templates/create', authMiddleware, dateMiddleware, (req, res) => {
   const userId = req.user.id;
   const { key } = req.body;
 
@@ -1265,19 +2222,26 @@ app.post('/api/custom-field-templates/create', authMiddleware, (req, res) => {
 
   // Check if template already exists for this user
   const existingTemplates = dataAccess.getCustomFieldTemplates(userId);
-  if (existingTemplates.find(t => t.key === key)) {
-    return res.status(400).json({ error: 'Template already exists' });
+  const existing = existingTemplates.find(t => t.key === key);
+  if (existing) {
+    return res.status(400).json({ error: existing.archived ? 'An archived template has that name' : 'Template already exists' });
+  }
+
+  // Type, options and default value (a text field unless given)
+  const { template, error } = parseFieldTemplate(key, req.body);
+  if (error) {
+    return res.status(400).json({ error });
   }
 
   // Create template in database
-  const templateId = dataAccess.createCustomFieldTemplate(userId, key);
+  dataAccess.createCustomFieldTemplate(userId, key, template);
 
-  // Add to current day's custom fields with empty value
-  const currentDate = new Date().toISOString().slice(0, 10);
-  dataAccess.setDailyCustomField(userId, currentDate, key, '', true);
+  // Add to the selected day's custom fields with the default value
+  const currentDate = req.date;
+  dataAccess.setDailyCustomField(userId, currentDate, key, template.defaultValue, true);
 
   const templates = dataAccess.getCustomFieldTemplates(userId);
-  const state = getUserState(userId);
+  const state = getUserState(userId, req.date);
   res.json({ templates, state });
 });
 
@@ -1287,46 +2251,230 @@ app.get('/api/custom-field-templates', authMiddleware, (req, res) => {
   res.json({ templates });
 });
 
-app.delete('/api/custom-field-templates/:id', authMiddleware, (req, res) => {
+// Change a template's type, options or default value. Values already logged are
+// kept; ones that don't fit a new type are exported as text.
+app.put('/api/custom-field-templates/:id', authMiddleware, dateMiddleware, (req, res) => {
   const userId = req.user.id;
   const id = parseInt(req.params.id);
 
-  const state = getUserState(userId);
+  const current = dataAccess.getCustomFieldTemplateById(id, userId);
+  if (!current) {
+    return res.status(404).json({ error: 'Field not found' });
+  }
 
-  // Find the custom field by its ID to get the key
-  const customField = state.customFields.find(f => f.id === id);
+  const { template, error } = parseFieldTemplate(current.key, req.body, current);
+  if (error) {
+    return res.status(400).json({ error });
+  }
 
-  if (customField) {
-    const key = customField.key;
+  dataAccess.updateCustomFieldTemplate(id, userId, template);
 
-    // Remove template from database
-    dataAccess.deleteCustomFieldTemplate(userId, key);
+  const templates = dataAccess.getCustomFieldTemplates(userId);
+  const state = getUserState(userId, req.date);
+  res.json({ templates, state });
+});
 
-    // Remove from current day's custom fields
-    const currentDate = new Date().toISOString().slice(0, 10);
-    dataAccess.deleteDailyCustomField(userId, currentDate, key);
+app.delete('/api/custom-field-templates/:id', authMiddleware, dateMiddleware, (req, res) => {
+  const userId = req.user.id;
+  const id = parseInt(req.params.id);
+
+  // Find the custom field by its ID (archived ones too) to get the key
+  const customField = dataAccess.getCustomFieldTemplateById(id, userId);
+  if (!customField) {
+    return res.status(404).json({ error: 'Field not found' });
   }
 
+  const key = customField.key;
+
+  // Remove template from database
+  dataAccess.deleteCustomFieldTemplate(userId, key);
+
+  // Remove from the selected day's custom fields
+  const currentDate = req.date;
+  dataAccess.deleteDailyCustomField(userId, currentDate, key);
+
   const templates = dataAccess.getCustomFieldTemplates(userId);
-  const updatedState = getUserState(userId);
+  const updatedState = getUserState(userId, req.date);
   res.json({ templates, state: updatedState });
 });
 
-// Update template-based custom field value (updates current day only)
-app.put('/api/custom-fields/:key', authMiddleware, (req, res) => {
+// Update template-based custom field value (updates the selected day only)
+app.put('/api/custom-fields/:key', authMiddleware, dateMiddleware, (req, res) => {
   const userId = req.user.id;
   const { key } = req.params;
-  const { value } = req.body;
 
-  const currentDate = new Date().toISOString().slice(0, 10);
+  const field = dataAccess.getCustomFieldTemplates(userId).find(t => t.key === key && !t.archived);
+  if (!field) {
+    return res.status(404).json({ error: 'Field not found' });
+  }
+
+  // Checked against the field's type; stored as a string
+  const { value, error } = normalizeFieldValue(field, req.body.value);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const currentDate = req.date;
 
   // Update field value in database
   dataAccess.setDailyCustomField(userId, currentDate, key, value, true);
 
-  const state = getUserState(userId);
+  const state = getUserState(userId, req.date);
+  res.json(state);
+});
+
+// Ordering, grouping and archiving of trackers, counters and template fields.
+// :kind is time-since, duration, counters or fields.
+const MAX_CATEGORY_LENGTH = 50;
+
+app.put('/api/items/:kind/order', authMiddleware, dateMiddleware, (req, res) => {
+  const userId = req.user.id;
+  const { kind } = req.params;
+  const { ids } = req.body;
+
+  if (!dataAccess.ITEM_KINDS.includes(kind)) {
+    return res.status(404).json({ error: 'Unknown item kind' });
+  }
+  if (!Array.isArray(ids) || !ids.every(Number.isInteger) || new Set(ids).size !== ids.length) {
+    return res.status(400).json({ error: 'ids must be a list of distinct item ids' });
+  }
+
+  if (!dataAccess.setItemOrder(kind, userId, ids)) {
+    return res.status(404).json({ error: 'Item not found' });
+  }
+
+  const state = getUserState(userId, req.date);
   res.json(state);
 });
 
+// { category, archived }, either may be left out; an empty category removes it
+app.put('/api/items/:kind/:id', authMiddleware, dateMiddleware, (req, res) => {
+  const userId = req.user.id;
+  const { kind } = req.params;
+  const id = parseInt(req.params.id);
+
+  if (!dataAccess.ITEM_KINDS.includes(kind)) {
+    return res.status(404).json({ error: 'Unknown item kind' });
+  }
+
+  const current = dataAccess.getItemOrganization(kind, id, userId);
+  if (!current) {
+    return res.status(404).json({ error: 'Item not found' });
+  }
+
+  const category = req.body.category !== undefined ? String(req.body.category || '').trim() : current.category;
+  const archived = req.body.archived !== undefined ? req.body.archived : current.archived;
+
+  if (category.length > MAX_CATEGORY_LENGTH) {
+    return res.status(400).json({ error: `Category must be at most ${MAX_CATEGORY_LENGTH} characters` });
+  }
+  if (typeof archived !== 'boolean') {
+    return res.status(400).json({ error: 'archived must be true or false' });
+  }
+
+  db.transaction(() => {
+    // An archived timer doesn't keep running unseen
+    if (kind === 'duration' && archived) {
+      dataAccess.stopTimerSession(id, userId, new Date().toISOString());
+    }
+    dataAccess.updateItemOrganization(kind, id, userId, { category, archived });
+  })();
+
+  const state = getUserState(userId, req.date);
+  res.json(state);
+});
+
+// Full-text search over entries, tasks and daily field values
+app.get('/api/search', authMiddleware, (req, res) => {
+  // ?q[]=a arrives as an array
+  const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+  const { from, to } = req.query;
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+  if (!q) {
+    return res.status(400).json({ error: 'Search query required' });
+  }
+  if ((from && !isValidDateString(from)) || (to && !isValidDateString(to))) {
+    return res.status(400).json({ error: 'Dates must be YYYY-MM-DD' });
+  }
+
+  const { total, results } = dataAccess.searchJournal(req.user.id, q, {
+    from: from || null,
+    to: to || null,
+    limit,
+    offset: (page - 1) * limit
+  });
+
+  res.json({ query: q, total, page, limit, results });
+});
+
+// Milestone and countdown notifications the user hasn't dismissed yet
+app.get('/api/notifications', authMiddleware, (req, res) => {
+  const notifications = getMilestoneNotifications(req.user.id);
+  res.json({ notifications });
+});
+
+app.post('/api/notifications/dismiss-all', authMiddleware, (req, res) => {
+  dataAccess.markAllMilestoneEventsSeen(req.user.id);
+  res.json({ success: true });
+});
+
+app.post('/api/notifications/:id/dismiss', authMiddleware, (req, res) => {
+  if (!dataAccess.markMilestoneEventSeen(parseInt(req.params.id), req.user.id)) {
+    return res.status(404).json({ error: 'Notification not found' });
+  }
+  res.json({ success: true });
+});
+
+// Revision history for entries, daily fields and profile fields
+const REVISION_TYPES = ['activity_entry', 'daily_custom_field', 'profile_field'];
+
+// Entries are identified by their id; daily fields by "date/key" and profile fields by key
+app.get('/api/revisions', authMiddleware, (req, res) => {
+  const { type, id } = req.query;
+
+  if (!REVISION_TYPES.includes(type) || typeof id !== 'string' || !id) {
+    return res.status(400).json({ error: 'Valid type and id required' });
+  }
+  if (type === 'activity_entry' && !/^[1-9]\d*$/.test(id)) {
+    return res.status(400).json({ error: 'Entry id must be a positive integer' });
+  }
+
+  const revisions = dataAccess.getRevisions(req.user.id, type, type === 'activity_entry' ? parseInt(id) : id);
+  res.json({ revisions });
+});
+
+app.post('/api/revisions/:id/restore', authMiddleware, (req, res) => {
+  const userId = req.user.id;
+  const revision = dataAccess.getRevisionById(parseInt(req.params.id), userId);
+
+  if (!revision) {
+    return res.status(404).json({ error: 'Revision not found' });
+  }
+
+  // Template field values go through the same checks as a normal write, against the
+  // field's current type
+  let restored = revision;
+  if (revision.entityType === 'daily_custom_field' && revision.data.isTemplate) {
+    const field = dataAccess.getCustomFieldTemplates(userId).find(t => t.key === revision.data.key);
+    if (!field) {
+      return res.status(409).json({ error: 'The field this value belongs to no longer exists' });
+    }
+    const { value, error } = normalizeFieldValue(field, revision.data.value);
+    if (error) {
+      return res.status(409).json({ error: `This version no longer fits the field: ${error}` });
+    }
+    restored = { ...revision, data: { ...revision.data, value } };
+  }
+
+  dataAccess.restoreRevision(restored, userId);
+
+  debugLog(`Restored revision ${revision.id} (${revision.entityType} ${revision.entityId}) for user ${userId}`);
+  const revisions = dataAccess.getRevisions(userId, revision.entityType, revision.entityId);
+  res.json({ success: true, revisions });
+});
+
 // Serve static files
 app.use(express.static(path.join(__dirname, '../client/dist')));
 
@@ -1335,21 +2483,29 @@ app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, '../client/dist/index.html'));
 });
 
-app.listen(PORT, () => {
-  console.log(`=== SERVER WORKING ===`);
-  console.log(`✅ Server running on port ${PORT}`);
-  console.log(`✅ Database persistence enabled`);
-
-  // Initialize default admin user after server starts
-  initializeDefaultAdmin();
-
-  console.log(`=== TEST INSTRUCTIONS ===`);
-  console.log(`1. Visit: http://localhost:${PORT}`);
-  console.log(`2. Login: admin / admin123`);
-  console.log(`3. Navigate to Profile page`);
-  console.log(`4. Should see: User Management options`);
-  console.log(`5. Should NOT see: "Admin Access Required" message`);
-});
+// Only listen when run directly; tests require the app and bind their own port
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`=== SERVER WORKING ===`);
+    console.log(`✅ Server running on port ${PORT}`);
+    console.log(`✅ Database persistence enabled`);
+
+    // Initialize default admin user after server starts
+    initializeDefaultAdmin();
+
+    // Enforce snapshot retention now and periodically
+    startRetentionSchedule();
+
+    if (!config.isProduction) {
+      console.log(`=== TEST INSTRUCTIONS ===`);
+      console.log(`1. Visit: http://localhost:${PORT}`);
+      console.log(`2. Login: ${config.adminUsername} / ${config.adminPassword}`);
+      console.log(`3. Navigate to Profile page`);
+      console.log(`4. Should see: User Management options`);
+      console.log(`5. Should NOT see: "Admin Access Required" message`);
+    }
+  });
+}
 
 // Error handling
 process.on('uncaughtException', (error) => {
@@ -1359,3 +2515,5 @@ process.on('uncaughtException', (error) => {
 process.on('unhandledRejection', (reason) => {
   console.error('Unhandled Rejection:', reason);
 });
+
+module.exports = app;
@@ -1,17 +1,20 @@
 const bcrypt = require('bcrypt');
 const { getUserByUsername, createUser } = require('./dataAccess');
+const { config } = require('./config');
 
 function initializeDefaultAdmin() {
   try {
     // Check if admin user already exists
-    const existingAdmin = getUserByUsername('admin');
+    const existingAdmin = getUserByUsername(config.adminUsername);
 
     if (!existingAdmin) {
-      const adminPasswordHash = bcrypt.hashSync(process.env.ADMIN_PASSWORD || 'admin123', 10);
-      const adminId = createUser('admin', null, adminPasswordHash, true);
+      const adminPasswordHash = bcrypt.hashSync(config.adminPassword, 10);
+      const adminId = createUser(config.adminUsername, null, adminPasswordHash, true);
       console.log('✅ Default admin user created (ID:', adminId, ')');
-      console.log('   Username: admin');
-      console.log('   Password:', process.env.ADMIN_PASSWORD || 'admin123');
+      console.log('   Username:', config.adminUsername);
+      if (!config.isProduction) {
+        console.log('   Password:', config.adminPassword);
+      }
     } else {
       console.log('✅ Admin user already exists');
     }
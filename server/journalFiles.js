@@ -0,0 +1,40 @@
+const fs = require('fs');
+const path = require('path');
+const { config } = require('./config');
+
+// Saved snapshots are mirrored as Markdown files under JOURNAL_PATH, one folder per
+// user (named by id, since usernames can contain anything) and one file per date,
+// so a second-brain app can read the journal straight from disk.
+
+function getUserJournalDir(userId) {
+  return path.join(config.journalPath, String(userId));
+}
+
+function getJournalFilePath(userId, date) {
+  return path.join(getUserJournalDir(userId), `${date}.md`);
+}
+
+// Write (or replace) the Markdown file for a saved day
+function writeJournalFile(userId, date, markdown) {
+  fs.mkdirSync(getUserJournalDir(userId), { recursive: true });
+  fs.writeFileSync(getJournalFilePath(userId, date), markdown, 'utf8');
+}
+
+// Remove the files of snapshots that were deleted or pruned
+function removeJournalFiles(userId, dates) {
+  dates.forEach(date => {
+    fs.rmSync(getJournalFilePath(userId, date), { force: true });
+  });
+}
+
+// Remove a deleted user's whole journal folder
+function removeUserJournal(userId) {
+  fs.rmSync(getUserJournalDir(userId), { recursive: true, force: true });
+}
+
+module.exports = {
+  getJournalFilePath,
+  writeJournalFile,
+  removeJournalFiles,
+  removeUserJournal
+};
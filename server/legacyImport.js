@@ -0,0 +1,262 @@
+const Database = require('better-sqlite3');
+const { db } = require('./database');
+const dataAccess = require('./dataAccess');
+const { prepareEntryImage } = require('./entryImages');
+const { journalTimeToInstant, toSqlTimestamp, isValidDateString } = require('./middleware/date');
+
+// Importer for the old ailife.db format, where each day was one JSON blob in
+// daily_data and profile fields lived in user_profile_fields. Imports are
+// additive and safe to re-run: anything already present is left alone.
+
+// Thrown inside the import transaction to roll a dry run back
+class DryRunRollback extends Error {}
+
+function openLegacyDatabase(legacyPath) {
+  const legacy = new Database(legacyPath, { readonly: true, fileMustExist: true });
+  const tables = legacy.prepare("SELECT name FROM sqlite_master WHERE type = 'table'").all().map(row => row.name);
+  const missing = ['users', 'daily_data', 'user_profile_fields'].filter(table => !tables.includes(table));
+  if (missing.length > 0) {
+    legacy.close();
+    throw new Error(`${legacyPath} is not an ailife.db database (missing ${missing.join(', ')})`);
+  }
+  return legacy;
+}
+
+// Legacy entries stored the time as shown in the browser: "14:05", "2:05 PM" or an ISO string
+function parseLegacyTime(date, timestamp, settings) {
+  if (typeof timestamp !== 'string' || !timestamp.trim()) return null;
+  const value = timestamp.trim();
+
+  const clock = /^(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([AaPp][Mm])?$/.exec(value);
+  if (clock) {
+    let hours = parseInt(clock[1]);
+    if (clock[4]) {
+      if (hours < 1 || hours > 12) return null;
+      hours = (hours % 12) + (clock[4].toLowerCase() === 'pm' ? 12 : 0);
+    }
+    const time = [hours, clock[2], clock[3] || '00'].map(part => String(part).padStart(2, '0')).join(':');
+    return journalTimeToInstant(date, time, settings);
+  }
+
+  const instant = new Date(value);
+  return isNaN(instant.getTime()) ? null : instant;
+}
+
+function emptyCounts() {
+  return {
+    days: 0,
+    dailyState: 0,
+    fields: 0,
+    tasks: 0,
+    entries: 0,
+    images: 0,
+    counterValues: 0,
+    profileFields: 0,
+    skipped: 0
+  };
+}
+
+// Read every legacy day up front. Images are decoded here because the
+// import itself runs in a synchronous transaction.
+async function readLegacyUser(legacy, legacyUser, warnings) {
+  const rows = legacy.prepare('SELECT date, data FROM daily_data WHERE user_id = ? ORDER BY date').all(legacyUser.id);
+  const days = [];
+
+  for (const row of rows) {
+    if (!isValidDateString(row.date)) {
+      warnings.push(`${legacyUser.username}: skipped day with invalid date "${row.date}"`);
+      continue;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(row.data);
+    } catch (error) {
+      warnings.push(`${legacyUser.username} ${row.date}: skipped day with unreadable data (${error.message})`);
+      continue;
+    }
+    if (!data || typeof data !== 'object') continue;
+
+    const entries = [];
+    for (const entry of data.entries || data.activityEntries || []) {
+      if (!entry || typeof entry.text !== 'string' || !entry.text.trim()) continue;
+      let image = null;
+      if (entry.image) {
+        try {
+          image = await prepareEntryImage(entry.image);
+        } catch (error) {
+          warnings.push(`${legacyUser.username} ${row.date}: image on "${entry.text.slice(0, 30)}" could not be read, importing the text only`);
+        }
+      }
+      entries.push({ text: entry.text, timestamp: entry.timestamp, image });
+    }
+
+    days.push({ date: row.date, data, entries });
+  }
+
+  const profileFields = legacy.prepare(
+    'SELECT field_key, field_value FROM user_profile_fields WHERE user_id = ? ORDER BY id'
+  ).all(legacyUser.id);
+
+  return { days, profileFields };
+}
+
+// Match a legacy account to a current one by username (or the --user mapping),
+// creating it with the legacy password hash when it doesn't exist yet
+function resolveUser(legacyUser, userMap) {
+  const username = userMap[legacyUser.username] || legacyUser.username;
+  const existing = dataAccess.getUserByUsername(username);
+  if (existing) return { id: existing.id, username, created: false };
+  if (userMap[legacyUser.username]) {
+    throw new Error(`User "${username}" (mapped from legacy "${legacyUser.username}") does not exist`);
+  }
+  const id = dataAccess.createUser(username, legacyUser.email || null, legacyUser.password_hash, Boolean(legacyUser.is_admin));
+  return { id, username, created: true };
+}
+
+function importProfileFields(userId, profileFields, counts) {
+  profileFields.forEach(field => {
+    const current = dataAccess.getProfileField(userId, field.field_key);
+    if (current || !field.field_value) {
+      counts.skipped++;
+      return;
+    }
+    dataAccess.setProfileField(userId, field.field_key, field.field_value);
+    counts.profileFields++;
+  });
+}
+
+function importDay(userId, username, day, settings, counts, warnings) {
+  const { date, data } = day;
+  counts.days++;
+
+  // Bedtime and wake time
+  if ((data.previousBedtime || data.wakeTime) && !dataAccess.getDailyState(userId, date)) {
+    dataAccess.setDailyState(userId, date, data.previousBedtime || '', data.wakeTime || '');
+    counts.dailyState++;
+  }
+
+  // Template fields keep their template; daily-only fields stay daily-only
+  const templateKeys = new Set(dataAccess.getCustomFieldTemplates(userId).map(template => template.key));
+  const fieldGroups = [
+    { fields: data.customFields || [], isTemplate: true },
+    { fields: data.dailyCustomFields || [], isTemplate: false }
+  ];
+  fieldGroups.forEach(({ fields, isTemplate }) => {
+    fields.forEach(field => {
+      if (!field || !field.key) return;
+      if (isTemplate && !templateKeys.has(field.key)) {
+        dataAccess.createCustomFieldTemplate(userId, field.key);
+        templateKeys.add(field.key);
+      }
+      if (field.value === undefined || field.value === null || field.value === '') return;
+      const current = dataAccess.getDailyCustomField(userId, date, field.key);
+      if (current && current.value) {
+        counts.skipped++;
+        return;
+      }
+      dataAccess.setDailyCustomField(userId, date, field.key, String(field.value), isTemplate);
+      counts.fields++;
+    });
+  });
+
+  // Tasks, matched on text
+  const taskTexts = new Set(dataAccess.getDailyTasks(userId, date).map(task => task.text));
+  (data.dailyTasks || data.tasks || []).forEach(task => {
+    if (!task || typeof task.text !== 'string' || !task.text.trim()) return;
+    if (taskTexts.has(task.text)) {
+      counts.skipped++;
+      return;
+    }
+    dataAccess.createDailyTask(userId, date, task.text, Boolean(task.completed || task.done));
+    taskTexts.add(task.text);
+    counts.tasks++;
+  });
+
+  // Entries, matched on time and text
+  const entryKeys = new Set(dataAccess.getActivityEntries(userId, date).map(entry => `${entry.timestamp}|${entry.text}`));
+  day.entries.forEach(entry => {
+    let instant = parseLegacyTime(date, entry.timestamp, settings);
+    if (!instant) {
+      warnings.push(`${username} ${date}: entry "${entry.text.slice(0, 30)}" has no usable time, placed at the start of the day`);
+      instant = journalTimeToInstant(date, '00:00', settings);
+    }
+    const timestamp = toSqlTimestamp(instant);
+    const key = `${timestamp}|${entry.text}`;
+    if (entryKeys.has(key)) {
+      counts.skipped++;
+      return;
+    }
+    const entryId = dataAccess.createActivityEntry(userId, date, entry.text, timestamp);
+    entryKeys.add(key);
+    counts.entries++;
+    if (entry.image) {
+      dataAccess.createEntryAttachment(entryId, userId, entry.image.mimeType, entry.image.data, entry.image.thumbnail);
+      counts.images++;
+    }
+  });
+
+  // Counter values, matched on counter name
+  const counters = new Map(dataAccess.getCustomCounters(userId).map(counter => [counter.name, counter.id]));
+  (data.customCounters || []).forEach(counter => {
+    if (!counter || !counter.name) return;
+    if (!counters.has(counter.name)) {
+      counters.set(counter.name, dataAccess.createCustomCounter(userId, counter.name));
+    }
+    const value = parseInt(counter.value) || 0;
+    if (value === 0) return;
+    const counterId = counters.get(counter.name);
+    if (dataAccess.getCustomCounterValue(counterId, date) !== 0) {
+      counts.skipped++;
+      return;
+    }
+    dataAccess.setCustomCounterValue(counterId, userId, date, value);
+    counts.counterValues++;
+  });
+}
+
+// Import every user from a legacy database. With dryRun the same work runs and
+// is rolled back, so the report shows exactly what a real import would do.
+async function importLegacyDatabase(legacyPath, { dryRun = false, userMap = {} } = {}) {
+  const legacy = openLegacyDatabase(legacyPath);
+  const warnings = [];
+  const legacyUsers = [];
+
+  try {
+    const users = legacy.prepare('SELECT id, username, email, password_hash, is_admin FROM users ORDER BY id').all();
+    for (const legacyUser of users) {
+      legacyUsers.push({ legacyUser, ...(await readLegacyUser(legacy, legacyUser, warnings)) });
+    }
+  } finally {
+    legacy.close();
+  }
+
+  const report = { dryRun, users: [], totals: emptyCounts(), warnings };
+
+  try {
+    db.transaction(() => {
+      legacyUsers.forEach(({ legacyUser, days, profileFields }) => {
+        const user = resolveUser(legacyUser, userMap);
+        const settings = dataAccess.getUserSettings(user.id);
+        const counts = emptyCounts();
+
+        importProfileFields(user.id, profileFields, counts);
+        days.forEach(day => importDay(user.id, user.username, day, settings, counts, warnings));
+
+        report.users.push({ legacyUsername: legacyUser.username, username: user.username, created: user.created, ...counts });
+        Object.keys(counts).forEach(key => { report.totals[key] += counts[key]; });
+      });
+
+      if (dryRun) throw new DryRunRollback();
+    })();
+  } catch (error) {
+    if (!(error instanceof DryRunRollback)) throw error;
+  }
+
+  return report;
+}
+
+module.exports = {
+  parseLegacyTime,
+  importLegacyDatabase
+};
@@ -1,18 +1,43 @@
 const jwt = require('jsonwebtoken');
+const { config } = require('../config');
 
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+const JWT_SECRET = config.jwtSecret;
 
 function generateToken(user) {
   return jwt.sign(
     { id: user.id, username: user.username, is_admin: !!user.is_admin },
     JWT_SECRET,
-    { expiresIn: '7d' }
+    { expiresIn: `${config.sessionTimeoutDays}d` }
   );
 }
 
 function verifyToken(token) {
   try {
-    return jwt.verify(token, JWT_SECRET);
+    const decoded = jwt.verify(token, JWT_SECRET);
+    // Download tickets are signed with the same secret but are not sessions
+    return decoded.type === 'download' ? null : decoded;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Download tickets let plain links and form posts authenticate without putting the
+// session token in a URL. Each ticket is valid for one purpose and expires quickly.
+const DOWNLOAD_PURPOSES = ['markdown', 'pdf', 'range-markdown', 'range-pdf'];
+const DOWNLOAD_TICKET_TTL_SECONDS = 60;
+
+function generateDownloadTicket(user, purpose) {
+  return jwt.sign(
+    { id: user.id, type: 'download', purpose },
+    JWT_SECRET,
+    { expiresIn: DOWNLOAD_TICKET_TTL_SECONDS }
+  );
+}
+
+function verifyDownloadTicket(ticket, purpose) {
+  try {
+    const decoded = jwt.verify(ticket, JWT_SECRET);
+    return decoded.type === 'download' && decoded.purpose === purpose ? decoded : null;
   } catch (error) {
     return null;
   }
@@ -38,8 +63,31 @@ function authMiddleware(req, res, next) {
   next();
 }
 
+// Authenticate a download route from a ?ticket= (links) or ticket body field (form posts)
+function downloadTicketMiddleware(purpose) {
+  return (req, res, next) => {
+    const ticket = req.query.ticket || (req.body && req.body.ticket);
+
+    if (!ticket) {
+      return res.status(401).json({ error: 'No download ticket provided' });
+    }
+
+    const decoded = verifyDownloadTicket(ticket, purpose);
+    if (!decoded) {
+      return res.status(401).json({ error: 'Invalid or expired download ticket' });
+    }
+
+    req.user = { id: decoded.id };
+    next();
+  };
+}
+
 module.exports = {
   generateToken,
   verifyToken,
-  authMiddleware
+  authMiddleware,
+  DOWNLOAD_PURPOSES,
+  DOWNLOAD_TICKET_TTL_SECONDS,
+  generateDownloadTicket,
+  downloadTicketMiddleware
 };
\ No newline at end of file
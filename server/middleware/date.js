@@ -0,0 +1,163 @@
+const dataAccess = require('../dataAccess');
+
+// Calendar date (YYYY-MM-DD) of an instant in a timezone
+function formatDateInZone(instant, timeZone = 'UTC') {
+  // en-CA formats dates as YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(instant);
+}
+
+// Journal date (YYYY-MM-DD) an instant belongs to for a user's settings.
+// The day follows their timezone and only rolls over once day_start_hour has passed (e.g. 04:00).
+// The hour is taken off the local wall clock, so days next to a DST change still start on it.
+function getJournalDate(instant, settings) {
+  const wallClock = instant.getTime() + getZoneOffsetMs(instant, settings.timezone || 'UTC');
+  const shifted = new Date(wallClock - (settings.day_start_hour || 0) * 60 * 60 * 1000);
+  return shifted.toISOString().slice(0, 10);
+}
+
+// Today's date as YYYY-MM-DD, in UTC unless user settings are given
+function getTodayDate(settings = null) {
+  if (!settings) {
+    return new Date().toISOString().slice(0, 10);
+  }
+
+  return getJournalDate(new Date(), settings);
+}
+
+// Offset in milliseconds between a timezone's wall clock and UTC at an instant
+function getZoneOffsetMs(instant, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(instant).forEach(part => {
+    parts[part.type] = part.value;
+  });
+
+  const wallClock = Date.UTC(
+    parseInt(parts.year), parseInt(parts.month) - 1, parseInt(parts.day),
+    parseInt(parts.hour), parseInt(parts.minute), parseInt(parts.second)
+  );
+  return wallClock - Math.floor(instant.getTime() / 1000) * 1000;
+}
+
+// Convert a wall-clock time ("HH:MM" or "HH:MM:SS") on a journal date to a UTC instant.
+// Times before day_start_hour belong to the next calendar morning of that journal day.
+function journalTimeToInstant(dateStr, timeStr, settings) {
+  const match = /^(\d{2}):(\d{2})(?::(\d{2}))?$/.exec(timeStr || '');
+  if (!match) return null;
+
+  const hours = parseInt(match[1]);
+  const minutes = parseInt(match[2]);
+  const seconds = parseInt(match[3] || '0');
+  if (hours > 23 || minutes > 59 || seconds > 59) return null;
+
+  const [year, month, day] = dateStr.split('-').map(Number);
+  const dayOffset = hours < (settings.day_start_hour || 0) ? 1 : 0;
+  const wallClock = Date.UTC(year, month - 1, day + dayOffset, hours, minutes, seconds);
+
+  // Resolve the zone offset twice so times next to a DST change land correctly
+  const timeZone = settings.timezone || 'UTC';
+  let instant = new Date(wallClock - getZoneOffsetMs(new Date(wallClock), timeZone));
+  instant = new Date(wallClock - getZoneOffsetMs(instant, timeZone));
+  return instant;
+}
+
+// The UTC instants a journal day runs between: day_start_hour on that date in the
+// user's timezone up to the same hour on the next date
+function getJournalDayBounds(dateStr, settings) {
+  const startTime = `${String(settings.day_start_hour || 0).padStart(2, '0')}:00`;
+  return {
+    start: journalTimeToInstant(dateStr, startTime, settings),
+    end: journalTimeToInstant(addDays(dateStr, 1), startTime, settings)
+  };
+}
+
+// Shift a YYYY-MM-DD date by a number of days
+function addDays(dateStr, days) {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+// Monday of the ISO week a YYYY-MM-DD date falls in
+function getWeekStart(dateStr) {
+  const weekday = new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+  return addDays(dateStr, -((weekday + 6) % 7));
+}
+
+// Format an instant the way SQLite CURRENT_TIMESTAMP stores it ("YYYY-MM-DD HH:MM:SS" UTC)
+function toSqlTimestamp(instant) {
+  return instant.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+// Today's date for a specific user
+function getUserToday(userId) {
+  return getTodayDate(dataAccess.getUserSettings(userId));
+}
+
+// Format a stored UTC timestamp ("YYYY-MM-DD HH:MM:SS" or ISO) as HH:MM:SS in a timezone
+function formatTimeInZone(timestamp, timeZone = 'UTC') {
+  // SQLite CURRENT_TIMESTAMP is UTC without a zone marker
+  const iso = /[zZ]|[+-]\d{2}:?\d{2}$/.test(timestamp) ? timestamp : `${timestamp.replace(' ', 'T')}Z`;
+  return new Date(iso).toLocaleTimeString('en-US', { hourCycle: 'h23', timeZone });
+}
+
+// Check that a timezone name is known to the runtime (e.g. "America/Denver")
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Check that a string is a real YYYY-MM-DD calendar date
+function isValidDateString(dateStr) {
+  if (typeof dateStr !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) return false;
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === dateStr;
+}
+
+// Resolve the day a request works on from ?date=, defaulting to the user's today.
+// Only the query string is read since some bodies already use "date" for other things.
+// Routes that authenticate inside the handler get null and resolve the day themselves.
+function dateMiddleware(req, res, next) {
+  const date = req.query.date;
+
+  if (date && !isValidDateString(date)) {
+    return res.status(400).json({ error: 'Invalid date, expected YYYY-MM-DD' });
+  }
+
+  req.date = date || (req.user ? getUserToday(req.user.id) : null);
+  next();
+}
+
+module.exports = {
+  formatDateInZone,
+  getJournalDate,
+  getTodayDate,
+  journalTimeToInstant,
+  getJournalDayBounds,
+  addDays,
+  getWeekStart,
+  toSqlTimestamp,
+  getUserToday,
+  formatTimeInZone,
+  isValidTimeZone,
+  isValidDateString,
+  dateMiddleware
+};
@@ -0,0 +1,213 @@
+// Baseline schema. Tables use IF NOT EXISTS so databases created before
+// migrations existed are adopted as-is.
+function up(db) {
+  // Users table (already exists from before)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT UNIQUE NOT NULL,
+      email TEXT,
+      password_hash TEXT NOT NULL,
+      is_admin INTEGER DEFAULT 0,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Profile fields (persistent custom fields shown in exports)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS profile_fields (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      key TEXT NOT NULL,
+      value TEXT NOT NULL,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      UNIQUE(user_id, key)
+    )
+  `);
+
+  // Custom field templates (persist name, value resets daily)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS custom_field_templates (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      key TEXT NOT NULL,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      UNIQUE(user_id, key)
+    )
+  `);
+
+  // Time Since trackers (persist indefinitely)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS time_since_trackers (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      date TEXT NOT NULL,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Duration trackers (timers that persist)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS duration_trackers (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      type TEXT DEFAULT 'timer',
+      is_running INTEGER DEFAULT 0,
+      start_time TEXT,
+      elapsed_ms INTEGER DEFAULT 0,
+      value INTEGER DEFAULT 0,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Custom counters (persist name, value resets daily)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS custom_counters (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      UNIQUE(user_id, name)
+    )
+  `);
+
+  // Daily state (bedtime, wake time, etc.)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS daily_state (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      date TEXT NOT NULL,
+      previous_bedtime TEXT,
+      wake_time TEXT,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      UNIQUE(user_id, date)
+    )
+  `);
+
+  // Daily custom field values (template-based, for current day)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS daily_custom_fields (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      date TEXT NOT NULL,
+      key TEXT NOT NULL,
+      value TEXT,
+      is_template INTEGER DEFAULT 1,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      UNIQUE(user_id, date, key)
+    )
+  `);
+
+  // Daily tasks
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS daily_tasks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      date TEXT NOT NULL,
+      text TEXT NOT NULL,
+      done INTEGER DEFAULT 0,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Activity entries (log entries throughout the day)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS activity_entries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      date TEXT NOT NULL,
+      text TEXT NOT NULL,
+      timestamp TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Images attached to activity entries (original upload plus a JPEG thumbnail)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS entry_attachments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      entry_id INTEGER NOT NULL UNIQUE,
+      user_id INTEGER NOT NULL,
+      mime_type TEXT NOT NULL,
+      data BLOB NOT NULL,
+      thumbnail BLOB NOT NULL,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (entry_id) REFERENCES activity_entries(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Custom counter daily values
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS custom_counter_values (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      counter_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      date TEXT NOT NULL,
+      value INTEGER DEFAULT 0,
+      FOREIGN KEY (counter_id) REFERENCES custom_counters(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      UNIQUE(counter_id, date)
+    )
+  `);
+
+  // Snapshot retention settings
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS snapshot_settings (
+      user_id INTEGER PRIMARY KEY,
+      max_days INTEGER DEFAULT 30,
+      max_count INTEGER DEFAULT 100,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Per-user preferences (timezone and when a new day starts)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS user_settings (
+      user_id INTEGER PRIMARY KEY,
+      timezone TEXT DEFAULT 'UTC',
+      day_start_hour INTEGER DEFAULT 0,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Saved snapshots (frozen copy of a day's state, one per user per date)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS snapshots (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      date TEXT NOT NULL,
+      data TEXT NOT NULL,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      UNIQUE(user_id, date)
+    )
+  `);
+
+  // Append-only history of overwritten or deleted entries and fields
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS revisions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      entity_type TEXT NOT NULL,
+      entity_id TEXT NOT NULL,
+      action TEXT NOT NULL,
+      data TEXT NOT NULL,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_revisions_entity ON revisions(user_id, entity_type, entity_id)');
+}
+
+module.exports = { up };
@@ -0,0 +1,83 @@
+// Full-text index over entries, tasks and daily field values, kept in sync by triggers.
+// source_type is 'entry', 'task' or 'field'; label holds the field key for fields.
+function up(db) {
+  const exists = db.prepare(
+    "SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'search_index'"
+  ).get();
+
+  db.exec(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS search_index USING fts5(
+      content,
+      source_type UNINDEXED,
+      source_id UNINDEXED,
+      user_id UNINDEXED,
+      date UNINDEXED,
+      label UNINDEXED,
+      tokenize = 'unicode61 remove_diacritics 2'
+    )
+  `);
+
+  db.exec(`
+    CREATE TRIGGER IF NOT EXISTS search_entries_insert AFTER INSERT ON activity_entries BEGIN
+      INSERT INTO search_index (content, source_type, source_id, user_id, date)
+      VALUES (new.text, 'entry', new.id, new.user_id, new.date);
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS search_entries_update AFTER UPDATE OF text, date ON activity_entries BEGIN
+      DELETE FROM search_index WHERE source_type = 'entry' AND source_id = old.id;
+      INSERT INTO search_index (content, source_type, source_id, user_id, date)
+      VALUES (new.text, 'entry', new.id, new.user_id, new.date);
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS search_entries_delete AFTER DELETE ON activity_entries BEGIN
+      DELETE FROM search_index WHERE source_type = 'entry' AND source_id = old.id;
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS search_tasks_insert AFTER INSERT ON daily_tasks BEGIN
+      INSERT INTO search_index (content, source_type, source_id, user_id, date)
+      VALUES (new.text, 'task', new.id, new.user_id, new.date);
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS search_tasks_update AFTER UPDATE OF text, date ON daily_tasks BEGIN
+      DELETE FROM search_index WHERE source_type = 'task' AND source_id = old.id;
+      INSERT INTO search_index (content, source_type, source_id, user_id, date)
+      VALUES (new.text, 'task', new.id, new.user_id, new.date);
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS search_tasks_delete AFTER DELETE ON daily_tasks BEGIN
+      DELETE FROM search_index WHERE source_type = 'task' AND source_id = old.id;
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS search_fields_insert AFTER INSERT ON daily_custom_fields
+    WHEN new.value IS NOT NULL AND new.value != '' BEGIN
+      INSERT INTO search_index (content, source_type, source_id, user_id, date, label)
+      VALUES (new.value, 'field', new.id, new.user_id, new.date, new.key);
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS search_fields_update AFTER UPDATE OF value, key, date ON daily_custom_fields BEGIN
+      DELETE FROM search_index WHERE source_type = 'field' AND source_id = old.id;
+      INSERT INTO search_index (content, source_type, source_id, user_id, date, label)
+      SELECT new.value, 'field', new.id, new.user_id, new.date, new.key
+      WHERE new.value IS NOT NULL AND new.value != '';
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS search_fields_delete AFTER DELETE ON daily_custom_fields BEGIN
+      DELETE FROM search_index WHERE source_type = 'field' AND source_id = old.id;
+    END;
+  `);
+
+  // Databases created before the index existed need their content indexed once
+  if (!exists) {
+    db.exec(`
+      INSERT INTO search_index (content, source_type, source_id, user_id, date)
+        SELECT text, 'entry', id, user_id, date FROM activity_entries;
+      INSERT INTO search_index (content, source_type, source_id, user_id, date)
+        SELECT text, 'task', id, user_id, date FROM daily_tasks;
+      INSERT INTO search_index (content, source_type, source_id, user_id, date, label)
+        SELECT value, 'field', id, user_id, date, key FROM daily_custom_fields
+        WHERE value IS NOT NULL AND value != '';
+    `);
+  }
+}
+
+module.exports = { up };
@@ -0,0 +1,44 @@
+// One row per start/stop of a duration tracker (end_time is null while running).
+// Times are ISO 8601 UTC strings so they compare correctly as text.
+function up(db) {
+  db.exec(`
+    CREATE TABLE timer_sessions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      tracker_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      start_time TEXT NOT NULL,
+      end_time TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (tracker_id) REFERENCES duration_trackers(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX idx_timer_sessions_tracker ON timer_sessions(tracker_id, start_time);
+  `);
+
+  // Carry over what the single-accumulator trackers knew. Stored elapsed time has
+  // no dates, so it becomes one session ending now, or where a running timer's open
+  // session begins (editable from the session list).
+  const now = Date.now();
+  const insert = db.prepare(
+    'INSERT INTO timer_sessions (tracker_id, user_id, start_time, end_time) VALUES (?, ?, ?, ?)'
+  );
+  const trackers = db.prepare(
+    'SELECT id, user_id, is_running, start_time, elapsed_ms FROM duration_trackers'
+  ).all();
+
+  trackers.forEach(tracker => {
+    const started = tracker.start_time ? new Date(tracker.start_time) : null;
+    const running = Boolean(tracker.is_running && started && !isNaN(started.getTime()));
+    const carriedEnd = running ? Math.min(now, started.getTime()) : now;
+
+    if (tracker.elapsed_ms > 0) {
+      insert.run(tracker.id, tracker.user_id, new Date(carriedEnd - tracker.elapsed_ms).toISOString(), new Date(carriedEnd).toISOString());
+    }
+    if (running) {
+      insert.run(tracker.id, tracker.user_id, started.toISOString(), null);
+    }
+  });
+}
+
+module.exports = { up };
@@ -0,0 +1,20 @@
+// Finished intervals of Time Since trackers. Resetting a tracker archives the run from
+// its date up to the reset here and moves the tracker's date to the reset time.
+function up(db) {
+  db.exec(`
+    CREATE TABLE time_since_resets (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      tracker_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      started_at TEXT NOT NULL,
+      ended_at TEXT NOT NULL,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (tracker_id) REFERENCES time_since_trackers(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX idx_time_since_resets_tracker ON time_since_resets(tracker_id, ended_at);
+  `);
+}
+
+module.exports = { up };
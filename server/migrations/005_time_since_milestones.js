@@ -0,0 +1,29 @@
+// Milestones for Time Since trackers. milestones is a JSON array of specs like "7d"
+// (null means the defaults); milestones_set_at marks when the list last changed or the
+// tracker was reset, so milestones already behind it are recorded without a notification.
+function up(db) {
+  db.exec(`
+    ALTER TABLE time_since_trackers ADD COLUMN milestones TEXT;
+    ALTER TABLE time_since_trackers ADD COLUMN milestones_set_at TEXT;
+
+    CREATE TABLE time_since_milestone_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      tracker_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      milestone TEXT NOT NULL,
+      run_started_at TEXT NOT NULL,
+      reached_at TEXT NOT NULL,
+      seen INTEGER DEFAULT 0,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (tracker_id) REFERENCES time_since_trackers(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      UNIQUE(tracker_id, milestone, run_started_at)
+    );
+
+    CREATE INDEX idx_milestone_events_user ON time_since_milestone_events(user_id, seen);
+  `);
+
+  db.prepare('UPDATE time_since_trackers SET milestones_set_at = ?').run(new Date().toISOString());
+}
+
+module.exports = { up };
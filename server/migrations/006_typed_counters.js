@@ -0,0 +1,17 @@
+// Custom counters get a unit, a step for +/-, a number of decimal places, bounds and
+// an optional daily goal. Existing counters keep their old behaviour: whole numbers,
+// steps of 1, never below 0. custom_counter_values.value keeps its INTEGER affinity,
+// which SQLite still stores fractional values in as REAL.
+function up(db) {
+  db.exec(`
+    ALTER TABLE custom_counters ADD COLUMN unit TEXT;
+    ALTER TABLE custom_counters ADD COLUMN step REAL NOT NULL DEFAULT 1;
+    ALTER TABLE custom_counters ADD COLUMN decimals INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE custom_counters ADD COLUMN min_value REAL DEFAULT 0;
+    ALTER TABLE custom_counters ADD COLUMN max_value REAL;
+    ALTER TABLE custom_counters ADD COLUMN goal REAL;
+    ALTER TABLE custom_counters ADD COLUMN goal_direction TEXT NOT NULL DEFAULT 'at_least';
+  `);
+}
+
+module.exports = { up };
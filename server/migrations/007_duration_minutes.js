@@ -0,0 +1,18 @@
+// Duration trackers of type 'counter' are logged by hand as minutes per day rather
+// than timed; one row per tracker per date.
+function up(db) {
+  db.exec(`
+    CREATE TABLE duration_minutes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      tracker_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      date TEXT NOT NULL,
+      minutes INTEGER NOT NULL,
+      FOREIGN KEY (tracker_id) REFERENCES duration_trackers(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      UNIQUE(tracker_id, date)
+    );
+  `);
+}
+
+module.exports = { up };
@@ -0,0 +1,41 @@
+// Sleep tracking: a 1-5 quality rating next to the bedtime/wake time in daily_state,
+// naps logged per day, and each user's nightly sleep target. Bedtimes and wake times
+// were free text; ones that read as clock times are normalized to HH:MM, empty ones
+// become NULL, and anything else is left as it was (it just won't yield a duration).
+function up(db) {
+  db.exec(`
+    ALTER TABLE daily_state ADD COLUMN sleep_quality INTEGER;
+
+    CREATE TABLE sleep_naps (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      date TEXT NOT NULL,
+      start_time TEXT,
+      minutes INTEGER NOT NULL,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX idx_sleep_naps_user_date ON sleep_naps(user_id, date);
+
+    CREATE TABLE sleep_settings (
+      user_id INTEGER PRIMARY KEY,
+      target_minutes INTEGER NOT NULL DEFAULT 480,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+  `);
+
+  const normalize = (value) => {
+    if (value === null || value.trim() === '') return null;
+    const match = /^(\d{1,2}):(\d{2})$/.exec(value.trim());
+    if (!match || parseInt(match[1]) > 23 || parseInt(match[2]) > 59) return value;
+    return `${match[1].padStart(2, '0')}:${match[2]}`;
+  };
+
+  const update = db.prepare('UPDATE daily_state SET previous_bedtime = ?, wake_time = ? WHERE id = ?');
+  db.prepare('SELECT id, previous_bedtime, wake_time FROM daily_state').all().forEach(row => {
+    update.run(normalize(row.previous_bedtime), normalize(row.wake_time), row.id);
+  });
+}
+
+module.exports = { up };
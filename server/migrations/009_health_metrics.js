@@ -0,0 +1,23 @@
+// Typed daily health metrics: mood, energy and stress on a 1-5 scale, plus resting
+// heart rate, alcohol and exercise as numbers in fixed units. One row per user per
+// date; a metric that wasn't logged is NULL.
+function up(db) {
+  db.exec(`
+    CREATE TABLE health_metrics (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      date TEXT NOT NULL,
+      mood INTEGER,
+      energy INTEGER,
+      stress INTEGER,
+      heart_rate_bpm INTEGER,
+      alcohol_drinks REAL,
+      exercise_minutes INTEGER,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      UNIQUE(user_id, date)
+    );
+  `);
+}
+
+module.exports = { up };
@@ -0,0 +1,13 @@
+// Template fields get a type (text, number, scale, boolean, select or time), options
+// for it as JSON (unit and bounds, scale range, select choices) and a default value
+// used on days the field hasn't been filled in. Existing templates become text fields.
+// Values stay strings in daily_custom_fields and are validated against the type.
+function up(db) {
+  db.exec(`
+    ALTER TABLE custom_field_templates ADD COLUMN type TEXT NOT NULL DEFAULT 'text';
+    ALTER TABLE custom_field_templates ADD COLUMN options TEXT;
+    ALTER TABLE custom_field_templates ADD COLUMN default_value TEXT;
+  `);
+}
+
+module.exports = { up };
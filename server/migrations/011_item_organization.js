@@ -0,0 +1,17 @@
+// Trackers, counters and template fields get a sort order, an optional category
+// they're grouped under, and an archived flag that hides them while keeping their
+// history. Existing items keep their insertion order.
+const TABLES = ['time_since_trackers', 'duration_trackers', 'custom_counters', 'custom_field_templates'];
+
+function up(db) {
+  TABLES.forEach(table => {
+    db.exec(`
+      ALTER TABLE ${table} ADD COLUMN sort_order INTEGER NOT NULL DEFAULT 0;
+      ALTER TABLE ${table} ADD COLUMN category TEXT;
+      ALTER TABLE ${table} ADD COLUMN archived INTEGER NOT NULL DEFAULT 0;
+      UPDATE ${table} SET sort_order = id;
+    `);
+  });
+}
+
+module.exports = { up };
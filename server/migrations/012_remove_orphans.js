@@ -0,0 +1,15 @@
+// Foreign keys are enforced on every connection (see database.js), so ON DELETE CASCADE
+// applies. A database last written by a client that left them off (the sqlite3 CLI,
+// an older build) can still hold rows whose parent is gone; remove those. Removing an
+// orphan can orphan its own children, so repeat until the check comes back clean.
+function up(db) {
+  let orphans = db.pragma('foreign_key_check');
+  while (orphans.length > 0) {
+    orphans.forEach(({ table, rowid }) => {
+      db.prepare(`DELETE FROM "${table}" WHERE rowid = ?`).run(rowid);
+    });
+    orphans = db.pragma('foreign_key_check');
+  }
+}
+
+module.exports = { up };
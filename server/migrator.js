@@ -0,0 +1,115 @@
+const fs = require('fs');
+const path = require('path');
+
+// Schema migrations live in server/migrations as NNN_description.js files exporting
+// up(db). Applied versions are recorded in schema_migrations; migrations never change
+// once released, so new columns or tables always go in a new file.
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+function loadMigrations(migrationsDir = MIGRATIONS_DIR) {
+  return fs.readdirSync(migrationsDir)
+    .map(file => {
+      const match = file.match(MIGRATION_FILE_PATTERN);
+      if (!match) return null;
+      return {
+        version: parseInt(match[1], 10),
+        name: match[2],
+        file: path.join(migrationsDir, file)
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+}
+
+function ensureMigrationsTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+function getAppliedMigrations(db) {
+  const exists = db.prepare(
+    "SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'"
+  ).get();
+  if (!exists) return [];
+  return db.prepare('SELECT version, name, applied_at FROM schema_migrations ORDER BY version').all();
+}
+
+// Every known migration with its applied time (null when pending)
+function getMigrationStatus(db, migrationsDir = MIGRATIONS_DIR) {
+  const applied = new Map(getAppliedMigrations(db).map(row => [row.version, row]));
+  return loadMigrations(migrationsDir).map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    appliedAt: applied.has(migration.version) ? applied.get(migration.version).applied_at : null
+  }));
+}
+
+// A fresh database has nothing worth backing up
+function hasUserTables(db) {
+  return Boolean(db.prepare(
+    "SELECT 1 FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' LIMIT 1"
+  ).get());
+}
+
+// Consistent copy of the live database next to it, under backups/
+function backupDatabase(db, backupDir, label) {
+  if (!fs.existsSync(backupDir)) {
+    fs.mkdirSync(backupDir, { recursive: true });
+  }
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+  const backupPath = path.join(backupDir, `djournal-${stamp}-${label}.db`);
+  db.prepare('VACUUM INTO ?').run(backupPath);
+  return backupPath;
+}
+
+// Apply pending migrations in version order, each in its own transaction. When an
+// existing database is about to change, a backup is written first. Returns the
+// applied migrations and the backup path (null if nothing ran or nothing to back up).
+function runMigrations(db, { migrationsDir = MIGRATIONS_DIR, backupDir = null } = {}) {
+  const appliedVersions = new Set(getAppliedMigrations(db).map(row => row.version));
+  const pending = loadMigrations(migrationsDir).filter(m => !appliedVersions.has(m.version));
+
+  if (pending.length === 0) {
+    return { applied: [], backupPath: null };
+  }
+
+  let backupPath = null;
+  if (backupDir && hasUserTables(db)) {
+    backupPath = backupDatabase(db, backupDir, `before-v${pending[0].version}`);
+    console.log(`💾 Database backed up to ${backupPath}`);
+  }
+
+  ensureMigrationsTable(db);
+  const record = db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)');
+
+  for (const migration of pending) {
+    const { up } = require(migration.file);
+    try {
+      db.transaction(() => {
+        up(db);
+        record.run(migration.version, migration.name);
+      })();
+    } catch (error) {
+      error.message = `Migration ${migration.version}_${migration.name} failed: ${error.message}`;
+      throw error;
+    }
+    console.log(`✅ Applied migration ${migration.version}_${migration.name}`);
+  }
+
+  return { applied: pending, backupPath };
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  getMigrationStatus,
+  backupDatabase,
+  runMigrations
+};
@@ -0,0 +1,129 @@
+const dataAccess = require('./dataAccess');
+
+// Time Since trackers count up from a past date or down to a future one. Counting up,
+// they pass milestones ("7d", "1y", ...); counting down, they arrive. Both are recorded
+// as events, and events the user hasn't dismissed show up as notifications.
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const MILESTONE_UNITS = {
+  h: { ms: HOUR, label: 'hour' },
+  d: { ms: DAY, label: 'day' },
+  w: { ms: 7 * DAY, label: 'week' },
+  mo: { ms: 30 * DAY, label: 'month' },
+  y: { ms: 365 * DAY, label: 'year' }
+};
+
+const DEFAULT_MILESTONES = ['1d', '7d', '30d', '100d', '1y'];
+
+// Event name used when a countdown reaches its date
+const COUNTDOWN_EVENT = 'countdown';
+
+const MILESTONE_PATTERN = /^(\d+)(h|d|w|mo|y)$/;
+
+function milestoneMs(spec) {
+  const match = MILESTONE_PATTERN.exec(spec);
+  return match ? parseInt(match[1]) * MILESTONE_UNITS[match[2]].ms : null;
+}
+
+// "30d" -> "30 days", "1y" -> "1 year"
+function formatMilestone(spec) {
+  const match = MILESTONE_PATTERN.exec(spec);
+  if (!match) return spec;
+  const count = parseInt(match[1]);
+  const unit = MILESTONE_UNITS[match[2]].label;
+  return `${count} ${unit}${count === 1 ? '' : 's'}`;
+}
+
+// Accepts an array or a comma-separated string ("7d, 30d, 1y"). Returns the specs
+// sorted by length, without duplicates, or { error } naming the first bad one.
+function parseMilestones(input) {
+  const specs = (Array.isArray(input) ? input : String(input || '').split(','))
+    .map(spec => String(spec).trim().toLowerCase())
+    .filter(Boolean);
+
+  const invalid = specs.find(spec => !milestoneMs(spec));
+  if (invalid) {
+    return { error: `Invalid milestone "${invalid}", use a number followed by h, d, w, mo or y` };
+  }
+
+  // Equal spans ("2w", "14d") keep whichever was given first
+  const unique = specs.filter((spec, i) => specs.findIndex(other => milestoneMs(other) === milestoneMs(spec)) === i);
+  return { milestones: unique.sort((a, b) => milestoneMs(a) - milestoneMs(b)) };
+}
+
+function getTrackerMilestones(tracker) {
+  return tracker.milestones || DEFAULT_MILESTONES;
+}
+
+// Where a tracker stands: counting down (remainingMs) or counting up, with the
+// milestones behind it and progress (0-100) towards the next one
+function getMilestoneStatus(tracker, now = Date.now()) {
+  const milestones = getTrackerMilestones(tracker);
+  const elapsedMs = now - new Date(tracker.date).getTime();
+
+  if (isNaN(elapsedMs)) {
+    return { mode: 'since', milestones, reachedMilestones: [], nextMilestone: null, nextMilestoneProgress: null };
+  }
+
+  if (elapsedMs < 0) {
+    return { mode: 'countdown', remainingMs: -elapsedMs, milestones };
+  }
+
+  const reachedMilestones = milestones.filter(spec => milestoneMs(spec) <= elapsedMs);
+  const nextMilestone = milestones.find(spec => milestoneMs(spec) > elapsedMs) || null;
+  const nextMilestoneProgress = nextMilestone
+    ? Math.floor((elapsedMs / milestoneMs(nextMilestone)) * 100)
+    : null;
+
+  return { mode: 'since', milestones, reachedMilestones, nextMilestone, nextMilestoneProgress };
+}
+
+// Record every milestone (and countdown arrival) the user's trackers have passed.
+// Ones passed before the milestones were last configured, or while the tracker is
+// archived, are stored as already seen.
+function recordReachedMilestones(userId, now = Date.now()) {
+  dataAccess.getTimeSinceTrackers(userId).forEach(tracker => {
+    const start = new Date(tracker.date).getTime();
+    if (isNaN(start) || start > now) return;
+
+    const watchedSince = tracker.milestonesSetAt ? new Date(tracker.milestonesSetAt).getTime() : 0;
+    const record = (milestone, reachedMs) => {
+      dataAccess.recordMilestoneEvent(
+        tracker.id, userId, milestone, tracker.date, new Date(reachedMs).toISOString(),
+        reachedMs < watchedSince || tracker.archived
+      );
+    };
+
+    // A countdown arrives at its date; only worth announcing if it was set up beforehand
+    if (start > watchedSince) {
+      record(COUNTDOWN_EVENT, start);
+    }
+
+    getTrackerMilestones(tracker).forEach(spec => {
+      const reachedMs = start + milestoneMs(spec);
+      if (reachedMs <= now) record(spec, reachedMs);
+    });
+  });
+}
+
+// Unseen events as notifications with a display message
+function getMilestoneNotifications(userId) {
+  recordReachedMilestones(userId);
+  return dataAccess.getUnseenMilestoneEvents(userId).map(event => ({
+    ...event,
+    message: event.milestone === COUNTDOWN_EVENT
+      ? `${event.trackerName} is here!`
+      : `${event.trackerName}: ${formatMilestone(event.milestone)}`
+  }));
+}
+
+module.exports = {
+  DEFAULT_MILESTONES,
+  formatMilestone,
+  parseMilestones,
+  getMilestoneStatus,
+  recordReachedMilestones,
+  getMilestoneNotifications
+};
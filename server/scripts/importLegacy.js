@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+// Import history from a legacy ailife.db into the configured database
+//   node server/scripts/importLegacy.js <path/to/ailife.db> [--dry-run] [--user legacy=current ...]
+const fs = require('fs');
+const path = require('path');
+const { config } = require('../config');
+const { importLegacyDatabase } = require('../legacyImport');
+
+const USAGE = 'Usage: node server/scripts/importLegacy.js <path/to/ailife.db> [--dry-run] [--user legacy=current ...]';
+
+function parseArgs(argv) {
+  const options = { legacyPath: null, dryRun: false, userMap: {} };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--user') {
+      const [legacyName, currentName] = (argv[++i] || '').split('=');
+      if (!legacyName || !currentName) {
+        throw new Error('--user expects legacy=current, e.g. --user admin=alice');
+      }
+      options.userMap[legacyName] = currentName;
+    } else if (!options.legacyPath) {
+      options.legacyPath = path.resolve(arg);
+    } else {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+  }
+  if (!options.legacyPath) {
+    throw new Error('Path to the legacy database is required');
+  }
+  return options;
+}
+
+function printReport(report) {
+  const columns = ['days', 'dailyState', 'fields', 'tasks', 'entries', 'images', 'counterValues', 'profileFields', 'skipped'];
+
+  console.log(report.dryRun ? '\n🔍 Dry run, nothing was written\n' : '\n✅ Import complete\n');
+  report.users.forEach(user => {
+    const target = user.created ? `${user.username} (new account)` : user.username;
+    console.log(`  ${user.legacyUsername} → ${target}`);
+    console.log(`    ${columns.map(column => `${column}: ${user[column]}`).join(', ')}`);
+  });
+  console.log(`\n  Total: ${columns.map(column => `${column}: ${report.totals[column]}`).join(', ')}`);
+
+  if (report.warnings.length > 0) {
+    console.log(`\n⚠️  ${report.warnings.length} warning(s):`);
+    report.warnings.forEach(warning => console.log(`   - ${warning}`));
+  }
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}\n${USAGE}`);
+    process.exit(1);
+  }
+
+  if (!fs.existsSync(options.legacyPath)) {
+    console.error(`❌ ${options.legacyPath} not found`);
+    process.exit(1);
+  }
+
+  console.log(`Importing ${options.legacyPath} into ${config.databasePath}`);
+  const report = await importLegacyDatabase(options.legacyPath, options);
+  printReport(report);
+}
+
+main().catch(error => {
+  console.error(`❌ Import failed: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+// Database migration CLI
+//   node server/scripts/migrate.js status   list migrations and whether they are applied
+//   node server/scripts/migrate.js up       back up the database and apply pending migrations
+const Database = require('better-sqlite3');
+const { config } = require('../config');
+const { getMigrationStatus, runMigrations } = require('../migrator');
+
+function printStatus(db) {
+  const status = getMigrationStatus(db);
+  const pending = status.filter(migration => !migration.appliedAt);
+
+  console.log(`Database: ${config.databasePath}\n`);
+  status.forEach(migration => {
+    const version = String(migration.version).padStart(3, '0');
+    const state = migration.appliedAt ? `applied ${migration.appliedAt}` : 'pending';
+    console.log(`  ${version}  ${migration.name.padEnd(30)} ${state}`);
+  });
+  console.log(`\n${status.length - pending.length} applied, ${pending.length} pending`);
+}
+
+function main() {
+  const command = process.argv[2] || 'status';
+  if (!['status', 'up'].includes(command)) {
+    console.error('Usage: node server/scripts/migrate.js [status|up]');
+    process.exit(1);
+  }
+
+  const db = new Database(config.databasePath);
+  try {
+    if (command === 'up') {
+      const { applied } = runMigrations(db, { backupDir: config.backupDir });
+      if (applied.length === 0) {
+        console.log('Nothing to migrate');
+      }
+    }
+    printStatus(db);
+  } finally {
+    db.close();
+  }
+}
+
+main();
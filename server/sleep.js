@@ -0,0 +1,77 @@
+const dataAccess = require('./dataAccess');
+const { addDays } = require('./middleware/date');
+
+// A day's sleep is the night before it (bedtime on the previous evening, wake time
+// that morning) plus any naps logged on the day. Sleep debt compares the last seven
+// days against the user's nightly target; days with nothing logged are left out
+// rather than counted as no sleep.
+
+const CLOCK_TIME_PATTERN = /^(\d{1,2}):(\d{2})$/;
+const DEBT_WINDOW_DAYS = 7;
+
+// "7:05" -> "07:05"; empty input -> ''; anything that isn't a clock time -> null
+function normalizeClockTime(value) {
+  if (value === null || value === undefined || String(value).trim() === '') return '';
+  const match = CLOCK_TIME_PATTERN.exec(String(value).trim());
+  if (!match || parseInt(match[1]) > 23 || parseInt(match[2]) > 59) return null;
+  return `${match[1].padStart(2, '0')}:${match[2]}`;
+}
+
+function clockMinutes(value) {
+  const match = CLOCK_TIME_PATTERN.exec(value || '');
+  return match ? parseInt(match[1]) * 60 + parseInt(match[2]) : null;
+}
+
+// Minutes from bedtime to wake time, across midnight when the bedtime is later in
+// the day. Null unless both are valid and differ.
+function getNightMinutes(bedtime, wakeTime) {
+  const bed = clockMinutes(normalizeClockTime(bedtime));
+  const wake = clockMinutes(normalizeClockTime(wakeTime));
+  if (bed === null || wake === null || bed === wake) return null;
+  return (wake - bed + 24 * 60) % (24 * 60);
+}
+
+// Night, nap and total minutes for one day; total is null when nothing is logged
+function summarizeSleepDay(log, naps) {
+  const nightMinutes = log ? getNightMinutes(log.bedtime, log.wakeTime) : null;
+  const napMinutes = naps.reduce((sum, nap) => sum + nap.minutes, 0);
+  const totalMinutes = nightMinutes === null && naps.length === 0 ? null : (nightMinutes || 0) + napMinutes;
+  return { nightMinutes, napMinutes, totalMinutes };
+}
+
+// The day's sleep with the 7-day debt ending on it. A negative debt is a surplus.
+function getSleepDay(userId, date) {
+  const from = addDays(date, -(DEBT_WINDOW_DAYS - 1));
+  const logs = new Map(dataAccess.getSleepLogs(userId, from, date).map(log => [log.date, log]));
+  const naps = dataAccess.getSleepNaps(userId, from, date);
+  const targetMinutes = dataAccess.getSleepSettings(userId).target_minutes;
+
+  let debtMinutes = 0;
+  let debtDays = 0;
+  for (let day = from; day <= date; day = addDays(day, 1)) {
+    const { totalMinutes } = summarizeSleepDay(logs.get(day), naps.filter(nap => nap.date === day));
+    if (totalMinutes === null) continue;
+    debtMinutes += targetMinutes - totalMinutes;
+    debtDays++;
+  }
+
+  const log = logs.get(date);
+  const dayNaps = naps.filter(nap => nap.date === date);
+
+  return {
+    bedtime: log ? log.bedtime : '',
+    wakeTime: log ? log.wakeTime : '',
+    quality: log ? log.quality : null,
+    naps: dayNaps.map(({ id, startTime, minutes }) => ({ id, startTime, minutes })),
+    ...summarizeSleepDay(log, dayNaps),
+    targetMinutes,
+    debtMinutes,
+    debtDays
+  };
+}
+
+module.exports = {
+  normalizeClockTime,
+  getNightMinutes,
+  getSleepDay
+};
@@ -0,0 +1,73 @@
+const dataAccess = require('./dataAccess');
+const { removeJournalFiles } = require('./journalFiles');
+const { getUserToday } = require('./middleware/date');
+
+// How often the background cleanup runs (every 6 hours)
+const CLEANUP_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+// Work out which snapshot dates fall outside the retention window.
+// A limit of 0 means "keep all" for that dimension.
+function getExpiredDates(dates, maxDays, maxCount, todayDate) {
+  // dates are sorted newest first
+  const expired = new Set();
+
+  if (maxDays > 0) {
+    const cutoff = new Date(`${todayDate}T00:00:00Z`);
+    cutoff.setUTCDate(cutoff.getUTCDate() - maxDays);
+    const cutoffDate = cutoff.toISOString().slice(0, 10);
+    dates.filter(date => date < cutoffDate).forEach(date => expired.add(date));
+  }
+
+  if (maxCount > 0) {
+    dates.slice(maxCount).forEach(date => expired.add(date));
+  }
+
+  return dates.filter(date => expired.has(date));
+}
+
+// Prune one user's snapshots according to their snapshot_settings
+function pruneUserSnapshots(userId) {
+  const settings = dataAccess.getSnapshotSettings(userId);
+  const dates = dataAccess.getSnapshotDates(userId);
+  const deletedDates = getExpiredDates(dates, settings.max_days, settings.max_count, getUserToday(userId));
+
+  if (deletedDates.length > 0) {
+    dataAccess.deleteSnapshots(userId, deletedDates);
+    removeJournalFiles(userId, deletedDates);
+    console.log(`Pruned ${deletedDates.length} snapshot(s) for user ${userId}`);
+  }
+
+  const remainingDates = dates.filter(date => !deletedDates.includes(date));
+  return {
+    deletedDates,
+    remainingDates,
+    remainingCount: remainingDates.length
+  };
+}
+
+// Prune snapshots for every user
+function pruneAllSnapshots() {
+  dataAccess.getAllUsers().forEach(user => {
+    try {
+      pruneUserSnapshots(user.id);
+    } catch (error) {
+      console.error(`Error pruning snapshots for user ${user.id}:`, error);
+    }
+  });
+}
+
+// Run cleanup once now and then on a fixed interval
+function startRetentionSchedule(intervalMs = CLEANUP_INTERVAL_MS) {
+  pruneAllSnapshots();
+  const timer = setInterval(pruneAllSnapshots, intervalMs);
+  // Don't keep the process alive just for cleanup
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  getExpiredDates,
+  pruneUserSnapshots,
+  pruneAllSnapshots,
+  startRetentionSchedule
+};
@@ -0,0 +1,127 @@
+const dataAccess = require('./dataAccess');
+const { getJournalDate, getJournalDayBounds, getWeekStart } = require('./middleware/date');
+
+// Per-day timer totals are derived from timer_sessions. A session that runs past
+// the end of a journal day counts towards each day it touches. Manual trackers
+// (type 'counter') have no sessions, just minutes logged per date.
+
+const MINUTE_MS = 60 * 1000;
+
+function sessionEndMs(session, nowMs) {
+  return session.endTime ? new Date(session.endTime).getTime() : nowMs;
+}
+
+// Milliseconds of a session that fall inside [fromMs, toMs)
+function overlapMs(session, fromMs, toMs, nowMs) {
+  const start = Math.max(new Date(session.startTime).getTime(), fromMs);
+  const end = Math.min(sessionEndMs(session, nowMs), toMs);
+  return Math.max(0, end - start);
+}
+
+// [{ date, ms }] for every journal day the session touches
+function splitSessionByDay(session, settings, nowMs = Date.now()) {
+  const days = [];
+  const endMs = sessionEndMs(session, nowMs);
+  let cursor = new Date(session.startTime).getTime();
+
+  while (cursor < endMs) {
+    const date = getJournalDate(new Date(cursor), settings);
+    const dayEnd = getJournalDayBounds(date, settings).end.getTime();
+    const sliceEnd = Math.min(endMs, dayEnd);
+    days.push({ date, ms: sliceEnd - cursor });
+    cursor = sliceEnd;
+  }
+
+  return days;
+}
+
+// A tracker's time on one journal day, shaped for the day state: elapsedMs is the
+// settled time, startTime is set while a running session is adding to today
+function getTrackerDay(tracker, userId, date, settings, nowMs = Date.now()) {
+  // Manual trackers report their value in minutes, which is what the exports expect
+  if (tracker.type === 'counter') {
+    const minutes = dataAccess.getDurationMinutes(tracker.id, userId, date);
+    return { elapsedMs: minutes * MINUTE_MS, startTime: null, value: minutes };
+  }
+
+  const { start, end } = getJournalDayBounds(date, settings);
+  const dayStart = start.getTime();
+  const dayEnd = end.getTime();
+  const isLive = nowMs >= dayStart && nowMs < dayEnd;
+
+  let elapsedMs = 0;
+  let startTime = null;
+
+  dataAccess.getTimerSessions(tracker.id, userId, start.toISOString(), end.toISOString()).forEach(session => {
+    if (!session.endTime && isLive) {
+      startTime = new Date(Math.max(new Date(session.startTime).getTime(), dayStart)).toISOString();
+    } else {
+      elapsedMs += overlapMs(session, dayStart, dayEnd, nowMs);
+    }
+  });
+
+  return { elapsedMs, startTime, value: Math.floor(elapsedMs / 1000) };
+}
+
+// Session list for a tracker between two journal dates (inclusive, either may be
+// null), newest first, with each session's per-day split and the daily totals
+function getTrackerSessions(trackerId, userId, settings, fromDate = null, toDate = null, nowMs = Date.now()) {
+  const from = fromDate ? getJournalDayBounds(fromDate, settings).start.toISOString() : null;
+  const to = toDate ? getJournalDayBounds(toDate, settings).end.toISOString() : null;
+  const inRange = date => (!fromDate || date >= fromDate) && (!toDate || date <= toDate);
+
+  const totals = new Map();
+  const sessions = dataAccess.getTimerSessions(trackerId, userId, from, to).map(session => {
+    const days = splitSessionByDay(session, settings, nowMs);
+    days.filter(day => inRange(day.date)).forEach(day => {
+      totals.set(day.date, (totals.get(day.date) || 0) + day.ms);
+    });
+    return {
+      ...session,
+      isRunning: !session.endTime,
+      durationMs: sessionEndMs(session, nowMs) - new Date(session.startTime).getTime(),
+      days
+    };
+  });
+
+  const dailyTotals = [...totals.entries()]
+    .sort(([a], [b]) => (a < b ? -1 : 1))
+    .map(([date, ms]) => ({ date, ms }));
+
+  return { sessions: sessions.reverse(), dailyTotals };
+}
+
+// Journal dates between two dates (inclusive) that any of the user's timers ran on
+function getTimerSessionDates(userId, settings, fromDate, toDate, nowMs = Date.now()) {
+  const from = getJournalDayBounds(fromDate, settings).start.toISOString();
+  const to = getJournalDayBounds(toDate, settings).end.toISOString();
+
+  const dates = new Set();
+  dataAccess.getUserTimerSessions(userId, from, to).forEach(session => {
+    splitSessionByDay(session, settings, nowMs)
+      .filter(day => day.ms > 0 && day.date >= fromDate && day.date <= toDate)
+      .forEach(day => dates.add(day.date));
+  });
+  return [...dates];
+}
+
+// Time logged from the Monday of the date's week up to and including the date
+function getTrackerWeekTotalMs(tracker, userId, date, settings) {
+  const weekStart = getWeekStart(date);
+
+  if (tracker.type === 'counter') {
+    return dataAccess.getDurationMinutesInRange(tracker.id, userId, weekStart, date)
+      .reduce((sum, day) => sum + day.minutes * MINUTE_MS, 0);
+  }
+
+  return getTrackerSessions(tracker.id, userId, settings, weekStart, date).dailyTotals
+    .reduce((sum, day) => sum + day.ms, 0);
+}
+
+module.exports = {
+  splitSessionByDay,
+  getTrackerDay,
+  getTrackerWeekTotalMs,
+  getTrackerSessions,
+  getTimerSessionDates
+};
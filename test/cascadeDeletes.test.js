@@ -0,0 +1,80 @@
+// Foreign keys are enforced, so deleting a user or an entry takes its rows with it
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const Database = require('better-sqlite3');
+const sharp = require('sharp');
+const { startServer, stopServer, createTestUser, request } = require('./helpers');
+const dataAccess = require('../server/dataAccess');
+const { db } = require('../server/database');
+const removeOrphans = require('../server/migrations/012_remove_orphans');
+
+before(startServer);
+after(stopServer);
+
+// Every table with a user_id column, and how many of its rows belong to the user
+function countUserRows(userId) {
+  const tables = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table'").all()
+    .map(row => row.name)
+    .filter(table => db.prepare(`PRAGMA table_info("${table}")`).all().some(column => column.name === 'user_id'));
+
+  return Object.fromEntries(tables.map(table => [
+    table,
+    db.prepare(`SELECT COUNT(*) AS count FROM "${table}" WHERE user_id = ?`).get(userId).count
+  ]));
+}
+
+async function pngDataUrl() {
+  const png = await sharp({ create: { width: 4, height: 4, channels: 3, background: '#000' } }).png().toBuffer();
+  return `data:image/png;base64,${png.toString('base64')}`;
+}
+
+test('deleting a user removes all of their data', async () => {
+  const user = createTestUser('leaving-user');
+  const { data } = await request(user, 'POST', '/entry', { text: 'Goodbye', image: await pngDataUrl() });
+  await request(user, 'PUT', `/entry/${data.entries[0].id}`, { text: 'Goodbye, edited' });
+  await request(user, 'PUT', '/health-metrics', { mood: 4 });
+  await request(user, 'POST', '/exports/save-snapshot');
+  const { data: created } = await request(user, 'POST', '/trackers/duration', { name: 'Reading' });
+  await request(user, 'POST', `/trackers/timer/start/${created.durationTrackers[0].id}`);
+
+  const before = countUserRows(user.id);
+  for (const table of ['activity_entries', 'entry_attachments', 'revisions', 'health_metrics', 'snapshots', 'timer_sessions']) {
+    assert.ok(before[table] > 0, table);
+  }
+
+  dataAccess.deleteUser(user.id);
+
+  const left = Object.entries(countUserRows(user.id)).filter(([, count]) => count > 0);
+  assert.deepStrictEqual(left, []);
+});
+
+test('deleting an entry removes its image', async () => {
+  const user = createTestUser('tidy-user');
+  const { data } = await request(user, 'POST', '/entry', { text: 'With a picture', image: await pngDataUrl() });
+  const entryId = data.entries[0].id;
+  assert.ok(dataAccess.getEntryAttachment(entryId, user.id));
+
+  // Straight through SQL, so only the foreign key can clean up
+  db.prepare('DELETE FROM activity_entries WHERE id = ?').run(entryId);
+  assert.strictEqual(dataAccess.getEntryAttachment(entryId, user.id), undefined);
+});
+
+test('the migration clears rows orphaned while foreign keys were off', () => {
+  const scratch = new Database(':memory:');
+  scratch.pragma('foreign_keys = OFF');
+  scratch.exec(`
+    CREATE TABLE users (id INTEGER PRIMARY KEY);
+    CREATE TABLE trackers (id INTEGER PRIMARY KEY, user_id INTEGER REFERENCES users(id) ON DELETE CASCADE);
+    CREATE TABLE sessions (id INTEGER PRIMARY KEY, tracker_id INTEGER REFERENCES trackers(id) ON DELETE CASCADE);
+    INSERT INTO users (id) VALUES (1);
+    INSERT INTO trackers (id, user_id) VALUES (1, 1), (2, 2);
+    INSERT INTO sessions (id, tracker_id) VALUES (1, 1), (2, 2);
+  `);
+
+  scratch.pragma('foreign_keys = ON');
+  removeOrphans.up(scratch);
+
+  assert.deepStrictEqual(scratch.prepare('SELECT id FROM trackers').all(), [{ id: 1 }]);
+  assert.deepStrictEqual(scratch.prepare('SELECT id FROM sessions').all(), [{ id: 1 }]);
+  scratch.close();
+});
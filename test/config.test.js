@@ -0,0 +1,73 @@
+// Environment settings are parsed and validated in one place
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { loadConfig } = require('../server/config');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const PRODUCTION_ENV = {
+  NODE_ENV: 'production',
+  JWT_SECRET: 'a-production-secret-that-is-long-enough',
+  ADMIN_PASSWORD: 'correct-horse'
+};
+
+test('development defaults need no environment', () => {
+  const config = loadConfig({});
+
+  assert.deepStrictEqual(config.errors, []);
+  assert.strictEqual(config.databasePath, path.join(ROOT_DIR, 'data', 'djournal.db'));
+  assert.strictEqual(config.sessionTimeoutDays, 7);
+  assert.strictEqual(config.maxUploadSizeMb, 20);
+  assert.deepStrictEqual(config.corsOrigins, []);
+  assert.strictEqual(config.debug, false);
+});
+
+test('paths are resolved from the project root and DATABASE_PATH follows DATA_DIR', () => {
+  const config = loadConfig({ DATA_DIR: 'storage', JOURNAL_PATH: '/srv/journal' });
+
+  assert.strictEqual(config.dataDir, path.join(ROOT_DIR, 'storage'));
+  assert.strictEqual(config.databasePath, path.join(ROOT_DIR, 'storage', 'djournal.db'));
+  assert.strictEqual(config.journalPath, '/srv/journal');
+});
+
+test('lists, booleans and numbers are parsed', () => {
+  const config = loadConfig({
+    CORS_ORIGINS: 'https://a.example, https://b.example',
+    HTTPS_REDIRECT: 'true',
+    DEBUG: '1',
+    SESSION_TIMEOUT_DAYS: '30',
+    MAX_UPLOAD_SIZE: '5'
+  });
+
+  assert.deepStrictEqual(config.errors, []);
+  assert.deepStrictEqual(config.corsOrigins, ['https://a.example', 'https://b.example']);
+  assert.strictEqual(config.httpsRedirect, true);
+  assert.strictEqual(config.debug, true);
+  assert.strictEqual(config.sessionTimeoutDays, 30);
+  assert.strictEqual(config.maxUploadBytes, 5 * 1024 * 1024);
+});
+
+test('invalid values are reported', () => {
+  const config = loadConfig({ MAX_UPLOAD_SIZE: 'lots', DEBUG: 'maybe' });
+
+  assert.strictEqual(config.errors.length, 2);
+});
+
+test('JOURNAL_PATH must not point at a file', () => {
+  const config = loadConfig({ JOURNAL_PATH: 'package.json' });
+
+  assert.deepStrictEqual(config.errors, [`JOURNAL_PATH must be a directory, but ${path.join(ROOT_DIR, 'package.json')} is a file`]);
+});
+
+test('production refuses the default JWT secret and admin password', () => {
+  assert.deepStrictEqual(loadConfig(PRODUCTION_ENV).errors, []);
+
+  const defaults = loadConfig({ NODE_ENV: 'production' });
+  assert.strictEqual(defaults.errors.length, 2);
+
+  const composeDefault = loadConfig({ ...PRODUCTION_ENV, JWT_SECRET: 'change-this-secret-key-in-production' });
+  assert.strictEqual(composeDefault.errors.length, 1);
+
+  const defaultPassword = loadConfig({ ...PRODUCTION_ENV, ADMIN_PASSWORD: 'admin123' });
+  assert.strictEqual(defaultPassword.errors.length, 1);
+});
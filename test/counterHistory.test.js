@@ -0,0 +1,87 @@
+// Counter history: daily series with weekly/monthly sums and streaks
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, stopServer, createTestUser, request } = require('./helpers');
+const { getUserToday } = require('../server/middleware/date');
+
+let user;
+let counter;
+
+before(async () => {
+  await startServer();
+  user = createTestUser('history-user');
+
+  const { data } = await request(user, 'POST', '/custom-counters/create', { name: 'Pages' });
+  counter = data.customCounters[0];
+
+  const values = { '2024-02-27': 2, '2024-02-28': 3, '2024-02-29': 1, '2024-03-02': 4, '2024-03-03': 5 };
+  for (const [date, value] of Object.entries(values)) {
+    await request(user, 'PUT', `/custom-counters/${counter.id}/set?date=${date}`, { value });
+  }
+});
+
+after(stopServer);
+
+test('history fills in empty days and sums by week and month', async () => {
+  const { status, data } = await request(user, 'GET', `/custom-counters/${counter.id}/history?from=2024-02-26&to=2024-03-03`);
+  assert.strictEqual(status, 200);
+
+  assert.deepStrictEqual(data.daily.map(day => day.value), [0, 2, 3, 1, 0, 4, 5]);
+  assert.deepStrictEqual(data.weekly, [{ weekStart: '2024-02-26', days: 7, total: 15, average: 2.1 }]);
+  assert.deepStrictEqual(data.monthly, [
+    { month: '2024-02', days: 4, total: 6, average: 1.5 },
+    { month: '2024-03', days: 3, total: 9, average: 3 }
+  ]);
+  assert.deepStrictEqual(data.summary, {
+    total: 15,
+    average: 2.1,
+    daysLogged: 5,
+    best: { date: '2024-03-03', value: 5 }
+  });
+  assert.deepStrictEqual(data.streaks, { basis: 'logged', current: 2, longest: 3 });
+});
+
+test('with a goal, streaks count days that meet it', async () => {
+  await request(user, 'PUT', `/custom-counters/${counter.id}`, { goal: 3 });
+
+  const { data } = await request(user, 'GET', `/custom-counters/${counter.id}/history?from=2024-02-26&to=2024-03-03`);
+  assert.deepStrictEqual(data.daily.map(day => day.streakDay), [false, false, true, false, false, true, true]);
+  assert.deepStrictEqual(data.streaks, { basis: 'goal', current: 2, longest: 2 });
+});
+
+test('the default range is the 30 days up to today', async () => {
+  const { data } = await request(user, 'GET', `/custom-counters/${counter.id}/history`);
+  assert.strictEqual(data.daily.length, 30);
+  assert.strictEqual(data.to, getUserToday(user.id));
+});
+
+test('today does not break the current streak before it is over', async () => {
+  const today = getUserToday(user.id);
+  const runner = createTestUser('history-runner');
+  const { data: state } = await request(runner, 'POST', '/custom-counters/create', { name: 'Pushups' });
+  const id = state.customCounters[0].id;
+
+  const { data: initial } = await request(runner, 'GET', `/custom-counters/${id}/history?to=${today}`);
+  const yesterday = initial.daily[initial.daily.length - 2].date;
+  await request(runner, 'PUT', `/custom-counters/${id}/set?date=${yesterday}`, { value: 20 });
+
+  const { data } = await request(runner, 'GET', `/custom-counters/${id}/history?to=${today}`);
+  assert.strictEqual(data.streaks.current, 1);
+});
+
+test('invalid and oversized ranges are refused', async () => {
+  const backwards = await request(user, 'GET', `/custom-counters/${counter.id}/history?from=2024-03-03&to=2024-02-26`);
+  assert.strictEqual(backwards.status, 400);
+
+  const invalid = await request(user, 'GET', `/custom-counters/${counter.id}/history?from=2024-02-30`);
+  assert.strictEqual(invalid.status, 400);
+
+  const tooLong = await request(user, 'GET', `/custom-counters/${counter.id}/history?from=2019-01-01&to=2024-01-01`);
+  assert.strictEqual(tooLong.status, 400);
+});
+
+test('another user cannot read the history', async () => {
+  const intruder = createTestUser('history-intruder');
+  const response = await request(intruder, 'GET', `/custom-counters/${counter.id}/history`);
+  assert.strictEqual(response.status, 404);
+});
@@ -0,0 +1,120 @@
+// Custom counters with units, steps, decimals, bounds and daily goals
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, stopServer, createTestUser, request } = require('./helpers');
+
+let baseUrl;
+let user;
+
+before(async () => {
+  baseUrl = await startServer();
+  user = createTestUser('counter-user');
+});
+
+after(stopServer);
+
+async function createCounter(owner, body) {
+  const { data } = await request(owner, 'POST', '/custom-counters/create', body);
+  return data.customCounters.find(counter => counter.name === body.name);
+}
+
+function counterOn(state, id) {
+  return state.customCounters.find(counter => counter.id === id);
+}
+
+test('a plain counter keeps whole steps of 1 and stops at 0', async () => {
+  const counter = await createCounter(user, { name: 'Coffees' });
+  assert.strictEqual(counter.step, 1);
+  assert.strictEqual(counter.decimals, 0);
+  assert.strictEqual(counter.min, 0);
+  assert.strictEqual(counter.goal, null);
+  assert.strictEqual(counter.goalProgress, null);
+
+  const { data } = await request(user, 'POST', `/custom-counters/${counter.id}/decrement`);
+  assert.strictEqual(counterOn(data, counter.id).value, 0);
+});
+
+test('steps and decimals are applied when counting', async () => {
+  const counter = await createCounter(user, { name: 'Weight', unit: 'kg', step: 0.1, decimals: 1, min: 0, max: 300 });
+
+  await request(user, 'PUT', `/custom-counters/${counter.id}/set`, { value: 72.44 });
+  let { data } = await request(user, 'POST', `/custom-counters/${counter.id}/increment`);
+  // 72.44 is stored as 72.4, and 72.4 + 0.1 does not drift to 72.50000000000001
+  assert.strictEqual(counterOn(data, counter.id).value, 72.5);
+  assert.strictEqual(counterOn(data, counter.id).unit, 'kg');
+
+  ({ data } = await request(user, 'PUT', `/custom-counters/${counter.id}/set`, { value: 301 }));
+  assert.strictEqual(data.error, 'Value is outside the counter\'s min/max');
+
+  await request(user, 'PUT', `/custom-counters/${counter.id}/set`, { value: 300 });
+  ({ data } = await request(user, 'POST', `/custom-counters/${counter.id}/increment`));
+  assert.strictEqual(counterOn(data, counter.id).value, 300);
+});
+
+test('goals report progress in both directions', async () => {
+  const water = await createCounter(user, { name: 'Water', unit: 'ml', step: 250, goal: 2000 });
+  let { data } = await request(user, 'PUT', `/custom-counters/${water.id}/set`, { value: 1500 });
+  assert.strictEqual(counterOn(data, water.id).goalProgress, 75);
+  assert.strictEqual(counterOn(data, water.id).goalMet, false);
+
+  ({ data } = await request(user, 'POST', `/custom-counters/${water.id}/increment`));
+  ({ data } = await request(user, 'POST', `/custom-counters/${water.id}/increment`));
+  assert.strictEqual(counterOn(data, water.id).goalProgress, 100);
+  assert.strictEqual(counterOn(data, water.id).goalMet, true);
+
+  const caffeine = await createCounter(user, { name: 'Caffeine', unit: 'mg', step: 80, goal: 400, goalDirection: 'at_most' });
+  ({ data } = await request(user, 'PUT', `/custom-counters/${caffeine.id}/set`, { value: 480 }));
+  assert.strictEqual(counterOn(data, caffeine.id).goalProgress, 120);
+  assert.strictEqual(counterOn(data, caffeine.id).goalMet, false);
+});
+
+test('settings are validated and can be changed', async () => {
+  let response = await request(user, 'POST', '/custom-counters/create', { name: 'Bad', step: 0.5 });
+  assert.strictEqual(response.status, 400);
+  assert.match(response.data.error, /decimal places/);
+
+  response = await request(user, 'POST', '/custom-counters/create', { name: 'Bad', min: 10, max: 5 });
+  assert.strictEqual(response.status, 400);
+
+  response = await request(user, 'POST', '/custom-counters/create', { name: 'Bad', goalDirection: 'sideways' });
+  assert.strictEqual(response.status, 400);
+
+  const counter = await createCounter(user, { name: 'Steps' });
+  response = await request(user, 'PUT', `/custom-counters/${counter.id}`, { step: 1000, goal: 10000 });
+  assert.strictEqual(response.status, 200);
+  const updated = counterOn(response.data, counter.id);
+  assert.strictEqual(updated.step, 1000);
+  assert.strictEqual(updated.goal, 10000);
+  assert.strictEqual(updated.goalDirection, 'at_least');
+
+  // Clearing the goal
+  response = await request(user, 'PUT', `/custom-counters/${counter.id}`, { goal: null });
+  assert.strictEqual(counterOn(response.data, counter.id).goal, null);
+});
+
+test('goals appear in the markdown export', async () => {
+  const { data } = await request(user, 'POST', '/download-tickets', { purpose: 'markdown' });
+  const response = await fetch(`${baseUrl}/download?ticket=${encodeURIComponent(data.ticket)}`);
+  const markdown = await response.text();
+
+  assert.match(markdown, /name: "Water"\n {4}value: 2000\n {4}unit: "ml"\n {4}goal: 2000\n {4}goal_direction: "at_least"\n {4}goal_progress: 100\n {4}goal_met: true/);
+  assert.match(markdown, /name: "Caffeine"[\s\S]*?goal_direction: "at_most"/);
+});
+
+test('names and units are escaped in the markdown export', async () => {
+  await createCounter(user, { name: 'Pour "over"', unit: 'cups\nof "joe"' });
+
+  const { data } = await request(user, 'POST', '/download-tickets', { purpose: 'markdown' });
+  const response = await fetch(`${baseUrl}/download?ticket=${encodeURIComponent(data.ticket)}`);
+  const markdown = await response.text();
+
+  assert.match(markdown, /name: "Pour \\"over\\""\n {4}value: 0\n {4}unit: "cups\\nof \\"joe\\""\n/);
+});
+
+test('another user cannot change the settings', async () => {
+  const counter = await createCounter(user, { name: 'Private' });
+  const intruder = createTestUser('counter-intruder');
+
+  const response = await request(intruder, 'PUT', `/custom-counters/${counter.id}`, { step: 5 });
+  assert.strictEqual(response.status, 404);
+});
@@ -0,0 +1,133 @@
+// Typed template fields: validated values, defaults and native YAML types
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, stopServer, createTestUser, request } = require('./helpers');
+
+let baseUrl;
+let user;
+
+before(async () => {
+  baseUrl = await startServer();
+  user = createTestUser('fields-user');
+});
+
+after(stopServer);
+
+function fieldOn(state, key) {
+  return state.customFields.find(field => field.key === key);
+}
+
+async function createField(key, definition) {
+  return request(user, 'POST', '/custom-field-templates/create?date=2024-07-01', { key, ...definition });
+}
+
+test('templates are text fields unless given a type', async () => {
+  const { status, data } = await createField('note');
+  assert.strictEqual(status, 200);
+  assert.strictEqual(fieldOn(data.state, 'note').type, 'text');
+
+  const invalid = await createField('odd', { type: 'colour' });
+  assert.strictEqual(invalid.status, 400);
+
+  const noChoices = await createField('weather', { type: 'select', options: { choices: [] } });
+  assert.strictEqual(noChoices.status, 400);
+});
+
+test('values are validated against the field type', async () => {
+  await createField('weight', { type: 'number', options: { unit: 'kg', min: 30, max: 300 } });
+  await createField('focus', { type: 'scale' });
+  await createField('meditated', { type: 'boolean' });
+  await createField('weather', { type: 'select', options: { choices: ['Sunny', 'Rain', 'Sunny'] } });
+  await createField('lights out', { type: 'time' });
+
+  const valid = { weight: 72.5, focus: '4', meditated: true, weather: 'Rain', 'lights out': '9:30' };
+  for (const [key, value] of Object.entries(valid)) {
+    const response = await request(user, 'PUT', `/custom-fields/${encodeURIComponent(key)}?date=2024-07-01`, { value });
+    assert.strictEqual(response.status, 200, key);
+  }
+
+  const invalid = { weight: 'heavy', focus: 6, meditated: 'maybe', weather: 'Snow', 'lights out': '25:00' };
+  for (const [key, value] of Object.entries(invalid)) {
+    const response = await request(user, 'PUT', `/custom-fields/${encodeURIComponent(key)}?date=2024-07-01`, { value });
+    assert.strictEqual(response.status, 400, key);
+  }
+
+  const { data } = await request(user, 'GET', '/state?date=2024-07-01');
+  assert.strictEqual(fieldOn(data, 'weight').value, '72.5');
+  assert.strictEqual(fieldOn(data, 'meditated').value, 'true');
+  assert.strictEqual(fieldOn(data, 'lights out').value, '09:30');
+  assert.deepStrictEqual(fieldOn(data, 'weather').options, { choices: ['Sunny', 'Rain'] });
+
+  const missing = await request(user, 'PUT', '/custom-fields/nothing', { value: 'x' });
+  assert.strictEqual(missing.status, 404);
+});
+
+test('days without a value start from the default', async () => {
+  const { data: created } = await createField('glasses', { type: 'number', defaultValue: 0 });
+  const field = fieldOn(created.state, 'glasses');
+  assert.strictEqual(field.value, '0');
+
+  let { data } = await request(user, 'GET', '/state?date=2024-07-02');
+  assert.strictEqual(fieldOn(data, 'glasses').value, '0');
+
+  // Clearing a day's value keeps it cleared rather than going back to the default
+  await request(user, 'PUT', '/custom-fields/glasses?date=2024-07-02', { value: '' });
+  ({ data } = await request(user, 'GET', '/state?date=2024-07-02'));
+  assert.strictEqual(fieldOn(data, 'glasses').value, '');
+
+  const invalid = await createField('mood', { type: 'scale', options: { min: 1, max: 10 }, defaultValue: 11 });
+  assert.strictEqual(invalid.status, 400);
+});
+
+test('changing a type keeps logged values and drops a default that no longer fits', async () => {
+  const { data: created } = await createField('sunshine', { type: 'select', options: { choices: ['Lots', 'None'] }, defaultValue: 'None' });
+  const field = fieldOn(created.state, 'sunshine');
+  await request(user, 'PUT', '/custom-fields/sunshine?date=2024-07-03', { value: 'Lots' });
+
+  const { status, data } = await request(user, 'PUT', `/custom-field-templates/${field.id}?date=2024-07-03`, { type: 'number' });
+  assert.strictEqual(status, 200);
+  assert.strictEqual(fieldOn(data.state, 'sunshine').type, 'number');
+  assert.strictEqual(fieldOn(data.state, 'sunshine').defaultValue, '');
+  assert.strictEqual(fieldOn(data.state, 'sunshine').value, 'Lots');
+
+  const intruder = createTestUser('fields-intruder');
+  const response = await request(intruder, 'PUT', `/custom-field-templates/${field.id}`, { type: 'text' });
+  assert.strictEqual(response.status, 404);
+});
+
+test('the markdown export writes numbers and booleans unquoted', async () => {
+  await request(user, 'PUT', '/custom-fields/weight', { value: 71 });
+  await request(user, 'PUT', '/custom-fields/focus', { value: 3 });
+  await request(user, 'PUT', '/custom-fields/meditated', { value: false });
+  await request(user, 'PUT', '/custom-fields/weather', { value: 'Sunny' });
+  await request(user, 'PUT', '/custom-fields/note', { value: 'said "hi"' });
+
+  const { data } = await request(user, 'POST', '/download-tickets', { purpose: 'markdown' });
+  const response = await fetch(`${baseUrl}/download?ticket=${encodeURIComponent(data.ticket)}`);
+  const markdown = await response.text();
+
+  assert.match(markdown, /\n {2}weight: 71\n/);
+  assert.match(markdown, /\n {2}focus: 3\n/);
+  assert.match(markdown, /\n {2}meditated: false\n/);
+  assert.match(markdown, /\n {2}weather: "Sunny"\n/);
+  assert.match(markdown, /\n {2}note: "said \\"hi\\""\n/);
+  assert.match(markdown, /\n {2}glasses: 0\n/);
+});
+
+test('keys that YAML would misread are quoted in the markdown export', async () => {
+  await createField('a: b # c', { type: 'number' });
+  await request(user, 'PUT', `/custom-fields/${encodeURIComponent('a: b # c')}`, { value: 5 });
+  await request(user, 'POST', '/daily-custom-fields', { key: '- injected\nuser: "someone else"', value: 'x' });
+  await request(user, 'PUT', '/users/profile-field', { key: 'true', value: 'y' });
+
+  const { data } = await request(user, 'POST', '/download-tickets', { purpose: 'markdown' });
+  const response = await fetch(`${baseUrl}/download?ticket=${encodeURIComponent(data.ticket)}`);
+  const markdown = await response.text();
+
+  assert.match(markdown, /\n {2}"a: b # c": 5\n/);
+  assert.match(markdown, /\n {2}"- injected\\nuser: \\"someone else\\"": "x"\n/);
+  assert.doesNotMatch(markdown, /\nuser: "someone else"/);
+  assert.match(markdown, /\n {2}"true": "y"\n/);
+  // Plain keys stay bare
+  assert.match(markdown, /\n {2}weight: 71\n/);
+});
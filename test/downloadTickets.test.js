@@ -0,0 +1,65 @@
+// Download routes accept short-lived, single-purpose tickets instead of session tokens
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, stopServer, createTestUser, request } = require('./helpers');
+
+let baseUrl;
+let user;
+
+before(async () => {
+  baseUrl = await startServer();
+  user = createTestUser('downloader');
+  await request(user, 'POST', '/entry', { text: 'Exported entry' });
+});
+
+after(stopServer);
+
+async function getTicket(purpose) {
+  const { status, data } = await request(user, 'POST', '/download-tickets', { purpose });
+  assert.strictEqual(status, 200);
+  return data.ticket;
+}
+
+test('a ticket downloads the file it was issued for', async () => {
+  const ticket = await getTicket('markdown');
+  const response = await fetch(`${baseUrl}/download?ticket=${encodeURIComponent(ticket)}`);
+
+  assert.strictEqual(response.status, 200);
+  assert.match(await response.text(), /Exported entry/);
+});
+
+test('a ticket is rejected by other download routes', async () => {
+  const ticket = await getTicket('markdown');
+  const response = await fetch(`${baseUrl}/download-pdf?ticket=${encodeURIComponent(ticket)}`);
+
+  assert.strictEqual(response.status, 401);
+});
+
+test('range downloads take the ticket from the form body', async () => {
+  const ticket = await getTicket('range-markdown');
+  const { data: state } = await request(user, 'GET', '/state');
+  const response = await fetch(`${baseUrl}/exports/download-range`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({ ticket, startDate: state.date, endDate: state.date })
+  });
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.headers.get('content-type'), 'application/zip');
+});
+
+test('session tokens are not accepted as tickets, nor tickets as sessions', async () => {
+  const withSession = await fetch(`${baseUrl}/download?ticket=${encodeURIComponent(user.token)}`);
+  assert.strictEqual(withSession.status, 401);
+
+  const ticket = await getTicket('pdf');
+  const withTicket = await fetch(`${baseUrl}/state`, {
+    headers: { 'Authorization': `Bearer ${ticket}` }
+  });
+  assert.strictEqual(withTicket.status, 401);
+});
+
+test('unknown purposes are refused', async () => {
+  const { status } = await request(user, 'POST', '/download-tickets', { purpose: 'everything' });
+  assert.strictEqual(status, 400);
+});
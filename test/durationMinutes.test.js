@@ -0,0 +1,103 @@
+// Manual duration trackers (type 'counter') are logged as minutes per day
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, stopServer, createTestUser, request } = require('./helpers');
+const dataAccess = require('../server/dataAccess');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+let baseUrl;
+let user;
+let piano;
+
+before(async () => {
+  baseUrl = await startServer();
+  user = createTestUser('minutes-user');
+
+  const { data } = await request(user, 'POST', '/trackers/duration', { name: 'Piano', type: 'counter' });
+  piano = data.durationTrackers.find(tracker => tracker.name === 'Piano');
+});
+
+after(stopServer);
+
+function trackerOn(state, id) {
+  return state.durationTrackers.find(tracker => tracker.id === id);
+}
+
+test('trackers are created as timers unless asked otherwise', async () => {
+  assert.strictEqual(piano.type, 'counter');
+
+  const { data } = await request(user, 'POST', '/trackers/duration', { name: 'Reading' });
+  assert.strictEqual(data.durationTrackers.find(tracker => tracker.name === 'Reading').type, 'timer');
+
+  const invalid = await request(user, 'POST', '/trackers/duration', { name: 'Odd', type: 'stopwatch' });
+  assert.strictEqual(invalid.status, 400);
+});
+
+test('minutes are stored per day', async () => {
+  let response = await request(user, 'PUT', `/trackers/duration/${piano.id}/minutes?date=2024-03-05`, { minutes: 45 });
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(trackerOn(response.data, piano.id).value, 45);
+  assert.strictEqual(trackerOn(response.data, piano.id).elapsedMs, 45 * MINUTE);
+
+  response = await request(user, 'GET', '/state?date=2024-03-06');
+  assert.strictEqual(trackerOn(response.data, piano.id).value, 0);
+
+  const invalid = await request(user, 'PUT', `/trackers/duration/${piano.id}/minutes?date=2024-03-05`, { minutes: 1441 });
+  assert.strictEqual(invalid.status, 400);
+});
+
+test('the week total runs from Monday to the selected day', async () => {
+  // 2024-03-04 is a Monday; 2024-03-03 belongs to the week before
+  await request(user, 'PUT', `/trackers/duration/${piano.id}/minutes?date=2024-03-03`, { minutes: 90 });
+  await request(user, 'PUT', `/trackers/duration/${piano.id}/minutes?date=2024-03-04`, { minutes: 30 });
+  await request(user, 'PUT', `/trackers/duration/${piano.id}/minutes?date=2024-03-07`, { minutes: 20 });
+
+  const { data } = await request(user, 'GET', '/state?date=2024-03-06');
+  assert.strictEqual(trackerOn(data, piano.id).weekTotalMs, 75 * MINUTE);
+});
+
+test('timers get week totals from their sessions', async () => {
+  const { data: created } = await request(user, 'POST', '/trackers/duration', { name: 'Workout' });
+  const workout = created.durationTrackers.find(tracker => tracker.name === 'Workout');
+  dataAccess.createTimerSession(workout.id, user.id, '2024-03-04T10:00:00.000Z', '2024-03-04T11:00:00.000Z');
+  dataAccess.createTimerSession(workout.id, user.id, '2024-03-06T10:00:00.000Z', '2024-03-06T10:30:00.000Z');
+
+  const { data } = await request(user, 'GET', '/state?date=2024-03-06');
+  assert.strictEqual(trackerOn(data, workout.id).weekTotalMs, 1.5 * HOUR);
+});
+
+test('timer and minute routes refuse the other type', async () => {
+  const start = await request(user, 'POST', `/trackers/timer/start/${piano.id}`);
+  assert.strictEqual(start.status, 400);
+
+  const manual = await request(user, 'POST', '/trackers/manual-time', { trackerId: piano.id, elapsedMs: HOUR });
+  assert.strictEqual(manual.status, 400);
+
+  const { data } = await request(user, 'GET', '/state');
+  const timer = data.durationTrackers.find(tracker => tracker.type === 'timer');
+  const minutes = await request(user, 'PUT', `/trackers/duration/${timer.id}/minutes`, { minutes: 10 });
+  assert.strictEqual(minutes.status, 400);
+});
+
+test('reset clears the selected day only', async () => {
+  const { data } = await request(user, 'POST', `/trackers/timer/reset/${piano.id}?date=2024-03-05`);
+  assert.strictEqual(trackerOn(data, piano.id).value, 0);
+  assert.strictEqual(dataAccess.getDurationMinutes(piano.id, user.id, '2024-03-04'), 30);
+});
+
+test('exports include the minutes and week total', async () => {
+  await request(user, 'PUT', `/trackers/duration/${piano.id}/minutes`, { minutes: 45 });
+
+  const { data: ticket } = await request(user, 'POST', '/download-tickets', { purpose: 'markdown' });
+  const response = await fetch(`${baseUrl}/download?ticket=${encodeURIComponent(ticket.ticket)}`);
+  const markdown = await response.text();
+  assert.match(markdown, /name: "Piano"\n {4}type: "counter"\n {4}value: 45\n {4}formatted: "45 minutes"\n {4}week_total: "/);
+});
+
+test('another user cannot log minutes', async () => {
+  const intruder = createTestUser('minutes-intruder');
+  const response = await request(intruder, 'PUT', `/trackers/duration/${piano.id}/minutes`, { minutes: 10 });
+  assert.strictEqual(response.status, 404);
+});
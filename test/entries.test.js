@@ -0,0 +1,45 @@
+// Activity entries get a time on the journal day they're added to
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, stopServer, createTestUser, request } = require('./helpers');
+const dataAccess = require('../server/dataAccess');
+const { getJournalDate } = require('../server/middleware/date');
+
+let user;
+
+before(async () => {
+  await startServer();
+  user = createTestUser('entry-user');
+  dataAccess.setUserSettings(user.id, 'Pacific/Auckland', 4);
+});
+
+after(stopServer);
+
+test('entries added to a past day without a time land on that day', async () => {
+  const { status, data } = await request(user, 'POST', '/entry?date=2024-05-01', { text: 'Remembered later' });
+  assert.strictEqual(status, 200);
+
+  const entry = dataAccess.getActivityEntryById(data.entries[0].id, user.id);
+  const instant = new Date(`${entry.timestamp.replace(' ', 'T')}Z`);
+  assert.strictEqual(getJournalDate(instant, dataAccess.getUserSettings(user.id)), '2024-05-01');
+});
+
+test('entries without a time sort with the day\'s backdated ones', async () => {
+  await request(user, 'POST', '/entry?date=2024-05-02', { text: 'Night owl', timestamp: '03:59:59' });
+  await request(user, 'POST', '/entry?date=2024-05-02', { text: 'Early bird', timestamp: '04:00' });
+  const { data } = await request(user, 'POST', '/entry?date=2024-05-02', { text: 'Sometime' });
+
+  const texts = data.entries.map(entry => entry.text);
+  assert.strictEqual(texts.length, 3);
+  // The day runs from 04:00 to 03:59:59 the next morning
+  assert.deepStrictEqual(texts, ['Early bird', 'Sometime', 'Night owl']);
+});
+
+test('entry text must be a string', async () => {
+  const created = await request(user, 'POST', '/entry', { text: 123 });
+  assert.strictEqual(created.status, 400);
+
+  const { data } = await request(user, 'POST', '/entry?date=2024-05-03', { text: 'Fine' });
+  const edited = await request(user, 'PUT', `/entry/${data.entries[0].id}?date=2024-05-03`, { text: ['not', 'text'] });
+  assert.strictEqual(edited.status, 400);
+});
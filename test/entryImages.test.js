@@ -0,0 +1,58 @@
+// Entry images are stored in the format sharp decodes, and only raster formats are kept
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const sharp = require('sharp');
+const { startServer, stopServer, createTestUser, request } = require('./helpers');
+const dataAccess = require('../server/dataAccess');
+
+let baseUrl;
+let user;
+let png;
+
+before(async () => {
+  baseUrl = await startServer();
+  user = createTestUser('image-user');
+  png = await sharp({ create: { width: 8, height: 8, channels: 3, background: '#3366ff' } }).png().toBuffer();
+});
+
+after(stopServer);
+
+function dataUrl(mimeType, buffer) {
+  return `data:${mimeType};base64,${buffer.toString('base64')}`;
+}
+
+test('the stored type comes from the image data, not the data URL', async () => {
+  const { status, data } = await request(user, 'POST', '/entry', { text: 'Mislabelled', image: dataUrl('image/svg+xml', png) });
+  assert.strictEqual(status, 200);
+
+  const entry = data.entries.find(e => e.text === 'Mislabelled');
+  const response = await fetch(`${baseUrl}/entries/${entry.id}/image`, {
+    headers: { 'Authorization': `Bearer ${user.token}` }
+  });
+  assert.strictEqual(response.headers.get('content-type'), 'image/png');
+});
+
+test('SVG images are refused and no entry is left behind', async () => {
+  const svg = Buffer.from('<svg xmlns="http://www.w3.org/2000/svg" width="8" height="8"><script>alert(1)</script></svg>');
+  const { status } = await request(user, 'POST', '/entry', { text: 'Vector', image: dataUrl('image/svg+xml', svg) });
+  assert.strictEqual(status, 400);
+
+  const { data } = await request(user, 'GET', '/state');
+  assert.ok(!data.entries.some(e => e.text === 'Vector'));
+});
+
+test('an entry is not saved when storing its image fails', async () => {
+  const createEntryAttachment = dataAccess.createEntryAttachment;
+  dataAccess.createEntryAttachment = () => {
+    throw new Error('disk full');
+  };
+  try {
+    const { status } = await request(user, 'POST', '/entry', { text: 'Half saved', image: dataUrl('image/png', png) });
+    assert.strictEqual(status, 500);
+  } finally {
+    dataAccess.createEntryAttachment = createEntryAttachment;
+  }
+
+  const { data } = await request(user, 'GET', '/state');
+  assert.ok(!data.entries.some(e => e.text === 'Half saved'));
+});
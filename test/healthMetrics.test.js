@@ -0,0 +1,74 @@
+// Health metrics: 1-5 scales for mood, energy and stress, numbers for the rest
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, stopServer, createTestUser, request } = require('./helpers');
+const dataAccess = require('../server/dataAccess');
+
+let baseUrl;
+let user;
+
+before(async () => {
+  baseUrl = await startServer();
+  user = createTestUser('health-user');
+});
+
+after(stopServer);
+
+test('a day without metrics has every metric unlogged', async () => {
+  const { data } = await request(user, 'GET', '/state?date=2024-06-01');
+  assert.deepStrictEqual(data.healthMetrics, {
+    mood: null, energy: null, stress: null, heartRate: null, alcohol: null, exercise: null
+  });
+});
+
+test('only the metrics sent are changed', async () => {
+  let response = await request(user, 'PUT', '/health-metrics?date=2024-06-01', { mood: 4, heartRate: 58 });
+  assert.strictEqual(response.status, 200);
+
+  response = await request(user, 'PUT', '/health-metrics?date=2024-06-01', { stress: 2, alcohol: 1.5, exercise: 30 });
+  assert.deepStrictEqual(response.data.healthMetrics, {
+    mood: 4, energy: null, stress: 2, heartRate: 58, alcohol: 1.5, exercise: 30
+  });
+
+  response = await request(user, 'GET', '/state?date=2024-06-02');
+  assert.strictEqual(response.data.healthMetrics.mood, null);
+});
+
+test('values are validated against their scale or range', async () => {
+  const invalid = [
+    { mood: 0 },
+    { energy: 6 },
+    { stress: 2.5 },
+    { heartRate: 400 },
+    { alcohol: -1 },
+    { exercise: '30' }
+  ];
+  for (const body of invalid) {
+    const response = await request(user, 'PUT', '/health-metrics?date=2024-06-01', body);
+    assert.strictEqual(response.status, 400, JSON.stringify(body));
+  }
+
+  // Rounded to the metric's decimals
+  const { data } = await request(user, 'PUT', '/health-metrics?date=2024-06-03', { alcohol: 2.25, exercise: 44.6 });
+  assert.strictEqual(data.healthMetrics.alcohol, 2.3);
+  assert.strictEqual(data.healthMetrics.exercise, 45);
+});
+
+test('clearing every metric removes the day', async () => {
+  await request(user, 'PUT', '/health-metrics?date=2024-06-04', { energy: 3 });
+  assert.ok(dataAccess.getDatesWithData(user.id, '2024-06-04', '2024-06-04').includes('2024-06-04'));
+
+  const { data } = await request(user, 'PUT', '/health-metrics?date=2024-06-04', { energy: null });
+  assert.strictEqual(data.healthMetrics.energy, null);
+  assert.deepStrictEqual(dataAccess.getDatesWithData(user.id, '2024-06-04', '2024-06-04'), []);
+});
+
+test('the markdown export has the metrics as numbers', async () => {
+  await request(user, 'PUT', '/health-metrics', { mood: 5, energy: 3, heartRate: 61, alcohol: 0 });
+
+  const { data } = await request(user, 'POST', '/download-tickets', { purpose: 'markdown' });
+  const response = await fetch(`${baseUrl}/download?ticket=${encodeURIComponent(data.ticket)}`);
+  const markdown = await response.text();
+
+  assert.match(markdown, /health:\n {2}mood: 5\n {2}energy: 3\n {2}heart_rate_bpm: 61\n {2}alcohol_drinks: 0\n\n/);
+});
@@ -0,0 +1,58 @@
+// Shared setup for API tests: a throwaway database and journal folder, and an app bound to a random port.
+// Must be required before anything under server/ so the environment applies.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'djournal-test-'));
+process.env.DATABASE_PATH = path.join(tmpDir, 'test.db');
+process.env.JOURNAL_PATH = path.join(tmpDir, 'journal');
+process.env.JWT_SECRET = 'test-secret';
+
+const app = require('../server/index');
+const dataAccess = require('../server/dataAccess');
+const { db } = require('../server/database');
+const { generateToken } = require('../server/middleware/auth');
+
+let server;
+let baseUrl;
+
+async function startServer() {
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://localhost:${server.address().port}/api`;
+  return baseUrl;
+}
+
+function stopServer() {
+  server.close();
+  db.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+}
+
+function createTestUser(username) {
+  const id = dataAccess.createUser(username, `${username}@example.com`, 'not-a-real-hash');
+  const user = dataAccess.getUserById(id);
+  return { id, token: generateToken(user) };
+}
+
+// JSON request with the user's session token
+async function request(user, method, url, body) {
+  const response = await fetch(`${baseUrl}${url}`, {
+    method,
+    headers: {
+      'Authorization': `Bearer ${user.token}`,
+      'Content-Type': 'application/json'
+    },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  const data = await response.json();
+  return { status: response.status, data };
+}
+
+module.exports = {
+  startServer,
+  stopServer,
+  createTestUser,
+  request
+};
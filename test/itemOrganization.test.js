@@ -0,0 +1,120 @@
+// Sort order, categories and archiving for trackers, counters and template fields
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, stopServer, createTestUser, request } = require('./helpers');
+const dataAccess = require('../server/dataAccess');
+const { recordReachedMilestones } = require('../server/milestones');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+let baseUrl;
+let user;
+let counters;
+
+before(async () => {
+  baseUrl = await startServer();
+  user = createTestUser('organizer');
+
+  for (const name of ['Water', 'Coffee', 'Tea']) {
+    await request(user, 'POST', '/custom-counters/create', { name });
+  }
+  const { data } = await request(user, 'GET', '/state');
+  counters = Object.fromEntries(data.customCounters.map(counter => [counter.name, counter.id]));
+});
+
+after(stopServer);
+
+const names = items => items.map(item => item.name);
+
+test('items come back in the order they were created until reordered', async () => {
+  let { data } = await request(user, 'GET', '/state');
+  assert.deepStrictEqual(names(data.customCounters), ['Water', 'Coffee', 'Tea']);
+
+  const response = await request(user, 'PUT', '/items/counters/order', { ids: [counters.Tea, counters.Water, counters.Coffee] });
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(names(response.data.customCounters), ['Tea', 'Water', 'Coffee']);
+
+  // New items go to the end
+  ({ data } = await request(user, 'POST', '/custom-counters/create', { name: 'Juice' }));
+  counters.Juice = data.customCounters.find(counter => counter.name === 'Juice').id;
+  assert.deepStrictEqual(names(data.customCounters), ['Tea', 'Water', 'Coffee', 'Juice']);
+});
+
+test('reordering is checked', async () => {
+  const intruder = createTestUser('organizer-intruder');
+  const foreign = await request(intruder, 'PUT', '/items/counters/order', { ids: [counters.Water] });
+  assert.strictEqual(foreign.status, 404);
+
+  const duplicates = await request(user, 'PUT', '/items/counters/order', { ids: [counters.Water, counters.Water] });
+  assert.strictEqual(duplicates.status, 400);
+
+  const unknownKind = await request(user, 'PUT', '/items/widgets/order', { ids: [] });
+  assert.strictEqual(unknownKind.status, 404);
+});
+
+test('items can be given a category', async () => {
+  let { data } = await request(user, 'PUT', `/items/counters/${counters.Coffee}`, { category: '  Drinks ' });
+  assert.strictEqual(data.customCounters.find(counter => counter.id === counters.Coffee).category, 'Drinks');
+
+  ({ data } = await request(user, 'PUT', `/items/counters/${counters.Coffee}`, { category: '' }));
+  assert.strictEqual(data.customCounters.find(counter => counter.id === counters.Coffee).category, '');
+
+  const tooLong = await request(user, 'PUT', `/items/counters/${counters.Coffee}`, { category: 'x'.repeat(51) });
+  assert.strictEqual(tooLong.status, 400);
+});
+
+test('archiving hides a counter but keeps its history', async () => {
+  await request(user, 'PUT', `/custom-counters/${counters.Juice}/set?date=2024-08-01`, { value: 3 });
+
+  let { data } = await request(user, 'PUT', `/items/counters/${counters.Juice}?date=2024-08-01`, { archived: true });
+  assert.ok(!names(data.customCounters).includes('Juice'));
+  assert.deepStrictEqual(data.archived.customCounters, [{ id: counters.Juice, name: 'Juice', category: '' }]);
+
+  const { data: ticket } = await request(user, 'POST', '/download-tickets', { purpose: 'markdown' });
+  const markdown = await (await fetch(`${baseUrl}/download?ticket=${encodeURIComponent(ticket.ticket)}`)).text();
+  assert.doesNotMatch(markdown, /Juice/);
+
+  ({ data } = await request(user, 'PUT', `/items/counters/${counters.Juice}?date=2024-08-01`, { archived: false }));
+  assert.strictEqual(data.customCounters.find(counter => counter.id === counters.Juice).value, 3);
+  assert.deepStrictEqual(data.archived.customCounters, []);
+});
+
+test('archiving a running timer stops it', async () => {
+  const { data: created } = await request(user, 'POST', '/trackers/duration', { name: 'Reading' });
+  const reading = created.durationTrackers.find(tracker => tracker.name === 'Reading');
+  await request(user, 'POST', `/trackers/timer/start/${reading.id}`);
+
+  await request(user, 'PUT', `/items/duration/${reading.id}`, { archived: true });
+  assert.strictEqual(dataAccess.getDurationTrackerById(reading.id, user.id).isRunning, false);
+});
+
+test('archived template fields keep their name and can still be deleted', async () => {
+  const { data: created } = await request(user, 'POST', '/custom-field-templates/create', { key: 'weight', type: 'number' });
+  const field = created.state.customFields.find(f => f.key === 'weight');
+
+  const { data } = await request(user, 'PUT', `/items/fields/${field.id}`, { archived: true });
+  assert.deepStrictEqual(data.customFields, []);
+  assert.strictEqual(data.archived.customFields[0].name, 'weight');
+
+  assert.strictEqual((await request(user, 'PUT', '/custom-fields/weight', { value: 70 })).status, 404);
+  assert.strictEqual((await request(user, 'POST', '/custom-field-templates/create', { key: 'weight' })).status, 400);
+
+  const deleted = await request(user, 'DELETE', `/custom-field-templates/${field.id}`);
+  assert.strictEqual(deleted.status, 200);
+  assert.deepStrictEqual(deleted.data.state.archived.customFields, []);
+});
+
+test('archived Time Since trackers do not announce milestones', async () => {
+  const watcher = createTestUser('archived-watcher');
+  const { data } = await request(watcher, 'POST', '/trackers/time-since', {
+    name: 'Quiet', date: new Date(Date.now() - HOUR).toISOString()
+  });
+  const tracker = data.timeSinceTrackers[0];
+  await request(watcher, 'PUT', `/items/time-since/${tracker.id}`, { archived: true });
+
+  recordReachedMilestones(watcher.id, Date.now() + 2 * DAY);
+
+  const { data: notifications } = await request(watcher, 'GET', '/notifications');
+  assert.deepStrictEqual(notifications.notifications, []);
+});
@@ -0,0 +1,61 @@
+// Journal days follow the user's timezone and day_start_hour, including across DST changes
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, stopServer } = require('./helpers');
+const { getJournalDate, journalTimeToInstant, getJournalDayBounds } = require('../server/middleware/date');
+
+const HOUR = 60 * 60 * 1000;
+
+// New York springs forward on 2024-03-10 (02:00 EST -> 03:00 EDT) and falls back on 2024-11-03
+const NEW_YORK = { timezone: 'America/New_York', day_start_hour: 0 };
+const NEW_YORK_4AM = { timezone: 'America/New_York', day_start_hour: 4 };
+
+before(startServer);
+after(stopServer);
+
+function iso(instant) {
+  return instant.toISOString();
+}
+
+test('times before day_start_hour belong to the previous journal day', () => {
+  const settings = { timezone: 'UTC', day_start_hour: 4 };
+  assert.strictEqual(getJournalDate(new Date('2024-06-01T03:59:00Z'), settings), '2024-05-31');
+  assert.strictEqual(getJournalDate(new Date('2024-06-01T04:00:00Z'), settings), '2024-06-01');
+
+  // ...and a wall-clock time before it is the next calendar morning
+  assert.strictEqual(iso(journalTimeToInstant('2024-05-31', '03:30', settings)), '2024-06-01T03:30:00.000Z');
+  assert.strictEqual(iso(journalTimeToInstant('2024-05-31', '04:00', settings)), '2024-05-31T04:00:00.000Z');
+});
+
+test('wall-clock times resolve with the offset in force on either side of a DST change', () => {
+  assert.strictEqual(iso(journalTimeToInstant('2024-03-10', '01:30', NEW_YORK)), '2024-03-10T06:30:00.000Z');
+  assert.strictEqual(iso(journalTimeToInstant('2024-03-10', '03:30', NEW_YORK)), '2024-03-10T07:30:00.000Z');
+
+  // 03:00 the morning after 2024-03-09 is already daylight time
+  assert.strictEqual(iso(journalTimeToInstant('2024-03-09', '03:00', NEW_YORK_4AM)), '2024-03-10T07:00:00.000Z');
+});
+
+test('journal days are 23 and 25 hours long across DST changes', () => {
+  const spring = getJournalDayBounds('2024-03-10', NEW_YORK);
+  assert.strictEqual(iso(spring.start), '2024-03-10T05:00:00.000Z');
+  assert.strictEqual(spring.end - spring.start, 23 * HOUR);
+
+  const autumn = getJournalDayBounds('2024-11-03', NEW_YORK);
+  assert.strictEqual(iso(autumn.start), '2024-11-03T04:00:00.000Z');
+  assert.strictEqual(autumn.end - autumn.start, 25 * HOUR);
+});
+
+test('the journal date agrees with the day bounds next to a DST change', () => {
+  const { start, end } = getJournalDayBounds('2024-03-10', NEW_YORK_4AM);
+  assert.strictEqual(iso(start), '2024-03-10T08:00:00.000Z'); // 04:00 EDT
+
+  assert.strictEqual(getJournalDate(new Date(start.getTime() - 1000), NEW_YORK_4AM), '2024-03-09');
+  assert.strictEqual(getJournalDate(start, NEW_YORK_4AM), '2024-03-10');
+  assert.strictEqual(getJournalDate(new Date('2024-03-10T08:30:00Z'), NEW_YORK_4AM), '2024-03-10'); // 04:30 EDT
+  assert.strictEqual(getJournalDate(new Date(end.getTime() - 1000), NEW_YORK_4AM), '2024-03-10');
+  assert.strictEqual(getJournalDate(end, NEW_YORK_4AM), '2024-03-11');
+
+  // 01:30 happens twice on 2024-11-03; both belong to 2024-11-02 with a 04:00 day start
+  assert.strictEqual(getJournalDate(new Date('2024-11-03T05:30:00Z'), NEW_YORK_4AM), '2024-11-02');
+  assert.strictEqual(getJournalDate(new Date('2024-11-03T06:30:00Z'), NEW_YORK_4AM), '2024-11-02');
+});
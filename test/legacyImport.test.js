@@ -0,0 +1,164 @@
+// Importing history from the old ailife.db format
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { startServer, stopServer, createTestUser, request } = require('./helpers');
+const { importLegacyDatabase } = require('../server/legacyImport');
+const dataAccess = require('../server/dataAccess');
+
+let legacyDir;
+let legacyPath;
+let existing;
+
+// Schema as created by the retired server/models/database.js
+function createLegacyDatabase(file) {
+  const legacy = new Database(file);
+  legacy.exec(`
+    CREATE TABLE users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT UNIQUE NOT NULL,
+      password_hash TEXT NOT NULL,
+      email TEXT UNIQUE,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      is_admin BOOLEAN DEFAULT 0
+    );
+    CREATE TABLE daily_data (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      date TEXT NOT NULL,
+      data TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(user_id, date)
+    );
+    CREATE TABLE user_profile_fields (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      field_key TEXT NOT NULL,
+      field_value TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(user_id, field_key)
+    );
+  `);
+
+  const addUser = legacy.prepare('INSERT INTO users (username, password_hash, email) VALUES (?, ?, ?)');
+  const addDay = legacy.prepare('INSERT INTO daily_data (user_id, date, data) VALUES (?, ?, ?)');
+  const addProfileField = legacy.prepare('INSERT INTO user_profile_fields (user_id, field_key, field_value) VALUES (?, ?, ?)');
+
+  const existingId = addUser.run('existing', 'legacy-hash', 'existing@example.com').lastInsertRowid;
+  addDay.run(existingId, '2023-03-01', JSON.stringify({
+    previousBedtime: '23:30',
+    wakeTime: '07:00',
+    customFields: [{ key: 'mood', value: 'calm' }],
+    dailyCustomFields: [{ key: 'weather', value: 'rain' }],
+    dailyTasks: [{ text: 'Water plants', completed: true }, { text: 'Call mum', completed: false }],
+    entries: [
+      { timestamp: '08:15', text: 'Legacy breakfast' },
+      { timestamp: '2:30 PM', text: 'Legacy walk' },
+      { timestamp: 'sometime', text: 'Legacy nap' }
+    ],
+    customCounters: [{ name: 'Coffee', value: 3 }]
+  }));
+  addDay.run(existingId, '2023-03-02', '{not json');
+  addProfileField.run(existingId, 'Height', '180cm');
+  addProfileField.run(existingId, 'Name', 'Legacy Name');
+
+  const newcomerId = addUser.run('newcomer', 'newcomer-hash', null).lastInsertRowid;
+  addDay.run(newcomerId, '2023-04-10', JSON.stringify({ entries: [{ timestamp: '09:00', text: 'Newcomer entry' }] }));
+
+  legacy.close();
+}
+
+before(async () => {
+  await startServer();
+  existing = createTestUser('existing');
+  dataAccess.setProfileField(existing.id, 'Name', 'Current Name');
+
+  legacyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'djournal-test-'));
+  legacyPath = path.join(legacyDir, 'ailife.db');
+  createLegacyDatabase(legacyPath);
+});
+
+after(() => {
+  stopServer();
+  fs.rmSync(legacyDir, { recursive: true, force: true });
+});
+
+test('a dry run reports the import without writing anything', async () => {
+  const report = await importLegacyDatabase(legacyPath, { dryRun: true });
+
+  assert.strictEqual(report.dryRun, true);
+  assert.strictEqual(report.totals.entries, 4);
+  assert.strictEqual(report.totals.tasks, 2);
+  assert.strictEqual(report.totals.fields, 2);
+  assert.strictEqual(report.totals.counterValues, 1);
+  assert.strictEqual(report.totals.profileFields, 1);
+  assert.ok(report.warnings.some(warning => warning.includes('2023-03-02')));
+  assert.ok(report.warnings.some(warning => warning.includes('Legacy nap')));
+
+  assert.strictEqual(dataAccess.getUserByUsername('newcomer'), undefined);
+  assert.deepStrictEqual(dataAccess.getActivityEntries(existing.id, '2023-03-01'), []);
+});
+
+test('daily data, fields, counters and profile fields are imported', async () => {
+  const report = await importLegacyDatabase(legacyPath);
+  assert.strictEqual(report.dryRun, false);
+  assert.deepStrictEqual(report.users.map(user => [user.username, user.created]), [['existing', false], ['newcomer', true]]);
+
+  const { data: state } = await request(existing, 'GET', '/state?date=2023-03-01');
+  assert.strictEqual(state.previousBedtime, '23:30');
+  assert.strictEqual(state.wakeTime, '07:00');
+  assert.deepStrictEqual(state.customFields.map(f => [f.key, f.value]), [['mood', 'calm']]);
+  assert.deepStrictEqual(state.dailyCustomFields.map(f => [f.key, f.value]), [['weather', 'rain']]);
+  assert.deepStrictEqual(state.dailyTasks.map(t => [t.text, t.completed]), [['Water plants', true], ['Call mum', false]]);
+  assert.deepStrictEqual(state.entries.map(e => [e.timestamp, e.text]), [
+    ['00:00:00', 'Legacy nap'],
+    ['08:15:00', 'Legacy breakfast'],
+    ['14:30:00', 'Legacy walk']
+  ]);
+  assert.deepStrictEqual(state.customCounters.map(c => [c.name, c.value]), [['Coffee', 3]]);
+
+  // Existing profile values win over legacy ones
+  const profile = dataAccess.getProfileFields(existing.id);
+  assert.strictEqual(profile.Name, 'Current Name');
+  assert.strictEqual(profile.Height, '180cm');
+
+  // New accounts keep their legacy password hash
+  const newcomer = dataAccess.getUserByUsername('newcomer');
+  assert.strictEqual(newcomer.password_hash, 'newcomer-hash');
+  assert.strictEqual(dataAccess.getActivityEntries(newcomer.id, '2023-04-10')[0].text, 'Newcomer entry');
+});
+
+test('running the import again adds nothing', async () => {
+  const report = await importLegacyDatabase(legacyPath);
+
+  assert.deepStrictEqual(report.users.map(user => user.created), [false, false]);
+  assert.strictEqual(report.totals.entries, 0);
+  assert.strictEqual(report.totals.tasks, 0);
+  assert.strictEqual(report.totals.fields, 0);
+  assert.strictEqual(report.totals.counterValues, 0);
+  assert.strictEqual(report.totals.profileFields, 0);
+  assert.strictEqual(dataAccess.getActivityEntries(existing.id, '2023-03-01').length, 3);
+});
+
+test('legacy users can be mapped onto a differently named account', async () => {
+  const renamed = createTestUser('renamed');
+  const report = await importLegacyDatabase(legacyPath, { dryRun: true, userMap: { newcomer: 'renamed' } });
+  assert.strictEqual(report.users[1].username, 'renamed');
+  assert.strictEqual(report.users[1].entries, 1);
+  assert.deepStrictEqual(dataAccess.getActivityEntries(renamed.id, '2023-04-10'), []);
+
+  await assert.rejects(
+    importLegacyDatabase(legacyPath, { userMap: { newcomer: 'nobody' } }),
+    /"nobody".*does not exist/
+  );
+});
+
+test('files that are not legacy databases are refused', async () => {
+  const otherPath = path.join(legacyDir, 'other.db');
+  new Database(otherPath).close();
+  await assert.rejects(importLegacyDatabase(otherPath), /not an ailife\.db database/);
+});
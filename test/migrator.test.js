@@ -0,0 +1,105 @@
+// Schema migrations run in order, once, and never leave a half-applied change behind
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { MIGRATIONS_DIR, getMigrationStatus, runMigrations } = require('../server/migrator');
+
+let tmpDir;
+let migrationsDir;
+let backupDir;
+let db;
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'djournal-test-'));
+  migrationsDir = path.join(tmpDir, 'migrations');
+  backupDir = path.join(tmpDir, 'backups');
+  fs.mkdirSync(migrationsDir);
+  db = new Database(path.join(tmpDir, 'test.db'));
+});
+
+afterEach(() => {
+  db.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function writeMigration(file, body) {
+  fs.writeFileSync(path.join(migrationsDir, file), `module.exports = { up(db) { ${body} } };\n`);
+}
+
+function columnNames(table) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().map(column => column.name);
+}
+
+test('pending migrations run in version order and are recorded', () => {
+  writeMigration('002_add_color.js', "db.exec('ALTER TABLE notes ADD COLUMN color TEXT');");
+  writeMigration('001_create_notes.js', "db.exec('CREATE TABLE notes (id INTEGER PRIMARY KEY)');");
+  writeMigration('README.md', '');
+
+  const { applied } = runMigrations(db, { migrationsDir });
+
+  assert.deepStrictEqual(applied.map(m => m.version), [1, 2]);
+  assert.deepStrictEqual(columnNames('notes'), ['id', 'color']);
+  const status = getMigrationStatus(db, migrationsDir);
+  assert.deepStrictEqual(status.map(m => m.name), ['create_notes', 'add_color']);
+  assert.ok(status.every(m => m.appliedAt));
+});
+
+test('applied migrations are not run again', () => {
+  writeMigration('001_create_notes.js', "db.exec('CREATE TABLE notes (id INTEGER PRIMARY KEY)');");
+  runMigrations(db, { migrationsDir });
+
+  writeMigration('002_add_color.js', "db.exec('ALTER TABLE notes ADD COLUMN color TEXT');");
+  assert.strictEqual(getMigrationStatus(db, migrationsDir)[1].appliedAt, null);
+
+  const { applied } = runMigrations(db, { migrationsDir });
+  assert.deepStrictEqual(applied.map(m => m.version), [2]);
+  assert.deepStrictEqual(runMigrations(db, { migrationsDir }).applied, []);
+});
+
+test('a failing migration is rolled back and stops the run', () => {
+  writeMigration('001_create_notes.js', "db.exec('CREATE TABLE notes (id INTEGER PRIMARY KEY)');");
+  writeMigration('002_broken.js', "db.exec('ALTER TABLE notes ADD COLUMN color TEXT'); db.exec('NOT SQL');");
+  writeMigration('003_after.js', "db.exec('CREATE TABLE later (id INTEGER PRIMARY KEY)');");
+
+  assert.throws(() => runMigrations(db, { migrationsDir }), /Migration 2_broken failed/);
+
+  assert.deepStrictEqual(columnNames('notes'), ['id']);
+  assert.deepStrictEqual(columnNames('later'), []);
+  const status = getMigrationStatus(db, migrationsDir);
+  assert.ok(status[0].appliedAt);
+  assert.strictEqual(status[1].appliedAt, null);
+  assert.strictEqual(status[2].appliedAt, null);
+});
+
+test('an existing database is backed up before it changes', () => {
+  db.exec("CREATE TABLE notes (id INTEGER PRIMARY KEY, text TEXT); INSERT INTO notes (text) VALUES ('kept')");
+  writeMigration('001_add_color.js', "db.exec('ALTER TABLE notes ADD COLUMN color TEXT');");
+
+  const { backupPath } = runMigrations(db, { migrationsDir, backupDir });
+
+  assert.ok(backupPath.startsWith(backupDir));
+  assert.match(path.basename(backupPath), /before-v1\.db$/);
+  const backup = new Database(backupPath, { readonly: true });
+  try {
+    assert.deepStrictEqual(backup.prepare('PRAGMA table_info(notes)').all().map(c => c.name), ['id', 'text']);
+    assert.strictEqual(backup.prepare('SELECT text FROM notes').get().text, 'kept');
+  } finally {
+    backup.close();
+  }
+
+  // Nothing pending, nothing to back up
+  assert.strictEqual(runMigrations(db, { migrationsDir, backupDir }).backupPath, null);
+  assert.strictEqual(fs.readdirSync(backupDir).length, 1);
+});
+
+test('the bundled migrations build a fresh database without a backup', () => {
+  const { applied, backupPath } = runMigrations(db, { migrationsDir: MIGRATIONS_DIR, backupDir });
+
+  assert.ok(applied.length >= 2);
+  assert.strictEqual(backupPath, null);
+  assert.ok(columnNames('users').includes('username'));
+  assert.ok(columnNames('search_index').includes('content'));
+});
@@ -0,0 +1,126 @@
+// Time Since trackers count down to future dates and announce milestones as notifications
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, stopServer, createTestUser, request } = require('./helpers');
+const { recordReachedMilestones } = require('../server/milestones');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+let baseUrl;
+let user;
+
+before(async () => {
+  baseUrl = await startServer();
+  user = createTestUser('milestoner');
+});
+
+after(stopServer);
+
+async function createTracker(owner, name, date) {
+  const { data } = await request(owner, 'POST', '/trackers/time-since', { name, date });
+  return data.timeSinceTrackers.find(tracker => tracker.name === name);
+}
+
+async function getMarkdown(owner) {
+  const { data } = await request(owner, 'POST', '/download-tickets', { purpose: 'markdown' });
+  const response = await fetch(`${baseUrl}/download?ticket=${encodeURIComponent(data.ticket)}`);
+  return response.text();
+}
+
+test('future dates count down', async () => {
+  const tracker = await createTracker(user, 'Holiday', new Date(Date.now() + 10 * DAY).toISOString());
+  assert.strictEqual(tracker.mode, 'countdown');
+  assert.ok(tracker.remainingMs > 9 * DAY && tracker.remainingMs <= 10 * DAY);
+
+  const markdown = await getMarkdown(user);
+  assert.match(markdown, /mode: "countdown"/);
+  assert.match(markdown, /time_until: "1w 2d/);
+});
+
+test('past dates report progress towards the next milestone', async () => {
+  const tracker = await createTracker(user, 'Running', new Date(Date.now() - 15 * DAY).toISOString());
+  assert.strictEqual(tracker.mode, 'since');
+  assert.deepStrictEqual(tracker.reachedMilestones, ['1d', '7d']);
+  assert.strictEqual(tracker.nextMilestone, '30d');
+  assert.strictEqual(tracker.nextMilestoneProgress, 50);
+
+  const markdown = await getMarkdown(user);
+  assert.match(markdown, /milestones_reached: \["1d", "7d"\]/);
+  assert.match(markdown, /next_milestone: "30d"/);
+});
+
+test('milestones can be configured', async () => {
+  const tracker = await createTracker(user, 'Meditation', new Date(Date.now() - 3 * DAY).toISOString());
+
+  const invalid = await request(user, 'PUT', `/trackers/time-since/${tracker.id}/milestones`, { milestones: '7d, soon' });
+  assert.strictEqual(invalid.status, 400);
+  assert.match(invalid.data.error, /"soon"/);
+
+  let response = await request(user, 'PUT', `/trackers/time-since/${tracker.id}/milestones`, { milestones: '1y, 2w, 12h, 14d' });
+  assert.strictEqual(response.status, 200);
+  let updated = response.data.timeSinceTrackers.find(t => t.id === tracker.id);
+  assert.deepStrictEqual(updated.milestones, ['12h', '2w', '1y']);
+  assert.strictEqual(updated.nextMilestone, '2w');
+
+  // An empty list restores the defaults
+  response = await request(user, 'PUT', `/trackers/time-since/${tracker.id}/milestones`, { milestones: '' });
+  updated = response.data.timeSinceTrackers.find(t => t.id === tracker.id);
+  assert.deepStrictEqual(updated.milestones, ['1d', '7d', '30d', '100d', '1y']);
+});
+
+test('milestones already behind a tracker are not announced', async () => {
+  const { data } = await request(user, 'GET', '/notifications');
+  assert.deepStrictEqual(data.notifications, []);
+});
+
+test('crossed milestones and arrived countdowns become notifications', async () => {
+  const watcher = createTestUser('milestone-watcher');
+  await createTracker(watcher, 'Sober', new Date(Date.now() - HOUR).toISOString());
+  await createTracker(watcher, 'Launch', new Date(Date.now() + HOUR).toISOString());
+
+  recordReachedMilestones(watcher.id, Date.now() + 2 * DAY);
+
+  let { data } = await request(watcher, 'GET', '/notifications');
+  assert.deepStrictEqual(data.notifications.map(n => n.message).sort(), [
+    'Launch is here!',
+    'Launch: 1 day',
+    'Sober: 1 day'
+  ]);
+
+  const dismissed = await request(watcher, 'POST', `/notifications/${data.notifications[0].id}/dismiss`);
+  assert.strictEqual(dismissed.status, 200);
+  ({ data } = await request(watcher, 'GET', '/notifications'));
+  assert.strictEqual(data.notifications.length, 2);
+
+  await request(watcher, 'POST', '/notifications/dismiss-all');
+  ({ data } = await request(watcher, 'GET', '/notifications'));
+  assert.deepStrictEqual(data.notifications, []);
+});
+
+test('a reset does not announce the restarted run as a countdown', async () => {
+  const resetter = createTestUser('milestone-resetter');
+  const tracker = await createTracker(resetter, 'Smoke free', '2024-01-01T00:00:00Z');
+
+  await request(resetter, 'POST', `/trackers/time-since/${tracker.id}/reset`);
+  recordReachedMilestones(resetter.id, Date.now() + HOUR);
+
+  const { data } = await request(resetter, 'GET', '/notifications');
+  assert.deepStrictEqual(data.notifications, []);
+});
+
+test('another user cannot touch milestones or notifications', async () => {
+  const owner = createTestUser('milestone-owner');
+  const tracker = await createTracker(owner, 'Owned', new Date(Date.now() - HOUR).toISOString());
+  recordReachedMilestones(owner.id, Date.now() + 2 * DAY);
+  const { data } = await request(owner, 'GET', '/notifications');
+
+  const intruder = createTestUser('milestone-intruder');
+  const edit = await request(intruder, 'PUT', `/trackers/time-since/${tracker.id}/milestones`, { milestones: '1h' });
+  assert.strictEqual(edit.status, 404);
+  const dismiss = await request(intruder, 'POST', `/notifications/${data.notifications[0].id}/dismiss`);
+  assert.strictEqual(dismiss.status, 404);
+
+  const { data: after } = await request(owner, 'GET', '/notifications');
+  assert.strictEqual(after.notifications.length, 1);
+});
@@ -0,0 +1,137 @@
+// Per-user isolation: another user's ids must behave as if they don't exist
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, stopServer, createTestUser, request } = require('./helpers');
+
+let baseUrl;
+let owner;
+let intruder;
+
+before(async () => {
+  baseUrl = await startServer();
+
+  owner = createTestUser('owner');
+  intruder = createTestUser('intruder');
+
+  await request(owner, 'POST', '/trackers/time-since', { name: 'Last haircut', date: '2024-01-01' });
+  await request(owner, 'POST', '/trackers/duration', { name: 'Reading' });
+  await request(owner, 'POST', '/custom-counters/create', { name: 'Water' });
+  await request(owner, 'POST', '/daily-custom-fields', { key: 'weather', value: 'sunny' });
+  await request(owner, 'POST', '/daily-tasks', { text: 'Private task' });
+  await request(owner, 'POST', '/custom-field-templates/create', { key: 'mood' });
+  await request(owner, 'POST', '/entry', { text: 'Private entry' });
+  await request(owner, 'PUT', '/entry/1', { text: 'Private entry, edited' });
+});
+
+after(stopServer);
+
+async function ownerState() {
+  return (await request(owner, 'GET', '/state')).data;
+}
+
+test('state only contains the requesting user\'s data', async () => {
+  const { status, data } = await request(intruder, 'GET', '/state');
+  assert.strictEqual(status, 200);
+  assert.deepStrictEqual(data.entries, []);
+  assert.deepStrictEqual(data.dailyTasks, []);
+  assert.deepStrictEqual(data.dailyCustomFields, []);
+  assert.deepStrictEqual(data.customFields, []);
+  assert.deepStrictEqual(data.timeSinceTrackers, []);
+  assert.deepStrictEqual(data.durationTrackers, []);
+  assert.deepStrictEqual(data.customCounters, []);
+});
+
+test('foreign tracker ids return 404 and leave the trackers untouched', async () => {
+  const state = await ownerState();
+  const timeSinceId = state.timeSinceTrackers[0].id;
+  const durationId = state.durationTrackers[0].id;
+
+  assert.strictEqual((await request(intruder, 'DELETE', `/trackers/time-since/${timeSinceId}`)).status, 404);
+  assert.strictEqual((await request(intruder, 'DELETE', `/trackers/duration/${durationId}`)).status, 404);
+  assert.strictEqual((await request(intruder, 'POST', `/trackers/timer/start/${durationId}`)).status, 404);
+  assert.strictEqual((await request(intruder, 'POST', `/trackers/timer/stop/${durationId}`)).status, 404);
+  assert.strictEqual((await request(intruder, 'POST', `/trackers/timer/reset/${durationId}`)).status, 404);
+  const manual = await request(intruder, 'POST', '/trackers/manual-time', {
+    trackerId: durationId,
+    startTime: new Date().toISOString(),
+    elapsedMs: 60000
+  });
+  assert.strictEqual(manual.status, 404);
+
+  const after = await ownerState();
+  assert.strictEqual(after.timeSinceTrackers.length, 1);
+  assert.strictEqual(after.durationTrackers.length, 1);
+  assert.strictEqual(after.durationTrackers[0].isRunning, false);
+  assert.strictEqual(after.durationTrackers[0].elapsedMs, 0);
+});
+
+test('foreign counter ids return 404 and leave the counter untouched', async () => {
+  const counterId = (await ownerState()).customCounters[0].id;
+
+  assert.strictEqual((await request(intruder, 'POST', `/custom-counters/${counterId}/increment`)).status, 404);
+  assert.strictEqual((await request(intruder, 'POST', `/custom-counters/${counterId}/decrement`)).status, 404);
+  assert.strictEqual((await request(intruder, 'PUT', `/custom-counters/${counterId}/set`, { value: 9 })).status, 404);
+  assert.strictEqual((await request(intruder, 'DELETE', `/custom-counters/${counterId}`)).status, 404);
+
+  const after = await ownerState();
+  assert.strictEqual(after.customCounters.length, 1);
+  assert.strictEqual(after.customCounters[0].value, 0);
+});
+
+test('foreign task and field ids return 404 and leave them untouched', async () => {
+  const state = await ownerState();
+  const taskId = state.dailyTasks[0].id;
+  const fieldId = state.dailyCustomFields[0].id;
+  const templateFieldId = state.customFields[0].id;
+
+  assert.strictEqual((await request(intruder, 'PUT', `/daily-tasks/${taskId}/toggle`)).status, 404);
+  assert.strictEqual((await request(intruder, 'DELETE', `/daily-tasks/${taskId}`)).status, 404);
+  assert.strictEqual((await request(intruder, 'DELETE', `/daily-custom-fields/${fieldId}`)).status, 404);
+  assert.strictEqual((await request(intruder, 'DELETE', `/custom-field-templates/${templateFieldId}`)).status, 404);
+
+  const after = await ownerState();
+  assert.strictEqual(after.dailyTasks.length, 1);
+  assert.strictEqual(after.dailyTasks[0].completed, false);
+  assert.strictEqual(after.dailyCustomFields.length, 1);
+  assert.strictEqual(after.customFields.length, 1);
+});
+
+test('foreign entries, images and revisions are not reachable', async () => {
+  const entryId = (await ownerState()).entries[0].id;
+
+  assert.strictEqual((await request(intruder, 'PUT', `/entry/${entryId}`, { text: 'Overwritten' })).status, 404);
+  const image = await fetch(`${baseUrl}/entries/${entryId}/image`, {
+    headers: { 'Authorization': `Bearer ${intruder.token}` }
+  });
+  assert.strictEqual(image.status, 404);
+
+  const revisions = await request(intruder, 'GET', `/revisions?type=activity_entry&id=${entryId}`);
+  assert.deepStrictEqual(revisions.data.revisions, []);
+  const ownerRevisions = await request(owner, 'GET', `/revisions?type=activity_entry&id=${entryId}`);
+  const revisionId = ownerRevisions.data.revisions[0].id;
+  assert.strictEqual((await request(intruder, 'POST', `/revisions/${revisionId}/restore`)).status, 404);
+
+  const after = await ownerState();
+  assert.strictEqual(after.entries[0].text, 'Private entry, edited');
+});
+
+test('search only matches the requesting user\'s content', async () => {
+  const intruderSearch = await request(intruder, 'GET', '/search?q=private');
+  assert.strictEqual(intruderSearch.data.total, 0);
+
+  const ownerSearch = await request(owner, 'GET', '/search?q=private');
+  assert.strictEqual(ownerSearch.data.total, 2);
+});
+
+test('the owner can still modify their own items', async () => {
+  const state = await ownerState();
+
+  assert.strictEqual((await request(owner, 'PUT', `/daily-tasks/${state.dailyTasks[0].id}/toggle`)).status, 200);
+  assert.strictEqual((await request(owner, 'POST', `/custom-counters/${state.customCounters[0].id}/increment`)).status, 200);
+  assert.strictEqual((await request(owner, 'DELETE', `/trackers/time-since/${state.timeSinceTrackers[0].id}`)).status, 200);
+
+  const after = await ownerState();
+  assert.strictEqual(after.dailyTasks[0].completed, true);
+  assert.strictEqual(after.customCounters[0].value, 1);
+  assert.strictEqual(after.timeSinceTrackers.length, 0);
+});
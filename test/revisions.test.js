@@ -0,0 +1,82 @@
+// Overwritten and deleted entries keep their previous versions, which can be restored
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, stopServer, createTestUser, request } = require('./helpers');
+const dataAccess = require('../server/dataAccess');
+
+let user;
+
+before(async () => {
+  await startServer();
+  user = createTestUser('revision-user');
+});
+
+after(stopServer);
+
+async function addEntry(text) {
+  const { data } = await request(user, 'POST', '/entry?date=2024-04-10', { text, timestamp: '09:00' });
+  return data.entries.find(entry => entry.text === text);
+}
+
+test('editing an entry keeps the old text, which can be restored', async () => {
+  const entry = await addEntry('First draft');
+  await request(user, 'PUT', `/entry/${entry.id}?date=2024-04-10`, { text: 'Second draft' });
+
+  const { data } = await request(user, 'GET', `/revisions?type=activity_entry&id=${entry.id}`);
+  assert.strictEqual(data.revisions.length, 1);
+  assert.strictEqual(data.revisions[0].data.text, 'First draft');
+
+  const restored = await request(user, 'POST', `/revisions/${data.revisions[0].id}/restore`);
+  assert.strictEqual(restored.status, 200);
+  assert.strictEqual(dataAccess.getActivityEntryById(entry.id, user.id).text, 'First draft');
+});
+
+test('a deleted entry comes back on its day under its old id', async () => {
+  const entry = await addEntry('Deleted by mistake');
+  dataAccess.deleteActivityEntry(entry.id, user.id);
+
+  const { data } = await request(user, 'GET', `/revisions?type=activity_entry&id=${entry.id}`);
+  assert.strictEqual(data.revisions[0].action, 'delete');
+
+  const restored = await request(user, 'POST', `/revisions/${data.revisions[0].id}/restore`);
+  assert.strictEqual(restored.status, 200);
+
+  const { data: state } = await request(user, 'GET', '/state?date=2024-04-10');
+  const back = state.entries.find(e => e.text === 'Deleted by mistake');
+  assert.strictEqual(back.id, entry.id);
+  assert.strictEqual(back.timestamp, entry.timestamp);
+});
+
+test('revision ids are validated', async () => {
+  for (const id of ['abc', '0', '-1', '1.5']) {
+    const { status } = await request(user, 'GET', `/revisions?type=activity_entry&id=${id}`);
+    assert.strictEqual(status, 400, id);
+  }
+
+  const { status } = await request(user, 'GET', '/revisions?type=profile_field&id=nickname');
+  assert.strictEqual(status, 200);
+});
+
+test('every overwrite of a field value is kept, however quickly they come', async () => {
+  await request(user, 'POST', '/custom-field-templates/create?date=2024-04-10', { key: 'pulse', type: 'number' });
+  for (const value of [60, 70, 80]) {
+    await request(user, 'PUT', '/custom-fields/pulse?date=2024-04-10', { value });
+  }
+
+  const { data } = await request(user, 'GET', `/revisions?type=daily_custom_field&id=${encodeURIComponent('2024-04-10/pulse')}`);
+  assert.deepStrictEqual(data.revisions.map(revision => revision.data.value), ['70', '60']);
+});
+
+test('restored field values are checked against the field\'s current type', async () => {
+  const { data } = await request(user, 'GET', `/revisions?type=daily_custom_field&id=${encodeURIComponent('2024-04-10/pulse')}`);
+  const template = dataAccess.getCustomFieldTemplates(user.id).find(t => t.key === 'pulse');
+
+  await request(user, 'PUT', `/custom-field-templates/${template.id}`, { type: 'scale', options: { min: 1, max: 5 } });
+  const refused = await request(user, 'POST', `/revisions/${data.revisions[0].id}/restore`);
+  assert.strictEqual(refused.status, 409);
+
+  await request(user, 'PUT', `/custom-field-templates/${template.id}`, { type: 'number' });
+  const restored = await request(user, 'POST', `/revisions/${data.revisions[0].id}/restore`);
+  assert.strictEqual(restored.status, 200);
+  assert.strictEqual(dataAccess.getDailyCustomField(user.id, '2024-04-10', 'pulse').value, '70');
+});
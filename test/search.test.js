@@ -0,0 +1,29 @@
+// Full-text search over entries, tasks and daily field values
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, stopServer, createTestUser, request } = require('./helpers');
+
+let user;
+
+before(async () => {
+  await startServer();
+  user = createTestUser('search-user');
+  await request(user, 'POST', '/entry?date=2024-08-12', { text: 'Swam two kilometres' });
+});
+
+after(stopServer);
+
+test('entries are found by word prefix', async () => {
+  const { status, data } = await request(user, 'GET', '/search?q=kilo');
+  assert.strictEqual(status, 200);
+  assert.strictEqual(data.total, 1);
+  assert.strictEqual(data.results[0].date, '2024-08-12');
+});
+
+test('the query must be a single string', async () => {
+  for (const query of ['', 'q=', 'q[]=swam', 'q[a]=swam', 'q=swam&q=two']) {
+    const { status, data } = await request(user, 'GET', `/search?${query}`);
+    assert.strictEqual(status, 400, query);
+    assert.ok(data.error);
+  }
+});
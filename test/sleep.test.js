@@ -0,0 +1,108 @@
+// Sleep: validated times, computed duration, naps, quality and the 7-day sleep debt
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, stopServer, createTestUser, request } = require('./helpers');
+const { getNightMinutes } = require('../server/sleep');
+
+let baseUrl;
+let user;
+
+before(async () => {
+  baseUrl = await startServer();
+  user = createTestUser('sleeper');
+});
+
+after(stopServer);
+
+test('night length crosses midnight', () => {
+  assert.strictEqual(getNightMinutes('23:30', '07:00'), 450);
+  assert.strictEqual(getNightMinutes('01:15', '08:45'), 450);
+  assert.strictEqual(getNightMinutes('7:00', '14:00'), 420);
+  assert.strictEqual(getNightMinutes('late', '07:00'), null);
+  assert.strictEqual(getNightMinutes('', '07:00'), null);
+});
+
+test('times are validated and computed into a duration', async () => {
+  let response = await request(user, 'PUT', '/sleep?date=2024-04-10', { bedtime: '23:00', wakeTime: '6:30' });
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.data.sleep.wakeTime, '06:30');
+  assert.strictEqual(response.data.sleep.nightMinutes, 450);
+  assert.strictEqual(response.data.sleep.totalMinutes, 450);
+  // The flat fields stay in step
+  assert.strictEqual(response.data.previousBedtime, '23:00');
+
+  response = await request(user, 'PUT', '/sleep?date=2024-04-10', { bedtime: '25:00' });
+  assert.strictEqual(response.status, 400);
+
+  response = await request(user, 'POST', '/daily?date=2024-04-10', { wakeTime: 'noonish' });
+  assert.strictEqual(response.status, 400);
+});
+
+test('updating one time keeps the other', async () => {
+  const { data } = await request(user, 'POST', '/daily?date=2024-04-10', { wakeTime: '07:00' });
+  assert.strictEqual(data.sleep.bedtime, '23:00');
+  assert.strictEqual(data.sleep.nightMinutes, 480);
+});
+
+test('quality is rated 1 to 5 and can be cleared', async () => {
+  let response = await request(user, 'PUT', '/sleep?date=2024-04-10', { quality: 4 });
+  assert.strictEqual(response.data.sleep.quality, 4);
+  assert.strictEqual(response.data.sleep.bedtime, '23:00');
+
+  response = await request(user, 'PUT', '/sleep?date=2024-04-10', { quality: 6 });
+  assert.strictEqual(response.status, 400);
+
+  response = await request(user, 'PUT', '/sleep?date=2024-04-10', { quality: null });
+  assert.strictEqual(response.data.sleep.quality, null);
+});
+
+test('naps add to the day\'s total', async () => {
+  let response = await request(user, 'POST', '/sleep/naps?date=2024-04-10', { minutes: 20, startTime: '14:00' });
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.data.sleep.napMinutes, 20);
+  assert.strictEqual(response.data.sleep.totalMinutes, 500);
+
+  const napId = response.data.sleep.naps[0].id;
+  assert.strictEqual((await request(user, 'POST', '/sleep/naps?date=2024-04-10', { minutes: 0 })).status, 400);
+
+  const intruder = createTestUser('nap-intruder');
+  assert.strictEqual((await request(intruder, 'DELETE', `/sleep/naps/${napId}`)).status, 404);
+
+  response = await request(user, 'DELETE', `/sleep/naps/${napId}?date=2024-04-10`);
+  assert.strictEqual(response.data.sleep.naps.length, 0);
+  assert.strictEqual(response.data.sleep.totalMinutes, 480);
+});
+
+test('sleep debt covers the last 7 days that have sleep logged', async () => {
+  const debtor = createTestUser('debtor');
+  // 6h, 7h and 9h against the default 8h target; 2024-05-04 has nothing logged
+  await request(debtor, 'PUT', '/sleep?date=2024-05-01', { bedtime: '01:00', wakeTime: '07:00' });
+  await request(debtor, 'PUT', '/sleep?date=2024-05-02', { bedtime: '00:00', wakeTime: '07:00' });
+  await request(debtor, 'PUT', '/sleep?date=2024-05-05', { bedtime: '22:00', wakeTime: '07:00' });
+  // Outside the window ending 2024-05-07
+  await request(debtor, 'PUT', '/sleep?date=2024-04-30', { bedtime: '03:00', wakeTime: '07:00' });
+
+  let { data } = await request(debtor, 'GET', '/state?date=2024-05-07');
+  assert.strictEqual(data.sleep.targetMinutes, 480);
+  assert.strictEqual(data.sleep.debtMinutes, 120 + 60 - 60);
+  assert.strictEqual(data.sleep.debtDays, 3);
+  assert.strictEqual(data.sleep.totalMinutes, null);
+
+  const target = await request(debtor, 'PUT', '/sleep/target?date=2024-05-07', { minutes: 420 });
+  assert.strictEqual(target.status, 200);
+  assert.strictEqual(target.data.sleep.debtMinutes, 60 + 0 - 120);
+
+  assert.strictEqual((await request(debtor, 'PUT', '/sleep/target', { minutes: 30 })).status, 400);
+});
+
+test('the markdown export has a sleep block in minutes', async () => {
+  const { data: today } = await request(user, 'PUT', '/sleep', { bedtime: '22:45', wakeTime: '06:15', quality: 3 });
+  await request(user, 'POST', '/sleep/naps', { minutes: 15 });
+  assert.strictEqual(today.sleep.nightMinutes, 450);
+
+  const { data } = await request(user, 'POST', '/download-tickets', { purpose: 'markdown' });
+  const response = await fetch(`${baseUrl}/download?ticket=${encodeURIComponent(data.ticket)}`);
+  const markdown = await response.text();
+
+  assert.match(markdown, /sleep:\n {2}bedtime: "22:45"\n {2}wake_time: "06:15"\n {2}night_minutes: 450\n {2}nap_minutes: 15\n {2}naps: 1\n {2}total_minutes: 465\n {2}quality: 3\n {2}target_minutes: 480\n {2}debt_7d_minutes: -?\d+/);
+});
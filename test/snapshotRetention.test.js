@@ -0,0 +1,55 @@
+// Snapshot retention prunes by age (max_days) and by count (max_count); 0 keeps all
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, stopServer, createTestUser } = require('./helpers');
+const dataAccess = require('../server/dataAccess');
+const { getExpiredDates, pruneUserSnapshots } = require('../server/snapshotRetention');
+const { addDays, getUserToday } = require('../server/middleware/date');
+
+const TODAY = '2024-06-30';
+
+before(startServer);
+after(stopServer);
+
+test('snapshots exactly max_days old are kept, older ones expire', () => {
+  const dates = ['2024-06-30', '2024-06-01', '2024-05-31', '2024-05-30'];
+  assert.deepStrictEqual(getExpiredDates(dates, 30, 0, TODAY), ['2024-05-30']);
+  assert.deepStrictEqual(getExpiredDates(dates, 1, 0, TODAY), ['2024-06-01', '2024-05-31', '2024-05-30']);
+});
+
+test('a limit of 0 keeps everything', () => {
+  const dates = ['2024-06-30', '2000-01-01'];
+  assert.deepStrictEqual(getExpiredDates(dates, 0, 0, TODAY), []);
+});
+
+test('max_count keeps the newest snapshots', () => {
+  const dates = ['2024-06-30', '2024-06-29', '2024-06-28'];
+  assert.deepStrictEqual(getExpiredDates(dates, 0, 2, TODAY), ['2024-06-28']);
+  assert.deepStrictEqual(getExpiredDates(dates, 0, 3, TODAY), []);
+});
+
+test('age and count limits combine', () => {
+  const dates = ['2024-06-30', '2024-06-20', '2024-06-10', '2024-05-01'];
+  assert.deepStrictEqual(getExpiredDates(dates, 30, 2, TODAY), ['2024-06-10', '2024-05-01']);
+});
+
+test('pruning deletes expired snapshots of that user only', () => {
+  const user = createTestUser('retention-user');
+  const other = createTestUser('retention-other');
+  const today = getUserToday(user.id);
+  const dates = [today, addDays(today, -7), addDays(today, -8)];
+
+  dates.forEach(date => {
+    dataAccess.saveSnapshot(user.id, date, { date });
+    dataAccess.saveSnapshot(other.id, date, { date });
+  });
+  dataAccess.setSnapshotSettings(user.id, 7, 100);
+
+  const result = pruneUserSnapshots(user.id);
+  assert.deepStrictEqual(result.deletedDates, [addDays(today, -8)]);
+  assert.deepStrictEqual(result.remainingDates, [today, addDays(today, -7)]);
+  assert.strictEqual(result.remainingCount, 2);
+
+  assert.deepStrictEqual(dataAccess.getSnapshotDates(user.id), [today, addDays(today, -7)]);
+  assert.strictEqual(dataAccess.getSnapshotDates(other.id).length, 3);
+});
@@ -0,0 +1,65 @@
+// Saved snapshots are frozen copies of a day that its exports are served from,
+// mirrored as Markdown files in the journal folder
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { startServer, stopServer, createTestUser, request } = require('./helpers');
+const { getJournalFilePath } = require('../server/journalFiles');
+
+const DATE = '2024-09-10';
+
+let baseUrl;
+let user;
+
+before(async () => {
+  baseUrl = await startServer();
+  user = createTestUser('snapshotter');
+  // Keep snapshots of any age so the old test date isn't pruned on save
+  await request(user, 'PUT', '/exports/retention-settings', { maxDays: 0, maxCount: 0 });
+  await request(user, 'POST', `/entry?date=${DATE}`, { text: 'Before the snapshot' });
+});
+
+after(stopServer);
+
+async function downloadMarkdown(date) {
+  const { data } = await request(user, 'POST', '/download-tickets', { purpose: 'markdown' });
+  const response = await fetch(`${baseUrl}/download?ticket=${encodeURIComponent(data.ticket)}&date=${date}`);
+  return response.text();
+}
+
+test('a snapshot is saved for the requested date', async () => {
+  const { status, data } = await request(user, 'POST', `/exports/save-snapshot?date=${DATE}`);
+  assert.strictEqual(status, 200);
+  assert.strictEqual(data.date, DATE);
+
+  const { data: available } = await request(user, 'GET', '/exports/available-dates');
+  assert.deepStrictEqual(available.dates, [DATE]);
+
+  // ...and written to the journal folder as Markdown
+  assert.match(fs.readFileSync(getJournalFilePath(user.id, DATE), 'utf8'), /Before the snapshot/);
+});
+
+test('exports of a snapshotted day use the frozen copy', async () => {
+  await request(user, 'POST', `/entry?date=${DATE}`, { text: 'After the snapshot' });
+
+  const markdown = await downloadMarkdown(DATE);
+  assert.match(markdown, /Before the snapshot/);
+  assert.doesNotMatch(markdown, /After the snapshot/);
+
+  const { data } = await request(user, 'POST', '/download-tickets', { purpose: 'range-pdf' });
+  const response = await fetch(`${baseUrl}/exports/download-range-pdf`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({ ticket: data.ticket, startDate: DATE, endDate: DATE })
+  });
+  assert.strictEqual(response.status, 200);
+});
+
+test('deleting the snapshot goes back to live data', async () => {
+  const { status } = await request(user, 'DELETE', `/exports/snapshot/${DATE}`);
+  assert.strictEqual(status, 200);
+  assert.strictEqual(fs.existsSync(getJournalFilePath(user.id, DATE)), false);
+
+  const markdown = await downloadMarkdown(DATE);
+  assert.match(markdown, /After the snapshot/);
+});
@@ -0,0 +1,83 @@
+// Resetting a Time Since tracker archives the old run and feeds the streak records
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, stopServer, createTestUser, request } = require('./helpers');
+const dataAccess = require('../server/dataAccess');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+let baseUrl;
+let user;
+let tracker;
+
+before(async () => {
+  baseUrl = await startServer();
+  user = createTestUser('streaker');
+
+  const { data } = await request(user, 'POST', '/trackers/time-since', { name: 'No sugar', date: '2024-01-01T00:00:00Z' });
+  tracker = data.timeSinceTrackers[0];
+});
+
+after(stopServer);
+
+function findTracker(state) {
+  return state.timeSinceTrackers.find(t => t.id === tracker.id);
+}
+
+test('a new tracker has only its current streak', () => {
+  assert.strictEqual(tracker.resetCount, 0);
+  assert.strictEqual(tracker.averageIntervalMs, null);
+  assert.ok(tracker.currentStreakMs > 0);
+  assert.strictEqual(tracker.longestStreakMs, tracker.currentStreakMs);
+});
+
+test('resets are archived and summarized', async () => {
+  let response = await request(user, 'POST', `/trackers/time-since/${tracker.id}/reset`, { date: '2024-01-11T00:00:00Z' });
+  assert.strictEqual(response.status, 200);
+  response = await request(user, 'POST', `/trackers/time-since/${tracker.id}/reset`, { date: '2024-01-15T00:00:00Z' });
+
+  const updated = findTracker(response.data);
+  assert.strictEqual(updated.date, '2024-01-15T00:00:00Z');
+  assert.strictEqual(updated.resetCount, 2);
+  assert.strictEqual(updated.averageIntervalMs, 7 * DAY);
+  // The run since the last reset is already longer than either archived one
+  assert.strictEqual(updated.longestStreakMs, updated.currentStreakMs);
+
+  const resets = dataAccess.getTimeSinceResets(user.id, tracker.id);
+  assert.deepStrictEqual(resets.map(r => [r.startedAt, r.endedAt]), [
+    ['2024-01-01T00:00:00Z', '2024-01-11T00:00:00Z'],
+    ['2024-01-11T00:00:00Z', '2024-01-15T00:00:00Z']
+  ]);
+});
+
+test('resets before the current run or in the future are refused', async () => {
+  const early = await request(user, 'POST', `/trackers/time-since/${tracker.id}/reset`, { date: '2024-01-10T00:00:00Z' });
+  assert.strictEqual(early.status, 400);
+
+  const future = await request(user, 'POST', `/trackers/time-since/${tracker.id}/reset`, { date: new Date(Date.now() + DAY).toISOString() });
+  assert.strictEqual(future.status, 400);
+
+  assert.strictEqual(dataAccess.getTimeSinceResets(user.id, tracker.id).length, 2);
+});
+
+test('streaks appear in the markdown export', async () => {
+  const { data } = await request(user, 'POST', '/download-tickets', { purpose: 'markdown' });
+  const response = await fetch(`${baseUrl}/download?ticket=${encodeURIComponent(data.ticket)}`);
+  const markdown = await response.text();
+
+  assert.match(markdown, /longest_streak: "/);
+  assert.match(markdown, /average_interval: "1w"/);
+  assert.match(markdown, /resets: 2/);
+});
+
+test('another user cannot reset the tracker', async () => {
+  const intruder = createTestUser('streak-intruder');
+  const response = await request(intruder, 'POST', `/trackers/time-since/${tracker.id}/reset`);
+  assert.strictEqual(response.status, 404);
+  assert.strictEqual(dataAccess.getTimeSinceResets(user.id, tracker.id).length, 2);
+});
+
+test('deleting a tracker removes its history', async () => {
+  await request(user, 'DELETE', `/trackers/time-since/${tracker.id}`);
+  assert.deepStrictEqual(dataAccess.getTimeSinceResets(user.id, tracker.id), []);
+});
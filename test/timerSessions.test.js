@@ -0,0 +1,171 @@
+// Duration trackers log one session per start/stop; day totals come from the sessions
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, stopServer, createTestUser, request } = require('./helpers');
+const dataAccess = require('../server/dataAccess');
+
+const HOUR = 60 * 60 * 1000;
+
+let user;
+let other;
+
+before(async () => {
+  await startServer();
+  user = createTestUser('timer-user');
+  other = createTestUser('timer-other');
+});
+
+after(stopServer);
+
+async function createTracker(owner, name) {
+  const { data } = await request(owner, 'POST', '/trackers/duration', { name });
+  return data.durationTrackers.find(tracker => tracker.name === name);
+}
+
+function trackerOn(state, id) {
+  return state.durationTrackers.find(tracker => tracker.id === id);
+}
+
+test('start and stop record a session', async () => {
+  const tracker = await createTracker(user, 'Reading');
+
+  const started = await request(user, 'POST', `/trackers/timer/start/${tracker.id}`);
+  assert.strictEqual(trackerOn(started.data, tracker.id).isRunning, true);
+  assert.ok(trackerOn(started.data, tracker.id).startTime);
+
+  // Starting again while running does not open a second session
+  await request(user, 'POST', `/trackers/timer/start/${tracker.id}`);
+
+  const stopped = await request(user, 'POST', `/trackers/timer/stop/${tracker.id}`);
+  assert.strictEqual(trackerOn(stopped.data, tracker.id).isRunning, false);
+  assert.strictEqual(trackerOn(stopped.data, tracker.id).startTime, null);
+
+  const { status, data } = await request(user, 'GET', `/trackers/duration/${tracker.id}/sessions`);
+  assert.strictEqual(status, 200);
+  assert.strictEqual(data.sessions.length, 1);
+  assert.ok(data.sessions[0].endTime);
+  assert.strictEqual(data.sessions[0].isRunning, false);
+});
+
+test('sessions crossing midnight count towards both days', async () => {
+  const tracker = await createTracker(user, 'Night shift');
+  dataAccess.createTimerSession(tracker.id, user.id, '2024-03-10T23:00:00.000Z', '2024-03-11T01:30:00.000Z');
+  dataAccess.createTimerSession(tracker.id, user.id, '2024-03-11T08:00:00.000Z', '2024-03-11T09:00:00.000Z');
+
+  const { data } = await request(user, 'GET', `/trackers/duration/${tracker.id}/sessions?from=2024-03-10&to=2024-03-11`);
+  assert.deepStrictEqual(data.dailyTotals, [
+    { date: '2024-03-10', ms: HOUR },
+    { date: '2024-03-11', ms: 2.5 * HOUR }
+  ]);
+  assert.deepStrictEqual(data.sessions[1].days, [
+    { date: '2024-03-10', ms: HOUR },
+    { date: '2024-03-11', ms: 1.5 * HOUR }
+  ]);
+
+  const { data: state } = await request(user, 'GET', '/state?date=2024-03-10');
+  assert.strictEqual(trackerOn(state, tracker.id).elapsedMs, HOUR);
+  assert.strictEqual(trackerOn(state, tracker.id).value, 3600);
+
+  // Limiting the range drops sessions outside it
+  const { data: laterDay } = await request(user, 'GET', `/trackers/duration/${tracker.id}/sessions?from=2024-03-11&to=2024-03-11`);
+  assert.deepStrictEqual(laterDay.dailyTotals, [{ date: '2024-03-11', ms: 2.5 * HOUR }]);
+});
+
+test('days follow the user\'s timezone', async () => {
+  const traveller = createTestUser('timer-traveller');
+  dataAccess.setUserSettings(traveller.id, 'America/New_York', 0);
+  const tracker = await createTracker(traveller, 'Late reading');
+
+  // 23:00-01:00 in New York (UTC-5 in January)
+  dataAccess.createTimerSession(tracker.id, traveller.id, '2024-01-16T04:00:00.000Z', '2024-01-16T06:00:00.000Z');
+
+  const { data } = await request(traveller, 'GET', `/trackers/duration/${tracker.id}/sessions`);
+  assert.deepStrictEqual(data.dailyTotals, [
+    { date: '2024-01-15', ms: HOUR },
+    { date: '2024-01-16', ms: HOUR }
+  ]);
+});
+
+test('days with only timer time are included in range exports', async () => {
+  const exporter = createTestUser('timer-exporter');
+  dataAccess.setUserSettings(exporter.id, 'America/New_York', 0);
+  const tracker = await createTracker(exporter, 'Evening walk');
+
+  // 22:00-23:30 on 2024-02-03 in New York
+  dataAccess.createTimerSession(tracker.id, exporter.id, '2024-02-04T03:00:00.000Z', '2024-02-04T04:30:00.000Z');
+
+  const { data } = await request(exporter, 'POST', '/exports/date-range', { startDate: '2024-02-01', endDate: '2024-02-07' });
+  assert.deepStrictEqual(data.dates, ['2024-02-03']);
+});
+
+test('sessions can be edited and deleted', async () => {
+  const tracker = await createTracker(user, 'Piano');
+  const firstId = dataAccess.createTimerSession(tracker.id, user.id, '2024-05-01T10:00:00.000Z', '2024-05-01T11:00:00.000Z');
+  const secondId = dataAccess.createTimerSession(tracker.id, user.id, '2024-05-01T12:00:00.000Z', '2024-05-01T13:00:00.000Z');
+
+  const edited = await request(user, 'PUT', `/trackers/sessions/${firstId}`, {
+    startTime: '2024-05-01T09:30:00.000Z',
+    endTime: '2024-05-01T11:15:00.000Z'
+  });
+  assert.strictEqual(edited.status, 200);
+  assert.strictEqual(edited.data.session.startTime, '2024-05-01T09:30:00.000Z');
+
+  const overlapping = await request(user, 'PUT', `/trackers/sessions/${firstId}`, {
+    startTime: '2024-05-01T09:30:00.000Z',
+    endTime: '2024-05-01T12:30:00.000Z'
+  });
+  assert.strictEqual(overlapping.status, 409);
+
+  const backwards = await request(user, 'PUT', `/trackers/sessions/${firstId}`, {
+    startTime: '2024-05-01T11:00:00.000Z',
+    endTime: '2024-05-01T10:00:00.000Z'
+  });
+  assert.strictEqual(backwards.status, 400);
+
+  assert.strictEqual((await request(user, 'DELETE', `/trackers/sessions/${secondId}`)).status, 200);
+
+  const { data } = await request(user, 'GET', `/trackers/duration/${tracker.id}/sessions`);
+  assert.deepStrictEqual(data.dailyTotals, [{ date: '2024-05-01', ms: 1.75 * HOUR }]);
+});
+
+test('manual time and reset only touch the selected day', async () => {
+  const tracker = await createTracker(user, 'Gardening');
+  dataAccess.createTimerSession(tracker.id, user.id, '2024-06-01T22:00:00.000Z', '2024-06-02T02:00:00.000Z');
+
+  const manual = await request(user, 'POST', '/trackers/manual-time?date=2024-06-02', {
+    trackerId: tracker.id,
+    elapsedMs: 3 * HOUR
+  });
+  assert.strictEqual(manual.status, 200);
+  assert.strictEqual(trackerOn(manual.data, tracker.id).elapsedMs, 3 * HOUR);
+
+  let { data } = await request(user, 'GET', `/trackers/duration/${tracker.id}/sessions`);
+  assert.deepStrictEqual(data.dailyTotals, [
+    { date: '2024-06-01', ms: 2 * HOUR },
+    { date: '2024-06-02', ms: 3 * HOUR }
+  ]);
+
+  const tooLong = await request(user, 'POST', '/trackers/manual-time?date=2024-06-02', {
+    trackerId: tracker.id,
+    elapsedMs: 25 * HOUR
+  });
+  assert.strictEqual(tooLong.status, 400);
+
+  await request(user, 'POST', `/trackers/timer/reset/${tracker.id}?date=2024-06-02`);
+  ({ data } = await request(user, 'GET', `/trackers/duration/${tracker.id}/sessions`));
+  assert.deepStrictEqual(data.dailyTotals, [{ date: '2024-06-01', ms: 2 * HOUR }]);
+});
+
+test('another user\'s sessions are not reachable', async () => {
+  const tracker = await createTracker(user, 'Private timer');
+  const sessionId = dataAccess.createTimerSession(tracker.id, user.id, '2024-07-01T10:00:00.000Z', '2024-07-01T11:00:00.000Z');
+
+  assert.strictEqual((await request(other, 'GET', `/trackers/duration/${tracker.id}/sessions`)).status, 404);
+  assert.strictEqual((await request(other, 'PUT', `/trackers/sessions/${sessionId}`, {
+    startTime: '2024-07-01T09:00:00.000Z',
+    endTime: '2024-07-01T10:00:00.000Z'
+  })).status, 404);
+  assert.strictEqual((await request(other, 'DELETE', `/trackers/sessions/${sessionId}`)).status, 404);
+
+  assert.strictEqual(dataAccess.getTimerSessionById(sessionId, user.id).startTime, '2024-07-01T10:00:00.000Z');
+});